@@ -0,0 +1,66 @@
+/**
+ * Appsmith instance settings (Admin Settings page) from the automation config
+ *
+ * Config keys under adminSettings map to the APPSMITH_* variables Appsmith
+ * saves in its docker.env. Only keys present in the config are sent, so
+ * settings changed by hand in the Admin Settings page are left alone.
+ *
+ * Giving smtp.host also turns mail on (APPSMITH_MAIL_ENABLED), and
+ * smtp.username turns on SMTP authentication (APPSMITH_MAIL_SMTP_AUTH).
+ *
+ * A custom domain makes Appsmith request a Let's Encrypt certificate on the
+ * next start, unless a certificate is installed in the stacks ssl/ folder
+ * (deploy.sh copies NETSWIFT_TLS_CERT / NETSWIFT_TLS_KEY there).
+ */
+
+const SETTINGS = [
+    { path: 'instanceName', key: 'APPSMITH_INSTANCE_NAME' },
+    { path: 'signupDisabled', key: 'APPSMITH_SIGNUP_DISABLED' },
+    { path: 'customDomain', key: 'APPSMITH_CUSTOM_DOMAIN' },
+    { path: 'smtp.host', key: 'APPSMITH_MAIL_HOST', implies: { APPSMITH_MAIL_ENABLED: 'true' } },
+    { path: 'smtp.port', key: 'APPSMITH_MAIL_PORT' },
+    { path: 'smtp.username', key: 'APPSMITH_MAIL_USERNAME', implies: { APPSMITH_MAIL_SMTP_AUTH: 'true' } },
+    { path: 'smtp.password', key: 'APPSMITH_MAIL_PASSWORD', secret: true },
+    { path: 'smtp.from', key: 'APPSMITH_MAIL_FROM' },
+    { path: 'smtp.replyTo', key: 'APPSMITH_REPLY_TO' },
+    { path: 'smtp.tls', key: 'APPSMITH_MAIL_SMTP_TLS_ENABLED' }
+];
+
+const SECRET_KEYS = new Set(SETTINGS.filter(s => s.secret).map(s => s.key));
+
+function getPath(object, dotted) {
+    return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// { APPSMITH_*: "<value>" } for the keys set in `adminSettings`; Appsmith
+// keeps every setting as a string
+function settingsFromConfig(adminSettings = {}) {
+    const settings = {};
+    for (const setting of SETTINGS) {
+        const value = getPath(adminSettings, setting.path);
+        if (value === undefined || value === null || value === '') {
+            continue;
+        }
+        settings[setting.key] = String(value);
+        Object.assign(settings, setting.implies);
+    }
+    return settings;
+}
+
+// Settings whose saved value differs from the wanted one:
+// [{ key, before, after }], before is null when the key is not saved yet
+function diffSettings(current, wanted) {
+    return Object.entries(wanted)
+        .filter(([key, value]) => current[key] !== value)
+        .map(([key, value]) => ({ key, before: current[key] === undefined ? null : current[key], after: value }));
+}
+
+// Secrets are shown as set/changed, never by value
+function formatSettingChange({ key, before, after }) {
+    if (SECRET_KEYS.has(key)) {
+        return `${key}: ${before ? 'changed' : 'set'}`;
+    }
+    return `${key}: ${before === null ? '(unset)' : JSON.stringify(before)} -> ${JSON.stringify(after)}`;
+}
+
+module.exports = { SETTINGS, settingsFromConfig, diffSettings, formatSettingChange };
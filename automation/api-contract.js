@@ -0,0 +1,342 @@
+/**
+ * Backend contract of the NetSwift app, from its REST queries
+ *
+ * The routes the app calls exist only in the export, spread over
+ * actionConfiguration.path / httpMethod / body / queryParameters of each
+ * query. buildContract() collects the queries of one datasource into an
+ * OpenAPI 3 document: one operation per path and method, with the queries
+ * calling it under x-appsmith-actions. Bindings in a path become path
+ * parameters named after the bound value ({{List1.triggeredItem?.id}} ->
+ * {id}); body keys become request body properties. Queries sending an
+ * "Authorization: Bearer ..." header mark their operation with the bearerAuth
+ * (JWT) security scheme; their writes (any method but GET) also answer 403
+ * for a role that may not change the network.
+ *
+ * lintContract() flags routes that do not follow the rest of the API:
+ *
+ * - trailing-slash: /switches/
+ * - outside-api:    routes not under /api/ (/delete, /status/offline_count)
+ * - bare-verb:      a verb with no resource (/delete, /update)
+ * - count-route:    one route per counter (/status/*_count)
+ * - no-path:        a query without a path
+ *
+ * compareContract() checks the contract against the backend's published
+ * OpenAPI document (FastAPI serves it at /openapi.json) and reports routes
+ * the backend lacks, methods it does not accept on a route, and backend
+ * routes the app never calls.
+ */
+
+const fs = require('fs');
+
+const OPENAPI_VERSION = '3.0.3';
+const DEFAULT_DATASOURCE = 'NetSwift API';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+const VERBS = new Set(['add', 'create', 'delete', 'edit', 'remove', 'update']);
+
+// End of the {{ }} binding starting at `start`, braces inside it balanced
+function bindingEnd(text, start) {
+    let depth = 0;
+    for (let i = start + 2; i < text.length; i++) {
+        if (text[i] === '{') depth += 1;
+        if (text[i] === '}') {
+            if (depth === 0 && text[i + 1] === '}') return i + 2;
+            depth -= 1;
+        }
+    }
+    return text.length;
+}
+
+// Parameter name for a bound path segment: the last property read before
+// any "|| default" ({{Table.triggeredRow.ip}} -> ip)
+function parameterName(expression) {
+    const names = expression.split('||')[0].match(/[A-Za-z_$][\w$]*/g) || [];
+    return names.length > 0 ? names[names.length - 1] : 'param';
+}
+
+// OpenAPI path template and its parameter names for a query path
+function templatePath(rawPath) {
+    const parameters = [];
+    let template = '';
+    for (let i = 0; i < rawPath.length;) {
+        if (rawPath.startsWith('{{', i)) {
+            const end = bindingEnd(rawPath, i);
+            let name = parameterName(rawPath.slice(i + 2, end - 2));
+            while (parameters.includes(name)) name = `${name}_`;
+            parameters.push(name);
+            template += `{${name}}`;
+            i = end;
+        } else {
+            template += rawPath[i];
+            i += 1;
+        }
+    }
+    return { path: template.trim(), parameters };
+}
+
+// Schema for a body value from its first characters; bindings can hold anything
+function valueSchema(text) {
+    if (text.startsWith('{{') || text.startsWith('"{{')) return {};
+    if (text.startsWith('{')) return { type: 'object' };
+    if (text.startsWith('[')) return { type: 'array' };
+    if (text.startsWith('"')) return { type: 'string' };
+    if (/^(true|false)\b/.test(text)) return { type: 'boolean' };
+    if (/^-?\d/.test(text)) return { type: 'number' };
+    return {};
+}
+
+// Top-level keys of a JSON body template, skipping {{ }} bindings
+function bodyProperties(body) {
+    const text = String(body || '');
+    const properties = {};
+    let depth = 0;
+    for (let i = 0; i < text.length;) {
+        if (text.startsWith('{{', i)) {
+            i = bindingEnd(text, i);
+            continue;
+        }
+        const c = text[i];
+        if (c === '"') {
+            let end = i + 1;
+            while (end < text.length && text[end] !== '"') {
+                end = text.startsWith('{{', end) ? bindingEnd(text, end) : end + (text[end] === '\\' ? 2 : 1);
+            }
+            const after = text.slice(end + 1).trimStart();
+            if (depth === 1 && after.startsWith(':')) {
+                properties[text.slice(i + 1, end)] = valueSchema(after.slice(1).trimStart());
+            }
+            i = end + 1;
+            continue;
+        }
+        if (c === '{' || c === '[') depth += 1;
+        if (c === '}' || c === ']') depth -= 1;
+        i += 1;
+    }
+    return properties;
+}
+
+// REST queries of one datasource:
+// [{ page, name, method, rawPath, path, pathParameters, query, body, bearer }]
+function restActions(exported, { datasource = DEFAULT_DATASOURCE } = {}) {
+    return (exported.actionList || [])
+        .map(a => a.unpublishedAction)
+        .filter(a => a && a.pluginType !== 'JS' && a.datasource && a.datasource.name === datasource)
+        .map(a => {
+            const config = a.actionConfiguration || {};
+            const { path, parameters } = templatePath(config.path || '');
+            return {
+                page: a.pageId,
+                name: a.name,
+                method: (config.httpMethod || 'GET').toLowerCase(),
+                rawPath: config.path || '',
+                path,
+                pathParameters: parameters,
+                query: (config.queryParameters || []).filter(p => p && p.key),
+                body: config.body || '',
+                bearer: (config.headers || []).some(h => h && /^authorization$/i.test(h.key) && /^bearer\s/i.test(String(h.value)))
+            };
+        });
+}
+
+function operationFor(action, operationId) {
+    const operation = {
+        operationId,
+        summary: `${action.page}/${action.name}`,
+        'x-appsmith-actions': [],
+        parameters: [
+            ...action.pathParameters.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+            ...action.query.map(p => ({ name: p.key, in: 'query', schema: { type: 'string' }, example: p.value }))
+        ],
+        responses: { 200: { description: 'OK' } }
+    };
+    if (action.bearer) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses[401] = { description: 'Missing, invalid or expired token' };
+        if (action.method !== 'get') {
+            operation.responses[403] = { description: 'The role of the token may not change the network' };
+        }
+    }
+    const properties = bodyProperties(action.body);
+    if (Object.keys(properties).length > 0 || action.body.trim() !== '') {
+        operation.requestBody = {
+            content: { 'application/json': { schema: { type: 'object', properties } } }
+        };
+    }
+    return operation;
+}
+
+// OpenAPI document of the routes the app calls on `datasource`
+function buildContract(exported, { datasource = DEFAULT_DATASOURCE } = {}) {
+    const app = exported.exportedApplication || {};
+    const source = (exported.datasourceList || []).find(d => d.name === datasource);
+    const url = source && source.datasourceConfiguration && source.datasourceConfiguration.url;
+    const paths = {};
+    const operationIds = new Set();
+    const withoutPath = [];
+    const actions = restActions(exported, { datasource });
+
+    for (const action of actions) {
+        if (!action.path) {
+            withoutPath.push(`${action.page}/${action.name}`);
+            continue;
+        }
+        const route = paths[action.path] = paths[action.path] || {};
+        if (!route[action.method]) {
+            const operationId = operationIds.has(action.name) ? `${action.name}_${action.page}` : action.name;
+            operationIds.add(operationId);
+            route[action.method] = operationFor(action, operationId);
+        }
+        route[action.method]['x-appsmith-actions'].push(`${action.page}/${action.name}`);
+    }
+
+    const contract = {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: `${app.name || 'Appsmith app'}: ${datasource}`,
+            version: String(app.modifiedAt || app.lastDeployedAt || '1'),
+            description: `Routes called by the ${app.name || 'app'} queries on the "${datasource}" datasource`
+        },
+        servers: url ? [{ url }] : [],
+        paths: Object.fromEntries(Object.keys(paths).sort().map(p => [p, paths[p]])),
+        'x-appsmith-without-path': withoutPath
+    };
+    if (actions.some(action => action.bearer)) {
+        contract.components = { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } } };
+    }
+    return contract;
+}
+
+// [{ method, path }] of an OpenAPI document
+function operationsOf(spec) {
+    return Object.entries(spec.paths || {}).flatMap(([path, route]) => Object.keys(route)
+        .filter(method => HTTP_METHODS.includes(method))
+        .map(method => ({ method, path, actions: route[method]['x-appsmith-actions'] || [] })));
+}
+
+// Routes that do not follow the rest of the API: [{ rule, method, path, actions, message }]
+function lintContract(contract) {
+    const problems = [];
+    const operations = operationsOf(contract);
+    const countRoutes = operations.filter(o => /_count$/.test(o.path)).map(o => o.path);
+
+    for (const op of operations) {
+        const add = (rule, message) => problems.push({ rule, method: op.method, path: op.path, actions: op.actions, message });
+        const segments = op.path.split('/').filter(Boolean);
+
+        if (op.path.length > 1 && op.path.endsWith('/')) {
+            add('trailing-slash', `${op.path} ends with a slash, unlike the other routes`);
+        }
+        if (!op.path.startsWith('/api/')) {
+            add('outside-api', `${op.path} is outside /api/, unlike the other routes`);
+        }
+        if (segments.length === 1 && VERBS.has(segments[0])) {
+            add('bare-verb', `${op.path} names an action but no resource`);
+        }
+        if (/_count$/.test(op.path) && countRoutes.length > 1) {
+            const others = countRoutes.filter(p => p !== op.path);
+            add('count-route', `${op.path} is one route per counter (with ${others.join(', ')}); one route could return all counts`);
+        }
+    }
+    for (const action of contract['x-appsmith-without-path'] || []) {
+        problems.push({ rule: 'no-path', method: null, path: null, actions: [action], message: 'query without a path' });
+    }
+    return problems;
+}
+
+// Path with parameter names dropped, for matching /a/{id} with /a/{rule_id}
+function pathKey(path) {
+    return path.replace(/\{[^}]*\}/g, '{}');
+}
+
+// Contract vs the backend's OpenAPI document:
+// { missing: [{ method, path, actions, hint }], methodMismatches: [{ method, path, actions, backendMethods }],
+//   unused: [{ method, path }] }
+function compareContract(contract, backendSpec) {
+    const backend = new Map();
+    for (const op of operationsOf(backendSpec)) {
+        const key = pathKey(op.path);
+        const entry = backend.get(key) || { path: op.path, methods: [] };
+        entry.methods.push(op.method);
+        backend.set(key, entry);
+    }
+
+    const missing = [];
+    const methodMismatches = [];
+    const called = new Set();
+    for (const op of operationsOf(contract)) {
+        const key = pathKey(op.path);
+        const route = backend.get(key);
+        if (!route) {
+            // FastAPI answers a slash mismatch with a redirect that drops the body
+            const toggled = key.endsWith('/') ? key.slice(0, -1) : `${key}/`;
+            const near = backend.get(toggled);
+            missing.push({
+                method: op.method,
+                path: op.path,
+                actions: op.actions,
+                hint: near ? `the backend has ${near.path}` : null
+            });
+            continue;
+        }
+        called.add(`${op.method} ${key}`);
+        if (!route.methods.includes(op.method)) {
+            methodMismatches.push({ method: op.method, path: op.path, actions: op.actions, backendMethods: route.methods });
+        }
+    }
+
+    const unused = operationsOf(backendSpec)
+        .filter(op => !called.has(`${op.method} ${pathKey(op.path)}`))
+        .map(({ method, path }) => ({ method, path }));
+
+    return { missing, methodMismatches, unused };
+}
+
+function hasContractMismatches(comparison) {
+    return comparison.missing.length > 0 || comparison.methodMismatches.length > 0;
+}
+
+function formatContractReport({ contract, file, problems, comparison = null, backend = null }) {
+    const operations = operationsOf(contract);
+    const show = op => `${op.method.toUpperCase()} ${op.path}`;
+    const lines = [`Contract: ${operations.length} operations on ${Object.keys(contract.paths).length} paths${file ? ` -> ${file}` : ''}`];
+
+    if (problems.length > 0) {
+        lines.push('', `Inconsistent routes (${problems.length}):`);
+        for (const problem of problems) {
+            lines.push(`  ⚠️  [${problem.rule}] ${problem.message} (${problem.actions.join(', ')})`);
+        }
+    }
+
+    if (comparison) {
+        lines.push('', `Backend: ${backend}`);
+        for (const op of comparison.missing) {
+            lines.push(`  ❌ missing ${show(op)} (${op.actions.join(', ')})${op.hint ? `: ${op.hint}` : ''}`);
+        }
+        for (const op of comparison.methodMismatches) {
+            lines.push(`  ❌ ${show(op)} not accepted, the backend has ${op.backendMethods.map(m => m.toUpperCase()).join(', ')} (${op.actions.join(', ')})`);
+        }
+        for (const op of comparison.unused) {
+            lines.push(`  ℹ️  not called by the app: ${show(op)}`);
+        }
+        lines.push('', hasContractMismatches(comparison)
+            ? `❌ ${comparison.missing.length} missing route(s), ${comparison.methodMismatches.length} method mismatch(es)`
+            : '✅ The backend serves every route the app calls');
+    }
+
+    return lines.join('\n');
+}
+
+function writeContract(filePath, contract) {
+    fs.writeFileSync(filePath, `${JSON.stringify(contract, null, 2)}\n`);
+}
+
+module.exports = {
+    restActions,
+    templatePath,
+    bodyProperties,
+    buildContract,
+    lintContract,
+    compareContract,
+    hasContractMismatches,
+    formatContractReport,
+    writeContract
+};
@@ -0,0 +1,234 @@
+/**
+ * Appsmith REST API client
+ *
+ * Thin wrapper around the Appsmith server endpoints used by the automation.
+ * Signs in once with the admin credentials, keeps the SESSION cookie and
+ * reuses it for every following request.
+ *
+ * Endpoints used:
+ * - POST /api/v1/login                            (form login, sets SESSION cookie)
+ * - GET  /api/v1/workspaces/home                  (list workspaces)
+ * - POST /api/v1/workspaces                       (create a workspace)
+ * - GET  /api/v1/workspaces/:id/permissionGroups  (workspace roles)
+ * - GET  /api/v1/workspaces/:id/members           (workspace members and roles)
+ * - PUT  /api/v1/workspaces/:id/permissionGroup   (change a member's role)
+ * - POST /api/v1/users/invite                     (invite users with a role)
+ * - GET  /api/v1/admin/env                        (instance settings, admin only)
+ * - PUT  /api/v1/admin/env                        (save instance settings)
+ * - POST /api/v1/admin/restart                    (restart to apply saved settings)
+ * - GET  /api/v1/health                           (server health)
+ * - POST /api/v1/applications/import/:workspaceId (multipart JSON import,
+ *        ?applicationId=:id updates that app in place)
+ * - GET  /api/v1/pages?applicationId=:id          (page names and slugs)
+ * - GET  /api/v1/applications/home?workspaceId=:id (applications in a workspace)
+ * - GET  /api/v1/applications/export/:id          (application export JSON)
+ * - GET  /api/v1/actions/view?applicationId=:id   (published queries: id, name, pageId)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Appsmith rejects state-changing API calls without this header (CSRF guard)
+const REQUESTED_BY_HEADER = { 'X-Requested-By': 'Appsmith' };
+
+function createAppsmithClient(baseUrl, options = {}) {
+    const timeout = options.timeout || 60000;
+    const cookies = new Map();
+
+    function storeCookies(response) {
+        const setCookies = typeof response.headers.getSetCookie === 'function'
+            ? response.headers.getSetCookie()
+            : [response.headers.get('set-cookie')].filter(Boolean);
+
+        for (const cookie of setCookies) {
+            const [pair] = cookie.split(';');
+            const separator = pair.indexOf('=');
+            if (separator > 0) {
+                cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+            }
+        }
+    }
+
+    function cookieHeader() {
+        return Array.from(cookies.entries())
+            .map(([name, value]) => `${name}=${value}`)
+            .join('; ');
+    }
+
+    async function request(method, urlPath, { body, headers = {}, redirect = 'follow' } = {}) {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method,
+            body,
+            redirect,
+            headers: {
+                ...REQUESTED_BY_HEADER,
+                ...(cookies.size > 0 ? { Cookie: cookieHeader() } : {}),
+                ...headers
+            },
+            signal: AbortSignal.timeout(timeout)
+        });
+        storeCookies(response);
+        return response;
+    }
+
+    // Unwrap Appsmith's { responseMeta, data } envelope
+    async function requestJson(method, urlPath, requestOptions) {
+        const response = await request(method, urlPath, requestOptions);
+        const text = await response.text();
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`${method} ${urlPath} returned non-JSON response (HTTP ${response.status})`);
+        }
+
+        const meta = payload.responseMeta || {};
+        if (!response.ok || meta.success === false) {
+            const detail = (meta.error && meta.error.message) || `HTTP ${response.status}`;
+            throw new Error(`${method} ${urlPath} failed: ${detail}`);
+        }
+
+        return payload.data;
+    }
+
+    const jsonBody = (data) => ({
+        body: JSON.stringify(data),
+        headers: { 'Content-Type': 'application/json' }
+    });
+
+    return {
+        isAuthenticated: () => cookies.has('SESSION'),
+
+        async login(email, password) {
+            const form = new URLSearchParams({ username: email, password });
+            const response = await request('POST', '/api/v1/login', {
+                body: form.toString(),
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                redirect: 'manual'
+            });
+
+            // Appsmith answers a form login with a redirect: /applications on
+            // success, /user/login?error=true on bad credentials
+            const location = response.headers.get('location') || '';
+            if (location.includes('error') || !cookies.has('SESSION')) {
+                throw new Error(`Login failed for ${email} (HTTP ${response.status})`);
+            }
+            return true;
+        },
+
+        async getWorkspaces() {
+            const data = await requestJson('GET', '/api/v1/workspaces/home');
+            return Array.isArray(data) ? data : (data && data.workspaces) || [];
+        },
+
+        async createWorkspace(name) {
+            return await requestJson('POST', '/api/v1/workspaces', jsonBody({ name }));
+        },
+
+        // Roles of a workspace ("Administrator - <workspace>", "Developer - ...", "App Viewer - ...")
+        async getWorkspaceRoles(workspaceId) {
+            return (await requestJson('GET', `/api/v1/workspaces/${encodeURIComponent(workspaceId)}/permissionGroups`)) || [];
+        },
+
+        async getWorkspaceMembers(workspaceId) {
+            return (await requestJson('GET', `/api/v1/workspaces/${encodeURIComponent(workspaceId)}/members`)) || [];
+        },
+
+        async inviteUsers(emails, roleId) {
+            return await requestJson('POST', '/api/v1/users/invite', jsonBody({ usernames: emails, permissionGroupId: roleId }));
+        },
+
+        // Invitations only add new members; existing members change role here
+        async updateMemberRole(workspaceId, email, roleId) {
+            return await requestJson('PUT', `/api/v1/workspaces/${encodeURIComponent(workspaceId)}/permissionGroup`,
+                jsonBody({ username: email, newPermissionGroupId: roleId }));
+        },
+
+        // Admin settings as { APPSMITH_*: "<value>" }; values are strings
+        async getAdminSettings() {
+            return (await requestJson('GET', '/api/v1/admin/env')) || {};
+        },
+
+        async updateAdminSettings(settings) {
+            return await requestJson('PUT', '/api/v1/admin/env', jsonBody(settings));
+        },
+
+        // Most settings are only read at startup
+        async restartServer() {
+            return await requestJson('POST', '/api/v1/admin/restart');
+        },
+
+        async isHealthy() {
+            try {
+                const response = await request('GET', '/api/v1/health');
+                await response.text();
+                return response.ok;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        // With applicationId the export replaces the contents of that app
+        // (import into existing app): same ID, slug and URLs
+        async importApplication(workspaceId, filePath, { applicationId } = {}) {
+            const form = new FormData();
+            const blob = new Blob([fs.readFileSync(filePath)], { type: 'application/json' });
+            form.append('file', blob, path.basename(filePath));
+
+            const query = applicationId ? `?applicationId=${encodeURIComponent(applicationId)}` : '';
+            const data = await requestJson('POST', `/api/v1/applications/import/${workspaceId}${query}`, {
+                body: form
+            });
+
+            if (!data || !data.application || !data.application.id) {
+                throw new Error('Import response did not include an application');
+            }
+
+            return {
+                application: data.application,
+                isPartialImport: Boolean(data.isPartialImport),
+                unConfiguredDatasourceList: data.unConfiguredDatasourceList || []
+            };
+        },
+
+        async getPages(applicationId) {
+            const data = await requestJson('GET', `/api/v1/pages?applicationId=${encodeURIComponent(applicationId)}`);
+            return (data && data.pages) || [];
+        },
+
+        async getApplications(workspaceId) {
+            const data = await requestJson('GET', `/api/v1/applications/home?workspaceId=${encodeURIComponent(workspaceId)}`);
+            return Array.isArray(data) ? data : (data && data.applications) || [];
+        },
+
+        // Queries of the deployed app; their IDs identify query runs in the viewer
+        async getViewActions(applicationId) {
+            return (await requestJson('GET', `/api/v1/actions/view?applicationId=${encodeURIComponent(applicationId)}`)) || [];
+        },
+
+        // The export is the raw application JSON (as downloaded from the UI),
+        // not wrapped in the envelope; errors still come back enveloped
+        async exportApplication(applicationId) {
+            const urlPath = `/api/v1/applications/export/${encodeURIComponent(applicationId)}`;
+            const response = await request('GET', urlPath);
+            const text = await response.text();
+
+            let payload;
+            try {
+                payload = JSON.parse(text);
+            } catch (e) {
+                throw new Error(`GET ${urlPath} returned non-JSON response (HTTP ${response.status})`);
+            }
+
+            const meta = payload.responseMeta;
+            if (!response.ok || (meta && meta.success === false)) {
+                const detail = (meta && meta.error && meta.error.message) || `HTTP ${response.status}`;
+                throw new Error(`GET ${urlPath} failed: ${detail}`);
+            }
+            return payload;
+        }
+    };
+}
+
+module.exports = { createAppsmithClient };
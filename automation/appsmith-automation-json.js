@@ -1,13 +1,103 @@
 #!/usr/bin/env node
 /**
  * Appsmith Full Automation Script - Consolidated Playwright Version
- * Version: 7.2.2
+ * Version: 7.19.0
  * 
  * This script uses Playwright to automate the Appsmith web UI:
  * 1. Create admin account with detailed onboarding flow
- * 2. Import application from JSON file (includes datasource config)
- * 3. Detect actual NetSwift URL (login page ID is dynamic)
- * 4. Display access instructions with correct URL to user
+ * 2. Patch datasource URLs/headers into a copy of the JSON export
+ * 3. Import application from the patched JSON file
+ * 4. Detect actual NetSwift URL (login page ID is dynamic)
+ * 5. Display access instructions with correct URL to user
+ * 
+ * Changes in v7.19.0:
+ * - `contract` command writes an OpenAPI document of the routes the app's
+ *   REST queries call (CONTRACT_FILE), flags inconsistent ones (/switches/,
+ *   /delete, /update, /status/*_count) and, given the backend's
+ *   /openapi.json, lists missing routes and method mismatches
+ * 
+ * Changes in v7.18.0:
+ * - New "smoke" step (SMOKE_TEST=true) signs into the NetSwift LoginPage and
+ *   opens every page, waiting for its on-load queries (getVlans,
+ *   getAllSwitches, getPorts, GetRulesAPI, ...); fails on failed queries,
+ *   non-2xx API responses and error toasts, with a screenshot per page
+ * 
+ * Changes in v7.17.0:
+ * - New "admin-settings" step saves instance name, signup, custom domain and
+ *   SMTP settings (INSTANCE_NAME, DISABLE_SIGNUP, CUSTOM_DOMAIN, SMTP_*),
+ *   restarts Appsmith when something changed and reads every value back;
+ *   settings not in the config are left alone
+ * - DISABLE_SIGNUP is applied by this step, after the users step
+ * 
+ * Changes in v7.16.0:
+ * - New "users" step invites the users in USERS_FILE (email, name, role) to
+ *   the NetSwift workspace, or each site's workspace; members keep or change
+ *   role, nobody is invited twice
+ * - DISABLE_SIGNUP turns off public signup in the admin settings afterwards
+ *   (restarts Appsmith and checks the saved value)
+ * 
+ * Changes in v7.15.0:
+ * - MANIFEST lists sites (workspace, app name, backend URL, users); each
+ *   site gets its workspace (created if missing), its own app copy and
+ *   invitations, in one resumable step per site
+ * - Run report lists the per-site app URLs under "sites"
+ * 
+ * Changes in v7.14.0:
+ * - Re-importing updates the existing NetSwift app in place (found by APP_ID,
+ *   the stored application ID or by name), keeping its ID and URL
+ * - A second copy is only imported with --allow-duplicate
+ * 
+ * Changes in v7.13.0:
+ * - `diff` command reports what changes between two exports, or between the
+ *   deployed app and netswift.json: pages, queries (method, path, body),
+ *   JS functions, widgets per page, datasources and theme
+ * 
+ * Changes in v7.12.0:
+ * - `export` command downloads the deployed app (found by the stored
+ *   application ID or by name) into BACKUP_DIR as
+ *   netswift-<timestamp>-<hash>.json; BACKUP_KEEP prunes old copies
+ * 
+ * Changes in v7.11.0:
+ * - New "transform" step writes a patched copy of the export with the
+ *   datasource URL (DATASOURCE_URL) and any DATASOURCES overrides, logging
+ *   each change; REMOVE_UNUSED_DATASOURCES drops unused datasources
+ * - Default datasource name is "NetSwift API" (the name used in netswift.json)
+ * 
+ * Changes in v7.10.0:
+ * - `validate` command lints the export (schema version, page and datasource
+ *   references, duplicate names, leftover datasources) without touching Appsmith
+ * - The import step runs the same checks first and stops on errors
+ * 
+ * Changes in v7.9.0:
+ * - UI steps exported so they can be tested offline against the mock
+ *   Appsmith server in test/mock-appsmith.js (npm run test:e2e)
+ * 
+ * Changes in v7.8.0:
+ * - LOG_FORMAT=json (--log-format json) prints one JSON event per line
+ * - run-report.json written at exit: step status/timings, screenshots,
+ *   trace, app URL and Appsmith version (RUN_REPORT)
+ * 
+ * Changes in v7.7.0:
+ * - Admin password can be read from ADMIN_PASSWORD_FILE (or stdin with "-")
+ * - Secrets are redacted from every log line, including Playwright errors
+ * - Completion summary says where the password is stored instead of printing it
+ * 
+ * Changes in v7.6.0:
+ * - Layered config: defaults < config file (YAML/JSON) < env vars < CLI flags
+ * - All config problems reported in one pass; --print-config and --help
+ * 
+ * Changes in v7.5.0:
+ * - UI selectors moved to selectors.js, keyed by Appsmith version
+ * - Matched selectors (and fallbacks in use) are reported at the end of the run
+ * 
+ * Changes in v7.4.0:
+ * - Steps run through a resumable pipeline, progress saved to STATE_FILE
+ * - Rerun skips completed steps; --from-step / --only-step select steps
+ * 
+ * Changes in v7.3.0:
+ * - Import now goes through the Appsmith REST API (login + multipart upload)
+ * - App ID and page slugs are read from the API, no UI lookup needed
+ * - UI import flow kept as fallback: IMPORT_MODE=ui
  * 
  * Changes in v7.2.2:
  * - Fixed modal handling order: dismiss BEFORE clicking app card
@@ -21,75 +111,152 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { inspect } = require('util');
+const { createAppsmithClient } = require('./appsmith-api');
+const { runSteps, loadState } = require('./step-runner');
+const { createSelectorRegistry } = require('./selector-registry');
+const { resolveConfig, maskSecrets, formatHelp } = require('./config');
+const { createRedactor } = require('./secrets');
+const { createRunReport } = require('./run-report');
+const { validateExportFile, formatValidationReport } = require('./export-validator');
+const { transformExport, transformExportFile, formatChanges, sensitiveHeaderValues } = require('./export-transform');
+const { diffExports, hasChanges, formatDiff } = require('./export-diff');
+const { saveBackup } = require('./backup');
+const { buildContract, lintContract, compareContract, hasContractMismatches, formatContractReport, writeContract } = require('./api-contract');
+const { loadManifest, sitePatchedPath } = require('./site-manifest');
+const { loadUsersFile } = require('./workspace-users');
+const { settingsFromConfig, diffSettings, formatSettingChange } = require('./admin-settings');
+const { LOGIN_PAGE, buildSmokePlan, executionFailure } = require('./smoke-plan');
 
-// Configuration from environment variables
-const config = {
-    appsmithUrl: process.env.APPSMITH_URL || 'http://localhost',
-    admin: {
-        email: process.env.ADMIN_EMAIL || 'admin@netswift.com',
-        password: process.env.ADMIN_PASSWORD,
-        firstName: process.env.ADMIN_FIRSTNAME || 'NetSwift',
-        lastName: process.env.ADMIN_LASTNAME || 'Admin',
-        name: process.env.ADMIN_NAME || 'NetSwift Admin'
-    },
-    app: {
-        jsonPath: process.env.APP_JSON_PATH
-    },
-    datasource: {
-        name: process.env.DATASOURCE_NAME || 'NetSwift Backend API',
-        url: process.env.DATASOURCE_URL || 'http://172.17.0.1:8000'
-    },
-    playwright: {
-        headless: process.env.HEADLESS !== 'false',
-        timeout: parseInt(process.env.TIMEOUT || '90000'),
-        recordTrace: process.env.RECORD_TRACE !== 'false',
-        slowMo: parseInt(process.env.SLOWMO || '0')
-    }
-};
+// Configuration (defaults < config file < env vars < CLI flags, see config.js)
+// Built from the environment at load time; main() re-resolves with CLI flags
+// and reads ADMIN_PASSWORD_FILE (which may be stdin, so not at load time)
+const config = resolveConfig({ env: process.env, loadSecrets: false }).config;
 
-// Validate required configuration
-function validateConfig() {
-    const required = [
-        { key: 'admin.password', value: config.admin.password, name: 'ADMIN_PASSWORD' },
-        { key: 'app.jsonPath', value: config.app.jsonPath, name: 'APP_JSON_PATH' }
-    ];
+// Everything printed goes through the redactor (deploy.sh tees output to a log)
+const redactor = createRedactor();
+redactor.add(config.admin.password);
+redactor.add(config.adminSettings.smtp.password);
+if (config.smoke.enabled) redactor.add(config.smoke.password);
+sensitiveHeaderValues(config.datasources).forEach(value => redactor.add(value));
 
-    const missing = required.filter(r => !r.value);
-    if (missing.length > 0) {
-        console.error('❌ Missing required environment variables:');
-        missing.forEach(m => console.error(`   - ${m.name}`));
-        process.exit(1);
+// Outcome of this run, written to config.report.file at exit
+const report = createRunReport();
+
+// Appsmith restart after saving admin settings: time to go down, time to
+// come back (the server reinstalls plugins on start), health poll interval
+const RESTART_START_MS = 15000;
+const RESTART_TIMEOUT_MS = 300000;
+const RESTART_POLL_MS = 1000;
+
+// Smoke step: pause after a page's queries ran, for error toasts to appear
+const SMOKE_SETTLE_MS = 1000;
+
+// UI selectors for the configured Appsmith version (see selectors.js)
+function buildSelectors() {
+    return createSelectorRegistry(config.appsmithVersion, {
+        datasourceName: config.datasource.name
+    }, {
+        onMatch: (key, match) => utils.debug('SELECTORS', `${key} matched ${match.selector}`, {
+            selectorKey: key,
+            selector: match.selector,
+            fallback: match.fallback
+        })
+    });
+}
+let selectors = buildSelectors();
+
+// Report every configuration problem at once, then exit
+function validateConfig(errors) {
+    if (errors.length === 0) {
+        return;
     }
     
-    // Check if JSON file exists
-    if (!fs.existsSync(config.app.jsonPath)) {
-        console.error(`❌ JSON file not found: ${config.app.jsonPath}`);
+    if (config.log.format === 'json') {
+        utils.error('CONFIG', `Configuration has ${errors.length} problem(s)`, null, { errors });
         process.exit(1);
     }
+    
+    console.error(`❌ Configuration has ${errors.length} problem(s):`);
+    errors.forEach(e => console.error(`   - ${e}`));
+    console.error('\nRun with --help to see all options.');
+    process.exit(1);
+}
+
+// One line per event: emoji text for people, or JSON (LOG_FORMAT=json) with
+// the pipeline step, level and extra fields (duration, selector) for machines
+function emit(level, step, message, fields = {}) {
+    const timestamp = new Date().toISOString();
+    const print = level === 'error' ? console.error : console.log;
+    
+    if (config.log.format === 'json') {
+        if (message === '') return;
+        const pipelineStep = report.currentStep();
+        print(redactor.redact(JSON.stringify({
+            ts: timestamp,
+            level,
+            step,
+            ...(pipelineStep ? { pipelineStep } : {}),
+            message,
+            ...fields
+        })));
+        return;
+    }
+    
+    // Debug events only carry detail for the JSON log
+    if (level === 'debug') return;
+    const icon = { success: '✅ ', error: '❌ ' }[level] || '';
+    print(redactor.redact(`[${timestamp}] [${step}] ${icon}${message}`));
 }
 
 // Utility functions
 const utils = {
-    log: (step, message) => {
-        console.log(`[${new Date().toISOString()}] [${step}] ${message}`);
-    },
+    log: (step, message, fields) => emit('info', step, message, fields),
+    
+    debug: (step, message, fields) => emit('debug', step, message, fields),
     
-    error: (step, message, error) => {
-        console.error(`[${new Date().toISOString()}] [${step}] ❌ ${message}`);
-        if (error) console.error(error);
+    error: (step, message, error, fields = {}) => {
+        // Playwright errors echo call logs (e.g. fill values), so redact them too
+        if (config.log.format === 'json') {
+            emit('error', step, message, error ? { ...fields, error: inspect(error) } : fields);
+            return;
+        }
+        emit('error', step, message);
+        if (error) console.error(redactor.redact(inspect(error)));
     },
     
-    success: (step, message) => {
-        console.log(`[${new Date().toISOString()}] [${step}] ✅ ${message}`);
+    success: (step, message, fields) => emit('success', step, message, fields),
+    
+    // Boxed headline for the text log (skipped in JSON mode)
+    banner: (title, { newline = true } = {}) => {
+        if (config.log.format === 'json') return;
+        console.log(`${newline ? '\n' : ''}╔═══════════════════════════════════════════════════════════════════╗`);
+        console.log('║                                                                   ║');
+        console.log(title);
+        console.log('║                                                                   ║');
+        console.log('╚═══════════════════════════════════════════════════════════════════╝\n');
     },
     
     sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
     
+    // Fill the first visible field registered under `key`
+    fillField: async (page, key, value) => {
+        const found = await selectors.findVisible(page, key, { timeout: 3000 });
+        if (!found) {
+            throw new Error(`Could not find input for ${key}`);
+        }
+        await found.locator.click();
+        await found.locator.fill(value);
+        return found;
+    },
+    
+    
     takeScreenshot: async (page, name) => {
         try {
             const screenshotPath = `/tmp/${name}-${Date.now()}.png`;
             await page.screenshot({ path: screenshotPath, fullPage: true });
-            utils.log('SCREENSHOT', `Saved to ${screenshotPath}`);
+            report.addScreenshot(name, screenshotPath);
+            utils.log('SCREENSHOT', `Saved to ${screenshotPath}`, { screenshot: screenshotPath });
             return screenshotPath;
         } catch (e) {
             utils.log('SCREENSHOT', 'Failed to save screenshot');
@@ -180,8 +347,7 @@ async function createAdminAccount(page) {
                 // Wait a moment for page to stabilize
                 await page.waitForTimeout(2000);
                 
-                const emailInput = await page.locator('input[type="email"]').first();
-                if (await emailInput.isVisible({ timeout: 2000 })) {
+                if (await selectors.findVisible(page, 'signup.pageReady', { timeout: 2000 })) {
                     signupPageLoaded = true;
                     utils.log(step, `Signup page loaded: ${url}`);
                     break;
@@ -199,7 +365,7 @@ async function createAdminAccount(page) {
         utils.log(step, 'Signup page ready, filling form...');
         
         // Wait for form to be ready
-        await page.waitForSelector('input[type="email"]', { timeout: 10000 });
+        await page.waitForSelector(selectors.list('signup.pageReady')[0], { timeout: 10000 });
         await page.waitForTimeout(1000);
         
         // Split full name for firstName/lastName fields
@@ -207,107 +373,19 @@ async function createAdminAccount(page) {
         const firstName = config.admin.firstName || nameParts[0] || 'NetSwift';
         const lastName = config.admin.lastName || nameParts.slice(1).join(' ') || 'Admin';
         
-        // Fill form using data-testid attributes (from recording)
-        utils.log(step, 'Filling first name...');
-        try {
-            const firstNameSelector = '[data-testid="firstName"]';
-            const firstNameInput = page.locator(firstNameSelector).first();
-            if (await firstNameInput.isVisible({ timeout: 3000 })) {
-                await firstNameInput.click();
-                await firstNameInput.fill(firstName);
-                utils.log(step, `First name: ${firstName}`);
-            } else {
-                // Fallback to label-based selection
-                const input = page.getByLabel(/first name/i).first();
-                await input.click();
-                await input.fill(firstName);
-                utils.log(step, `First name (fallback): ${firstName}`);
-            }
-        } catch (e) {
-            utils.log(step, 'Using fallback for first name');
-            await page.fill('input[name="firstName"], input[placeholder*="first" i]', firstName);
-        }
-        
-        utils.log(step, 'Filling last name...');
-        try {
-            const lastNameSelector = '[data-testid="lastName"]';
-            const lastNameInput = page.locator(lastNameSelector).first();
-            if (await lastNameInput.isVisible({ timeout: 3000 })) {
-                await lastNameInput.click();
-                await lastNameInput.fill(lastName);
-                utils.log(step, `Last name: ${lastName}`);
-            } else {
-                // Fallback to label-based selection
-                const input = page.getByLabel(/last name/i).first();
-                await input.click();
-                await input.fill(lastName);
-                utils.log(step, `Last name (fallback): ${lastName}`);
-            }
-        } catch (e) {
-            utils.log(step, 'Using fallback for last name');
-            await page.fill('input[name="lastName"], input[placeholder*="last" i]', lastName);
-        }
-        
-        utils.log(step, 'Filling email...');
-        try {
-            const emailSelector = '[data-testid="email"]';
-            const emailInput = page.locator(emailSelector).first();
-            if (await emailInput.isVisible({ timeout: 3000 })) {
-                await emailInput.click();
-                await emailInput.fill(config.admin.email);
-                utils.log(step, `Email: ${config.admin.email}`);
-            } else {
-                await page.fill('input[type="email"]', config.admin.email);
-                utils.log(step, `Email (fallback): ${config.admin.email}`);
-            }
-        } catch (e) {
-            await page.fill('input[type="email"]', config.admin.email);
-        }
-        
-        utils.log(step, 'Filling password...');
-        try {
-            const passwordSelector = '[data-testid="password"]';
-            const passwordInput = page.locator(passwordSelector).first();
-            if (await passwordInput.isVisible({ timeout: 3000 })) {
-                await passwordInput.click();
-                await passwordInput.fill(config.admin.password);
-                utils.log(step, 'Password entered');
-            } else {
-                const inputs = await page.locator('input[type="password"]').all();
-                if (inputs.length > 0) {
-                    await inputs[0].click();
-                    await inputs[0].fill(config.admin.password);
-                    utils.log(step, 'Password entered (fallback)');
-                }
-            }
-        } catch (e) {
-            const inputs = await page.locator('input[type="password"]').all();
-            if (inputs.length > 0) {
-                await inputs[0].fill(config.admin.password);
-            }
-        }
+        // Fill form (data-testid first, from recording; fallbacks in selectors.js)
+        const fields = [
+            { key: 'signup.firstName', label: 'First name', value: firstName, shown: firstName },
+            { key: 'signup.lastName', label: 'Last name', value: lastName, shown: lastName },
+            { key: 'signup.email', label: 'Email', value: config.admin.email, shown: config.admin.email },
+            { key: 'signup.password', label: 'Password', value: config.admin.password, shown: '(entered)' },
+            { key: 'signup.verifyPassword', label: 'Password confirmation', value: config.admin.password, shown: '(entered)' }
+        ];
         
-        utils.log(step, 'Filling password confirmation...');
-        try {
-            const verifyPasswordSelector = '[data-testid="verifyPassword"]';
-            const verifyPasswordInput = page.locator(verifyPasswordSelector).first();
-            if (await verifyPasswordInput.isVisible({ timeout: 3000 })) {
-                await verifyPasswordInput.click();
-                await verifyPasswordInput.fill(config.admin.password);
-                utils.log(step, 'Password confirmation entered');
-            } else {
-                const inputs = await page.locator('input[type="password"]').all();
-                if (inputs.length > 1) {
-                    await inputs[1].click();
-                    await inputs[1].fill(config.admin.password);
-                    utils.log(step, 'Password confirmation entered (fallback)');
-                }
-            }
-        } catch (e) {
-            const inputs = await page.locator('input[type="password"]').all();
-            if (inputs.length > 1) {
-                await inputs[1].fill(config.admin.password);
-            }
+        for (const field of fields) {
+            utils.log(step, `Filling ${field.label.toLowerCase()}...`);
+            const found = await utils.fillField(page, field.key, field.value);
+            utils.log(step, `${field.label}${found.index > 0 ? ' (fallback)' : ''}: ${field.shown}`);
         }
         
         await page.waitForTimeout(1000);
@@ -316,32 +394,12 @@ async function createAdminAccount(page) {
         // Submit signup form - try "Continue" button first (from recording)
         utils.log(step, 'Submitting signup form...');
         
-        const submitSelectors = [
-            'text=Continue',
-            'button:has-text("Continue")',
-            'button:has-text("Sign up")',
-            'button:has-text("Get started")',
-            'button[type="submit"]'
-        ];
-        
-        let submitted = false;
-        for (const selector of submitSelectors) {
-            try {
-                const button = page.locator(selector).first();
-                if (await button.isVisible({ timeout: 3000 })) {
-                    await button.click();
-                    submitted = true;
-                    utils.log(step, `Clicked submit button: ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-        
-        if (!submitted) {
+        const submitButton = await selectors.findVisible(page, 'signup.submit', { timeout: 3000 });
+        if (!submitButton) {
             throw new Error('Could not find submit button');
         }
+        await submitButton.locator.click();
+        utils.log(step, `Clicked submit button: ${submitButton.selector}`);
         
         // Wait for onboarding questions page
         await page.waitForTimeout(3000);
@@ -351,84 +409,38 @@ async function createAdminAccount(page) {
             utils.log(step, 'Handling onboarding questions...');
             
             // Question 1: Development proficiency - select "Novice"
-            // Using the selector from recording
-            const noviceSelectors = [
-                '.sc-jPNehe:nth-child(1) .sc-hLBbgP:nth-child(2) > .sc-dkrFOg',
-                'div:has-text("Novice")',
-                'button:has-text("Novice")',
-                '[role="button"]:has-text("Novice")'
-            ];
-            
-            let noviceClicked = false;
-            for (const selector of noviceSelectors) {
-                try {
-                    const button = page.locator(selector).first();
-                    if (await button.isVisible({ timeout: 3000 })) {
-                        await button.click();
-                        noviceClicked = true;
-                        utils.log(step, 'Selected: Novice');
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            if (!noviceClicked) {
+            const novice = await selectors.findVisible(page, 'onboarding.novice', { timeout: 3000 });
+            if (novice) {
+                await novice.locator.click();
+                utils.log(step, 'Selected: Novice');
+            } else {
                 utils.log(step, 'Could not select Novice option');
             }
             
             await page.waitForTimeout(1000);
             
             // Question 2: Use case - select "Personal Project"
-            const personalProjectSelectors = [
-                '.sc-jPNehe:nth-child(3) .sc-hLBbgP:nth-child(2) > .sc-dkrFOg',
-                'div:has-text("Personal Project")',
-                'button:has-text("Personal Project")',
-                '[role="button"]:has-text("Personal Project")'
-            ];
-            
-            let projectClicked = false;
-            for (const selector of personalProjectSelectors) {
-                try {
-                    const button = page.locator(selector).first();
-                    if (await button.isVisible({ timeout: 3000 })) {
-                        await button.click();
-                        projectClicked = true;
-                        utils.log(step, 'Selected: Personal Project');
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            if (!projectClicked) {
+            const personalProject = await selectors.findVisible(page, 'onboarding.personalProject', { timeout: 3000 });
+            if (personalProject) {
+                await personalProject.locator.click();
+                utils.log(step, 'Selected: Personal Project');
+            } else {
                 utils.log(step, 'Could not select Personal Project option');
             }
             
             await page.waitForTimeout(1000);
             
-            // Handle checkbox if needed (from recording: .ads-v2-checkbox__square)
+            // Handle checkbox if needed
             try {
-                const checkboxSelectors = [
-                    '.ads-v2-checkbox__square',
-                    'input[type="checkbox"]',
-                    '[role="checkbox"]'
-                ];
-                
-                for (const selector of checkboxSelectors) {
-                    const checkbox = page.locator(selector).first();
-                    if (await checkbox.isVisible({ timeout: 2000 })) {
-                        // Check if already checked
-                        const isChecked = await checkbox.isChecked().catch(() => false);
-                        if (!isChecked) {
-                            await checkbox.click();
-                            utils.log(step, 'Checked terms checkbox');
-                        } else {
-                            utils.log(step, 'Checkbox already checked');
-                        }
-                        break;
+                const checkbox = await selectors.findVisible(page, 'onboarding.termsCheckbox', { timeout: 2000 });
+                if (checkbox) {
+                    // Check if already checked
+                    const isChecked = await checkbox.locator.isChecked().catch(() => false);
+                    if (!isChecked) {
+                        await checkbox.locator.click();
+                        utils.log(step, 'Checked terms checkbox');
+                    } else {
+                        utils.log(step, 'Checkbox already checked');
                     }
                 }
             } catch (e) {
@@ -437,30 +449,12 @@ async function createAdminAccount(page) {
             
             await page.waitForTimeout(1000);
             
-            // Click "Get started" button (from recording: .gqvXeY > .sc-dkrFOg)
-            const getStartedSelectors = [
-                '.gqvXeY > .sc-dkrFOg',
-                'div:has-text("Get started")',
-                'button:has-text("Get started")',
-                'text=Get started'
-            ];
-            
-            let getStartedClicked = false;
-            for (const selector of getStartedSelectors) {
-                try {
-                    const button = page.locator(selector).first();
-                    if (await button.isVisible({ timeout: 3000 })) {
-                        await button.click();
-                        getStartedClicked = true;
-                        utils.log(step, 'Clicked Get started button');
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            if (!getStartedClicked) {
+            // Click "Get started" button
+            const getStarted = await selectors.findVisible(page, 'onboarding.getStarted', { timeout: 3000 });
+            if (getStarted) {
+                await getStarted.locator.click();
+                utils.log(step, 'Clicked Get started button');
+            } else {
                 utils.log(step, 'Could not click Get started button');
             }
             
@@ -535,7 +529,7 @@ async function createAdminAccount(page) {
         }
         
         try {
-            await page.waitForSelector('.workspace, [class*="workspace"], [class*="home"], [class*="application"]', { 
+            await page.waitForSelector(selectors.list('home.workspace')[0], { 
                 timeout: 10000 
             });
             
@@ -580,25 +574,15 @@ async function loginExistingAdmin(page) {
         
         utils.log(step, 'Filling login credentials...');
         
-        // Fill email - try different selectors
-        try {
-            await page.fill('input[type="email"]', config.admin.email);
-            utils.log(step, `Email filled: ${config.admin.email}`);
-        } catch (e) {
-            const emailInput = page.locator('input[name="email"]').first();
-            await emailInput.fill(config.admin.email);
-        }
+        // Fill email
+        await utils.fillField(page, 'login.email', config.admin.email);
+        utils.log(step, `Email filled: ${config.admin.email}`);
         
         await page.waitForTimeout(500);
         
         // Fill password
-        try {
-            await page.fill('input[type="password"]', config.admin.password);
-            utils.log(step, 'Password filled');
-        } catch (e) {
-            const passwordInput = page.locator('input[name="password"]').first();
-            await passwordInput.fill(config.admin.password);
-        }
+        await utils.fillField(page, 'login.password', config.admin.password);
+        utils.log(step, 'Password filled');
         
         await page.waitForTimeout(1000);
         await utils.takeScreenshot(page, 'login-form-filled');
@@ -606,35 +590,15 @@ async function loginExistingAdmin(page) {
         // Submit login form - from recording: .sc-dkrFOg or button with "Sign in"
         utils.log(step, 'Submitting login form...');
         
-        const loginButtonSelectors = [
-            '.sc-dkrFOg',
-            'div:has-text("Sign in")',
-            'button:has-text("Sign in")',
-            'button:has-text("Login")',
-            'button[type="submit"]'
-        ];
-        
-        let loginClicked = false;
-        for (const selector of loginButtonSelectors) {
-            try {
-                const button = page.locator(selector).first();
-                if (await button.isVisible({ timeout: 3000 })) {
-                    await Promise.all([
-                        button.click(),
-                        page.waitForNavigation({ timeout: 15000 }).catch(() => {})
-                    ]);
-                    loginClicked = true;
-                    utils.log(step, `Clicked login button: ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-        
-        if (!loginClicked) {
+        const loginButton = await selectors.findVisible(page, 'login.submit', { timeout: 3000 });
+        if (!loginButton) {
             throw new Error('Could not find login button');
         }
+        await Promise.all([
+            loginButton.locator.click(),
+            page.waitForNavigation({ timeout: 15000 }).catch(() => {})
+        ]);
+        utils.log(step, `Clicked login button: ${loginButton.selector}`);
         
         // Wait for redirect to applications page
         await page.waitForTimeout(3000);
@@ -659,10 +623,236 @@ async function loginExistingAdmin(page) {
     }
 }
 
-// Step 3: Import application from JSON file (from recording)
-async function importFromJson(page) {
+// Datasource overrides: DATASOURCE_URL applies to the backend datasource,
+// DATASOURCES entries can patch any datasource (and win for the same name)
+function datasourceOverrides(url = config.datasource.url) {
+    const overrides = { [config.datasource.name]: { url } };
+    for (const [name, override] of Object.entries(config.datasources || {})) {
+        overrides[name] = { ...overrides[name], ...override };
+    }
+    return overrides;
+}
+
+// Step 2b: Write a copy of the export with the configured datasource settings
+// (replaces fixing the datasource in the editor, see configureDatasource)
+function patchExport() {
+    const step = 'TRANSFORM';
+    utils.log(step, `Patching datasources in ${config.app.jsonPath}...`);
+    
+    const result = transformExportFile(config.app.jsonPath, config.app.patchedPath, {
+        datasources: datasourceOverrides(),
+        removeUnused: config.datasource.removeUnused
+    });
+    
+    if (result.changes.length === 0) {
+        utils.log(step, 'Export already matches the configured datasources');
+    }
+    for (const line of formatChanges(result.changes)) {
+        utils.log(step, `  ${line}`);
+    }
+    utils.success(step, `Patched export written to ${config.app.patchedPath} (${result.changes.length} change(s))`);
+    
+    return { importPath: config.app.patchedPath, datasourceChanges: result.changes };
+}
+
+// Name of the app in Appsmith: app.name, else the name inside the export
+function applicationName() {
+    if (config.app.name) {
+        return config.app.name;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(config.app.jsonPath, 'utf8')).exportedApplication.name;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Application ID the import step stored in the state file (null if none)
+function storedApplicationId(step) {
+    try {
+        const importStep = loadState(config.state.file).steps.import;
+        return (importStep && importStep.outputs && importStep.outputs.applicationId) || null;
+    } catch (e) {
+        utils.log(step, `Ignoring state file: ${e.message}`);
+        return null;
+    }
+}
+
+// The deployed NetSwift app: app.id, else the stored ID, else the only app
+// named app.name. Returns null when there is none; several apps with the
+// name are an error, as picking one would update or export the wrong copy.
+// Sites pass their own name and workspace (and no app.id).
+async function lookupApplication(client, step, {
+    storedId = null,
+    name = applicationName(),
+    workspaceId = config.app.workspaceId,
+    id = config.app.id
+} = {}) {
+    const workspaces = (await client.getWorkspaces())
+        .filter(w => !workspaceId || w.id === workspaceId);
+    const applications = [];
+    for (const workspace of workspaces) {
+        applications.push(...(await client.getApplications(workspace.id))
+            .map(a => ({ workspaceId: workspace.id, ...a })));
+    }
+    
+    const wantedId = id || storedId;
+    const byId = wantedId && applications.find(a => a.id === wantedId);
+    if (byId) {
+        return byId;
+    }
+    if (id) {
+        throw new Error(`Application ${id} (APP_ID) not found`);
+    }
+    if (storedId) {
+        utils.log(step, `Stored application ${storedId} not found, looking up "${name}" by name`);
+    }
+    
+    const byName = applications.filter(a => a.name === name);
+    if (byName.length > 1) {
+        throw new Error(`${byName.length} applications are named "${name}" (${byName.map(a => a.id).join(', ')}); set APP_ID to choose one`);
+    }
+    return byName[0] || null;
+}
+
+async function findApplication(client, step) {
+    const application = await lookupApplication(client, step, { storedId: storedApplicationId(step) });
+    if (!application) {
+        throw new Error(`Application "${applicationName()}" not found (set APP_NAME or rerun the import)`);
+    }
+    return application;
+}
+
+// Step 3: Import application from JSON file
+// API mode is the default; the UI flow is kept as a fallback (IMPORT_MODE=ui).
+// `into` is an existing application to update in place (API mode only).
+async function importFromJson(page, filePath = config.app.jsonPath, { into = null } = {}) {
+    if (config.app.importMode === 'ui') {
+        if (into) {
+            throw new Error(`${into.name} (${into.id}) already exists and the UI import can only add a copy; use IMPORT_MODE=api to update it, or --allow-duplicate`);
+        }
+        return await importFromJsonUi(page, filePath);
+    }
+    return await importFromJsonApi(filePath, { into });
+}
+
+// Existing NetSwift app the import step should update instead of adding a
+// second copy (null if there is none or --allow-duplicate was given).
+// `target` is passed on to lookupApplication.
+async function findImportTarget(target, allowDuplicate) {
+    const step = 'JSON_IMPORT';
+    const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+    await client.login(config.admin.email, config.admin.password);
+    
+    const existing = await lookupApplication(client, step, target);
+    if (!existing) {
+        utils.log(step, `No existing "${target.name || applicationName()}" application, importing a new one`);
+        return null;
+    }
+    if (allowDuplicate) {
+        utils.log(step, `⚠️  ${existing.name} (${existing.id}) already exists, importing a second copy (--allow-duplicate)`);
+        return null;
+    }
+    utils.log(step, `Updating existing application ${existing.name} (${existing.id}) in place`);
+    return existing;
+}
+
+// Pre-import check: stop before uploading an export that would fail or
+// import broken (the `validate` command prints the full report)
+function checkExport(filePath) {
+    const step = 'VALIDATE';
+    const result = validateExportFile(filePath, { appsmithVersion: config.appsmithVersion });
+    
+    for (const warning of result.warnings) {
+        utils.log(step, `⚠️  [${warning.check}] ${warning.message}`);
+    }
+    if (result.errors.length > 0) {
+        for (const problem of result.errors) {
+            utils.error(step, `[${problem.check}] ${problem.message}`);
+        }
+        throw new Error(`${filePath} failed validation with ${result.errors.length} error(s)`);
+    }
+    utils.success(step, `Export passed validation (${result.warnings.length} warning(s))`);
+}
+
+// Build the viewer URL of the app's login page (falls back to the default page)
+function buildAppUrl(application, pages) {
+    const loginPage = pages.find(p => (p.slug || '').includes('loginpage')) ||
+        pages.find(p => p.isDefault) ||
+        pages[0];
+    
+    if (!loginPage || !loginPage.slug) {
+        return null;
+    }
+    
+    return `${config.appsmithUrl}/app/${application.slug}/${loginPage.slug}-${loginPage.id}`;
+}
+
+// Step 3a: Import via Appsmith REST API (sign in, multipart upload to workspace)
+async function importFromJsonApi(filePath, { into = null, workspaceId: targetWorkspaceId = config.app.workspaceId } = {}) {
+    const step = 'JSON_IMPORT';
+    utils.log(step, 'Importing application from JSON via REST API...');
+    
+    try {
+        const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+        
+        utils.log(step, `Signing in as ${config.admin.email}...`);
+        await client.login(config.admin.email, config.admin.password);
+        
+        let workspaceId = into ? into.workspaceId : targetWorkspaceId;
+        if (!workspaceId) {
+            const workspaces = await client.getWorkspaces();
+            if (workspaces.length === 0) {
+                throw new Error('No workspace found for admin user');
+            }
+            workspaceId = workspaces[0].id;
+            utils.log(step, `Using workspace: ${workspaces[0].name} (${workspaceId})`);
+        }
+        
+        utils.log(step, `Uploading JSON file: ${filePath}`);
+        const result = await client.importApplication(workspaceId, filePath, { applicationId: into && into.id });
+        const application = result.application;
+        if (into && application.id !== into.id) {
+            throw new Error(`Import into ${into.id} created application ${application.id} instead`);
+        }
+        
+        if (result.isPartialImport) {
+            const names = result.unConfiguredDatasourceList.map(d => d.name).join(', ');
+            utils.log(step, `Partial import - datasources need reconnecting: ${names || 'unknown'}`);
+        }
+        
+        // Import response only carries page IDs, slugs come from the pages endpoint
+        let pages = application.pages || [];
+        if (!pages.every(p => p.slug)) {
+            pages = await client.getPages(application.id);
+        }
+        
+        const url = buildAppUrl(application, pages);
+        
+        utils.log(step, `Application ID: ${application.id}`);
+        utils.log(step, `Pages: ${pages.map(p => p.slug).join(', ')}`);
+        utils.success(step, into ? 'Application updated in place' : 'Application imported successfully');
+        
+        return {
+            mode: 'api',
+            updatedInPlace: Boolean(into),
+            workspaceId,
+            applicationId: application.id,
+            applicationSlug: application.slug,
+            pages: pages.map(p => ({ id: p.id, name: p.name, slug: p.slug, isDefault: Boolean(p.isDefault) })),
+            url
+        };
+        
+    } catch (error) {
+        utils.error(step, 'Failed to import JSON via API', error);
+        throw error;
+    }
+}
+
+// Step 3b: Import via the Appsmith UI (from recording)
+async function importFromJsonUi(page, filePath) {
     const step = 'JSON_IMPORT';
-    utils.log(step, 'Importing application from JSON...');
+    utils.log(step, 'Importing application from JSON via UI...');
     
     try {
         const currentUrl = page.url();
@@ -688,79 +878,34 @@ async function importFromJson(page) {
         
         // CRITICAL: Import option is inside "Create new" dropdown menu
         // First, click on "Create new" button to reveal the Import option
-        const menuSelectors = [
-            'button:has-text("Create new")',
-            '[class*="create-new"]',
-            'button:has-text("New")',
-            '[data-testid*="create-new"]',
-            // Three-dot menu as alternative
-            'button[class*="more"]',
-            '[aria-label*="more" i]',
-            'button[aria-haspopup="menu"]'
-        ];
-        
-        let menuOpened = false;
-        for (const selector of menuSelectors) {
-            try {
-                utils.log(step, `Trying menu button: ${selector}`);
-                const button = page.locator(selector).first();
-                
-                if (await button.isVisible({ timeout: 5000 })) {
-                    await button.click();
-                    menuOpened = true;
-                    utils.log(step, `✓ Opened dropdown menu: ${selector}`);
-                    await page.waitForTimeout(1500); // Wait for dropdown animation
-                    break;
-                }
-            } catch (e) {
-                utils.log(step, `Menu button ${selector} not found, trying next...`);
-                continue;
-            }
-        }
+        const menuButton = await selectors.findVisible(page, 'import.createNewMenu', {
+            timeout: 5000,
+            onTry: selector => utils.log(step, `Trying menu button: ${selector}`)
+        });
         
-        if (!menuOpened) {
+        if (menuButton) {
+            await menuButton.locator.click();
+            utils.log(step, `✓ Opened dropdown menu: ${menuButton.selector}`);
+            await page.waitForTimeout(1500); // Wait for dropdown animation
+        } else {
             utils.log(step, 'Warning: Could not find menu button, trying direct import...');
         }
         
         await utils.takeScreenshot(page, 'after-menu-click');
         utils.log(step, 'Looking for Import option in menu...');
         
-        // From recording: [data-testid="t--workspace-import-app"]
-        const importSelectors = [
-            '[data-testid="t--workspace-import-app"]',
-            '[role="menuitem"]:has-text("Import")',
-            'div:has-text("Import")',
-            'button:has-text("Import")',
-            'a:has-text("Import")',
-            'text=Import',
-            '[data-testid*="import"]',
-            '[class*="import"]'
-        ];
-        
-        let importClicked = false;
-        for (const selector of importSelectors) {
-            try {
-                utils.log(step, `Trying import selector: ${selector}`);
-                const button = page.locator(selector).first();
-                
-                // Wait longer for element to appear
-                const isVisible = await button.isVisible({ timeout: 10000 });
-                if (isVisible) {
-                    await button.click();
-                    importClicked = true;
-                    utils.log(step, `✓ Clicked import button: ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                utils.log(step, `Selector ${selector} not found, trying next...`);
-                continue;
-            }
-        }
+        // Wait longer for element to appear
+        const importButton = await selectors.findVisible(page, 'import.importOption', {
+            timeout: 10000,
+            onTry: selector => utils.log(step, `Trying import selector: ${selector}`)
+        });
         
-        if (!importClicked) {
+        if (!importButton) {
             await utils.takeScreenshot(page, 'import-option-not-found-in-menu');
             throw new Error('Could not find Import option in Create new menu');
         }
+        await importButton.locator.click();
+        utils.log(step, `✓ Clicked import button: ${importButton.selector}`);
         
         await page.waitForTimeout(2000);
         
@@ -771,64 +916,30 @@ async function importFromJson(page) {
         utils.log(step, 'Looking for "Import from file" option...');
         await utils.takeScreenshot(page, 'import-modal-with-options');
         
-        // From recording: .button-wrapper
-        const importFromFileSelectors = [
-            '.button-wrapper',
-            'div:has-text("Import from file")',
-            'button:has-text("Import from file")',
-            'text=Import from file',
-            '[data-testid*="import-from-file"]'
-        ];
-        
-        let importFromFileClicked = false;
-        for (const selector of importFromFileSelectors) {
-            try {
-                utils.log(step, `Trying "Import from file" selector: ${selector}`);
-                const button = page.locator(selector).first();
-                
-                if (await button.isVisible({ timeout: 5000 })) {
-                    await button.click();
-                    importFromFileClicked = true;
-                    utils.log(step, `✓ Clicked "Import from file": ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                utils.log(step, `Selector ${selector} not found, trying next...`);
-                continue;
-            }
-        }
+        const importFromFile = await selectors.findVisible(page, 'import.fromFile', {
+            timeout: 5000,
+            onTry: selector => utils.log(step, `Trying "Import from file" selector: ${selector}`)
+        });
         
-        if (!importFromFileClicked) {
+        if (!importFromFile) {
             await utils.takeScreenshot(page, 'import-from-file-not-found');
             throw new Error('Could not find "Import from file" option in import modal');
         }
+        await importFromFile.locator.click();
+        utils.log(step, `✓ Clicked "Import from file": ${importFromFile.selector}`);
         
         await page.waitForTimeout(1000);
         
-        utils.log(step, `Uploading JSON file: ${config.app.jsonPath}`);
-        
-        // From recording: #fileInput
-        const fileInputSelectors = [
-            '#fileInput',
-            'input[type="file"]'
-        ];
+        utils.log(step, `Uploading JSON file: ${filePath}`);
         
-        let fileUploaded = false;
-        for (const selector of fileInputSelectors) {
-            try {
-                const fileInput = page.locator(selector).first();
-                await fileInput.setInputFiles(config.app.jsonPath);
-                fileUploaded = true;
-                utils.log(step, 'JSON file uploaded');
-                break;
-            } catch (e) {
-                continue;
-            }
-        }
+        // File inputs are hidden, so try each candidate instead of checking visibility
+        const fileUploaded = await selectors.tryEach(page, 'import.fileInput',
+            fileInput => fileInput.setInputFiles(filePath));
         
         if (!fileUploaded) {
             throw new Error('Could not upload JSON file');
         }
+        utils.log(step, 'JSON file uploaded');
         
         await page.waitForTimeout(2000);
         
@@ -836,25 +947,13 @@ async function importFromJson(page) {
         utils.log(step, 'Waiting for import to process...');
         
         // Click close/dismiss button if modal appears
-        // From recording: .sc-eJKXev .remixicon-icon (close icon)
         try {
-            const closeSelectors = [
-                '.sc-eJKXev .remixicon-icon',
-                'button:has-text("Close")',
-                'button:has-text("Done")',
-                '[aria-label="Close"]',
-                '.modal-close'
-            ];
-            
             await page.waitForTimeout(3000);
             
-            for (const selector of closeSelectors) {
-                const closeButton = page.locator(selector).first();
-                if (await closeButton.isVisible({ timeout: 5000 })) {
-                    await closeButton.click();
-                    utils.log(step, 'Closed import modal');
-                    break;
-                }
+            const closeButton = await selectors.findVisible(page, 'import.closeModal', { timeout: 5000 });
+            if (closeButton) {
+                await closeButton.locator.click();
+                utils.log(step, 'Closed import modal');
             }
         } catch (e) {
             utils.log(step, 'No modal to close or already closed');
@@ -868,11 +967,11 @@ async function importFromJson(page) {
             // Check if we're on editor page or if app card is visible
             await Promise.race([
                 page.waitForURL(/\/(edit|editor)/, { timeout: 15000 }),
-                page.locator('[class*="application-card"], [class*="app-card"]').first().waitFor({ timeout: 15000 })
+                page.locator(selectors.list('home.appCard')[0]).first().waitFor({ timeout: 15000 })
             ]);
             utils.success(step, 'Application imported successfully');
         } catch (e) {
-            const hasApp = await page.locator('[class*="application-card"], [class*="app-card"]').first().isVisible({ timeout: 5000 });
+            const hasApp = await selectors.findVisible(page, 'home.appCard', { timeout: 5000 });
             if (hasApp) {
                 utils.success(step, 'Application imported successfully');
             } else {
@@ -881,7 +980,7 @@ async function importFromJson(page) {
         }
         
         await utils.takeScreenshot(page, 'import-complete');
-        return true;
+        return { mode: 'ui' };
         
     } catch (error) {
         utils.error(step, 'Failed to import JSON', error);
@@ -910,35 +1009,15 @@ async function getNetSwiftUrl(page) {
         utils.log(step, 'Checking for datasource reconnection modal...');
         
         // Handle "Go to application" modal - this may redirect us directly to the app
-        const skipDatasourceSelectors = [
-            'button:has-text("Go to application")',
-            'button:has-text("Skip configuration")',
-            '[data-testid*="skip"]',
-            'text=Go to application',
-            'text=Skip configuration',
-            '[data-testid="reconnect-datasource-modal"] button[aria-label="Close"]',
-            '[role="dialog"] button:has-text("Close")',
-            '.ads-v2-modal__content-header-close-button'
-        ];
-        
-        let modalHandled = false;
-        for (const selector of skipDatasourceSelectors) {
-            try {
-                const button = page.locator(selector).first();
-                if (await button.isVisible({ timeout: 2000 })) {
-                    utils.log(step, `Found modal button: ${selector}`);
-                    await button.click();
-                    modalHandled = true;
-                    utils.log(step, `Clicked modal button: ${selector}`);
-                    
-                    // Wait for any navigation that might occur
-                    await page.waitForTimeout(3000);
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
+        const skipButton = await selectors.findVisible(page, 'reconnect.skip', { timeout: 2000 });
+        if (skipButton) {
+            utils.log(step, `Found modal button: ${skipButton.selector}`);
+            await skipButton.locator.click();
+            utils.log(step, `Clicked modal button: ${skipButton.selector}`);
+            
+            // Wait for any navigation that might occur
+            await page.waitForTimeout(3000);
+        }
         
         // CRITICAL: Check if modal action opened the app directly
         const urlAfterModal = page.url();
@@ -960,34 +1039,15 @@ async function getNetSwiftUrl(page) {
                 utils.log(step, 'Looking for login page in navigation...');
                 await page.waitForTimeout(2000);
                 
-                const loginPageSelectors = [
-                    'text=loginpage',
-                    'text=LoginPage',
-                    'text=Login',
-                    '[class*="page"]:has-text("login" i)',
-                    '[class*="t--page-switch-tab"]:has-text("login" i)'
-                ];
-                
-                let loginPageFound = false;
-                for (const selector of loginPageSelectors) {
-                    try {
-                        const loginLink = page.locator(selector).first();
-                        if (await loginLink.isVisible({ timeout: 3000 })) {
-                            utils.log(step, `Found login page link: ${selector}`);
-                            await loginLink.click();
-                            await page.waitForTimeout(2000);
-                            await page.waitForURL(/loginpage-/, { timeout: 10000 }).catch(() => {});
-                            netswiftUrl = page.url().replace(/\/edit.*$/, '').split('?')[0];
-                            loginPageFound = true;
-                            utils.log(step, `Navigated to login page: ${netswiftUrl}`);
-                            break;
-                        }
-                    } catch (e) {
-                        continue;
-                    }
-                }
-                
-                if (!loginPageFound) {
+                const loginLink = await selectors.findVisible(page, 'app.loginPageLink', { timeout: 3000 });
+                if (loginLink) {
+                    utils.log(step, `Found login page link: ${loginLink.selector}`);
+                    await loginLink.locator.click();
+                    await page.waitForTimeout(2000);
+                    await page.waitForURL(/loginpage-/, { timeout: 10000 }).catch(() => {});
+                    netswiftUrl = page.url().replace(/\/edit.*$/, '').split('?')[0];
+                    utils.log(step, `Navigated to login page: ${netswiftUrl}`);
+                } else {
                     // Use current app URL as fallback
                     netswiftUrl = urlAfterModal.replace(/\/edit.*$/, '').split('?')[0];
                     utils.log(step, `Using current page URL: ${netswiftUrl}`);
@@ -1010,17 +1070,6 @@ async function getNetSwiftUrl(page) {
         // Look for the NetSwift app card
         utils.log(step, 'Looking for NetSwift application card...');
         
-        const appSelectors = [
-            '[class*="application-card"]:has-text("NetSwift")',
-            '[class*="application-card"]:has-text("netswift")',
-            '[class*="app-card"]:has-text("NetSwift")',
-            '[class*="app-card"]:has-text("netswift")',
-            '[data-testid*="application-card"]',
-            // Fallback: get first/most recent app
-            '[class*="application-card"]',
-            '[class*="app-card"]'
-        ];
-        
         let appCard = null;
         let attempts = 0;
         const maxAttempts = 3;
@@ -1029,17 +1078,10 @@ async function getNetSwiftUrl(page) {
             attempts++;
             utils.log(step, `Attempt ${attempts}/${maxAttempts} to find app card...`);
             
-            for (const selector of appSelectors) {
-                try {
-                    const card = page.locator(selector).first();
-                    if (await card.isVisible({ timeout: 5000 })) {
-                        appCard = card;
-                        utils.log(step, `Found app with selector: ${selector}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
+            const found = await selectors.findVisible(page, 'home.netswiftAppCard', { timeout: 5000 });
+            if (found) {
+                appCard = found.locator;
+                utils.log(step, `Found app with selector: ${found.selector}`);
             }
             
             if (!appCard && attempts < maxAttempts) {
@@ -1086,34 +1128,15 @@ async function getNetSwiftUrl(page) {
             utils.log(step, 'Looking for login page in navigation...');
             await page.waitForTimeout(2000);
             
-            const loginPageSelectors = [
-                'text=loginpage',
-                'text=LoginPage',
-                'text=Login',
-                '[class*="page"]:has-text("login" i)',
-                '[class*="t--page-switch-tab"]:has-text("login" i)'
-            ];
-            
-            let loginPageFound = false;
-            for (const selector of loginPageSelectors) {
-                try {
-                    const loginLink = page.locator(selector).first();
-                    if (await loginLink.isVisible({ timeout: 3000 })) {
-                        utils.log(step, `Found login page link: ${selector}`);
-                        await loginLink.click();
-                        await page.waitForTimeout(2000);
-                        await page.waitForURL(/loginpage-/, { timeout: 10000 }).catch(() => {});
-                        netswiftUrl = page.url().replace(/\/edit.*$/, '').split('?')[0];
-                        loginPageFound = true;
-                        utils.log(step, `Navigated to login page: ${netswiftUrl}`);
-                        break;
-                    }
-                } catch (e) {
-                    continue;
-                }
-            }
-            
-            if (!loginPageFound) {
+            const loginLink = await selectors.findVisible(page, 'app.loginPageLink', { timeout: 3000 });
+            if (loginLink) {
+                utils.log(step, `Found login page link: ${loginLink.selector}`);
+                await loginLink.locator.click();
+                await page.waitForTimeout(2000);
+                await page.waitForURL(/loginpage-/, { timeout: 10000 }).catch(() => {});
+                netswiftUrl = page.url().replace(/\/edit.*$/, '').split('?')[0];
+                utils.log(step, `Navigated to login page: ${netswiftUrl}`);
+            } else {
                 // Use current app URL as fallback
                 netswiftUrl = appUrl.replace(/\/edit.*$/, '').split('?')[0];
                 utils.log(step, `Using current page URL: ${netswiftUrl}`);
@@ -1136,7 +1159,8 @@ async function getNetSwiftUrl(page) {
     }
 }
 
-// Step 5: Configure datasource (DEPRECATED - kept for reference)
+// Step 5: Configure datasource (DEPRECATED - kept for reference; the
+// transform step now writes the datasource settings into the export)
 async function configureDatasource(page) {
     const step = 'DATASOURCE';
     utils.log(step, 'Configuring datasource...');
@@ -1153,7 +1177,7 @@ async function configureDatasource(page) {
             
             await page.waitForTimeout(2000);
             
-            const firstApp = page.locator('[class*="application-card"], [class*="app-card"]').first();
+            const firstApp = page.locator(selectors.list('home.appCard')[0]).first();
             await firstApp.click();
             
             await page.waitForURL(/\/(edit|editor)/, { timeout: 10000 });
@@ -1163,106 +1187,59 @@ async function configureDatasource(page) {
         
         utils.log(step, 'Looking for datasource panel...');
         
-        const datasourceSelectors = [
-            'text=Datasources',
-            '[data-testid="t--datasource"]',
-            'button:has-text("Datasources")',
-            'a:has-text("Datasources")'
-        ];
-        
-        for (const selector of datasourceSelectors) {
-            try {
-                const button = page.locator(selector).first();
-                if (await button.isVisible({ timeout: 5000 })) {
-                    await button.click();
-                    utils.log(step, `Clicked datasource panel: ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
+        const datasourcePanel = await selectors.findVisible(page, 'datasource.panel', { timeout: 5000 });
+        if (datasourcePanel) {
+            await datasourcePanel.locator.click();
+            utils.log(step, `Clicked datasource panel: ${datasourcePanel.selector}`);
         }
         
         await page.waitForTimeout(2000);
         
         utils.log(step, 'Looking for datasource to configure...');
         
-        const datasourceNameSelectors = [
-            `text=${config.datasource.name}`,
-            'text=NetSwift',
-            'text=Backend',
-            '[class*="datasource-card"]',
-            '[class*="datasource-item"]'
-        ];
-        
-        let datasourceFound = false;
-        for (const selector of datasourceNameSelectors) {
-            try {
-                const datasource = page.locator(selector).first();
-                if (await datasource.isVisible({ timeout: 5000 })) {
-                    await datasource.click();
-                    datasourceFound = true;
-                    utils.log(step, `Found and opened datasource: ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-        
-        if (!datasourceFound) {
+        const datasource = await selectors.findVisible(page, 'datasource.item', { timeout: 5000 });
+        if (!datasource) {
             utils.log(step, 'Datasource not found, may already be configured');
             return true;
         }
+        await datasource.locator.click();
+        utils.log(step, `Found and opened datasource: ${datasource.selector}`);
         
         await page.waitForTimeout(2000);
         
         utils.log(step, `Configuring datasource URL: ${config.datasource.url}`);
         
-        const urlInputSelectors = [
-            'input[placeholder*="URL" i]',
-            'input[name*="url" i]',
-            'input[label*="URL" i]'
-        ];
-        
-        for (const selector of urlInputSelectors) {
-            try {
-                const input = page.locator(selector).first();
-                if (await input.isVisible({ timeout: 5000 })) {
-                    await input.clear();
-                    await input.fill(config.datasource.url);
-                    utils.log(step, 'URL configured');
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
+        const urlInput = await selectors.findVisible(page, 'datasource.urlInput', { timeout: 5000 });
+        if (urlInput) {
+            await urlInput.locator.clear();
+            await urlInput.locator.fill(config.datasource.url);
+            utils.log(step, 'URL configured');
         }
         
         await page.waitForTimeout(1000);
         
         utils.log(step, 'Testing datasource connection...');
         
-        const testButton = page.locator('button:has-text("Test"), button:has-text("Test Connection")').first();
-        if (await testButton.isVisible({ timeout: 5000 })) {
-            await testButton.click();
+        const testButton = await selectors.findVisible(page, 'datasource.testButton', { timeout: 5000 });
+        if (testButton) {
+            await testButton.locator.click();
             utils.log(step, 'Connection test initiated');
             await page.waitForTimeout(3000);
         }
         
         utils.log(step, 'Saving datasource...');
         
-        const saveButton = page.locator('button:has-text("Save"), button:has-text("Save Changes")').first();
-        if (await saveButton.isVisible({ timeout: 5000 })) {
-            await saveButton.click();
+        const saveButton = await selectors.findVisible(page, 'datasource.saveButton', { timeout: 5000 });
+        if (saveButton) {
+            await saveButton.locator.click();
             utils.log(step, 'Datasource saved');
         }
         
         await page.waitForTimeout(2000);
         
-        const closeButton = page.locator('button:has-text("Done"), button:has-text("Close"), [class*="modal-close"]').first();
-        if (await closeButton.isVisible({ timeout: 3000 })) {
-            await closeButton.click();
+        const closeButton = await selectors.findVisible(page, 'datasource.closeButton', { timeout: 3000 });
+        if (closeButton) {
+            await closeButton.locator.click();
             utils.log(step, 'Closed datasource modal');
         }
         
@@ -1294,7 +1271,7 @@ async function deployApplication(page) {
             
             await page.waitForTimeout(2000);
             
-            const firstApp = page.locator('[class*="application-card"], [class*="app-card"]').first();
+            const firstApp = page.locator(selectors.list('home.appCard')[0]).first();
             await firstApp.click();
             
             await page.waitForURL(/\/(edit|editor)/, { timeout: 10000 });
@@ -1304,40 +1281,22 @@ async function deployApplication(page) {
         
         utils.log(step, 'Looking for Deploy button...');
         
-        const deploySelectors = [
-            'button:has-text("Deploy")',
-            'button:has-text("Publish")',
-            '[data-testid="t--application-publish-btn"]'
-        ];
-        
-        let deployed = false;
-        for (const selector of deploySelectors) {
-            try {
-                const button = page.locator(selector).first();
-                if (await button.isVisible({ timeout: 5000 })) {
-                    await button.click();
-                    deployed = true;
-                    utils.log(step, `Clicked Deploy button: ${selector}`);
-                    break;
-                }
-            } catch (e) {
-                continue;
-            }
-        }
-        
-        if (!deployed) {
+        const deployButton = await selectors.findVisible(page, 'deploy.button', { timeout: 5000 });
+        if (!deployButton) {
             throw new Error('Could not find Deploy button');
         }
+        await deployButton.locator.click();
+        utils.log(step, `Clicked Deploy button: ${deployButton.selector}`);
         
         utils.log(step, 'Waiting for deployment to complete...');
         
         try {
-            await page.waitForSelector('text=deployed successfully, text=published successfully, text=Application is live', { 
+            await page.waitForSelector(selectors.list('deploy.success')[0], { 
                 timeout: 30000 
             });
             utils.success(step, 'Application deployed successfully!');
         } catch (e) {
-            const hasError = await page.locator('text=error, text=failed').first().isVisible({ timeout: 2000 });
+            const hasError = await selectors.findVisible(page, 'deploy.error', { timeout: 2000 });
             if (hasError) {
                 throw new Error('Deployment failed - error message detected');
             }
@@ -1356,30 +1315,743 @@ async function deployApplication(page) {
     }
 }
 
+// Viewer URL of one page of a smoke target
+function smokePageUrl(target, page) {
+    return `${config.appsmithUrl}/app/${target.applicationSlug}/${page.slug}-${page.id}`;
+}
+
+// Application ID, slug and pages of a smoke target; UI imports do not
+// record them, so they are looked up like the export command does
+async function resolveSmokeTarget(client, target, step) {
+    if (target.applicationId && target.applicationSlug && (target.pages || []).length > 0) {
+        return target;
+    }
+    const application = await findApplication(client, step);
+    const pages = await client.getPages(application.id);
+    return { ...target, applicationId: application.id, applicationSlug: application.slug, pages };
+}
+
+// Open one page and wait until each of its on-load queries has run; returns
+// { page, url, queries, missing, toasts, httpErrors, screenshot, failures }
+async function smokeCheckPage(page, target, planned, runs, step) {
+    const appPage = target.pages.find(p => p.name === planned.name);
+    if (!appPage) {
+        return { page: planned.name, failures: [`page ${planned.name} is not in the deployed app`] };
+    }
+    runs.length = 0;
+    const url = smokePageUrl(target, appPage);
+    utils.log(step, `${target.label}: ${planned.name} (waiting for ${planned.queries.join(', ') || 'no queries'})`);
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+    
+    const ranAll = () => planned.queries.every(name => runs.some(r => r.pageId === appPage.id && r.name === name));
+    const deadline = Date.now() + config.smoke.pageTimeout;
+    while (!ranAll() && Date.now() < deadline) {
+        await utils.sleep(250);
+    }
+    // Toasts for a failed query show up just after its response
+    await utils.sleep(SMOKE_SETTLE_MS);
+    
+    const onPage = runs.filter(r => r.pageId === appPage.id || !r.pageId);
+    const queries = onPage.filter(r => r.name).map(r => ({ name: r.name, error: r.error }));
+    const missing = planned.queries.filter(name => !queries.some(q => q.name === name));
+    const httpErrors = onPage.filter(r => !r.name).map(r => r.error);
+    const toasts = (await page.locator(selectors.list('viewer.errorToast').join(', ')).allTextContents())
+        .map(text => text.trim()).filter(Boolean);
+    const screenshot = await utils.takeScreenshot(page, `smoke-${target.label}-${appPage.slug}`);
+    
+    const failures = [
+        ...queries.filter(q => q.error).map(q => `${q.name} ${q.error}`),
+        ...missing.map(name => `${name} did not run within ${config.smoke.pageTimeout / 1000}s`),
+        ...httpErrors,
+        ...toasts.map(text => `error toast: ${text}`)
+    ];
+    return { page: planned.name, url, queries, missing, toasts, httpErrors, screenshot: screenshot || null, failures };
+}
+
+// Smoke step: sign into NetSwift's LoginPage, then open every page of each
+// target and check its on-load queries. Fails on failed or missing queries,
+// API errors and error toasts, after all pages are checked.
+async function smokeTest(page, targets) {
+    const step = 'SMOKE';
+    const plan = buildSmokePlan(JSON.parse(fs.readFileSync(config.app.jsonPath, 'utf8')));
+    const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+    await client.login(config.admin.email, config.admin.password);
+    
+    // Query runs seen in the viewer: { name, pageId, error }, or
+    // { error } for any other failed Appsmith API call
+    const runs = [];
+    let actions = new Map();
+    const pending = new Set();
+    const onResponse = (response) => {
+        const url = new URL(response.url());
+        if (!response.url().startsWith(config.appsmithUrl) || !url.pathname.startsWith('/api/')) {
+            return;
+        }
+        if (url.pathname !== '/api/v1/actions/execute') {
+            if (response.status() >= 400) {
+                runs.push({ error: `${response.request().method()} ${url.pathname}: HTTP ${response.status()}` });
+            }
+            return;
+        }
+        const task = (async () => {
+            const actionId = (/"actionId"\s*:\s*"([^"]+)"/.exec(response.request().postData() || '') || [])[1];
+            const action = actions.get(actionId) || { name: actionId || 'unknown query', pageId: null };
+            let error;
+            try {
+                error = response.ok() ? executionFailure((await response.json()).data) : `HTTP ${response.status()}`;
+            } catch (e) {
+                error = `unreadable result (HTTP ${response.status()})`;
+            }
+            runs.push({ name: action.name, pageId: action.pageId, error });
+        })();
+        pending.add(task);
+        task.finally(() => pending.delete(task));
+    };
+    
+    const results = [];
+    page.on('response', onResponse);
+    try {
+        for (const entry of targets) {
+            const target = await resolveSmokeTarget(client, entry, step);
+            actions = new Map((await client.getViewActions(target.applicationId)).map(a => [a.id, a]));
+            
+            const loginPage = target.pages.find(p => p.name === LOGIN_PAGE);
+            if (!loginPage) {
+                throw new Error(`${target.label}: the app has no ${LOGIN_PAGE}`);
+            }
+            utils.log(step, `${target.label}: signing into ${LOGIN_PAGE} as ${config.smoke.username}`);
+            await page.goto(smokePageUrl(target, loginPage), { waitUntil: 'domcontentloaded' });
+            await utils.fillField(page, 'netswift.username', config.smoke.username);
+            await utils.fillField(page, 'netswift.password', config.smoke.password);
+            await (await selectors.findVisible(page, 'netswift.loginButton', { timeout: 10000 })).locator.click();
+            try {
+                await page.waitForURL(url => !url.pathname.includes(`/${loginPage.slug}-`), { timeout: config.smoke.pageTimeout });
+            } catch (e) {
+                await utils.takeScreenshot(page, `smoke-${target.label}-login`);
+                throw new Error(`${target.label}: ${LOGIN_PAGE} did not let ${config.smoke.username} in`);
+            }
+            
+            for (const planned of plan) {
+                const result = await smokeCheckPage(page, target, planned, runs, step);
+                await Promise.all(pending);
+                results.push({ target: target.label, ...result });
+                if (result.failures.length > 0) {
+                    result.failures.forEach(failure => utils.error(step, `${target.label}/${planned.name}: ${failure}`));
+                } else {
+                    utils.success(step, `${target.label}/${planned.name}: ${result.queries.length} query run(s) OK`);
+                }
+            }
+        }
+    } finally {
+        page.off('response', onResponse);
+        report.set({ smoke: results });
+    }
+    
+    const failed = results.filter(r => r.failures.length > 0);
+    if (failed.length > 0) {
+        throw new Error(`Smoke test failed on ${failed.map(r => `${r.target}/${r.page}`).join(', ')}`);
+    }
+    utils.success(step, `Smoke test passed: ${results.length} page(s)`);
+    return results.map(({ target, page: name, queries, screenshot }) => ({ target, page: name, queries: queries.length, screenshot }));
+}
+
+// Workspace with the given name, created if missing
+async function ensureWorkspace(client, name, step) {
+    const existing = (await client.getWorkspaces()).find(w => w.name === name);
+    if (existing) {
+        utils.log(step, `Using workspace: ${name} (${existing.id})`);
+        return existing;
+    }
+    const workspace = await client.createWorkspace(name);
+    utils.success(step, `Created workspace: ${name} (${workspace.id})`);
+    return workspace;
+}
+
+// Invite users to a workspace with their role; members that already have
+// the role are left alone, so reruns do not send the invitation again, and
+// members with another role are moved to the listed one
+async function inviteWorkspaceUsers(client, workspace, users, step) {
+    if (users.length === 0) {
+        return [];
+    }
+    const roles = await client.getWorkspaceRoles(workspace.id);
+    const members = new Map((await client.getWorkspaceMembers(workspace.id)).map(m => [m.username.toLowerCase(), m]));
+    const results = [];
+    
+    for (const user of users) {
+        const role = roles.find(r => r.name === user.role || r.name.startsWith(`${user.role} - `));
+        if (!role) {
+            throw new Error(`Workspace ${workspace.name} has no "${user.role}" role (roles: ${roles.map(r => r.name).join(', ')})`);
+        }
+        const member = members.get(user.email.toLowerCase());
+        const label = user.name ? `${user.name} <${user.email}>` : user.email;
+        let status = 'member';
+        if (!member) {
+            await client.inviteUsers([user.email], role.id);
+            status = 'invited';
+        } else if (member.permissionGroupId !== role.id) {
+            await client.updateMemberRole(workspace.id, member.username, role.id);
+            status = 'role changed';
+        }
+        utils.log(step, `${label}: ${status} (${user.role})`);
+        results.push({ email: user.email, name: user.name || null, role: user.role, status });
+    }
+    return results;
+}
+
+// Multi-site step: workspace, patched copy of the export, import (in place
+// on reruns) and invitations for one manifest site
+async function deploySite(site, { storedId = null, allowDuplicate = false } = {}) {
+    const step = `SITE:${site.name}`;
+    const datasourceUrl = site.datasourceUrl || config.datasource.url;
+    const appName = site.appName || applicationName();
+    utils.log(step, `Deploying ${appName} to workspace ${site.workspace} (backend ${datasourceUrl})`);
+    
+    const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+    await client.login(config.admin.email, config.admin.password);
+    const workspace = await ensureWorkspace(client, site.workspace, step);
+    
+    const importPath = sitePatchedPath(config.app.patchedPath, site);
+    const patched = transformExportFile(config.app.jsonPath, importPath, {
+        datasources: datasourceOverrides(datasourceUrl),
+        removeUnused: config.datasource.removeUnused,
+        appName: site.appName
+    });
+    for (const line of formatChanges(patched.changes)) {
+        utils.log(step, `  ${line}`);
+    }
+    checkExport(importPath);
+    
+    const into = await findImportTarget({ storedId, name: appName, workspaceId: workspace.id, id: null }, allowDuplicate);
+    const imported = await importFromJsonApi(importPath, { into, workspaceId: workspace.id });
+    const users = await inviteWorkspaceUsers(client, workspace, site.users, step);
+    
+    utils.success(step, `${appName}: ${imported.url}`);
+    return {
+        site: site.name,
+        workspace: site.workspace,
+        workspaceId: workspace.id,
+        appName,
+        applicationId: imported.applicationId,
+        applicationSlug: imported.applicationSlug,
+        pages: imported.pages,
+        url: imported.url,
+        datasourceUrl,
+        updatedInPlace: imported.updatedInPlace,
+        users
+    };
+}
+
+// Poll the health endpoint until Appsmith has gone down and come back up
+async function waitForRestart(client, step) {
+    const started = Date.now();
+    while (await client.isHealthy()) {
+        if (Date.now() - started > RESTART_START_MS) {
+            utils.log(step, 'Appsmith did not go down for the restart, continuing');
+            return;
+        }
+        await utils.sleep(RESTART_POLL_MS);
+    }
+    utils.log(step, 'Appsmith is restarting...');
+    while (!(await client.isHealthy())) {
+        if (Date.now() - started > RESTART_TIMEOUT_MS) {
+            throw new Error(`Appsmith did not come back within ${RESTART_TIMEOUT_MS / 1000}s after the restart`);
+        }
+        await utils.sleep(RESTART_POLL_MS);
+    }
+}
+
+// Admin-settings step: save the configured APPSMITH_* values that differ
+// from Appsmith's, restart so they take effect, then read every value back.
+// Keys not in the config are never sent. Returns { changed, restarted }.
+async function applyAdminSettings(wanted) {
+    const step = 'ADMIN_SETTINGS';
+    const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+    await client.login(config.admin.email, config.admin.password);
+    
+    const changes = diffSettings(await client.getAdminSettings(), wanted);
+    if (changes.length === 0) {
+        utils.log(step, `All ${Object.keys(wanted).length} admin setting(s) already set`);
+        return { changed: [], restarted: false };
+    }
+    for (const change of changes) {
+        utils.log(step, `  ${formatSettingChange(change)}`);
+    }
+    await client.updateAdminSettings(Object.fromEntries(changes.map(c => [c.key, c.after])));
+    
+    // Appsmith reads its settings at startup
+    utils.log(step, `Saved ${changes.length} setting(s), restarting Appsmith to apply them...`);
+    await client.restartServer();
+    await waitForRestart(client, step);
+    
+    // The session does not survive every restart
+    await client.login(config.admin.email, config.admin.password);
+    const mismatched = diffSettings(await client.getAdminSettings(), wanted);
+    if (mismatched.length > 0) {
+        throw new Error(`Appsmith did not keep ${mismatched.map(c => c.key).join(', ')} after the restart`);
+    }
+    utils.success(step, `Admin settings applied and verified: ${changes.map(c => c.key).join(', ')}`);
+    return { changed: changes.map(c => c.key), restarted: true };
+}
+
+// Users step: invite USERS_FILE users into the app's workspace(s) (first
+// workspace if none given). App Viewers can
+// open every app of their workspace, which is how Appsmith shares an app,
+// so inviting viewers shares NetSwift with them.
+async function provisionUsers(users, { workspaceIds = [] } = {}) {
+    const step = 'USERS';
+    const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+    await client.login(config.admin.email, config.admin.password);
+    
+    const workspaces = await client.getWorkspaces();
+    const targets = workspaceIds.length > 0
+        ? workspaceIds.map(id => workspaces.find(w => w.id === id) || { id, name: id })
+        : workspaces.slice(0, 1);
+    if (targets.length === 0) {
+        throw new Error('No workspace found for admin user');
+    }
+    
+    const results = [];
+    for (const workspace of targets) {
+        utils.log(step, `Provisioning ${users.length} user(s) in workspace ${workspace.name}`);
+        const provisioned = await inviteWorkspaceUsers(client, workspace, users, step);
+        results.push(...provisioned.map(user => ({ workspace: workspace.name, ...user })));
+    }
+    return results;
+}
+
+// One row per site: name, workspace and app URL
+function logSiteTable(siteResults) {
+    const rows = [['Site', 'Workspace', 'URL'], ...siteResults.map(r => [r.site, r.workspace, r.url || '(unknown)'])];
+    const widths = [0, 1].map(column => Math.max(...rows.map(row => row[column].length)));
+    for (const row of rows) {
+        utils.log('INFO', `   ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`);
+    }
+}
+
+// Where the admin password can be found, without revealing it
+function describePasswordLocation() {
+    const passwordFile = config.admin.passwordFile;
+    if (passwordFile && passwordFile !== '-') {
+        return `stored in ${path.resolve(passwordFile)}`;
+    }
+    if (passwordFile === '-') {
+        return 'provided on stdin (not stored by the automation)';
+    }
+    return 'provided via ADMIN_PASSWORD (not shown)';
+}
+
+// NetSwift signs in against the backend's own accounts, which the
+// automation does not create; the smoke test account is the one it knows
+function describeNetswiftAccounts() {
+    const backend = 'accounts of the NetSwift backend (POST /api/auth/login)';
+    return config.smoke.enabled ? `${backend}, e.g. ${config.smoke.username} (used by the smoke test)` : backend;
+}
+
+// Log which selector matched for each UI element and save the report
+function reportSelectors() {
+    const step = 'SELECTORS';
+    const matches = selectors.getMatches();
+    const keys = Object.keys(matches);
+    
+    if (keys.length === 0) {
+        return;
+    }
+    
+    const fallbacks = selectors.getFallbacks();
+    utils.log(step, `Selector set: Appsmith ${selectors.version} (${keys.length} elements used, ${fallbacks.length} via fallback or missing)`);
+    for (const fallback of fallbacks) {
+        if (fallback.selector === null) {
+            utils.log(step, `  ${fallback.key}: no selector matched`);
+        } else {
+            utils.log(step, `  ${fallback.key}: fallback #${fallback.index} matched: ${fallback.selector}`);
+        }
+    }
+    
+    try {
+        fs.writeFileSync(config.selectorReport, JSON.stringify({
+            appsmithVersion: config.appsmithVersion,
+            selectorVersion: selectors.version,
+            generatedAt: new Date().toISOString(),
+            matches
+        }, null, 2));
+        utils.log(step, `Selector report saved to ${config.selectorReport}`);
+    } catch (e) {
+        utils.log(step, 'Could not save selector report (non-critical)');
+    }
+}
+
+// Save the run report for deploy.sh and monitoring (never fails the run)
+function writeRunReport(success, error) {
+    report.set({ selectors: selectors.getMatches() });
+    report.finish(success, error);
+    
+    try {
+        report.write(config.report.file, text => redactor.redact(text));
+        utils.log('REPORT', `Run report saved to ${config.report.file}`, { report: config.report.file });
+    } catch (e) {
+        utils.log('REPORT', `Could not save run report: ${e.message}`);
+    }
+}
+
+// Automation pipeline: each step returns the outputs persisted to the state file
+function buildSteps(page, { allowDuplicate = false, sites = null, users = null, adminSettings = {} } = {}) {
+    let loggedIn = false;
+    
+    // Resumed runs skip CREATE_ADMIN, so UI steps log in on demand
+    const ensureLoggedIn = async () => {
+        if (!loggedIn) {
+            await loginExistingAdmin(page);
+            loggedIn = true;
+        }
+    };
+    
+    const setup = [
+        {
+            name: 'wait',
+            always: true,
+            run: async () => {
+                await waitForAppsmith(page);
+            }
+        },
+        {
+            name: 'admin',
+            run: async () => {
+                // Creates account and leaves user logged in
+                await createAdminAccount(page);
+                loggedIn = true;
+                return { adminCreated: true, adminEmail: config.admin.email };
+            }
+        }
+    ];
+    
+    // After the import: users in the workspace of each site or of the app,
+    // then the admin settings (signup is turned off once users are invited)
+    const provision = [];
+    if (users) {
+        provision.push({
+            name: 'users',
+            run: async ({ outputs }) => {
+                const workspaceIds = sites
+                    ? sites.map(site => (outputs[`site:${site.name}`] || {}).workspaceId)
+                    : [outputs.workspaceId || config.app.workspaceId];
+                return { users: await provisionUsers(users, { workspaceIds: workspaceIds.filter(Boolean) }) };
+            }
+        });
+    }
+    if (Object.keys(adminSettings).length > 0) {
+        provision.push({
+            name: 'admin-settings',
+            run: async () => ({ adminSettings: await applyAdminSettings(adminSettings) })
+        });
+    }
+    // Last, so it sees the app as users will (after any restart)
+    if (config.smoke.enabled) {
+        provision.push({
+            name: 'smoke',
+            run: async ({ outputs }) => {
+                await ensureLoggedIn();
+                const targets = sites
+                    ? sites.map(site => ({ label: site.name, ...outputs[`site:${site.name}`] }))
+                    : [{ label: 'netswift', applicationId: outputs.applicationId, applicationSlug: outputs.applicationSlug, pages: outputs.pages }];
+                return { smoke: await smokeTest(page, targets) };
+            }
+        });
+    }
+    
+    // Manifest: one step per site instead of the single-app steps; outputs
+    // are keyed by site so they do not overwrite each other
+    if (sites) {
+        return [...setup, ...sites.map(site => ({
+            name: `site-${site.name}`,
+            run: async ({ previous }) => {
+                const stored = previous[`site:${site.name}`] || {};
+                return { [`site:${site.name}`]: await deploySite(site, { storedId: stored.applicationId, allowDuplicate }) };
+            }
+        })), ...provision];
+    }
+    
+    return [
+        ...setup,
+        {
+            name: 'transform',
+            always: true, // Cheap, and must reflect the current datasource config
+            run: async () => patchExport()
+        },
+        {
+            name: 'import',
+            run: async ({ outputs, previous }) => {
+                const importPath = outputs.importPath || config.app.jsonPath;
+                checkExport(importPath);
+                const into = await findImportTarget({ storedId: previous.applicationId }, allowDuplicate);
+                if (config.app.importMode === 'ui') {
+                    await ensureLoggedIn();
+                }
+                const imported = await importFromJson(page, importPath, { into });
+                return {
+                    importMode: imported.mode,
+                    updatedInPlace: Boolean(imported.updatedInPlace),
+                    workspaceId: imported.workspaceId || null,
+                    applicationId: imported.applicationId || null,
+                    applicationSlug: imported.applicationSlug || null,
+                    pages: imported.pages || [],
+                    importedUrl: imported.url || null
+                };
+            }
+        },
+        {
+            name: 'url',
+            run: async ({ outputs }) => {
+                // Get the actual NetSwift URL (login page ID is dynamic)
+                // API import already knows the page slugs, UI import has to look it up
+                if (outputs.importedUrl) {
+                    return { netswiftUrl: outputs.importedUrl };
+                }
+                await ensureLoggedIn();
+                return { netswiftUrl: await getNetSwiftUrl(page) };
+            }
+        },
+        ...provision
+    ];
+}
+
+// `validate` command: lint the export and exit non-zero on errors
+function runValidateCommand() {
+    const result = validateExportFile(config.app.jsonPath, { appsmithVersion: config.appsmithVersion });
+    
+    if (config.log.format === 'json') {
+        console.log(JSON.stringify(result));
+    } else {
+        console.log(formatValidationReport(result));
+    }
+    return result.errors.length === 0;
+}
+
+// `export` command: download the deployed app and save a timestamped backup
+async function runExportCommand() {
+    const step = 'EXPORT';
+    const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+    
+    utils.log(step, `Signing in as ${config.admin.email}...`);
+    await client.login(config.admin.email, config.admin.password);
+    
+    const application = await findApplication(client, step);
+    utils.log(step, `Exporting ${application.name} (${application.id})...`);
+    const exported = await client.exportApplication(application.id);
+    if (!exported || typeof exported !== 'object' || !exported.exportedApplication) {
+        throw new Error(`Export of ${application.id} is not an Appsmith application export`);
+    }
+    
+    const backup = saveBackup(config.backup.dir, exported, { keep: config.backup.keep });
+    for (const removed of backup.removed) {
+        utils.log(step, `Removed old backup ${removed}`);
+    }
+    const fields = { applicationId: application.id, backup: backup.path, hash: backup.hash, skipped: backup.skipped };
+    if (backup.skipped) {
+        utils.success(step, `Unchanged since the last backup: ${backup.path}`, fields);
+    } else {
+        utils.success(step, `Backup saved to ${backup.path}`, fields);
+    }
+    
+    return backup;
+}
+
+function readExport(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(e instanceof SyntaxError
+            ? `${filePath} is not valid JSON (${e.message})`
+            : `Cannot read ${filePath} (${e.code || e.message})`);
+    }
+}
+
+// `diff` command: compare two exports, or the deployed app with app.jsonPath.
+// Returns true when they differ.
+async function runDiffCommand([beforeFile, afterFile] = []) {
+    const step = 'DIFF';
+    const afterPath = afterFile || config.app.jsonPath;
+    if (!afterPath) {
+        throw new Error('Nothing to compare: pass two exports or set APP_JSON_PATH');
+    }
+    let after = readExport(afterPath);
+    let before;
+    let beforeLabel = beforeFile;
+    
+    if (beforeFile) {
+        before = readExport(beforeFile);
+    } else {
+        if (!config.admin.password) {
+            throw new Error('Comparing with the deployed app needs the admin password (ADMIN_PASSWORD_FILE)');
+        }
+        const client = createAppsmithClient(config.appsmithUrl, { timeout: config.playwright.timeout });
+        utils.log(step, `Signing in as ${config.admin.email}...`);
+        await client.login(config.admin.email, config.admin.password);
+        
+        const application = await findApplication(client, step);
+        utils.log(step, `Exporting ${application.name} (${application.id})...`);
+        before = await client.exportApplication(application.id);
+        beforeLabel = `deployed ${application.name} (${application.id})`;
+        
+        // Compare the file as it would be imported, so the datasource
+        // settings applied by the transform step do not show up as changes
+        after = transformExport(after, {
+            datasources: datasourceOverrides(),
+            removeUnused: config.datasource.removeUnused
+        }).exported;
+    }
+    
+    const diff = diffExports(before, after);
+    const differ = hasChanges(diff);
+    
+    if (config.log.format === 'json') {
+        console.log(redactor.redact(JSON.stringify({ before: beforeLabel, after: afterPath, differ, diff })));
+    } else {
+        console.log(redactor.redact(formatDiff(diff, { before: beforeLabel, after: afterPath })));
+    }
+    return differ;
+}
+
+// Backend OpenAPI document from a URL (e.g. <backend>/openapi.json) or a file
+async function readOpenApi(source) {
+    if (!/^https?:\/\//.test(source)) {
+        return readExport(source);
+    }
+    const response = await fetch(source, { signal: AbortSignal.timeout(config.playwright.timeout) });
+    if (!response.ok) {
+        throw new Error(`GET ${source}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+// `contract` command: write the OpenAPI document of the routes the app
+// calls, list inconsistent routes and compare with the backend's document.
+// Returns true when the backend lacks a route or method.
+async function runContractCommand([backendSpec] = []) {
+    const step = 'CONTRACT';
+    const contract = buildContract(readExport(config.app.jsonPath), { datasource: config.contract.datasource });
+    if (Object.keys(contract.paths).length === 0) {
+        throw new Error(`No REST queries use the "${config.contract.datasource}" datasource in ${config.app.jsonPath}`);
+    }
+    writeContract(config.contract.file, contract);
+    const problems = lintContract(contract);
+    
+    let comparison = null;
+    if (backendSpec) {
+        utils.log(step, `Reading the backend's OpenAPI document from ${backendSpec}...`);
+        comparison = compareContract(contract, await readOpenApi(backendSpec));
+    }
+    
+    if (config.log.format === 'json') {
+        console.log(JSON.stringify({ file: config.contract.file, problems, backend: backendSpec || null, comparison }));
+    } else {
+        console.log(formatContractReport({ contract, file: config.contract.file, problems, comparison, backend: backendSpec }));
+    }
+    return comparison ? hasContractMismatches(comparison) : false;
+}
+
 // Main execution
 async function main() {
-    console.log('╔═══════════════════════════════════════════════════════════════════╗');
-    console.log('║                                                                   ║');
-    console.log('║        Appsmith Automation - NetSwift Installer v7.2.2           ║');
-    console.log('║                                                                   ║');
-    console.log('╚═══════════════════════════════════════════════════════════════════╝\n');
+    const resolved = resolveConfig({ argv: process.argv.slice(2), env: process.env });
+    
+    if (resolved.run.help) {
+        console.log(formatHelp());
+        process.exit(0);
+    }
+    
+    // Functions read the shared config object, so update it in place
+    Object.assign(config, resolved.config);
+    redactor.add(config.admin.password);
+    redactor.add(config.adminSettings.smtp.password);
+    if (config.smoke.enabled) redactor.add(config.smoke.password);
+    sensitiveHeaderValues(config.datasources).forEach(value => redactor.add(value));
+    selectors = buildSelectors();
+    
+    if (resolved.run.printConfig) {
+        console.log(JSON.stringify(maskSecrets(config), null, 2));
+        validateConfig(resolved.errors);
+        process.exit(0);
+    }
+    
+    if (resolved.run.command === 'validate') {
+        validateConfig(resolved.errors);
+        process.exit(runValidateCommand() ? 0 : 1);
+    }
+    
+    if (resolved.run.command === 'diff') {
+        validateConfig(resolved.errors);
+        try {
+            // Exit codes follow diff(1): 0 same, 1 different, 2 trouble
+            process.exit(await runDiffCommand(resolved.run.args) ? 1 : 0);
+        } catch (error) {
+            utils.error('DIFF', 'Diff failed', error);
+            process.exit(2);
+        }
+    }
+    
+    if (resolved.run.command === 'contract') {
+        validateConfig(resolved.errors);
+        try {
+            // Exit codes as for diff: 0 matches, 1 mismatches, 2 trouble
+            process.exit(await runContractCommand(resolved.run.args) ? 1 : 0);
+        } catch (error) {
+            utils.error('CONTRACT', 'Contract check failed', error);
+            process.exit(2);
+        }
+    }
+    
+    if (resolved.run.command === 'export') {
+        validateConfig(resolved.errors);
+        try {
+            await runExportCommand();
+            process.exit(0);
+        } catch (error) {
+            utils.error('EXPORT', 'Export failed', error);
+            process.exit(1);
+        }
+    }
     
-    validateConfig();
+    utils.banner('║        Appsmith Automation - NetSwift Installer v7.19.0          ║', { newline: false });
     
-    utils.log('CONFIG', 'Configuration:');
+    validateConfig(resolved.errors);
+    const cli = resolved.run;
+    const sites = config.manifest ? loadManifest(config.manifest).sites : null;
+    // No users step without a users file; signup is turned off by the
+    // admin-settings step, which runs only when settings are configured
+    const users = config.users.file ? loadUsersFile(config.users.file).users : null;
+    const adminSettings = settingsFromConfig(config.adminSettings);
+    
+    utils.log('CONFIG', `Configuration:${resolved.configFile ? ` (config file: ${resolved.configFile})` : ''}`);
     utils.log('CONFIG', `  Appsmith URL:  ${config.appsmithUrl}`);
+    utils.log('CONFIG', `  Appsmith Ver:  ${config.appsmithVersion} (selectors: ${selectors.version})`);
     utils.log('CONFIG', `  Admin Email:   ${config.admin.email}`);
     utils.log('CONFIG', `  Admin Name:    ${config.admin.firstName} ${config.admin.lastName}`);
     utils.log('CONFIG', `  JSON File:     ${config.app.jsonPath}`);
-    utils.log('CONFIG', `  Datasource:    ${config.datasource.url}`);
+    utils.log('CONFIG', `  Import Mode:   ${config.app.importMode}`);
+    utils.log('CONFIG', `  Datasource:    ${config.datasource.name} -> ${config.datasource.url}`);
+    utils.log('CONFIG', `  Overrides:     ${Object.keys(config.datasources || {}).join(', ') || 'none'}`);
+    utils.log('CONFIG', `  Sites:         ${sites ? `${sites.map(s => s.name).join(', ')} (${config.manifest})` : 'single app'}`);
+    utils.log('CONFIG', `  Users:         ${users ? `${users.length} from ${config.users.file}` : 'admin only'}`);
+    utils.log('CONFIG', `  Admin Settings: ${Object.keys(adminSettings).join(', ') || 'unchanged'}`);
+    utils.log('CONFIG', `  Smoke Test:    ${config.smoke.enabled ? `yes (as ${config.smoke.username})` : 'no'}`);
     utils.log('CONFIG', `  Headless:      ${config.playwright.headless}`);
-    utils.log('CONFIG', `  Trace:         ${config.playwright.recordTrace}\n`);
+    utils.log('CONFIG', `  State File:    ${config.state.file}`);
+    utils.log('CONFIG', `  Trace:         ${config.playwright.recordTrace}`);
+    utils.log('CONFIG', `  Run Report:    ${config.report.file}\n`);
     
     let browser;
     let context;
     let success = false;
+    let failure = null;
     const traceFile = '/tmp/appsmith-automation-trace.zip';
     
+    report.set({
+        appsmithUrl: config.appsmithUrl,
+        appsmithVersion: config.appsmithVersion,
+        selectorVersion: selectors.version,
+        importMode: config.app.importMode
+    });
+    
     try {
         utils.log('BROWSER', 'Launching Chromium...');
         browser = await chromium.launch({
@@ -1412,15 +2084,21 @@ async function main() {
         
         utils.success('BROWSER', 'Browser launched');
         
-        // Execute automation steps
-        // Note: After signup completes, user is already logged in, no separate login needed
-        // Note: Datasource configuration is included in the JSON file, no need to configure separately
-        await waitForAppsmith(page);
-        await createAdminAccount(page);  // Creates account and leaves user logged in
-        await importFromJson(page);
-        
-        // Get the actual NetSwift URL (login page ID is dynamic)
-        const netswiftUrl = await getNetSwiftUrl(page);
+        // Execute automation steps (completed steps are skipped on rerun)
+        const { outputs } = await runSteps(buildSteps(page, { allowDuplicate: cli.allowDuplicate, sites, users, adminSettings }), {
+            statePath: config.state.file,
+            fromStep: cli.fromStep,
+            onlyStep: cli.onlyStep,
+            log: utils.log,
+            onStep: event => report.recordStep(event)
+        });
+        const netswiftUrl = outputs.netswiftUrl;
+        report.set({ appUrl: netswiftUrl || null, applicationId: outputs.applicationId || null });
+        const siteResults = sites && sites.map(site => outputs[`site:${site.name}`]).filter(Boolean);
+        if (siteResults) {
+            report.set({ sites: siteResults });
+        }
+        report.set({ users: outputs.users || null, adminSettings: outputs.adminSettings || null });
         
         // Import is complete - datasource and deployment are already in the JSON
         utils.success('COMPLETE', 'NetSwift application imported successfully!');
@@ -1441,20 +2119,13 @@ async function main() {
         // Get server IP for instructions
         const serverIp = config.appsmithUrl.replace('http://', '').replace('https://', '').split(':')[0];
         
-        console.log('\n╔═══════════════════════════════════════════════════════════════════╗');
-        console.log('║                                                                   ║');
-        console.log('║              ✅ AUTOMATION COMPLETED SUCCESSFULLY!                ║');
-        console.log('║                                                                   ║');
-        console.log('╚═══════════════════════════════════════════════════════════════════╝\n');
-        
-        console.log('╔═══════════════════════════════════════════════════════════════════╗');
-        console.log('║                                                                   ║');
-        console.log('║                    📋 HOW TO ACCESS NETSWIFT                      ║');
-        console.log('║                                                                   ║');
-        console.log('╚═══════════════════════════════════════════════════════════════════╝\n');
+        utils.banner('║              ✅ AUTOMATION COMPLETED SUCCESSFULLY!                ║');
+        utils.banner('║                    📋 HOW TO ACCESS NETSWIFT                      ║', { newline: false });
         
         utils.log('INFO', '🌐 STEP 1: Open NetSwift in your browser');
-        if (netswiftUrl) {
+        if (siteResults) {
+            logSiteTable(siteResults);
+        } else if (netswiftUrl) {
             utils.log('INFO', `   URL: ${netswiftUrl}`);
         } else {
             utils.log('INFO', `   URL: http://${serverIp}/applications`);
@@ -1464,23 +2135,21 @@ async function main() {
         
         utils.log('INFO', '🔐 STEP 2: Login to Appsmith (if prompted)');
         utils.log('INFO', `   Email:    ${config.admin.email}`);
-        utils.log('INFO', `   Password: ${config.admin.password}`);
+        utils.log('INFO', `   Password: ${describePasswordLocation()}`);
+        if (users) {
+            utils.log('INFO', `   Or as one of the ${users.length} users invited from ${config.users.file}`);
+        }
         utils.log('INFO', '');
         
         utils.log('INFO', '🎯 STEP 3: Login to NetSwift Application');
-        utils.log('INFO', '   Username: admin');
-        utils.log('INFO', '   Password: admin');
+        utils.log('INFO', `   Accounts: ${describeNetswiftAccounts()}`);
         utils.log('INFO', '');
         
-        console.log('╔═══════════════════════════════════════════════════════════════════╗');
-        console.log('║                                                                   ║');
-        console.log('║                        🎉 SETUP COMPLETE!                         ║');
-        console.log('║                                                                   ║');
-        console.log('╚═══════════════════════════════════════════════════════════════════╝\n');
+        utils.banner('║                        🎉 SETUP COMPLETE!                         ║', { newline: false });
         
         utils.log('INFO', '📝 Admin Credentials Summary:');
-        utils.log('INFO', `   Appsmith Admin: ${config.admin.email} / ${config.admin.password}`);
-        utils.log('INFO', `   NetSwift App:   admin / admin`);
+        utils.log('INFO', `   Appsmith Admin: ${config.admin.email} (password ${describePasswordLocation()})`);
+        utils.log('INFO', `   NetSwift App:   ${describeNetswiftAccounts()}`);
         utils.log('INFO', '');
         if (netswiftUrl) {
             utils.log('INFO', `🔗 Direct Link: ${netswiftUrl}`);
@@ -1489,19 +2158,21 @@ async function main() {
         }
         
     } catch (error) {
+        failure = error;
         utils.error('MAIN', 'Automation failed', error);
-        console.log('\n╔═══════════════════════════════════════════════════════════════════╗');
-        console.log('║                                                                   ║');
-        console.log('║                      ❌ AUTOMATION FAILED                         ║');
-        console.log('║                                                                   ║');
-        console.log('╚═══════════════════════════════════════════════════════════════════╝\n');
+        utils.banner('║                      ❌ AUTOMATION FAILED                         ║');
     } finally {
-        if (context && config.playwright.recordTrace && (!success || process.env.ALWAYS_SAVE_TRACE === 'true')) {
+        reportSelectors();
+        
+        if (context && config.playwright.recordTrace && (!success || config.playwright.alwaysSaveTrace)) {
             await context.tracing.stop({ path: traceFile });
-            utils.log('TRACE', `Trace saved to ${traceFile}`);
+            report.set({ trace: traceFile });
+            utils.log('TRACE', `Trace saved to ${traceFile}`, { trace: traceFile });
             utils.log('TRACE', `View with: npx playwright show-trace ${traceFile}`);
         }
         
+        writeRunReport(success, failure);
+        
         if (browser) {
             if (!config.playwright.headless && !success) {
                 utils.log('BROWSER', 'Automation failed - keeping browser open for inspection...');
@@ -1518,9 +2189,30 @@ async function main() {
 
 if (require.main === module) {
     main().catch(error => {
-        console.error('Fatal error:', error);
+        console.error(redactor.redact(`Fatal error: ${inspect(error)}`));
         process.exit(1);
     });
 }
 
-module.exports = { main };
+module.exports = {
+    main,
+    patchExport,
+    waitForAppsmith,
+    createAdminAccount,
+    loginExistingAdmin,
+    importFromJson,
+    findImportTarget,
+    deploySite,
+    provisionUsers,
+    applyAdminSettings,
+    smokeTest,
+    runExportCommand,
+    runDiffCommand,
+    runContractCommand,
+    getNetSwiftUrl,
+    buildAppUrl,
+    config,
+    utils,
+    redactor,
+    report
+};
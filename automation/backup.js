@@ -0,0 +1,82 @@
+/**
+ * Timestamped backups of the deployed application export
+ *
+ * The `export` command downloads the live app from Appsmith and saves it
+ * here, so edits made in the Appsmith editor can be recovered or committed
+ * back to netswift.json.
+ *
+ * File name: netswift-YYYYMMDD-HHMMSS-<hash>.json, hash being the first 12
+ * hex digits of the SHA-256 of the saved content. Names sort by time, and a
+ * backup identical to the newest one is not written again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_PATTERN = /^netswift-(\d{8})-(\d{6})-([0-9a-f]{12})\.json$/;
+
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+// UTC, so backups from different hosts sort the same way
+function timestampOf(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+// Backups in `dir`, oldest first
+function listBackups(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .map(file => ({ file, match: BACKUP_PATTERN.exec(file) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => a.file.localeCompare(b.file))
+        .map(({ file, match }) => ({
+            file,
+            path: path.join(dir, file),
+            createdAt: `${match[1].slice(0, 4)}-${match[1].slice(4, 6)}-${match[1].slice(6)}T${match[2].slice(0, 2)}:${match[2].slice(2, 4)}:${match[2].slice(4)}Z`,
+            hash: match[3]
+        }));
+}
+
+/**
+ * Save `exported` to `dir` and prune old backups.
+ * keep: number of backups to keep (0 keeps all).
+ * Returns { path, hash, skipped, removed } where skipped means the newest
+ * backup already had this content (path is then that backup).
+ */
+function saveBackup(dir, exported, { keep = 0, now = new Date() } = {}) {
+    const content = JSON.stringify(exported, null, 2);
+    const hash = contentHash(content);
+
+    const existing = listBackups(dir);
+    const latest = existing[existing.length - 1];
+    let backupPath;
+    let skipped = false;
+
+    if (latest && latest.hash === hash) {
+        backupPath = latest.path;
+        skipped = true;
+    } else {
+        // Exports may carry datasource headers, keep them root-only
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+        backupPath = path.join(dir, `netswift-${timestampOf(now)}-${hash}.json`);
+        fs.writeFileSync(backupPath, content, { mode: 0o600 });
+        existing.push({ path: backupPath });
+    }
+
+    const removed = [];
+    if (keep > 0) {
+        for (const backup of existing.slice(0, Math.max(0, existing.length - keep))) {
+            fs.rmSync(backup.path, { force: true });
+            removed.push(backup.path);
+        }
+    }
+
+    return { path: backupPath, hash, skipped, removed };
+}
+
+module.exports = { saveBackup, listBackups, contentHash };
@@ -0,0 +1,452 @@
+/**
+ * Layered configuration for the automation script
+ *
+ * Sources, lowest to highest precedence:
+ *   1. Defaults (below)
+ *   2. Config file (--config PATH or CONFIG_FILE), YAML or JSON
+ *   3. Environment variables
+ *   4. Command line flags
+ *
+ * Every option is declared once in OPTIONS; help text, env/flag mapping,
+ * validation and secret masking are all derived from it.
+ *
+ * The first positional argument selects the command (see COMMANDS, default
+ * "run"). `required` is either true or the list of commands needing the option.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { readSecretFile, MASK } = require('./secrets');
+const { checkManifestFile } = require('./site-manifest');
+const { checkUsersFile } = require('./workspace-users');
+
+// Datasource overrides: { "<name>": { url, headers: { "<key>": "<value>" | null } } }
+function checkDatasourceOverrides(overrides) {
+    const errors = [];
+    if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return ['expected a mapping of datasource name to { url, headers }'];
+    }
+    for (const [name, override] of Object.entries(overrides)) {
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            errors.push(`"${name}": expected { url, headers }`);
+            continue;
+        }
+        for (const key of Object.keys(override).filter(k => !['url', 'headers'].includes(k))) {
+            errors.push(`"${name}": unknown setting "${key}" (use url, headers)`);
+        }
+        if (override.url !== undefined && !/^https?:\/\/[^\s/]+/.test(override.url)) {
+            errors.push(`"${name}": url must be an http(s) URL, got "${override.url}"`);
+        }
+        const headers = override.headers || {};
+        if (typeof headers !== 'object' || Array.isArray(headers) ||
+            Object.values(headers).some(v => v !== null && typeof v !== 'string')) {
+            errors.push(`"${name}": headers must map header names to strings (null removes a header)`);
+        }
+    }
+    return errors;
+}
+
+// type: string | url | number | boolean | enum | json (object; JSON text in env/flags)
+const OPTIONS = [
+    { path: 'appsmithUrl', env: 'APPSMITH_URL', flag: 'appsmith-url', type: 'url', default: 'http://localhost', description: 'Appsmith base URL' },
+    { path: 'appsmithVersion', env: 'APPSMITH_VERSION', flag: 'appsmith-version', type: 'string', default: '1.88', description: 'Appsmith version (selects the UI selector set)' },
+
+    { path: 'admin.email', env: 'ADMIN_EMAIL', flag: 'admin-email', type: 'string', default: 'admin@netswift.com', pattern: /^[^@\s]+@[^@\s]+$/, description: 'Appsmith admin email' },
+    { path: 'admin.password', env: 'ADMIN_PASSWORD', flag: 'admin-password', type: 'string', required: ['run', 'export'], requiredHint: 'or set ADMIN_PASSWORD_FILE', secret: true, minLength: 8, description: 'Appsmith admin password (prefer --admin-password-file)' },
+    { path: 'admin.passwordFile', env: 'ADMIN_PASSWORD_FILE', flag: 'admin-password-file', type: 'string', description: 'File holding the admin password ("-" reads stdin)' },
+    { path: 'admin.firstName', env: 'ADMIN_FIRSTNAME', flag: 'admin-first-name', type: 'string', default: 'NetSwift', description: 'Admin first name' },
+    { path: 'admin.lastName', env: 'ADMIN_LASTNAME', flag: 'admin-last-name', type: 'string', default: 'Admin', description: 'Admin last name' },
+    { path: 'admin.name', env: 'ADMIN_NAME', flag: 'admin-name', type: 'string', default: 'NetSwift Admin', description: 'Admin full name' },
+
+    { path: 'app.jsonPath', env: 'APP_JSON_PATH', flag: 'app-json-path', type: 'string', required: ['run', 'validate', 'contract'], file: true, description: 'Appsmith export (netswift.json) to import' },
+    { path: 'app.importMode', env: 'IMPORT_MODE', flag: 'import-mode', type: 'enum', values: ['api', 'ui'], default: 'api', description: 'Import through the REST API or the UI' },
+    { path: 'app.workspaceId', env: 'WORKSPACE_ID', flag: 'workspace-id', type: 'string', description: 'Target workspace (default: first workspace)' },
+    { path: 'app.name', env: 'APP_NAME', flag: 'app-name', type: 'string', description: 'Application name in Appsmith (default: the name in app.jsonPath)' },
+    { path: 'app.id', env: 'APP_ID', flag: 'app-id', type: 'string', description: 'Application to update or export (default: the stored ID, else found by app.name)' },
+
+    { path: 'datasource.name', env: 'DATASOURCE_NAME', flag: 'datasource-name', type: 'string', default: 'NetSwift API', description: 'Backend datasource name in the export' },
+    { path: 'datasource.url', env: 'DATASOURCE_URL', flag: 'datasource-url', type: 'url', default: 'http://172.17.0.1:8000', description: 'Backend datasource URL (written into the export before import)' },
+    { path: 'datasource.removeUnused', env: 'REMOVE_UNUSED_DATASOURCES', flag: 'remove-unused-datasources', type: 'boolean', default: false, description: 'Drop datasources no action uses from the imported copy' },
+    { path: 'datasources', env: 'DATASOURCES', flag: 'datasources', type: 'json', check: checkDatasourceOverrides, description: 'More datasource overrides: {"<name>": {"url": ..., "headers": {...}}}' },
+    { path: 'manifest', env: 'MANIFEST', flag: 'manifest', type: 'string', file: true, check: checkManifestFile, description: 'Multi-site manifest (YAML/JSON): one workspace and app per site, see site-manifest.js' },
+    { path: 'users.file', env: 'USERS_FILE', flag: 'users-file', type: 'string', file: true, check: checkUsersFile, description: 'Users to invite after import (YAML/JSON: email, name, role), see workspace-users.js' },
+    { path: 'app.patchedPath', env: 'PATCHED_JSON_PATH', flag: 'patched-json-path', type: 'string', default: '/opt/netswift/netswift.patched.json', description: 'Where the patched copy of the export is written for import' },
+
+    { path: 'adminSettings.instanceName', env: 'INSTANCE_NAME', flag: 'instance-name', type: 'string', description: 'Appsmith instance name' },
+    { path: 'adminSettings.signupDisabled', env: 'DISABLE_SIGNUP', flag: 'disable-signup', type: 'boolean', description: 'Turn public signup off (true) or on (false) after inviting users' },
+    { path: 'adminSettings.customDomain', env: 'CUSTOM_DOMAIN', flag: 'custom-domain', type: 'string', pattern: /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)+$/i, description: 'Custom domain served over HTTPS (host name, no scheme)' },
+    { path: 'adminSettings.smtp.host', env: 'SMTP_HOST', flag: 'smtp-host', type: 'string', description: 'SMTP server for Appsmith mail (turns mail on)' },
+    { path: 'adminSettings.smtp.port', env: 'SMTP_PORT', flag: 'smtp-port', type: 'number', min: 1, description: 'SMTP port' },
+    { path: 'adminSettings.smtp.username', env: 'SMTP_USERNAME', flag: 'smtp-username', type: 'string', description: 'SMTP user (turns SMTP authentication on)' },
+    { path: 'adminSettings.smtp.password', env: 'SMTP_PASSWORD', flag: 'smtp-password', type: 'string', secret: true, description: 'SMTP password' },
+    { path: 'adminSettings.smtp.from', env: 'SMTP_FROM', flag: 'smtp-from', type: 'string', pattern: /^[^@\s]+@[^@\s]+$/, description: 'Sender address for Appsmith mail' },
+    { path: 'adminSettings.smtp.replyTo', env: 'SMTP_REPLY_TO', flag: 'smtp-reply-to', type: 'string', pattern: /^[^@\s]+@[^@\s]+$/, description: 'Reply-to address for Appsmith mail' },
+    { path: 'adminSettings.smtp.tls', env: 'SMTP_TLS', flag: 'smtp-tls', type: 'boolean', description: 'Use STARTTLS for SMTP' },
+
+    { path: 'smoke.enabled', env: 'SMOKE_TEST', flag: 'smoke-test', type: 'boolean', default: false, description: 'After deploying, sign into NetSwift and check every page loads its data' },
+    { path: 'smoke.username', env: 'SMOKE_USERNAME', flag: 'smoke-username', type: 'string', default: 'admin', description: 'Backend account the smoke step signs into the NetSwift LoginPage with (the stub backend has admin/admin)' },
+    { path: 'smoke.password', env: 'SMOKE_PASSWORD', flag: 'smoke-password', type: 'string', secret: true, description: 'Password of the smoke step backend account (required with smoke.enabled)' },
+    { path: 'smoke.pageTimeout', env: 'SMOKE_PAGE_TIMEOUT', flag: 'smoke-page-timeout', type: 'number', min: 1000, default: 30000, description: 'How long each page may take to run its on-load queries (ms)' },
+
+    { path: 'state.file', env: 'STATE_FILE', flag: 'state-file', type: 'string', default: '/opt/netswift/automation-state.json', description: 'Step state file (completed steps are skipped)' },
+    { path: 'report.file', env: 'RUN_REPORT', flag: 'run-report', type: 'string', default: '/opt/netswift/run-report.json', description: 'Machine-readable run report written at exit' },
+    { path: 'backup.dir', env: 'BACKUP_DIR', flag: 'backup-dir', type: 'string', default: '/opt/netswift/backups', description: 'Where the export command saves app backups' },
+    { path: 'backup.keep', env: 'BACKUP_KEEP', flag: 'backup-keep', type: 'number', min: 0, default: 0, description: 'Number of backups to keep (0 keeps all)' },
+    { path: 'contract.file', env: 'CONTRACT_FILE', flag: 'contract-file', type: 'string', default: '/opt/netswift/netswift.openapi.json', description: 'Where the contract command writes the OpenAPI document' },
+    { path: 'contract.datasource', env: 'CONTRACT_DATASOURCE', flag: 'contract-datasource', type: 'string', default: 'NetSwift API', description: 'Datasource whose REST queries make up the backend contract' },
+    { path: 'selectorReport', env: 'SELECTOR_REPORT', flag: 'selector-report', type: 'string', default: '/tmp/appsmith-selector-report.json', description: 'Where to save the matched-selector report' },
+
+    { path: 'log.format', env: 'LOG_FORMAT', flag: 'log-format', type: 'enum', values: ['text', 'json'], default: 'text', description: 'Console output: text, or one JSON event per line' },
+
+    { path: 'playwright.headless', env: 'HEADLESS', flag: 'headless', type: 'boolean', default: true, description: 'Run the browser headless' },
+    { path: 'playwright.timeout', env: 'TIMEOUT', flag: 'timeout', type: 'number', min: 1000, default: 90000, description: 'Default Playwright timeout (ms)' },
+    { path: 'playwright.recordTrace', env: 'RECORD_TRACE', flag: 'record-trace', type: 'boolean', default: true, description: 'Record a Playwright trace' },
+    { path: 'playwright.alwaysSaveTrace', env: 'ALWAYS_SAVE_TRACE', flag: 'always-save-trace', type: 'boolean', default: false, description: 'Save the trace on success too' },
+    { path: 'playwright.slowMo', env: 'SLOWMO', flag: 'slowmo', type: 'number', min: 0, default: 0, description: 'Slow down each browser action (ms)' }
+];
+
+// Commands selected by the first positional argument
+const COMMANDS = {
+    run: 'Create the admin, import and publish NetSwift (default)',
+    validate: 'Check the app export (app.jsonPath) against the target Appsmith and exit',
+    export: 'Export the deployed app from Appsmith into backup.dir',
+    diff: 'Show what changes between two exports; exits 1 if they differ\n' +
+        'diff                  deployed app -> app.jsonPath\n' +
+        'diff OLD.json         OLD.json -> app.jsonPath\n' +
+        'diff OLD.json NEW.json',
+    contract: 'Write the OpenAPI contract of the app\'s REST queries (app.jsonPath) to contract.file\n' +
+        'and list inconsistent routes; exits 1 if the backend lacks a route or method\n' +
+        'contract              contract and route checks only\n' +
+        'contract SPEC         also compare with the backend\'s OpenAPI document (URL or file,\n' +
+        '                      e.g. http://172.17.0.1:8000/openapi.json)'
+};
+const DEFAULT_COMMAND = 'run';
+
+// Positional arguments each command accepts after its name
+const COMMAND_ARGS = { diff: 2, contract: 1 };
+
+// Flags that control the run rather than the configuration
+const RUN_FLAGS = {
+    config: { type: 'string', description: 'Config file (YAML or JSON), also CONFIG_FILE' },
+    'from-step': { type: 'string', description: 'Rerun from this step (wait, admin, transform, import, url, users, admin-settings, smoke; site-<name> with a manifest)' },
+    'only-step': { type: 'string', description: 'Run only this step' },
+    'allow-duplicate': { type: 'boolean', description: 'Import a new copy even if the app already exists (default: update it in place)' },
+    'print-config': { type: 'boolean', description: 'Print the resolved configuration (secrets masked) and exit' },
+    help: { type: 'boolean', short: 'h', description: 'Show this help' }
+};
+
+function getPath(object, dotted) {
+    return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, dotted, value) {
+    const keys = dotted.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+    target[last] = value;
+}
+
+function buildDefaults() {
+    const defaults = {};
+    for (const option of OPTIONS) {
+        setPath(defaults, option.path, option.default);
+    }
+    return defaults;
+}
+
+// Env vars and flags are strings; config files may already carry the right type
+function coerce(option, raw, source, errors) {
+    if (raw === undefined || raw === null || raw === '') {
+        return undefined;
+    }
+
+    if (option.type === 'number') {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isInteger(value)) {
+            errors.push(`${option.path}: expected an integer, got "${raw}" (from ${source})`);
+            return undefined;
+        }
+        return value;
+    }
+
+    if (option.type === 'boolean') {
+        if (typeof raw === 'boolean') return raw;
+        const normalized = String(raw).trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+        if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+        errors.push(`${option.path}: expected true or false, got "${raw}" (from ${source})`);
+        return undefined;
+    }
+
+    if (option.type === 'json') {
+        if (typeof raw === 'object') return raw;
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            errors.push(`${option.path}: expected JSON, got "${raw}" (from ${source})`);
+            return undefined;
+        }
+    }
+
+    if (typeof raw === 'object') {
+        errors.push(`${option.path}: expected a ${option.type}, got an object (from ${source})`);
+        return undefined;
+    }
+    return String(raw);
+}
+
+function readConfigFile(filePath, errors) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (e) {
+        errors.push(`config file: cannot read ${filePath} (${e.code || e.message})`);
+        return {};
+    }
+
+    try {
+        const parsed = path.extname(filePath).toLowerCase() === '.json'
+            ? JSON.parse(content)
+            : YAML.parse(content);
+        if (parsed === null || parsed === undefined) {
+            return {};
+        }
+        if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+            errors.push(`config file: ${filePath} must contain a mapping of options`);
+            return {};
+        }
+        return parsed;
+    } catch (e) {
+        errors.push(`config file: ${filePath} is not valid ${path.extname(filePath) === '.json' ? 'JSON' : 'YAML'} (${e.message.split('\n')[0]})`);
+        return {};
+    }
+}
+
+// Report keys in the config file that do not map to any option (typos)
+function findUnknownKeys(object, prefix = '') {
+    const known = new Set(OPTIONS.map(o => o.path));
+    const unknown = [];
+    for (const [key, value] of Object.entries(object)) {
+        const dotted = prefix ? `${prefix}.${key}` : key;
+        if (known.has(dotted)) continue;
+        const isSection = OPTIONS.some(o => o.path.startsWith(`${dotted}.`));
+        if (isSection && value && typeof value === 'object' && !Array.isArray(value)) {
+            unknown.push(...findUnknownKeys(value, dotted));
+        } else {
+            unknown.push(dotted);
+        }
+    }
+    return unknown;
+}
+
+function parseCommandLine(argv, errors) {
+    const options = {};
+    for (const [name, spec] of Object.entries(RUN_FLAGS)) {
+        options[name] = { type: spec.type, ...(spec.short ? { short: spec.short } : {}) };
+    }
+    for (const option of OPTIONS) {
+        options[option.flag] = { type: 'string' };
+    }
+
+    // Non-strict parsing so one bad flag does not hide problems in the others
+    const { values, positionals } = parseArgs({ args: argv, options, strict: false, allowPositionals: true });
+
+    for (const [name, value] of Object.entries(values)) {
+        if (!options[name]) {
+            errors.push(`command line: unknown option --${name}`);
+            delete values[name];
+        } else if (options[name].type === 'string' && typeof value !== 'string') {
+            errors.push(`command line: --${name} requires a value`);
+            delete values[name];
+        }
+    }
+    const [command = DEFAULT_COMMAND, ...rest] = positionals;
+    if (!COMMANDS[command]) {
+        errors.push(`command line: unknown command "${command}" (valid commands: ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    const args = rest.slice(0, COMMAND_ARGS[command] || 0);
+    for (const positional of rest.slice(args.length)) {
+        errors.push(`command line: unexpected argument "${positional}"`);
+    }
+    return { values, command: COMMANDS[command] ? command : DEFAULT_COMMAND, args };
+}
+
+function isRequired(option, command) {
+    return option.required === true || (Array.isArray(option.required) && option.required.includes(command));
+}
+
+// Check the merged config for `command`; returns every problem found, not just the first
+function validateConfig(config, command = DEFAULT_COMMAND) {
+    const errors = [];
+
+    for (const option of OPTIONS) {
+        const value = getPath(config, option.path);
+        const name = `${option.path} (${option.env} / --${option.flag})`;
+
+        if (value === undefined || value === null || value === '') {
+            if (isRequired(option, command)) errors.push(`${name}: is required${option.requiredHint ? ` (${option.requiredHint})` : ''}`);
+            continue;
+        }
+
+        if (option.type === 'url' && !/^https?:\/\/[^\s/]+/.test(value)) {
+            errors.push(`${name}: must be an http(s) URL, got "${value}"`);
+        }
+        if (option.type === 'enum' && !option.values.includes(value)) {
+            errors.push(`${name}: must be one of ${option.values.join(', ')}, got "${value}"`);
+        }
+        if (option.min !== undefined && value < option.min) {
+            errors.push(`${name}: must be at least ${option.min}, got ${value}`);
+        }
+        if (option.minLength !== undefined && String(value).length < option.minLength) {
+            errors.push(`${name}: must be at least ${option.minLength} characters`);
+        }
+        if (option.pattern && !option.pattern.test(value)) {
+            errors.push(`${name}: "${value}" is not valid`);
+        }
+        if (option.file && !fs.existsSync(value)) {
+            errors.push(`${name}: file not found: ${value}`);
+        }
+        if (option.check) {
+            errors.push(...option.check(value).map(problem => `${name}: ${problem}`));
+        }
+    }
+
+    if (config.manifest && config.app.importMode === 'ui') {
+        errors.push('manifest (MANIFEST / --manifest): sites are imported through the API, set app.importMode to api');
+    }
+    if (command === 'run' && config.smoke.enabled && !config.smoke.password) {
+        errors.push('smoke.password (SMOKE_PASSWORD / --smoke-password): is required when smoke.enabled is set');
+    }
+
+    return errors;
+}
+
+// Read the admin password from ADMIN_PASSWORD_FILE (file or stdin)
+function loadPasswordFile(config, errors) {
+    const { passwordFile, password } = config.admin;
+    if (!passwordFile) {
+        return;
+    }
+    if (password) {
+        errors.push('admin.password: set either ADMIN_PASSWORD or ADMIN_PASSWORD_FILE, not both');
+        return;
+    }
+    try {
+        config.admin.password = readSecretFile(passwordFile);
+    } catch (e) {
+        errors.push(`admin.passwordFile: cannot read password (${e.code || e.message})`);
+    }
+}
+
+/**
+ * Resolve the configuration from all sources.
+ * Returns { config, run, errors } where `run` holds the command, its
+ * arguments and the run flags (fromStep, onlyStep, allowDuplicate,
+ * printConfig, help) and `errors` lists every problem.
+ * With loadSecrets: false the password file is not read (no stdin access).
+ */
+function resolveConfig({ argv = [], env = process.env, loadSecrets = true } = {}) {
+    const errors = [];
+    const { values: flags, command, args } = parseCommandLine(argv, errors);
+    const config = buildDefaults();
+
+    const configFile = flags.config || env.CONFIG_FILE;
+    if (configFile) {
+        const fileValues = readConfigFile(configFile, errors);
+        for (const key of findUnknownKeys(fileValues)) {
+            errors.push(`config file: unknown option "${key}"`);
+        }
+        for (const option of OPTIONS) {
+            const value = coerce(option, getPath(fileValues, option.path), configFile, errors);
+            if (value !== undefined) setPath(config, option.path, value);
+        }
+    }
+
+    for (const option of OPTIONS) {
+        const value = coerce(option, env[option.env], option.env, errors);
+        if (value !== undefined) setPath(config, option.path, value);
+    }
+
+    for (const option of OPTIONS) {
+        const value = coerce(option, flags[option.flag], `--${option.flag}`, errors);
+        if (value !== undefined) setPath(config, option.path, value);
+    }
+
+    if (loadSecrets) {
+        loadPasswordFile(config, errors);
+    }
+
+    errors.push(...validateConfig(config, command));
+
+    return {
+        config,
+        configFile: configFile || null,
+        run: {
+            command,
+            args,
+            fromStep: flags['from-step'],
+            onlyStep: flags['only-step'],
+            allowDuplicate: Boolean(flags['allow-duplicate']),
+            printConfig: Boolean(flags['print-config']),
+            help: Boolean(flags.help)
+        },
+        errors
+    };
+}
+
+// Copy of the config with every secret replaced by a mask
+function maskSecrets(config) {
+    const masked = JSON.parse(JSON.stringify(config));
+    for (const option of OPTIONS.filter(o => o.secret)) {
+        if (getPath(masked, option.path)) {
+            setPath(masked, option.path, MASK);
+        }
+    }
+    return masked;
+}
+
+function formatHelp(scriptName = 'appsmith-automation-json.js') {
+    const lines = [
+        `Usage: node ${scriptName} [command] [arguments] [options]`,
+        '',
+        'Configuration precedence: defaults < config file < environment < flags',
+        '',
+        'Commands:'
+    ];
+    for (const [name, description] of Object.entries(COMMANDS)) {
+        const [first, ...more] = description.split('\n');
+        lines.push(`  ${name.padEnd(10)}${first}`);
+        more.forEach(line => lines.push(`  ${''.padEnd(10)}  ${line}`));
+    }
+    lines.push('', 'Options:');
+
+    const rows = OPTIONS.map(o => [
+        `--${o.flag} <${o.type === 'enum' ? o.values.join('|') : o.type}>`,
+        `${o.description}${o.required === true ? ' (required)' : o.required ? ` (required for ${o.required.join(', ')})` : ''}`,
+        `env ${o.env}${o.default !== undefined && o.default !== '' ? `, default ${o.default}` : ''}`
+    ]);
+    const width = Math.max(...rows.map(r => r[0].length)) + 2;
+    for (const [flag, description, details] of rows) {
+        lines.push(`  ${flag.padEnd(width)}${description}`);
+        lines.push(`  ${''.padEnd(width)}${details}`);
+    }
+
+    lines.push('', 'Run control:');
+    for (const [flag, spec] of Object.entries(RUN_FLAGS)) {
+        const usage = spec.type === 'string' ? `--${flag} <value>` : `--${flag}`;
+        lines.push(`  ${usage.padEnd(width)}${spec.description}`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    OPTIONS,
+    COMMANDS,
+    resolveConfig,
+    validateConfig,
+    maskSecrets,
+    formatHelp
+};
@@ -0,0 +1,385 @@
+/**
+ * Semantic diff between two Appsmith application exports
+ *
+ * A raw diff of netswift.json (one huge JSON document) says nothing useful.
+ * diffExports() compares the parts a reviewer cares about, keyed by name so
+ * the server-generated IDs of a live export do not show up as changes:
+ *
+ * - pages:       added / removed, default page
+ * - actions:     queries added / removed, method, path, body, headers, ...
+ * - jsObjects:   JS objects added / removed, functions changed per object
+ * - widgets:     per page, widgets added / removed / changed (property names)
+ * - datasources: added / removed, URL and header changes (values hidden)
+ * - theme:       edit and published theme settings
+ *
+ * Each changed entry is { change: 'added' | 'removed' | 'changed', ... }.
+ */
+
+// Query settings compared field by field (from actionConfiguration unless noted)
+const ACTION_FIELDS = {
+    method: a => a.actionConfiguration.httpMethod,
+    path: a => a.actionConfiguration.path,
+    body: a => a.actionConfiguration.body,
+    headers: a => keyValues(a.actionConfiguration.headers),
+    queryParameters: a => keyValues(a.actionConfiguration.queryParameters),
+    datasource: a => (a.datasource || {}).name,
+    runBehaviour: a => a.runBehaviour
+};
+
+// Widget properties that change on every save or only mirror the tree
+const IGNORED_WIDGET_PROPERTIES = new Set(['widgetId', 'parentId', 'children', 'key', 'isLoading', 'renderMode']);
+const LAYOUT_PROPERTIES = new Set(['topRow', 'bottomRow', 'leftColumn', 'rightColumn', 'parentRowSpace', 'parentColumnSpace', 'minHeight']);
+
+// Theme fields that identify rather than describe the theme
+const IGNORED_THEME_FIELDS = new Set(['id', 'userPermissions', 'policies', 'policyMap', 'new']);
+
+function keyValues(list) {
+    return (list || [])
+        .filter(entry => entry && entry.key)
+        .map(entry => `${entry.key}: ${entry.value}`)
+        .join('\n');
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function list(exported, section) {
+    return Array.isArray(exported[section]) ? exported[section] : [];
+}
+
+// Added / removed / common keys of two maps, in a stable order
+function compareKeys(before, after) {
+    return {
+        added: [...after.keys()].filter(k => !before.has(k)).sort(),
+        removed: [...before.keys()].filter(k => !after.has(k)).sort(),
+        common: [...after.keys()].filter(k => before.has(k)).sort()
+    };
+}
+
+function pagesOf(exported) {
+    const defaults = new Set(((exported.exportedApplication || {}).pages || [])
+        .filter(p => p.isDefault)
+        .map(p => p.id));
+    return new Map(list(exported, 'pageList').map(p => {
+        const page = p.unpublishedPage || {};
+        return [page.name, { ...page, isDefault: defaults.has(page.name) }];
+    }));
+}
+
+function queriesOf(exported) {
+    return new Map(list(exported, 'actionList')
+        .filter(a => a.pluginType !== 'JS' && !(a.unpublishedAction || {}).collectionId)
+        .map(a => {
+            const action = { actionConfiguration: {}, ...a.unpublishedAction };
+            return [`${action.pageId}/${action.name}`, action];
+        }));
+}
+
+// JS objects with their functions: "page/Object" -> { body, functions: Map(name -> body) }
+function jsObjectsOf(exported) {
+    const objects = new Map();
+    const namesById = new Map();
+
+    for (const collection of list(exported, 'actionCollectionList')) {
+        const unpublished = collection.unpublishedCollection || {};
+        const key = `${unpublished.pageId}/${unpublished.name}`;
+        namesById.set(collection.id, key);
+        objects.set(key, { body: unpublished.body, variables: unpublished.variables || [], functions: new Map() });
+    }
+
+    for (const action of list(exported, 'actionList')) {
+        const unpublished = action.unpublishedAction || {};
+        const object = objects.get(namesById.get(unpublished.collectionId));
+        if (object) {
+            object.functions.set(unpublished.name, (unpublished.actionConfiguration || {}).body);
+        }
+    }
+    return objects;
+}
+
+// Flatten a page's widget tree: widgetName -> { widget, parent }
+function widgetsOf(page) {
+    const widgets = new Map();
+    const layout = (page.layouts || [])[0] || {};
+
+    const visit = (widget, parent) => {
+        if (!widget || typeof widget !== 'object') return;
+        widgets.set(widget.widgetName, { widget, parent });
+        for (const child of widget.children || []) {
+            visit(child, widget.widgetName);
+        }
+    };
+    // The root MainContainer is the page canvas, not a widget of its own
+    for (const child of (layout.dsl || {}).children || []) {
+        visit(child, null);
+    }
+    return widgets;
+}
+
+// Added or removed containers take their children with them; report the
+// outermost widget only, with the number of widgets inside it
+function collapseWidgets(names, widgets) {
+    const listed = new Set(names);
+    const nested = name => [...widgets.values()].filter(w => w.parent === name).map(w => w.widget.widgetName)
+        .reduce((count, child) => count + 1 + nested(child), 0);
+
+    return names
+        .filter(name => !listed.has(widgets.get(name).parent))
+        .map(name => ({ widget: name, type: widgets.get(name).widget.type, nested: nested(name) }));
+}
+
+function diffPages(before, after) {
+    const { added, removed, common } = compareKeys(before, after);
+    const defaultOf = pages => [...pages.values()].filter(p => p.isDefault).map(p => p.name)[0] || null;
+    const hidden = common.filter(name => Boolean(before.get(name).isHidden) !== Boolean(after.get(name).isHidden));
+
+    return {
+        added,
+        removed,
+        hidden: hidden.map(name => ({ page: name, before: Boolean(before.get(name).isHidden), after: Boolean(after.get(name).isHidden) })),
+        defaultPage: defaultOf(before) === defaultOf(after) ? null : { before: defaultOf(before), after: defaultOf(after) }
+    };
+}
+
+function diffActions(before, after) {
+    const { added, removed, common } = compareKeys(before, after);
+    const changes = [
+        ...added.map(key => ({ action: key, change: 'added', method: ACTION_FIELDS.method(after.get(key)), path: ACTION_FIELDS.path(after.get(key)) })),
+        ...removed.map(key => ({ action: key, change: 'removed', method: ACTION_FIELDS.method(before.get(key)), path: ACTION_FIELDS.path(before.get(key)) }))
+    ];
+
+    for (const key of common) {
+        const fields = Object.entries(ACTION_FIELDS)
+            .map(([field, read]) => ({ field, before: read(before.get(key)), after: read(after.get(key)) }))
+            .filter(f => !same(f.before, f.after));
+        if (fields.length > 0) {
+            changes.push({ action: key, change: 'changed', fields });
+        }
+    }
+    return changes;
+}
+
+function diffJsObjects(before, after) {
+    const { added, removed, common } = compareKeys(before, after);
+    const changes = [
+        ...added.map(key => ({ jsObject: key, change: 'added', functions: [...after.get(key).functions.keys()].sort() })),
+        ...removed.map(key => ({ jsObject: key, change: 'removed', functions: [...before.get(key).functions.keys()].sort() }))
+    ];
+
+    for (const key of common) {
+        const functionsBefore = before.get(key).functions;
+        const functionsAfter = after.get(key).functions;
+        const fn = compareKeys(functionsBefore, functionsAfter);
+        const functions = [
+            ...fn.added.map(name => ({ name, change: 'added' })),
+            ...fn.removed.map(name => ({ name, change: 'removed' })),
+            ...fn.common
+                .filter(name => functionsBefore.get(name) !== functionsAfter.get(name))
+                .map(name => ({ name, change: 'changed', lines: lineCounts(functionsBefore.get(name), functionsAfter.get(name)) }))
+        ];
+        // Body edits outside any function (variables, comments)
+        const otherChanges = functions.length === 0 && before.get(key).body !== after.get(key).body;
+
+        if (functions.length > 0 || otherChanges) {
+            changes.push({ jsObject: key, change: 'changed', functions, bodyOnly: otherChanges });
+        }
+    }
+    return changes;
+}
+
+function diffWidgets(pagesBefore, pagesAfter) {
+    const changes = [];
+
+    for (const page of [...pagesAfter.keys()].filter(name => pagesBefore.has(name)).sort()) {
+        const before = widgetsOf(pagesBefore.get(page));
+        const after = widgetsOf(pagesAfter.get(page));
+        const { added, removed, common } = compareKeys(before, after);
+        const changed = [];
+
+        for (const name of common) {
+            const a = before.get(name);
+            const b = after.get(name);
+            const keys = new Set([...Object.keys(a.widget), ...Object.keys(b.widget)]);
+            const properties = [...keys]
+                .filter(k => !IGNORED_WIDGET_PROPERTIES.has(k) && !same(a.widget[k], b.widget[k]))
+                .sort();
+            const moved = a.parent !== b.parent;
+
+            if (properties.length > 0 || moved) {
+                changed.push({
+                    widget: name,
+                    type: b.widget.type,
+                    properties: properties.filter(k => !LAYOUT_PROPERTIES.has(k)).map(k => ({ property: k, before: a.widget[k], after: b.widget[k] })),
+                    layout: properties.some(k => LAYOUT_PROPERTIES.has(k)),
+                    ...(moved ? { parent: { before: a.parent, after: b.parent } } : {})
+                });
+            }
+        }
+
+        if (added.length + removed.length + changed.length > 0) {
+            changes.push({
+                page,
+                added: collapseWidgets(added, after),
+                removed: collapseWidgets(removed, before),
+                changed
+            });
+        }
+    }
+    return changes;
+}
+
+// Header values can be credentials, so only the header names are reported
+function diffDatasources(exportedBefore, exportedAfter) {
+    const read = exported => new Map(list(exported, 'datasourceList').map(d => [d.name, d]));
+    const before = read(exportedBefore);
+    const after = read(exportedAfter);
+    const { added, removed, common } = compareKeys(before, after);
+    const configuration = d => d.datasourceConfiguration || {};
+    const headers = d => new Map((configuration(d).headers || []).map(h => [h.key, h.value]));
+
+    const changes = [
+        ...added.map(name => ({ datasource: name, change: 'added', url: configuration(after.get(name)).url })),
+        ...removed.map(name => ({ datasource: name, change: 'removed', url: configuration(before.get(name)).url }))
+    ];
+
+    for (const name of common) {
+        const fields = [];
+        const urlBefore = configuration(before.get(name)).url;
+        const urlAfter = configuration(after.get(name)).url;
+        if (urlBefore !== urlAfter) {
+            fields.push({ field: 'url', before: urlBefore, after: urlAfter });
+        }
+        if (before.get(name).pluginId !== after.get(name).pluginId) {
+            fields.push({ field: 'plugin', before: before.get(name).pluginId, after: after.get(name).pluginId });
+        }
+
+        const headersBefore = headers(before.get(name));
+        const headersAfter = headers(after.get(name));
+        const h = compareKeys(headersBefore, headersAfter);
+        const changedHeaders = [
+            ...h.added.map(key => `+${key}`),
+            ...h.removed.map(key => `-${key}`),
+            ...h.common.filter(key => headersBefore.get(key) !== headersAfter.get(key)).map(key => `~${key}`)
+        ];
+        if (changedHeaders.length > 0) {
+            fields.push({ field: 'headers', headers: changedHeaders });
+        }
+
+        if (fields.length > 0) {
+            changes.push({ datasource: name, change: 'changed', fields });
+        }
+    }
+    return changes;
+}
+
+function diffTheme(before, after) {
+    const changes = [];
+    for (const section of ['editModeTheme', 'publishedTheme']) {
+        const a = before[section] || {};
+        const b = after[section] || {};
+        for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            if (!IGNORED_THEME_FIELDS.has(field) && !same(a[field], b[field])) {
+                changes.push({ theme: section, field, before: a[field], after: b[field] });
+            }
+        }
+    }
+    return changes;
+}
+
+function lineCounts(before, after) {
+    const count = text => (typeof text === 'string' && text !== '' ? text.split('\n').length : 0);
+    return { before: count(before), after: count(after) };
+}
+
+function diffExports(before, after) {
+    const pagesBefore = pagesOf(before);
+    const pagesAfter = pagesOf(after);
+
+    return {
+        pages: diffPages(pagesBefore, pagesAfter),
+        actions: diffActions(queriesOf(before), queriesOf(after)),
+        jsObjects: diffJsObjects(jsObjectsOf(before), jsObjectsOf(after)),
+        widgets: diffWidgets(pagesBefore, pagesAfter),
+        datasources: diffDatasources(before, after),
+        theme: diffTheme(before, after)
+    };
+}
+
+function hasChanges(diff) {
+    const { pages } = diff;
+    return pages.added.length + pages.removed.length + pages.hidden.length > 0 ||
+        Boolean(pages.defaultPage) ||
+        ['actions', 'jsObjects', 'widgets', 'datasources', 'theme'].some(section => diff[section].length > 0);
+}
+
+// Short single-line rendering of a value for the text report
+function show(value) {
+    if (value === undefined || value === null || value === '') return '(none)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const line = text.replace(/\s*\n\s*/g, ' ');
+    return line.length > 60 ? `"${line.slice(0, 57)}..."` : `"${line}"`;
+}
+
+function showField(field) {
+    if (typeof field.before === 'string' && typeof field.after === 'string' &&
+        (field.before.includes('\n') || field.after.includes('\n'))) {
+        const lines = lineCounts(field.before, field.after);
+        return `${field.field} changed (${lines.before} -> ${lines.after} lines)`;
+    }
+    return `${field.field}: ${show(field.before)} -> ${show(field.after)}`;
+}
+
+const SIGN = { added: '+', removed: '-', changed: '~' };
+
+function formatDiff(diff, { before = 'before', after = 'after' } = {}) {
+    const lines = [`Comparing ${before} -> ${after}`];
+    const section = (title, entries) => {
+        if (entries.length > 0) lines.push('', `${title}:`, ...entries.map(e => `  ${e}`));
+    };
+
+    section('Pages', [
+        ...diff.pages.added.map(name => `+ ${name}`),
+        ...diff.pages.removed.map(name => `- ${name}`),
+        ...diff.pages.hidden.map(h => `~ ${h.page}: ${h.after ? 'hidden' : 'shown'}`),
+        ...(diff.pages.defaultPage ? [`~ default page: ${diff.pages.defaultPage.before} -> ${diff.pages.defaultPage.after}`] : [])
+    ]);
+
+    section('Queries', diff.actions.flatMap(a => (a.change === 'changed'
+        ? [`~ ${a.action}`, ...a.fields.map(f => `    ${showField(f)}`)]
+        : [`${SIGN[a.change]} ${a.action}${a.method ? ` (${a.method} ${a.path || ''})` : ''}`])));
+
+    section('JS objects', diff.jsObjects.flatMap(o => {
+        if (o.change !== 'changed') {
+            return [`${SIGN[o.change]} ${o.jsObject} (${o.functions.join(', ') || 'no functions'})`];
+        }
+        return [
+            `~ ${o.jsObject}`,
+            ...o.functions.map(f => `    ${SIGN[f.change]} ${f.name}${f.lines ? ` (${f.lines.before} -> ${f.lines.after} lines)` : ''}`),
+            ...(o.bodyOnly ? ['    ~ variables or code outside functions'] : [])
+        ];
+    }));
+
+    section('Widgets', diff.widgets.flatMap(p => [
+        `${p.page}:`,
+        ...p.added.map(w => `  + ${w.widget} (${w.type})${w.nested ? ` with ${w.nested} widget(s) inside` : ''}`),
+        ...p.removed.map(w => `  - ${w.widget} (${w.type})${w.nested ? ` with ${w.nested} widget(s) inside` : ''}`),
+        ...p.changed.flatMap(w => [
+            `  ~ ${w.widget} (${w.type})${w.layout ? ' moved/resized' : ''}${w.parent ? `, now in ${w.parent.after || 'page'}` : ''}`,
+            ...w.properties.map(p => `      ${showField({ field: p.property, before: p.before, after: p.after })}`)
+        ])
+    ]));
+
+    section('Datasources', diff.datasources.flatMap(d => (d.change === 'changed'
+        ? [`~ ${d.datasource}`, ...d.fields.map(f => (f.field === 'headers'
+            ? `    headers: ${f.headers.join(' ')}`
+            : `    ${showField(f)}`))]
+        : [`${SIGN[d.change]} ${d.datasource}${d.url ? ` (${d.url})` : ''}`])));
+
+    section('Theme', diff.theme.map(t => `~ ${t.theme}.${showField(t)}`));
+
+    lines.push('', hasChanges(diff) ? 'Exports differ' : 'No differences');
+    return lines.join('\n');
+}
+
+module.exports = { diffExports, hasChanges, formatDiff };
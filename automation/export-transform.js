@@ -0,0 +1,151 @@
+/**
+ * Rewrite datasource settings inside an Appsmith export before import
+ *
+ * netswift.json hardcodes the backend URL of the machine it was exported
+ * from. transformExport() patches the datasources by name and returns a
+ * copy of the export plus the list of changes, so the import step can
+ * upload a patched file and log what was changed.
+ *
+ * Overrides: { "<datasource name>": { url, headers: { "<header>": value } } }
+ * - url replaces datasourceConfiguration.url
+ * - headers are set by key (case-insensitive); a null value removes the header
+ * - other headers and settings are left as exported
+ *
+ * appName renames the application (one copy per site, see site-manifest.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Header values that must not end up in logs
+const SENSITIVE_HEADER = /authorization|token|secret|password|api[-_]?key|cookie/i;
+
+// A datasource keeps its settings in datasourceConfiguration, or per
+// environment in datasourceStorages on newer exports
+function configurationsOf(datasource) {
+    const configurations = [];
+    if (datasource.datasourceConfiguration) {
+        configurations.push(['', datasource.datasourceConfiguration]);
+    }
+    for (const [environment, storage] of Object.entries(datasource.datasourceStorages || {})) {
+        if (storage && storage.datasourceConfiguration) {
+            configurations.push([` [${environment}]`, storage.datasourceConfiguration]);
+        }
+    }
+    return configurations;
+}
+
+function showHeader(key, value) {
+    if (value === undefined || value === null) return '(none)';
+    return SENSITIVE_HEADER.test(key) ? '********' : value;
+}
+
+function patchHeaders(configuration, headers, change) {
+    const list = Array.isArray(configuration.headers) ? configuration.headers : [];
+
+    for (const [key, value] of Object.entries(headers)) {
+        const index = list.findIndex(h => String(h.key).toLowerCase() === key.toLowerCase());
+        const before = index === -1 ? undefined : list[index].value;
+
+        if (value === null) {
+            if (index !== -1) {
+                list.splice(index, 1);
+                change(`header ${key}`, showHeader(key, before), '(removed)');
+            }
+            continue;
+        }
+        if (before === value) continue;
+
+        if (index === -1) {
+            list.push({ key, value });
+        } else {
+            list[index] = { ...list[index], value };
+        }
+        change(`header ${key}`, showHeader(key, before), showHeader(key, value));
+    }
+
+    configuration.headers = list;
+}
+
+// Values of auth-like headers in the overrides, for the log redactor
+function sensitiveHeaderValues(datasources = {}) {
+    return Object.values(datasources || {})
+        .flatMap(override => Object.entries((override && override.headers) || {}))
+        .filter(([key, value]) => SENSITIVE_HEADER.test(key) && typeof value === 'string')
+        .map(([, value]) => value);
+}
+
+// Datasources no action refers to
+function findUnusedDatasources(exported) {
+    const used = new Set((exported.actionList || [])
+        .map(a => ((a.unpublishedAction || {}).datasource || {}).name)
+        .filter(Boolean));
+    return (exported.datasourceList || []).map(d => d.name).filter(name => !used.has(name));
+}
+
+function transformExport(exported, { datasources = {}, removeUnused = false, appName = null } = {}) {
+    const patched = JSON.parse(JSON.stringify(exported));
+    const datasourceList = patched.datasourceList || [];
+    const changes = [];
+
+    const application = patched.exportedApplication || {};
+    if (appName && application.name !== appName) {
+        changes.push({ datasource: null, field: 'application name', before: application.name, after: appName });
+        application.name = appName;
+    }
+
+    for (const [name, override] of Object.entries(datasources)) {
+        const datasource = datasourceList.find(d => d.name === name);
+        if (!datasource) {
+            const available = datasourceList.map(d => `"${d.name}"`).join(', ') || 'none';
+            throw new Error(`Datasource "${name}" not found in the export (available: ${available})`);
+        }
+
+        const configurations = configurationsOf(datasource);
+        if (configurations.length === 0) {
+            datasource.datasourceConfiguration = {};
+            configurations.push(['', datasource.datasourceConfiguration]);
+        }
+
+        for (const [environment, configuration] of configurations) {
+            const change = (field, before, after) => changes.push({ datasource: name + environment, field, before, after });
+
+            if (override.url && configuration.url !== override.url) {
+                change('url', configuration.url || '(none)', override.url);
+                configuration.url = override.url;
+            }
+            if (override.headers) {
+                patchHeaders(configuration, override.headers, change);
+            }
+        }
+    }
+
+    const removed = removeUnused ? findUnusedDatasources(patched) : [];
+    if (removed.length > 0) {
+        patched.datasourceList = datasourceList.filter(d => !removed.includes(d.name));
+        for (const name of removed) {
+            changes.push({ datasource: name, field: 'datasource', before: 'unused', after: '(removed)' });
+        }
+    }
+
+    return { exported: patched, changes, removed };
+}
+
+// One line per change, e.g.  "NetSwift API" url: http://a -> http://b
+function formatChanges(changes) {
+    return changes.map(c => `${c.datasource === null ? '' : `"${c.datasource}" `}${c.field}: ${c.before} -> ${c.after}`);
+}
+
+// Patch `inputPath` and write the result to `outputPath` (root-only, may hold
+// auth headers); returns the changes
+function transformExportFile(inputPath, outputPath, options) {
+    const exported = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+    const result = transformExport(exported, options);
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, JSON.stringify(result.exported, null, 2), { mode: 0o600 });
+    fs.chmodSync(outputPath, 0o600);
+    return result;
+}
+
+module.exports = { transformExport, transformExportFile, formatChanges, findUnusedDatasources, sensitiveHeaderValues };
@@ -0,0 +1,235 @@
+/**
+ * Pre-import checks for an Appsmith application export (netswift.json)
+ *
+ * A malformed or mismatched export otherwise fails deep inside the import
+ * (or imports with broken actions). validateExport() runs every check and
+ * returns all problems at once:
+ *
+ * - errors:   the import would fail or produce a broken app
+ * - warnings: the app imports, but something looks left over or suspicious
+ *
+ * Each problem is { check, message }, check being one of: format, schema,
+ * pages, datasources, names.
+ */
+
+const fs = require('fs');
+const { resolveVersion } = require('./selector-registry');
+
+// Newest export schema each Appsmith release can import (exports from a
+// newer server are rejected, older ones are migrated on import). Add an entry
+// when moving docker-compose.yml to a new Appsmith release.
+const SCHEMA_SUPPORT = {
+    '1.88': { artifactJsonType: 'APPLICATION', serverSchemaVersion: 12, clientSchemaVersion: 2 }
+};
+
+// Mock API hosts used while prototyping; a datasource pointing at one of
+// these in a production export is almost certainly a leftover
+const MOCK_API_HOSTS = ['mocki.io', 'mockapi.io', 'jsonplaceholder.typicode.com', 'reqres.in', 'httpbin.org'];
+
+// Placeholder datasource Appsmith attaches to JS functions
+const JS_DATASOURCE = 'UNUSED_DATASOURCE';
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isMockHost(host) {
+    return Boolean(host) && MOCK_API_HOSTS.some(mock => host === mock || host.endsWith(`.${mock}`));
+}
+
+function validateExport(exported, { appsmithVersion } = {}) {
+    const errors = [];
+    const warnings = [];
+    const error = (check, message) => errors.push({ check, message });
+    const warn = (check, message) => warnings.push({ check, message });
+
+    if (!exported || typeof exported !== 'object' || Array.isArray(exported)) {
+        error('format', 'Export is not a JSON object');
+        return { errors, warnings, stats: null };
+    }
+
+    // Format: the sections the import needs
+    if (!exported.exportedApplication || typeof exported.exportedApplication !== 'object') {
+        error('format', 'Missing "exportedApplication" (not an Appsmith application export?)');
+    }
+    for (const section of ['pageList', 'actionList', 'actionCollectionList', 'datasourceList']) {
+        if (exported[section] !== undefined && !Array.isArray(exported[section])) {
+            error('format', `"${section}" must be an array`);
+        }
+    }
+    const list = section => (Array.isArray(exported[section]) ? exported[section] : []);
+    const pageList = list('pageList');
+    const actionList = list('actionList');
+    const collectionList = list('actionCollectionList');
+    const datasourceList = list('datasourceList');
+
+    if (pageList.length === 0) {
+        error('format', '"pageList" is empty, the export has no pages');
+    }
+
+    // Schema: compatible with the target Appsmith
+    const supportVersion = resolveVersion(appsmithVersion, Object.keys(SCHEMA_SUPPORT));
+    const support = SCHEMA_SUPPORT[supportVersion];
+
+    if (exported.artifactJsonType === undefined) {
+        warn('schema', 'No "artifactJsonType" (export from an older Appsmith), assuming APPLICATION');
+    } else if (exported.artifactJsonType !== support.artifactJsonType) {
+        error('schema', `artifactJsonType is "${exported.artifactJsonType}", expected "${support.artifactJsonType}"`);
+    }
+
+    for (const field of ['serverSchemaVersion', 'clientSchemaVersion']) {
+        const version = Number(exported[field]);
+        if (exported[field] === undefined) {
+            warn('schema', `No "${field}" in the export`);
+        } else if (Number.isNaN(version)) {
+            error('schema', `${field} "${exported[field]}" is not a number`);
+        } else if (version > support[field]) {
+            error('schema', `${field} ${exported[field]} is newer than Appsmith ${supportVersion} supports (up to ${support[field]}); export from the same or an older Appsmith`);
+        }
+    }
+
+    // Pages: every action and JS object belongs to a page in pageList
+    const pageNames = new Set(pageList.map(p => (p.unpublishedPage || {}).name).filter(Boolean));
+    const collectionIds = new Set(collectionList.map(c => c.id).filter(Boolean));
+
+    const actions = actionList.map(a => ({
+        id: a.id,
+        pluginType: a.pluginType,
+        ...(a.unpublishedAction || {})
+    }));
+    const collections = collectionList.map(c => ({ id: c.id, ...(c.unpublishedCollection || {}) }));
+
+    for (const action of actions) {
+        const label = `Action "${action.name}" (${action.id})`;
+        if (!pageNames.has(action.pageId)) {
+            error('pages', `${label} references page "${action.pageId}" which is not in pageList`);
+        }
+        if (action.collectionId && !collectionIds.has(action.collectionId)) {
+            error('pages', `${label} belongs to JS object "${action.collectionId}" which is not in actionCollectionList`);
+        }
+    }
+    for (const collection of collections) {
+        if (!pageNames.has(collection.pageId)) {
+            error('pages', `JS object "${collection.name}" (${collection.id}) references page "${collection.pageId}" which is not in pageList`);
+        }
+    }
+
+    // Datasources: every query uses a datasource from datasourceList
+    const usage = new Map(datasourceList.map(d => [d.name, []]));
+    for (const action of actions) {
+        const datasource = action.datasource || {};
+        if (action.pluginType === 'JS' || datasource.name === JS_DATASOURCE) {
+            continue;
+        }
+        // Queries with an inline URL carry their own datasource configuration
+        if (datasource.datasourceConfiguration) {
+            continue;
+        }
+        if (!usage.has(datasource.name)) {
+            error('datasources', `Action "${action.name}" on ${action.pageId} uses datasource "${datasource.name}" which is not in datasourceList`);
+            continue;
+        }
+        usage.get(datasource.name).push(`${action.pageId}.${action.name}`);
+    }
+
+    for (const datasource of datasourceList) {
+        const url = (datasource.datasourceConfiguration || {}).url;
+        const usedBy = usage.get(datasource.name);
+        const reasons = [];
+
+        if (/^Untitled datasource/i.test(datasource.name)) {
+            reasons.push('has a default "Untitled" name');
+        }
+        if (isMockHost(hostOf(url))) {
+            reasons.push(`points at mock API ${url}`);
+        }
+        if (usedBy.length === 0) {
+            reasons.push('is not used by any action');
+        }
+
+        if (reasons.length > 0) {
+            const users = usedBy.length > 0 ? ` (used by ${usedBy.join(', ')})` : '';
+            warn('datasources', `Datasource "${datasource.name}" ${reasons.join(', ')}${users}`);
+        }
+    }
+
+    // Names: queries and JS objects share one namespace per page
+    const seen = new Map();
+    const checkName = (pageId, name, kind) => {
+        const key = `${pageId}\u0000${name}`;
+        if (seen.has(key)) {
+            error('names', `Duplicate name "${name}" on page ${pageId} (${seen.get(key)} and ${kind})`);
+        } else {
+            seen.set(key, kind);
+        }
+    };
+    for (const action of actions) {
+        if (action.pluginType === 'JS' || action.collectionId) {
+            checkName(action.pageId, action.fullyQualifiedName || `${action.collectionId}.${action.name}`, 'JS function');
+        } else {
+            checkName(action.pageId, action.name, 'query');
+        }
+    }
+    for (const collection of collections) {
+        checkName(collection.pageId, collection.name, 'JS object');
+    }
+
+    return {
+        errors,
+        warnings,
+        schemaSupport: { appsmithVersion: supportVersion, ...support },
+        stats: {
+            pages: pageList.length,
+            actions: actions.filter(a => a.pluginType !== 'JS' && !a.collectionId).length,
+            jsObjects: collections.length,
+            jsFunctions: actions.filter(a => a.pluginType === 'JS' || a.collectionId).length,
+            datasources: datasourceList.length
+        }
+    };
+}
+
+// Read and validate an export file; unreadable files become format errors
+function validateExportFile(filePath, options) {
+    let exported;
+    try {
+        exported = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        const message = e instanceof SyntaxError
+            ? `${filePath} is not valid JSON (${e.message})`
+            : `Cannot read ${filePath} (${e.code || e.message})`;
+        return { file: filePath, errors: [{ check: 'format', message }], warnings: [], stats: null };
+    }
+    return { file: filePath, ...validateExport(exported, options) };
+}
+
+function formatValidationReport(result) {
+    const lines = [`Export: ${result.file}`];
+
+    if (result.schemaSupport) {
+        lines.push(`Target: Appsmith ${result.schemaSupport.appsmithVersion} (server schema up to ${result.schemaSupport.serverSchemaVersion})`);
+    }
+    if (result.stats) {
+        const s = result.stats;
+        lines.push(`Contents: ${s.pages} pages, ${s.actions} queries, ${s.jsObjects} JS objects (${s.jsFunctions} functions), ${s.datasources} datasources`);
+    }
+
+    for (const [title, icon, problems] of [['Errors', '❌', result.errors], ['Warnings', '⚠️ ', result.warnings]]) {
+        if (problems.length === 0) continue;
+        lines.push('', `${title} (${problems.length}):`);
+        for (const problem of problems) {
+            lines.push(`  ${icon} [${problem.check}] ${problem.message}`);
+        }
+    }
+
+    lines.push('', result.errors.length === 0
+        ? `✅ Export is valid${result.warnings.length > 0 ? ` (${result.warnings.length} warning(s))` : ''}`
+        : `❌ Export has ${result.errors.length} error(s) and ${result.warnings.length} warning(s)`);
+
+    return lines.join('\n');
+}
+
+module.exports = { validateExport, validateExportFile, formatValidationReport, SCHEMA_SUPPORT };
@@ -0,0 +1,107 @@
+/**
+ * Machine-readable run report
+ *
+ * Collected while the automation runs and written to report.file at exit,
+ * so deploy.sh and monitoring can read the outcome (step status, timings,
+ * screenshots, trace, app URL, per-site URLs, provisioned users, changed admin
+ * settings, smoke-test pages) instead of scraping the console output.
+ *
+ * Step events come from runSteps' onStep hook:
+ *   { name, status: 'started' | 'completed' | 'skipped' | 'failed', durationMs, error }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_VERSION = 1;
+
+function createRunReport(meta = {}) {
+    const startedAt = new Date();
+    const report = {
+        version: REPORT_VERSION,
+        status: 'running',
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        ...meta,
+        appUrl: null,
+        applicationId: null,
+        sites: null,
+        users: null,
+        adminSettings: null,
+        smoke: null,
+        steps: [],
+        screenshots: [],
+        trace: null,
+        selectors: {},
+        error: null
+    };
+    let currentStep = null;
+
+    function findStep(name) {
+        let entry = report.steps.find(s => s.name === name);
+        if (!entry) {
+            entry = { name, status: 'pending', startedAt: null, finishedAt: null, durationMs: null };
+            report.steps.push(entry);
+        }
+        return entry;
+    }
+
+    return {
+        data: report,
+
+        // Pipeline step the next screenshot or log event belongs to
+        currentStep: () => currentStep,
+
+        recordStep(event) {
+            const entry = findStep(event.name);
+            entry.status = event.status;
+
+            if (event.status === 'started') {
+                currentStep = event.name;
+                entry.startedAt = new Date().toISOString();
+                return;
+            }
+            if (event.status !== 'skipped') {
+                entry.finishedAt = new Date().toISOString();
+                entry.durationMs = event.durationMs;
+                currentStep = null;
+            }
+            if (event.error) {
+                entry.error = event.error;
+            }
+        },
+
+        addScreenshot(name, screenshotPath) {
+            report.screenshots.push({
+                name,
+                path: screenshotPath,
+                step: currentStep,
+                takenAt: new Date().toISOString()
+            });
+        },
+
+        set(fields) {
+            Object.assign(report, fields);
+        },
+
+        finish(success, error) {
+            const finishedAt = new Date();
+            report.status = success ? 'success' : 'failed';
+            report.finishedAt = finishedAt.toISOString();
+            report.durationMs = finishedAt - startedAt;
+            report.error = error ? error.message : null;
+        },
+
+        // Write atomically so readers never see a half-written report; error
+        // messages may echo secrets, so the caller passes its redactor
+        write(reportPath, redact = text => text) {
+            fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+            const tmpPath = `${reportPath}.tmp`;
+            fs.writeFileSync(tmpPath, redact(JSON.stringify(report, null, 2)));
+            fs.renameSync(tmpPath, reportPath);
+        }
+    };
+}
+
+module.exports = { createRunReport };
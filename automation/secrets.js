@@ -0,0 +1,63 @@
+/**
+ * Secret handling for the automation script
+ *
+ * - readSecretFile: read a credential from a file, or from stdin with '-'
+ * - createRedactor: mask known secrets in any text before it is printed
+ *
+ * deploy.sh tees the automation output into the install log, so anything
+ * that reaches stdout/stderr must go through the redactor first.
+ */
+
+const fs = require('fs');
+
+const MASK = '********';
+
+// Shorter values would mask ordinary words in the output
+const MIN_SECRET_LENGTH = 4;
+
+function readSecretFile(filePath) {
+    const content = filePath === '-'
+        ? fs.readFileSync(0, 'utf8')
+        : fs.readFileSync(filePath, 'utf8');
+
+    // Only the trailing newline written by `echo` or editors is dropped
+    const secret = content.replace(/\r?\n$/, '');
+    if (!secret) {
+        throw new Error(`${filePath === '-' ? 'stdin' : filePath} is empty`);
+    }
+    return secret;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createRedactor(mask = MASK) {
+    const secrets = new Set();
+    let pattern = null;
+
+    return {
+        add(secret) {
+            if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+                return;
+            }
+            // Also catch the forms a secret takes inside JSON, URLs and form bodies
+            for (const variant of [secret, JSON.stringify(secret).slice(1, -1), encodeURIComponent(secret)]) {
+                secrets.add(variant);
+            }
+            const alternatives = Array.from(secrets)
+                .sort((a, b) => b.length - a.length)
+                .map(escapeRegExp);
+            pattern = new RegExp(alternatives.join('|'), 'g');
+        },
+
+        redact(text) {
+            if (!pattern || text === undefined || text === null) {
+                return text;
+            }
+            return String(text).replace(pattern, mask);
+        }
+    };
+}
+
+module.exports = { readSecretFile, createRedactor, MASK };
@@ -0,0 +1,122 @@
+/**
+ * Selector registry
+ *
+ * Resolves UI selectors for the running Appsmith version from selectors.js
+ * and records which selector actually matched for every key, so the run
+ * report can show where fallbacks are in use.
+ */
+
+const SELECTORS = require('./selectors');
+
+// Compare dotted versions numerically ('1.9' < '1.88')
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+// Exact match, else the newest known version not newer than the requested
+// one, else the newest known version (also used for 'latest')
+function resolveVersion(requested, known = Object.keys(SELECTORS)) {
+    const sorted = [...known].sort(compareVersions);
+    const newest = sorted[sorted.length - 1];
+
+    if (!requested || !/^\d+(\.\d+)*$/.test(requested)) {
+        return newest;
+    }
+    if (known.includes(requested)) {
+        return requested;
+    }
+
+    const older = sorted.filter(v => compareVersions(v, requested) <= 0);
+    return older.length > 0 ? older[older.length - 1] : newest;
+}
+
+// onMatch(key, match) is called whenever a selector resolves (for log events)
+function createSelectorRegistry(appsmithVersion, vars = {}, { selectors = SELECTORS, onMatch } = {}) {
+    const version = resolveVersion(appsmithVersion, Object.keys(selectors));
+    const table = selectors[version];
+    const matches = {};
+
+    function list(key) {
+        const entries = table[key];
+        if (!entries) {
+            throw new Error(`No selectors registered for "${key}" (Appsmith ${version})`);
+        }
+        return entries.map(entry => entry.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m)));
+    }
+
+    function locate(page, selector) {
+        if (selector.startsWith('label=')) {
+            return page.getByLabel(new RegExp(selector.slice('label='.length), 'i')).first();
+        }
+        return page.locator(selector).first();
+    }
+
+    function record(key, selector, index) {
+        matches[key] = {
+            selector,
+            index,
+            fallback: index > 0,
+            matchedAt: new Date().toISOString()
+        };
+        if (onMatch) onMatch(key, matches[key]);
+    }
+
+    return {
+        version,
+        requestedVersion: appsmithVersion,
+
+        list,
+
+        // First visible candidate for `key`, or null if none is visible
+        async findVisible(page, key, { timeout = 5000, onTry } = {}) {
+            const candidates = list(key);
+            for (const [index, selector] of candidates.entries()) {
+                if (onTry) onTry(selector);
+                try {
+                    const locator = locate(page, selector);
+                    if (await locator.isVisible({ timeout })) {
+                        record(key, selector, index);
+                        return { locator, selector, index };
+                    }
+                } catch (e) {
+                    continue;
+                }
+            }
+            if (!matches[key]) {
+                matches[key] = { selector: null, index: -1, fallback: false, matchedAt: null };
+            }
+            return null;
+        },
+
+        // Run `action` against each candidate until one succeeds (for elements
+        // that are not visible, such as file inputs)
+        async tryEach(page, key, action) {
+            const candidates = list(key);
+            for (const [index, selector] of candidates.entries()) {
+                try {
+                    const result = await action(locate(page, selector), selector);
+                    record(key, selector, index);
+                    return { selector, index, result };
+                } catch (e) {
+                    continue;
+                }
+            }
+            return null;
+        },
+
+        getMatches: () => ({ ...matches }),
+
+        // Keys resolved through a fallback or not resolved at all
+        getFallbacks: () => Object.entries(matches)
+            .filter(([, m]) => m.fallback || m.selector === null)
+            .map(([key, m]) => ({ key, ...m }))
+    };
+}
+
+module.exports = { createSelectorRegistry, resolveVersion, compareVersions };
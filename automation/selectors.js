@@ -0,0 +1,178 @@
+/**
+ * Appsmith UI selectors, keyed by Appsmith version
+ *
+ * Each key maps to an ordered list of Playwright selectors: the first entry is
+ * the expected one, the rest are fallbacks tried in order. The run report
+ * shows which entry matched, so a fallback in use is a hint that the primary
+ * selector is stale for that version.
+ *
+ * Entry syntax:
+ * - any Playwright selector string ('text=Import', 'button:has-text("Deploy")')
+ * - 'label=<regex>' matches a form field by its label (case-insensitive)
+ * - '{datasourceName}' is replaced with the configured datasource name
+ *
+ * When a new Appsmith release renames something, add a version entry that
+ * spreads the previous one and overrides only the changed keys:
+ *   '1.90': { ...APPSMITH_1_88, 'import.createNewMenu': [...] }
+ */
+
+const APPSMITH_1_88 = {
+    // Signup / first-run setup (from recording)
+    'signup.pageReady': ['input[type="email"]'],
+    'signup.firstName': ['[data-testid="firstName"]', 'label=first name', 'input[name="firstName"]', 'input[placeholder*="first" i]'],
+    'signup.lastName': ['[data-testid="lastName"]', 'label=last name', 'input[name="lastName"]', 'input[placeholder*="last" i]'],
+    'signup.email': ['[data-testid="email"]', 'input[type="email"]'],
+    'signup.password': ['[data-testid="password"]', 'input[type="password"] >> nth=0'],
+    'signup.verifyPassword': ['[data-testid="verifyPassword"]', 'input[type="password"] >> nth=1'],
+    'signup.submit': [
+        'text=Continue',
+        'button:has-text("Continue")',
+        'button:has-text("Sign up")',
+        'button:has-text("Get started")',
+        'button[type="submit"]'
+    ],
+
+    // Onboarding questions after signup (from recording)
+    'onboarding.novice': [
+        '.sc-jPNehe:nth-child(1) .sc-hLBbgP:nth-child(2) > .sc-dkrFOg',
+        'div:has-text("Novice")',
+        'button:has-text("Novice")',
+        '[role="button"]:has-text("Novice")'
+    ],
+    'onboarding.personalProject': [
+        '.sc-jPNehe:nth-child(3) .sc-hLBbgP:nth-child(2) > .sc-dkrFOg',
+        'div:has-text("Personal Project")',
+        'button:has-text("Personal Project")',
+        '[role="button"]:has-text("Personal Project")'
+    ],
+    'onboarding.termsCheckbox': ['.ads-v2-checkbox__square', 'input[type="checkbox"]', '[role="checkbox"]'],
+    'onboarding.getStarted': [
+        '.gqvXeY > .sc-dkrFOg',
+        'div:has-text("Get started")',
+        'button:has-text("Get started")',
+        'text=Get started'
+    ],
+
+    // Login form (from recording)
+    'login.email': ['input[type="email"]', 'input[name="email"]'],
+    'login.password': ['input[type="password"]', 'input[name="password"]'],
+    'login.submit': [
+        '.sc-dkrFOg',
+        'div:has-text("Sign in")',
+        'button:has-text("Sign in")',
+        'button:has-text("Login")',
+        'button[type="submit"]'
+    ],
+
+    // Applications home page
+    'home.workspace': ['.workspace, [class*="workspace"], [class*="home"], [class*="application"]'],
+    'home.appCard': ['[class*="application-card"], [class*="app-card"]'],
+    'home.netswiftAppCard': [
+        '[class*="application-card"]:has-text("NetSwift")',
+        '[class*="application-card"]:has-text("netswift")',
+        '[class*="app-card"]:has-text("NetSwift")',
+        '[class*="app-card"]:has-text("netswift")',
+        '[data-testid*="application-card"]',
+        // Fallback: get first/most recent app
+        '[class*="application-card"]',
+        '[class*="app-card"]'
+    ],
+
+    // Import flow: "Create new" dropdown -> Import -> Import from file
+    'import.createNewMenu': [
+        'button:has-text("Create new")',
+        '[class*="create-new"]',
+        'button:has-text("New")',
+        '[data-testid*="create-new"]',
+        // Three-dot menu as alternative
+        'button[class*="more"]',
+        '[aria-label*="more" i]',
+        'button[aria-haspopup="menu"]'
+    ],
+    'import.importOption': [
+        '[data-testid="t--workspace-import-app"]',
+        '[role="menuitem"]:has-text("Import")',
+        'div:has-text("Import")',
+        'button:has-text("Import")',
+        'a:has-text("Import")',
+        'text=Import',
+        '[data-testid*="import"]',
+        '[class*="import"]'
+    ],
+    'import.fromFile': [
+        '.button-wrapper',
+        'div:has-text("Import from file")',
+        'button:has-text("Import from file")',
+        'text=Import from file',
+        '[data-testid*="import-from-file"]'
+    ],
+    'import.fileInput': ['#fileInput', 'input[type="file"]'],
+    'import.closeModal': [
+        '.sc-eJKXev .remixicon-icon',
+        'button:has-text("Close")',
+        'button:has-text("Done")',
+        '[aria-label="Close"]',
+        '.modal-close'
+    ],
+
+    // "Reconnect datasources" modal shown after import
+    'reconnect.skip': [
+        'button:has-text("Go to application")',
+        'button:has-text("Skip configuration")',
+        '[data-testid*="skip"]',
+        'text=Go to application',
+        'text=Skip configuration',
+        '[data-testid="reconnect-datasource-modal"] button[aria-label="Close"]',
+        '[role="dialog"] button:has-text("Close")',
+        '.ads-v2-modal__content-header-close-button'
+    ],
+
+    // Page switcher inside the opened app
+    'app.loginPageLink': [
+        'text=loginpage',
+        'text=LoginPage',
+        'text=Login',
+        '[class*="page"]:has-text("login" i)',
+        '[class*="t--page-switch-tab"]:has-text("login" i)'
+    ],
+
+    // NetSwift's own login page (widgets render as .t--widget-<name>)
+    'netswift.username': ['.t--widget-usernameinput input', 'input[placeholder*="user" i]'],
+    'netswift.password': ['.t--widget-passwordinput input', 'input[type="password"]'],
+    'netswift.loginButton': ['.t--widget-button1 button', 'button:has-text("Login")'],
+
+    // Error toasts in the app viewer (showAlert(..., 'error'), failed queries)
+    'viewer.errorToast': ['.Toastify__toast--error', '[data-testid="t--toast-error"]'],
+
+    // Editor: datasource configuration
+    'datasource.panel': [
+        'text=Datasources',
+        '[data-testid="t--datasource"]',
+        'button:has-text("Datasources")',
+        'a:has-text("Datasources")'
+    ],
+    'datasource.item': [
+        'text={datasourceName}',
+        'text=NetSwift',
+        'text=Backend',
+        '[class*="datasource-card"]',
+        '[class*="datasource-item"]'
+    ],
+    'datasource.urlInput': ['input[placeholder*="URL" i]', 'input[name*="url" i]', 'input[label*="URL" i]'],
+    'datasource.testButton': ['button:has-text("Test")', 'button:has-text("Test Connection")'],
+    'datasource.saveButton': ['button:has-text("Save")', 'button:has-text("Save Changes")'],
+    'datasource.closeButton': ['button:has-text("Done")', 'button:has-text("Close")', '[class*="modal-close"]'],
+
+    // Editor: deploy
+    'deploy.button': [
+        'button:has-text("Deploy")',
+        'button:has-text("Publish")',
+        '[data-testid="t--application-publish-btn"]'
+    ],
+    'deploy.success': ['text=deployed successfully, text=published successfully, text=Application is live'],
+    'deploy.error': ['text=error, text=failed']
+};
+
+module.exports = {
+    '1.88': APPSMITH_1_88
+};
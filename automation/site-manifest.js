@@ -0,0 +1,106 @@
+/**
+ * Multi-site manifest: one workspace and one NetSwift app per site
+ *
+ * Each site gets its own workspace (created if missing), its own copy of the
+ * app pointing at the site's backend, and optionally a list of users invited
+ * to the workspace:
+ *
+ *   sites:
+ *     - workspace: NetSwift Berlin         # required, created if missing
+ *       name: berlin                       # short id for step names and files (default: from workspace)
+ *       appName: NetSwift Berlin           # default: the name in the export
+ *       datasourceUrl: http://10.1.0.5:8000   # default: datasource.url
+ *       users:
+ *         - ops-berlin@example.com         # invited as App Viewer
+ *         - { email: lead@example.com, role: Developer }
+ *
+ * Users are listed as in USERS_FILE (see workspace-users.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseUsers } = require('./workspace-users');
+
+const SITE_KEYS = ['workspace', 'name', 'appName', 'datasourceUrl', 'users'];
+
+function siteSlug(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Normalize and check the parsed manifest; returns { sites, errors }
+function parseManifest(manifest) {
+    const errors = [];
+    if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.sites)) {
+        return { sites: [], errors: ['expected a "sites" list'] };
+    }
+    if (manifest.sites.length === 0) {
+        errors.push('"sites" is empty');
+    }
+
+    const sites = manifest.sites.map((entry, index) => {
+        const label = `sites[${index}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${label}: expected a mapping with at least "workspace"`);
+            return null;
+        }
+        for (const key of Object.keys(entry).filter(k => !SITE_KEYS.includes(k))) {
+            errors.push(`${label}: unknown setting "${key}" (use ${SITE_KEYS.join(', ')})`);
+        }
+        if (typeof entry.workspace !== 'string' || entry.workspace.trim() === '') {
+            errors.push(`${label}: "workspace" is required`);
+            return null;
+        }
+        if (entry.datasourceUrl !== undefined && !/^https?:\/\/[^\s/]+/.test(entry.datasourceUrl)) {
+            errors.push(`${label}: datasourceUrl must be an http(s) URL, got "${entry.datasourceUrl}"`);
+        }
+
+        const users = parseUsers(entry.users || [], `${label}.users`);
+        errors.push(...users.errors);
+
+        return {
+            name: siteSlug(entry.name || entry.workspace),
+            workspace: entry.workspace.trim(),
+            appName: entry.appName || null,
+            datasourceUrl: entry.datasourceUrl || null,
+            users: users.users
+        };
+    }).filter(Boolean);
+
+    for (const field of ['name', 'workspace']) {
+        const seen = new Set();
+        for (const site of sites) {
+            if (seen.has(site[field])) errors.push(`site ${field} "${site[field]}" is used twice`);
+            seen.add(site[field]);
+        }
+    }
+
+    return { sites, errors };
+}
+
+function loadManifest(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+    return parseManifest(parsed);
+}
+
+// Config check hook: problems in the manifest file (missing files are
+// reported by the `file` check)
+function checkManifestFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    try {
+        return loadManifest(filePath).errors;
+    } catch (e) {
+        return [`cannot parse ${filePath} (${e.message.split('\n')[0]})`];
+    }
+}
+
+// Per-site copy of the patched export, next to app.patchedPath
+function sitePatchedPath(patchedPath, site) {
+    const ext = path.extname(patchedPath);
+    return `${patchedPath.slice(0, patchedPath.length - ext.length)}.${site.name}${ext}`;
+}
+
+module.exports = { parseManifest, loadManifest, checkManifestFile, sitePatchedPath, siteSlug };
@@ -0,0 +1,69 @@
+/**
+ * What the smoke step checks in the deployed NetSwift app
+ *
+ * The plan comes from the export itself: every page except the login page,
+ * in navigation order, with the API queries it runs on load. An on-load JS
+ * function counts through the queries it runs (RuleManager.initializeRules
+ * runs GetRulesAPI), so the plan follows the app when pages change.
+ *
+ * executionFailure() reads the result Appsmith returns for one query run
+ * (POST /api/v1/actions/execute) and says what went wrong, if anything.
+ */
+
+const LOGIN_PAGE = 'LoginPage';
+
+// API queries of a page, by name
+function pageQueries(exported, pageName) {
+    return new Set((exported.actionList || [])
+        .filter(a => a.pluginType !== 'JS' && a.unpublishedAction && a.unpublishedAction.pageId === pageName)
+        .map(a => a.unpublishedAction.name));
+}
+
+// Query names an on-load entry runs: the query itself, or for a JS
+// function the queries its body calls with <Query>.run(
+function queriesRunBy(entry, queries) {
+    if (entry.pluginType !== 'JS') {
+        return queries.has(entry.name) ? [entry.name] : [];
+    }
+    const body = (entry.jsonPathKeys || []).join('\n');
+    return Array.from(body.matchAll(/\b([A-Za-z_$][\w$]*)\.run\(/g), m => m[1]).filter(name => queries.has(name));
+}
+
+// [{ name, queries }] for every page but the login page, in the order of
+// the app's page list
+function buildSmokePlan(exported, { loginPage = LOGIN_PAGE } = {}) {
+    const pages = new Map((exported.pageList || []).map(p => [p.unpublishedPage.name, p.unpublishedPage]));
+    const order = ((exported.exportedApplication || {}).pages || []).map(p => p.id).filter(name => pages.has(name));
+    const names = [...order, ...Array.from(pages.keys()).filter(name => !order.includes(name))];
+
+    return names.filter(name => name !== loginPage).map(name => {
+        const queries = pageQueries(exported, name);
+        const onLoad = ((pages.get(name).layouts || [])[0] || {}).layoutOnLoadActions || [];
+        const run = onLoad.flat().flatMap(entry => queriesRunBy(entry, queries));
+        return { name, queries: [...new Set(run)] };
+    });
+}
+
+// HTTP status of a query result ("200 OK", "404 NOT_FOUND" or a number)
+function statusOf(result) {
+    const status = parseInt(String(result.statusCode), 10);
+    return Number.isNaN(status) ? null : status;
+}
+
+// Why a query run failed, or null when it succeeded with a 2xx status
+function executionFailure(result) {
+    if (!result) {
+        return 'no execution result';
+    }
+    const status = statusOf(result);
+    if (result.isExecutionSuccess === false) {
+        const detail = result.readableError || (result.pluginErrorDetails && result.pluginErrorDetails.downstreamErrorMessage);
+        return `failed${status ? ` with HTTP ${result.statusCode}` : ''}${detail ? `: ${detail}` : ''}`;
+    }
+    if (status !== null && (status < 200 || status >= 300)) {
+        return `HTTP ${result.statusCode}`;
+    }
+    return null;
+}
+
+module.exports = { LOGIN_PAGE, buildSmokePlan, executionFailure };
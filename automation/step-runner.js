@@ -0,0 +1,133 @@
+/**
+ * Resumable step runner
+ *
+ * Runs the automation steps in order and persists every completed step with
+ * its outputs to a JSON state file. A rerun skips steps that already
+ * completed, so a failure late in the run does not repeat (and duplicate)
+ * earlier work.
+ *
+ * Step definition:
+ *   { name: 'import', always: false, run: async (ctx) => ({ ...outputs }) }
+ *
+ * - `always: true` steps run on every invocation (e.g. health check)
+ * - `ctx.outputs` holds the merged outputs of all completed steps
+ * - `ctx.previous` holds this step's own outputs from its last completed run
+ *   (empty on the first run), e.g. to update what a rerun step created;
+ *   running and failed records keep them, so a failed rerun does not lose them
+ * - fromStep: rerun the given step and everything after it
+ * - onlyStep: run just the given step (even if already completed)
+ * - onStep: called with { name, status, durationMs, error } as each step
+ *   starts, completes, fails or is skipped (feeds the run report)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_VERSION = 1;
+
+function emptyState() {
+    return { version: STATE_VERSION, updatedAt: null, steps: {} };
+}
+
+function loadState(statePath) {
+    if (!fs.existsSync(statePath)) {
+        return emptyState();
+    }
+
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (e) {
+        throw new Error(`State file ${statePath} is not valid JSON: ${e.message}`);
+    }
+
+    if (state.version !== STATE_VERSION || typeof state.steps !== 'object') {
+        throw new Error(`State file ${statePath} has an unsupported format (expected version ${STATE_VERSION})`);
+    }
+    return state;
+}
+
+function saveState(statePath, state) {
+    state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a truncated state file
+    const tmpPath = `${statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, statePath);
+}
+
+function collectOutputs(state) {
+    return Object.values(state.steps)
+        .filter(s => s.status === 'completed')
+        .reduce((outputs, s) => ({ ...outputs, ...s.outputs }), {});
+}
+
+async function runSteps(steps, options) {
+    const { statePath, fromStep, onlyStep, context = {}, log = () => {}, onStep = () => {} } = options;
+    const names = steps.map(s => s.name);
+
+    for (const [flag, value] of [['--from-step', fromStep], ['--only-step', onlyStep]]) {
+        if (value && !names.includes(value)) {
+            throw new Error(`Unknown step for ${flag}: ${value} (valid steps: ${names.join(', ')})`);
+        }
+    }
+    if (fromStep && onlyStep) {
+        throw new Error('--from-step and --only-step cannot be used together');
+    }
+
+    const state = loadState(statePath);
+    const fromIndex = fromStep ? names.indexOf(fromStep) : -1;
+
+    for (const [index, step] of steps.entries()) {
+        const previous = state.steps[step.name];
+
+        if (onlyStep && step.name !== onlyStep && !step.always) {
+            continue;
+        }
+
+        // Forced steps ignore their persisted state and run again
+        const forced = step.name === onlyStep || (fromStep && index >= fromIndex);
+        if (!forced && !step.always && previous && previous.status === 'completed') {
+            log('STATE', `Skipping ${step.name} (completed ${previous.completedAt})`, { pipelineStep: step.name });
+            onStep({ name: step.name, status: 'skipped' });
+            continue;
+        }
+
+        const startedAt = new Date();
+        const previousOutputs = (previous && previous.outputs) || {};
+        state.steps[step.name] = { status: 'running', startedAt: startedAt.toISOString(), outputs: previousOutputs };
+        saveState(statePath, state);
+        onStep({ name: step.name, status: 'started' });
+
+        try {
+            const outputs = await step.run({ ...context, outputs: collectOutputs(state), previous: previousOutputs });
+            const durationMs = Date.now() - startedAt.getTime();
+            state.steps[step.name] = {
+                status: 'completed',
+                startedAt: startedAt.toISOString(),
+                completedAt: new Date().toISOString(),
+                outputs: outputs || {}
+            };
+            saveState(statePath, state);
+            log('STATE', `Step ${step.name} completed in ${(durationMs / 1000).toFixed(1)}s`, { pipelineStep: step.name, durationMs });
+            onStep({ name: step.name, status: 'completed', durationMs });
+        } catch (error) {
+            const durationMs = Date.now() - startedAt.getTime();
+            state.steps[step.name] = {
+                status: 'failed',
+                startedAt: startedAt.toISOString(),
+                failedAt: new Date().toISOString(),
+                error: error.message,
+                outputs: previousOutputs
+            };
+            saveState(statePath, state);
+            onStep({ name: step.name, status: 'failed', durationMs, error: error.message });
+            throw error;
+        }
+    }
+
+    return { state, outputs: collectOutputs(state) };
+}
+
+module.exports = { loadState, saveState, runSteps };
@@ -0,0 +1,889 @@
+/**
+ * Stub NetSwift backend
+ *
+ * Answers the NetSwift API the app calls from in-memory fixtures, with the
+ * response shapes of the netswift-backend image, so the app and the
+ * automation can be tested without switches or access to the private image.
+ * Writes change the fixtures; every request is recorded in `state.requests`.
+ *
+ * Endpoints:
+ * - GET    /health
+ * - POST   /api/auth/login                     (LoginPage: { access_token, token_type, expires_in })
+ * - GET    /api/vlans                          (VLANs page, Switchports page)
+ * - POST   /api/vlans/add, PUT /api/vlans/edit, DELETE /api/vlans/delete
+ * - GET    /api/switches                       (every page with a switch picker)
+ * - POST   /api/discover                       (adds the reachable switches in ip_input)
+ * - POST   /switches/                          (Switches page addSwitch and import:
+ *                                              { name, ip_address, location })
+ * - PUT    /update, DELETE /delete             (Switches page table: { switch_id, new_name,
+ *                                              new_location } and { switch_id })
+ * - GET    /api/switches/:ip/config            (running config: { switch_ip, content })
+ * - GET    /api/switches/configs/download      (Tools page: { filename, data_uri } of a ZIP
+ *                                              with the config of each online switch)
+ * - POST   /api/background-jobs/backup-configs (Switches page backup)
+ * - GET    /api/ports                          (Switchports page)
+ * - POST   /api/ports/refresh, POST /api/port/config   (Switchports page refresh and
+ *                                              port config: { ip, port } -> { ok, response })
+ * - POST   /api/ports/lldp-naming              (Tools page: { switches, vlans })
+ * - POST   /api/ports/bulk-edit                (Switchports bulk edit modal; dry_run: true
+ *                                              previews the per-port diff and CLI lines)
+ * - GET    /api/automation-rules               (Tools page: { rules })
+ * - POST   /api/automation-rules/create        (schedule: null or a NetSwiftSchedule
+ *                                              cron or interval schedule)
+ * - POST   /api/automation-rules/:id/start, /api/automation-rules/:id/stop
+ * - DELETE /api/automation-rules/:id
+ * - GET    /api/automation-rules/:id/status    (Tools page, id 0 when no rule is selected)
+ * - GET    /api/global-config                  (Tools page: { config }, the last config
+ *                                              applied, null before the first)
+ * - POST   /api/global-config/apply            (Global page: results and statistics)
+ * - GET    /api/change-sets                    (History page: { change_sets }, newest first)
+ * - POST   /api/ssh/execute, GET /api/ssh/status   (Tools page SSH jobs)
+ * - GET    /status/online_count, /status/offline_count, /status/unmonitored_count
+ *                                              (Switches page counters, bare numbers)
+ * - GET    /openapi.json                       (these routes, for `contract`)
+ *
+ * Offline switches fail writes aimed at them, like unreachable devices do.
+ * Errors answer { detail } with a 4xx status, as the real backend does.
+ *
+ * Bulk edits, VLAN edits and deletes and global config applies record a
+ * change set { id, kind, user, at, summary, target, before, after,
+ * revert_of, reverted_by }, returned as `change_set` and stamped `at` by
+ * the options.now clock below. The History page reverts one by sending its
+ * before values to the same endpoint with
+ * `revert_of` and `expected` (the after values): when the device no longer
+ * holds them the write answers 409 and changes nothing, and a change set is
+ * reverted once. A bulk edit port may carry its own `fields` and `expected`;
+ * a bulk edit revert that fails on some ports (offline switch) is recorded
+ * as partial and can be sent again: ports already back to their `fields`
+ * pass the `expected` check, and the change set counts as reverted once
+ * every port is.
+ *
+ * A started rule with a schedule runs when its next_run is due, checked on
+ * every request by the clock options.now (default Date.now): last_run and
+ * total_executions advance, runs missed in between count once, and
+ * next_run moves to the run after now. Rules without one keep next_run null.
+ *
+ * Every route but /health, /openapi.json and the login needs the JWT the
+ * login returns, sent as "Authorization: Bearer <token>"; a missing, forged
+ * or expired token answers 401. Tokens are HS256-signed with a key made at
+ * startup (options.secret) and last options.tokenTtl seconds (default 3600)
+ * on the options.now clock.
+ * options.auth: false turns the check off.
+ *
+ * Each account has a role, carried in the token's `role` claim and in the
+ * login response: admins may change anything, operators only read. Writes
+ * (every method but GET) by a role other than admin answer 403.
+ *
+ * Run standalone (e.g. as the datasource of a test Appsmith, or as the
+ * netswift-backend service with NETSWIFT_BACKEND=stub in deploy.sh):
+ *   node stub-backend.js --port 8000 [--user name:password[:role] ...] [--token-ttl 3600]
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { parseArgs } = require('util');
+const schedules = require('../libs/netswift-schedule');
+const { toZip } = require('../libs/netswift-import');
+
+const DEFAULT_TOKEN_TTL = 3600;
+
+// Roles an account can have; only admins may write
+const ROLES = ['admin', 'operator'];
+const WRITE_ROLE = 'admin';
+
+function defaultFixtures() {
+    return {
+        // Accounts POST /api/auth/login accepts
+        users: [
+            { username: 'admin', password: 'admin', role: 'admin' },
+            { username: 'operator', password: 'operator', role: 'operator' }
+        ],
+        switches: [
+            { id: 1, switch_id: 1, name: 'core-1', ip: '10.0.0.1', mac: '00:11:22:33:44:01', model: 'Aruba 6300M', serial_number: 'SG0001', version: 'FL.10.13', location: 'Server room', online_status: 'online', vsf_status: 'standalone', last_seen: '2026-10-18T08:00:00Z' },
+            { id: 2, switch_id: 2, name: 'access-1', ip: '10.0.0.2', mac: '00:11:22:33:44:02', model: 'Aruba 6100', serial_number: 'SG0002', version: 'PL.10.13', location: 'Floor 1', online_status: 'offline', vsf_status: 'standalone', last_seen: '2026-10-17T22:00:00Z' }
+        ],
+        // Switches /api/discover finds when their IP is scanned
+        discoverable: [
+            { name: 'access-2', ip: '10.0.0.3', mac: '00:11:22:33:44:03', model: 'Aruba 6100', serial_number: 'SG0003', version: 'PL.10.13', location: 'Floor 2', vsf_status: 'standalone' }
+        ],
+        vlans: [
+            { id: 1, vlan_id: 1, name: 'default', status: 'active', switches: ['10.0.0.1', '10.0.0.2'], switch_count: 2, igmp_enable: 0, dhcp_snooping: 0, is_voice: 0 },
+            { id: 2, vlan_id: 20, name: 'guests', status: 'active', switches: ['10.0.0.1'], switch_count: 1, igmp_enable: 1, dhcp_snooping: 1, is_voice: 0 }
+        ],
+        ports: [
+            { id: 1, switch_ip: '10.0.0.1', port_id: '1/1/1', description: 'uplink', admin_state: 'up', oper_state: 'up', port_mode: 'trunk', access_vlan: 1, native_vlan: 1, tagged_vlans: '20', speed: '10G', configured_speed: 'auto', port_duplex: 'full', is_uplink: true, poe_config: 'disabled', poe_status: 'off', bpdu_guard: false, bpdu_protection: false, root_guard: false, loop_guard: false, is_dot1x: false, is_ipv4_acl: false, is_ipv6_acl: false, lldp_sysname: 'access-1', lldp_ip: '10.0.0.2', lldp_mac: '00:11:22:33:44:02', lldp_desc: '' },
+            { id: 2, switch_ip: '10.0.0.1', port_id: '1/1/5', description: 'guest AP', admin_state: 'up', oper_state: 'down', port_mode: 'access', access_vlan: 20, native_vlan: null, tagged_vlans: '', speed: '', configured_speed: 'auto', port_duplex: 'auto', is_uplink: false, poe_config: 'enabled', poe_status: 'on', bpdu_guard: true, bpdu_protection: true, root_guard: false, loop_guard: true, is_dot1x: false, is_ipv4_acl: false, is_ipv6_acl: false, lldp_sysname: '', lldp_ip: '', lldp_mac: '', lldp_desc: '' },
+            { id: 3, switch_ip: '10.0.0.2', port_id: '1/1/1', description: '', admin_state: 'up', oper_state: 'down', port_mode: 'access', access_vlan: 1, native_vlan: null, tagged_vlans: '', speed: '', configured_speed: 'auto', port_duplex: 'auto', is_uplink: false, poe_config: 'enabled', poe_status: 'off', bpdu_guard: false, bpdu_protection: false, root_guard: false, loop_guard: false, is_dot1x: false, is_ipv4_acl: false, is_ipv6_acl: false, lldp_sysname: '', lldp_ip: '', lldp_mac: '', lldp_desc: '' }
+        ],
+        rules: [
+            { id: 1, rule_name: 'Name APs from LLDP', condition_field: 'lldp_sysname', condition_operator: 'contains', condition_value: 'AP', action_field: 'description', action_value: 'AP {lldp_sysname}', target_switches: ['all'], schedule: null, status: 'stopped', last_run: null, next_run: null, total_executions: 0, successful_ports: 0, failed_ports: 0 }
+        ],
+        // Last global configuration applied
+        globalConfig: null,
+        changeSets: [],
+        sshJob: { job_id: null, status: 'idle', total_switches: 0, successful: 0, failed: 0, success_ips: [], failed_ips: [], started_at: null, completed_at: null }
+    };
+}
+
+// Errors raised by handlers, answered as { detail } with the status
+class StubError extends Error {
+    constructor(status, detail, headers = {}) {
+        super(detail);
+        this.status = status;
+        this.headers = headers;
+    }
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+const base64url = data => Buffer.from(data).toString('base64url');
+
+// HS256 JWT of `claims`
+function signToken(claims, secret) {
+    const unsigned = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+    return `${unsigned}.${crypto.createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+// Claims of a token signed with `secret`; StubError 401 when it is forged,
+// malformed or expired
+function verifyToken(token, secret, now = Date.now()) {
+    const unauthorized = detail => new StubError(401, detail, { 'WWW-Authenticate': 'Bearer' });
+    const [header, payload, signature] = String(token || '').split('.');
+    if (!header || !payload || !signature) {
+        throw unauthorized('Not authenticated');
+    }
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const given = Buffer.from(signature, 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw unauthorized('Invalid token');
+    }
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.exp !== 'number' || claims.exp * 1000 <= now) {
+        throw unauthorized('Token expired');
+    }
+    return claims;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text.trim() === '' ? {} : JSON.parse(text));
+            } catch (e) {
+                reject(new StubError(422, 'Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// "20 - guests" (dropdown label) or 20 -> 20
+function vlanIdOf(value) {
+    const id = parseInt(String(value), 10);
+    return Number.isNaN(id) ? null : id;
+}
+
+// IPs in ip_input: one address, a comma-separated list or an IPv4 CIDR
+// (at most a /24)
+function expandIpInput(input) {
+    return String(input || '').split(',').map(s => s.trim()).filter(Boolean).flatMap(entry => {
+        const cidr = /^(\d+\.\d+\.\d+\.\d+)\/(\d+)$/.exec(entry);
+        if (!cidr) {
+            return [entry];
+        }
+        const bits = Number(cidr[2]);
+        if (bits < 24 || bits > 32) {
+            throw new StubError(422, `Subnet ${entry} is too large (use /24 or smaller)`);
+        }
+        const base = cidr[1].split('.').map(Number).reduce((n, octet) => n * 256 + octet, 0);
+        const size = 2 ** (32 - bits);
+        const start = base - (base % size);
+        return Array.from({ length: size }, (_, i) => {
+            const n = start + i;
+            return [n >>> 24, (n >>> 16) & 255, (n >>> 8) & 255, n & 255].join('.');
+        });
+    });
+}
+
+// Port fields set by one bulk edit; empty selections leave a field alone
+function portChanges(changes = {}) {
+    const value = (key, prop = 'selectedOptionValue') => (changes[key] || {})[prop];
+    const updates = {};
+    if (value('desc', 'text')) updates.description = value('desc', 'text');
+    if (value('adminState')) updates.admin_state = value('adminState');
+    if (value('portMode')) updates.port_mode = value('portMode');
+    if (value('accessVLAN')) updates.access_vlan = vlanIdOf(value('accessVLAN'));
+    if (value('nativeVLAN')) updates.native_vlan = vlanIdOf(value('nativeVLAN'));
+    if ((value('taggedVlans', 'selectedOptionValues') || []).length > 0) {
+        updates.tagged_vlans = value('taggedVlans', 'selectedOptionValues').map(vlanIdOf).join(',');
+    }
+    if (value('speed')) updates.configured_speed = value('speed');
+    if (value('duplex')) updates.port_duplex = value('duplex');
+    if (value('poeStatus')) updates.poe_config = value('poeStatus');
+    const stp = value('stp', 'selectedOptionValues') || [];
+    if (stp.length > 0) {
+        for (const guard of ['bpdu_guard', 'bpdu_protection', 'root_guard', 'loop_guard']) {
+            updates[guard] = stp.includes(guard);
+        }
+    }
+    if (typeof value('dot1x', 'isChecked') === 'boolean') updates.is_dot1x = value('dot1x', 'isChecked');
+    if (typeof value('ipv4Acl', 'isChecked') === 'boolean') updates.is_ipv4_acl = value('ipv4Acl', 'isChecked');
+    if (typeof value('ipv6Acl', 'isChecked') === 'boolean') updates.is_ipv6_acl = value('ipv6Acl', 'isChecked');
+    return updates;
+}
+
+const isOn = value => value === true || ['on', 'enabled', 'up', '1', 'true'].includes(String(value).toLowerCase());
+
+// STP guards and their interface command
+const GUARD_COMMANDS = {
+    bpdu_guard: 'spanning-tree bpdu-guard',
+    bpdu_protection: 'spanning-tree bpdu-protection',
+    root_guard: 'spanning-tree root-guard',
+    loop_guard: 'spanning-tree loop-guard'
+};
+
+// What a bulk edit changes on one port: diff { field: { current, new } } of
+// the fields that differ, and the interface commands that set them
+// (AOS-CX syntax; dot1x and ACL changes are diffed only)
+function portPlan(port, updates) {
+    const diff = {};
+    for (const [field, value] of Object.entries(updates)) {
+        if (String(port[field] ?? '') !== String(value ?? '')) {
+            diff[field] = { current: port[field] ?? null, new: value };
+        }
+    }
+    const next = { ...port, ...updates };
+    const lines = [];
+    if (diff.description) lines.push(`description ${next.description}`);
+    if (diff.admin_state) lines.push(isOn(next.admin_state) ? 'no shutdown' : 'shutdown');
+    if (next.port_mode === 'access' && (diff.port_mode || diff.access_vlan)) {
+        lines.push(`vlan access ${next.access_vlan}`);
+    }
+    if (next.port_mode === 'trunk') {
+        if ((diff.port_mode || diff.native_vlan) && next.native_vlan) lines.push(`vlan trunk native ${next.native_vlan}`);
+        if ((diff.port_mode || diff.tagged_vlans) && next.tagged_vlans) lines.push(`vlan trunk allowed ${next.tagged_vlans}`);
+    }
+    if (diff.configured_speed) lines.push(`speed ${next.configured_speed}`);
+    if (diff.port_duplex) lines.push(`duplex ${next.port_duplex}`);
+    if (diff.poe_config) lines.push(isOn(next.poe_config) ? 'power-over-ethernet' : 'no power-over-ethernet');
+    for (const [guard, command] of Object.entries(GUARD_COMMANDS)) {
+        if (diff[guard]) lines.push(next[guard] ? command : `no ${command}`);
+    }
+    const commands = lines.length > 0 ? [`interface ${port.port_id}`, ...lines.map(line => `    ${line}`)] : [];
+    return { diff, commands };
+}
+
+// Running configuration lines of one interface (AOS-CX syntax)
+function interfaceConfig(port) {
+    const lines = [];
+    if (port.description) lines.push(`description ${port.description}`);
+    lines.push(isOn(port.admin_state) ? 'no shutdown' : 'shutdown');
+    if (port.port_mode === 'trunk') {
+        if (port.native_vlan) lines.push(`vlan trunk native ${port.native_vlan}`);
+        if (port.tagged_vlans) lines.push(`vlan trunk allowed ${port.tagged_vlans}`);
+    } else if (port.access_vlan) {
+        lines.push(`vlan access ${port.access_vlan}`);
+    }
+    if (isOn(port.poe_config)) lines.push('power-over-ethernet');
+    for (const [guard, command] of Object.entries(GUARD_COMMANDS)) {
+        if (port[guard]) lines.push(command);
+    }
+    return [`interface ${port.port_id}`, ...lines.map(line => `    ${line}`)];
+}
+
+// Fields of a port a bulk edit may set directly (revert of a change set)
+const FIXED_PORT_FIELDS = ['id', 'switch_ip', 'port_id'];
+
+// Fields of `expected` whose value `current` no longer has
+function changedFields(current, expected) {
+    return Object.keys(expected).filter(key => JSON.stringify(current[key] ?? null) !== JSON.stringify(expected[key] ?? null));
+}
+
+// Refuses a write whose `expected` values are gone: the device changed since
+// the change set being reverted
+function checkExpected(what, current, expected) {
+    if (!expected) {
+        return;
+    }
+    const changed = current ? changedFields(current, expected) : Object.keys(expected);
+    if (changed.length > 0) {
+        throw new StubError(409, `${what} has changed since: ${changed.join(', ')}`);
+    }
+}
+
+// The fields of a VLAN a change set keeps
+function vlanSnapshot(vlan) {
+    const { vlan_id, name, is_voice, dhcp_snooping, igmp_enable, switches } = vlan;
+    return { vlan_id, name, is_voice, dhcp_snooping, igmp_enable, switches: [...switches] };
+}
+
+// Regex for a route template, {name} matching one path segment
+function templatePattern(template) {
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${source}$`);
+}
+
+function statistics(results) {
+    const successful = results.filter(r => r.success).length;
+    return { total: results.length, successful, failed: results.length - successful };
+}
+
+function startStubBackend(options = {}) {
+    const state = { ...defaultFixtures(), ...options.fixtures, requests: [] };
+    const secret = options.secret || crypto.randomBytes(32);
+    const tokenTtl = options.tokenTtl || DEFAULT_TOKEN_TTL;
+    const count = status => state.switches.filter(s => s.online_status === status).length;
+    const nextId = list => list.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+    const now = options.now || Date.now;
+
+    function findVlan(vlanId) {
+        const vlan = state.vlans.find(v => v.vlan_id === vlanId);
+        if (!vlan) {
+            throw new StubError(404, `VLAN ${vlanId} not found`);
+        }
+        return vlan;
+    }
+
+    // The switch a read needs to reach: unknown answers 404, offline 409
+    function reachableSwitch(ip) {
+        const sw = state.switches.find(s => s.ip === ip);
+        if (!sw) {
+            throw new StubError(404, `Switch ${ip} not found`);
+        }
+        if (sw.online_status !== 'online') {
+            throw new StubError(409, `Switch ${ip} is offline`);
+        }
+        return sw;
+    }
+
+    function runningConfig(sw) {
+        return [
+            `hostname ${sw.name}`,
+            ...state.vlans.filter(v => v.switches.includes(sw.ip)).flatMap(v => [`vlan ${v.vlan_id}`, `    name ${v.name}`]),
+            ...state.ports.filter(p => p.switch_ip === sw.ip).flatMap(interfaceConfig),
+            ''
+        ].join('\n');
+    }
+
+    function findRule(id) {
+        const rule = state.rules.find(r => String(r.id) === id);
+        if (!rule) {
+            throw new StubError(404, `Rule ${id} not found`);
+        }
+        return rule;
+    }
+
+    const nextRunOf = rule => (rule.schedule && rule.status === 'running'
+        ? schedules.nextRuns(rule.schedule, now(), 1).map(at => at.toISOString())[0] || null
+        : null);
+
+    // Started rules whose scheduled run is due have run
+    function runDueRules() {
+        for (const rule of state.rules.filter(r => r.next_run && Date.parse(r.next_run) <= now())) {
+            rule.last_run = rule.next_run;
+            rule.total_executions += 1;
+            rule.next_run = nextRunOf(rule);
+        }
+    }
+
+    // Switches a write is aimed at: target/apply_on "all" or the listed IPs
+    function targetSwitches(target, ips) {
+        if (target === 'all' || (ips || []).includes('all')) {
+            return state.switches;
+        }
+        return (ips || []).map(ip => state.switches.find(s => s.ip === ip) || { ip, online_status: 'unknown' });
+    }
+
+    // Per-switch results of a write, offline and unknown switches fail
+    function applyOn(switches) {
+        return switches.map(s => (s.online_status === 'online'
+            ? { switch_ip: s.ip, success: true, error: null }
+            : { switch_ip: s.ip, success: false, error: s.online_status === 'unknown' ? 'Unknown switch' : 'Switch is offline' }));
+    }
+
+    function checkVlan(body) {
+        const vlanId = vlanIdOf(body.vlan_id);
+        if (vlanId === null || vlanId < 1 || vlanId > 4094) {
+            throw new StubError(422, `VLAN ID must be between 1 and 4094, got ${body.vlan_id}`);
+        }
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            throw new StubError(422, 'VLAN name is required');
+        }
+        return vlanId;
+    }
+
+    function vlanFlags(body) {
+        return {
+            is_voice: body.is_voice ? 1 : 0,
+            dhcp_snooping: body.dhcp_snooping ? 1 : 0,
+            igmp_enable: body.igmp_enable ? 1 : 0
+        };
+    }
+
+    function findChangeSet(id) {
+        const changeSet = state.changeSets.find(c => c.id === Number(id));
+        if (!changeSet) {
+            throw new StubError(404, `Change set ${id} not found`);
+        }
+        return changeSet;
+    }
+
+    // The change set a write reverts (null for a plain write); refused when
+    // it is of another kind or was reverted already
+    function revertTarget(revertOf, kind) {
+        if (revertOf === undefined || revertOf === null) {
+            return null;
+        }
+        const original = findChangeSet(revertOf);
+        if (original.kind !== kind) {
+            throw new StubError(422, `Change set ${original.id} is a ${original.kind}, not a ${kind}`);
+        }
+        if (original.reverted_by) {
+            throw new StubError(409, `Change set ${original.id} was already reverted by change set ${original.reverted_by}`);
+        }
+        return original;
+    }
+
+    // `complete` false: a revert that left part of the original in place,
+    // which stays revertable
+    function recordChange(kind, { user }, summary, target, before, after, original, complete = true) {
+        const revert = complete ? 'Revert' : 'Partial revert';
+        const changeSet = {
+            id: nextId(state.changeSets),
+            kind,
+            user,
+            at: new Date(now()).toISOString(),
+            summary: original ? `${revert} of change set ${original.id}: ${summary}` : summary,
+            target,
+            before,
+            after,
+            revert_of: original ? original.id : null,
+            reverted_by: null
+        };
+        if (original && complete) {
+            original.reverted_by = changeSet.id;
+        }
+        state.changeSets.push(changeSet);
+        return changeSet;
+    }
+
+    // Routes answered without a token
+    const open = { public: true };
+
+    const routes = [
+        ['GET', '/health', () => ({ status: 'ok' }), open],
+        ['POST', '/api/auth/login', (body) => {
+            const user = state.users.find(u => u.username === body.username && u.password === body.password);
+            if (!user) {
+                throw new StubError(401, 'Incorrect username or password');
+            }
+            const issuedAt = Math.floor(now() / 1000);
+            return {
+                access_token: signToken({ sub: user.username, role: user.role, iat: issuedAt, exp: issuedAt + tokenTtl }, secret),
+                token_type: 'bearer',
+                expires_in: tokenTtl,
+                role: user.role
+            };
+        }, open],
+
+        ['GET', '/api/vlans', () => state.vlans],
+        // Reverting a VLAN delete adds the VLAN back (a vlan-add change set):
+        // refused (409) when a VLAN with its ID exists again
+        ['POST', '/api/vlans/add', (body, params, request) => {
+            const vlanId = checkVlan(body);
+            const original = revertTarget(body.revert_of, 'vlan-delete');
+            if (state.vlans.some(v => v.vlan_id === vlanId)) {
+                throw new StubError(409, `VLAN ${vlanId} already exists`);
+            }
+            const results = applyOn(targetSwitches(body.target, body.switch_ips));
+            const switches = results.filter(r => r.success).map(r => r.switch_ip);
+            const vlan = { id: nextId(state.vlans), vlan_id: vlanId, name: body.name, status: 'active', switches, switch_count: switches.length, ...vlanFlags(body) };
+            state.vlans.push(vlan);
+            const changeSet = original
+                ? recordChange('vlan-add', request, `VLAN ${vlanId} added back`, { target: body.target, switch_ips: body.switch_ips || [] }, null, vlanSnapshot(vlan), original)
+                : null;
+            return { ok: true, message: `VLAN ${vlanId} added`, vlan, results, statistics: statistics(results), change_set: changeSet };
+        }],
+        ['PUT', '/api/vlans/edit', (body, params, request) => {
+            const vlan = findVlan(checkVlan(body));
+            const original = revertTarget(body.revert_of, 'vlan-edit');
+            checkExpected(`VLAN ${vlan.vlan_id}`, vlan, body.expected);
+            const results = applyOn(targetSwitches(body.target, body.switch_ips));
+            const before = vlanSnapshot(vlan);
+            Object.assign(vlan, { name: body.name, ...vlanFlags(body) });
+            const changeSet = recordChange('vlan-edit', request, `VLAN ${vlan.vlan_id} edited`,
+                { target: body.target, switch_ips: body.switch_ips || [] }, before, vlanSnapshot(vlan), original);
+            return { ok: true, message: `VLAN ${vlan.vlan_id} updated`, vlan, results, statistics: statistics(results), change_set: changeSet };
+        }],
+        ['DELETE', '/api/vlans/delete', (body, params, request) => {
+            const vlan = findVlan(vlanIdOf(body.vlan_id));
+            const original = revertTarget(body.revert_of, 'vlan-add');
+            checkExpected(`VLAN ${vlan.vlan_id}`, vlan, body.expected);
+            const results = applyOn(targetSwitches(body.target, body.switch_ips));
+            const before = vlanSnapshot(vlan);
+            const removed = new Set(results.filter(r => r.success).map(r => r.switch_ip));
+            vlan.switches = vlan.switches.filter(ip => !removed.has(ip));
+            vlan.switch_count = vlan.switches.length;
+            const gone = body.target === 'all' || vlan.switches.length === 0;
+            if (gone) {
+                state.vlans.splice(state.vlans.indexOf(vlan), 1);
+            }
+            const changeSet = recordChange('vlan-delete', request, `VLAN ${vlan.vlan_id} deleted`,
+                { target: body.target, switch_ips: body.switch_ips || [] }, before, gone ? null : vlanSnapshot(vlan), original);
+            return { ok: true, message: `VLAN ${vlan.vlan_id} deleted`, results, statistics: statistics(results), change_set: changeSet };
+        }],
+
+        ['GET', '/api/switches', () => state.switches],
+        ['POST', '/api/discover', (body) => {
+            if (!body.ip_input) {
+                throw new StubError(422, 'ip_input is required');
+            }
+            const scanned = new Set(expandIpInput(body.ip_input));
+            const found = state.discoverable.filter(s => scanned.has(s.ip) && !state.switches.some(known => known.ip === s.ip));
+            for (const s of found) {
+                const id = nextId(state.switches);
+                state.switches.push({ id, switch_id: id, ...s, online_status: 'online', last_seen: new Date().toISOString() });
+            }
+            return {
+                ok: true,
+                message: found.length > 0 ? `Discovered ${found.length} switch(es)` : 'No new switches found',
+                discovered: found.map(s => s.ip),
+                statistics: { scanned: scanned.size, discovered: found.length }
+            };
+        }],
+
+        // A switch added by hand is unmonitored until it is first polled
+        ['POST', '/switches/', (body) => {
+            const ip = String(body.ip_address || '').trim();
+            const octets = ip.split('.');
+            if (octets.length !== 4 || !octets.every(o => /^(0|[1-9]\d{0,2})$/.test(o) && Number(o) <= 255)) {
+                throw new StubError(422, `Invalid IP address: ${body.ip_address}`);
+            }
+            if (!body.name || String(body.name).trim() === '') {
+                throw new StubError(422, 'Switch name is required');
+            }
+            if (state.switches.some(s => s.ip === ip)) {
+                throw new StubError(409, `Switch ${ip} already exists`);
+            }
+            const id = nextId(state.switches);
+            const sw = { id, switch_id: id, name: body.name, ip, mac: '', model: '', serial_number: '', version: '', location: body.location || '', online_status: 'unmonitored', vsf_status: 'standalone', last_seen: null };
+            state.switches.push(sw);
+            return { ok: true, message: `Switch ${ip} added`, switch: sw };
+        }],
+        ['PUT', '/update', (body) => {
+            const sw = state.switches.find(s => String(s.switch_id) === String(body.switch_id));
+            if (!sw) {
+                throw new StubError(404, `Switch ${body.switch_id} not found`);
+            }
+            if (!body.new_name || String(body.new_name).trim() === '') {
+                throw new StubError(422, 'Switch name is required');
+            }
+            Object.assign(sw, { name: body.new_name, location: body.new_location || '' });
+            return { ok: true, message: `Switch ${sw.ip} updated`, switch: sw };
+        }],
+        // Deleting a switch forgets its ports too
+        ['DELETE', '/delete', (body) => {
+            const sw = state.switches.find(s => String(s.switch_id) === String(body.switch_id));
+            if (!sw) {
+                throw new StubError(404, `Switch ${body.switch_id} not found`);
+            }
+            state.switches.splice(state.switches.indexOf(sw), 1);
+            state.ports = state.ports.filter(p => p.switch_ip !== sw.ip);
+            return { ok: true, message: `Switch ${sw.ip} deleted` };
+        }],
+        ['GET', '/api/switches/{ip}/config', (body, { ip }) => {
+            const sw = reachableSwitch(ip);
+            return { switch_ip: ip, content: runningConfig(sw) };
+        }],
+        ['GET', '/api/switches/configs/download', () => {
+            const online = state.switches.filter(s => s.online_status === 'online');
+            return {
+                filename: 'switch_configs.zip',
+                data_uri: toZip(Object.fromEntries(online.map(sw => [`${sw.ip}.txt`, runningConfig(sw)]))),
+                statistics: { total: state.switches.length, successful: online.length, failed: state.switches.length - online.length }
+            };
+        }],
+        ['POST', '/api/background-jobs/backup-configs', () => {
+            const results = applyOn(state.switches);
+            const stats = statistics(results);
+            return { ok: true, message: `Backed up ${stats.successful} of ${stats.total} switches`, results, statistics: stats };
+        }],
+
+        ['GET', '/api/ports', () => state.ports],
+        // Re-reads the ports of the online switches (the fixtures stay as they are)
+        ['POST', '/api/ports/refresh', () => {
+            const online = state.switches.filter(s => s.online_status === 'online').map(s => s.ip);
+            return {
+                ok: true,
+                message: 'Ports refreshed',
+                total_switches: state.switches.length,
+                successful_switches: online.length,
+                failed_switches: state.switches.length - online.length,
+                total_ports: state.ports.filter(p => online.includes(p.switch_ip)).length
+            };
+        }],
+        // The Show button of a port: { ok, response } with its interface
+        // configuration, or ok false when the switch cannot be reached
+        ['POST', '/api/port/config', (body) => {
+            const port = state.ports.find(p => p.switch_ip === body.ip && p.port_id === body.port);
+            if (!port) {
+                throw new StubError(404, `Port ${body.port} on ${body.ip} not found`);
+            }
+            const sw = state.switches.find(s => s.ip === body.ip);
+            if (!sw || sw.online_status !== 'online') {
+                return { ok: false, message: `Switch ${body.ip} is offline` };
+            }
+            return { ok: true, response: interfaceConfig(port).join('\n') };
+        }],
+        // Describes the ports of the given VLANs after their LLDP neighbour
+        ['POST', '/api/ports/lldp-naming', (body) => {
+            const vlans = (body.vlans || []).map(vlanIdOf);
+            const switches = targetSwitches('specific', body.switches || ['all']).filter(s => s.online_status === 'online');
+            if (switches.length === 0) {
+                return { ok: false, message: 'No online switches found', statistics: statistics([]) };
+            }
+            const ips = switches.map(s => s.ip);
+            const ports = state.ports.filter(p => ips.includes(p.switch_ip) && vlans.includes(p.access_vlan) && p.lldp_sysname);
+            if (ports.length === 0) {
+                return { ok: true, message: 'No ports found matching the criteria', statistics: statistics([]) };
+            }
+            const renamed = ports.filter(p => p.description !== p.lldp_sysname);
+            if (renamed.length === 0) {
+                return { ok: true, message: `All ${ports.length} ports already have correct descriptions`, statistics: statistics([]) };
+            }
+            const results = renamed.map(port => {
+                port.description = port.lldp_sysname;
+                return { switch_ip: port.switch_ip, port_id: port.port_id, success: true, error: null, description: port.description };
+            });
+            return { ok: true, message: `LLDP naming successful for ${results.length} ports`, results, statistics: statistics(results) };
+        }],
+        ['POST', '/api/ports/bulk-edit', (body, params, request) => {
+            if (!Array.isArray(body.ports) || body.ports.length === 0) {
+                throw new StubError(422, 'No ports selected');
+            }
+            const updates = portChanges(body.changes);
+            const dryRun = body.dry_run === true;
+            const original = dryRun ? null : revertTarget(body.revert_of, 'bulk-edit');
+            // Every port is checked before any changes: a revert is refused
+            // whole when a port changed since. Ports a partial revert already
+            // restored hold their `fields` and pass.
+            for (const { switch_ip: ip, port_id: portId, fields, expected } of body.ports) {
+                const port = state.ports.find(p => p.switch_ip === ip && p.port_id === portId);
+                const fixed = Object.keys(fields || {}).filter(field => FIXED_PORT_FIELDS.includes(field) || !(port && field in port));
+                if (port && fixed.length > 0) {
+                    throw new StubError(422, `Port ${portId} on ${ip} has no settable ${fixed.join(', ')}`);
+                }
+                const restored = original && port && fields && changedFields(port, fields).length === 0;
+                if (!restored) {
+                    checkExpected(`Port ${portId} on ${ip}`, port, expected);
+                }
+            }
+            const results = body.ports.map(({ switch_ip: ip, port_id: portId, fields }) => {
+                const port = state.ports.find(p => p.switch_ip === ip && p.port_id === portId);
+                const sw = state.switches.find(s => s.ip === ip);
+                if (!port) return { switch_ip: ip, port_id: portId, success: false, error: 'Unknown port', diff: {}, commands: [] };
+                const plan = portPlan(port, fields || updates);
+                if (!sw || sw.online_status !== 'online') return { switch_ip: ip, port_id: portId, success: false, error: 'Switch is offline', ...plan };
+                if (!dryRun) Object.assign(port, fields || updates);
+                return { switch_ip: ip, port_id: portId, success: true, error: null, ...plan };
+            });
+            const stats = statistics(results);
+            const message = dryRun ? `Would update ${stats.successful} of ${stats.total} ports` : `Updated ${stats.successful} of ${stats.total} ports`;
+            const changed = results.filter(r => r.success && Object.keys(r.diff).length > 0);
+            const fieldsOf = side => changed.map(({ switch_ip: ip, port_id: portId, diff }) => ({
+                switch_ip: ip,
+                port_id: portId,
+                fields: Object.fromEntries(Object.entries(diff).map(([field, change]) => [field, change[side]]))
+            }));
+            const changeSet = dryRun || changed.length === 0 ? null
+                : recordChange('bulk-edit', request, `${changed.length} port(s) edited`,
+                    { switch_ips: [...new Set(changed.map(r => r.switch_ip))] }, fieldsOf('current'), fieldsOf('new'), original, stats.failed === 0);
+            return { ok: stats.failed === 0, dry_run: dryRun, message, changes: updates, results, statistics: stats, change_set: changeSet };
+        }],
+
+        ['GET', '/api/automation-rules', () => ({ rules: state.rules })],
+        ['POST', '/api/automation-rules/create', (body) => {
+            if (!body.rule_name) {
+                throw new StubError(422, 'rule_name is required');
+            }
+            const schedule = schedules.normalize(body.schedule);
+            const errors = schedules.validate(schedule);
+            if (errors.length > 0) {
+                throw new StubError(422, `Invalid schedule: ${errors.join('; ')}`);
+            }
+            const rule = {
+                id: nextId(state.rules),
+                rule_name: body.rule_name,
+                condition_field: body.condition_field,
+                condition_operator: body.condition_operator || 'contains',
+                condition_value: body.condition_value,
+                action_field: body.action_field,
+                action_value: body.action_value,
+                target_switches: body.target_switches || [],
+                schedule,
+                status: 'stopped',
+                last_run: null,
+                next_run: null,
+                total_executions: 0,
+                successful_ports: 0,
+                failed_ports: 0
+            };
+            state.rules.push(rule);
+            return { ok: true, message: 'Rule created', rule };
+        }],
+        ['GET', '/api/automation-rules/{rule_id}/status', (body, { rule_id: id }) => {
+            // The Tools page asks for rule 0 until a rule is selected: empty status
+            const rule = state.rules.find(r => String(r.id) === id);
+            return { rule: rule || null, switch_statistics: [], recent_actions: [] };
+        }],
+        ...['start', 'stop'].map(action => ['POST', `/api/automation-rules/{rule_id}/${action}`, (body, { rule_id: id }) => {
+            const rule = findRule(id);
+            rule.status = action === 'start' ? 'running' : 'stopped';
+            rule.next_run = nextRunOf(rule);
+            return { ok: true, message: `Rule ${rule.rule_name} ${rule.status}`, rule };
+        }]),
+        ['DELETE', '/api/automation-rules/{rule_id}', (body, { rule_id: id }) => {
+            const rule = findRule(id);
+            state.rules.splice(state.rules.indexOf(rule), 1);
+            return { ok: true, message: `Rule ${rule.rule_name} deleted` };
+        }],
+
+        ['GET', '/api/global-config', () => ({ config: state.globalConfig })],
+        ['POST', '/api/global-config/apply', (body, params, request) => {
+            const { revert_of: revertOf, expected, ...config } = body;
+            if (config.apply_on === 'specific' && !(config.switches || []).length) {
+                throw new StubError(422, 'Select at least one switch');
+            }
+            const original = revertTarget(revertOf, 'global-config');
+            checkExpected('The global configuration', state.globalConfig, expected);
+            const results = applyOn(targetSwitches(config.apply_on, config.switches)).map(r => ({ ...r, sections: {} }));
+            const before = state.globalConfig;
+            state.globalConfig = config;
+            const stats = statistics(results);
+            const changeSet = recordChange('global-config', request, 'Global configuration applied',
+                { apply_on: config.apply_on, switches: config.switches }, before, config, original);
+            return { ok: true, message: `Configuration applied to ${stats.successful} of ${stats.total} switches`, results, statistics: stats, change_set: changeSet };
+        }],
+
+        ['GET', '/api/change-sets', () => ({ change_sets: [...state.changeSets].reverse() })],
+
+        ['POST', '/api/ssh/execute', (body) => {
+            if (!body.commands || String(body.commands).trim() === '') {
+                throw new StubError(422, 'No commands given');
+            }
+            const results = applyOn(targetSwitches(body.apply_on, body.switches));
+            const now = new Date().toISOString();
+            // Jobs finish at once: the first status poll sees the outcome
+            state.sshJob = {
+                job_id: `job-${Date.now()}`,
+                status: 'completed',
+                total_switches: results.length,
+                successful: results.filter(r => r.success).length,
+                failed: results.filter(r => !r.success).length,
+                success_ips: results.filter(r => r.success).map(r => r.switch_ip),
+                failed_ips: results.filter(r => !r.success).map(r => r.switch_ip),
+                started_at: now,
+                completed_at: now
+            };
+            return { ok: true, message: 'SSH job started', job: state.sshJob };
+        }],
+        ['GET', '/api/ssh/status', () => state.sshJob],
+
+        ['GET', '/status/online_count', () => count('online')],
+        ['GET', '/status/offline_count', () => count('offline')],
+        ['GET', '/status/unmonitored_count', () => count('unmonitored')],
+
+        // The stub's own routes, in the shape FastAPI publishes them
+        ['GET', '/openapi.json', () => ({
+            openapi: '3.0.3',
+            info: { title: 'NetSwift stub backend', version: '1' },
+            paths: routes.reduce((paths, { method, template }) => {
+                paths[template] = { ...paths[template], [method.toLowerCase()]: { responses: { 200: { description: 'OK' } } } };
+                return paths;
+            }, {})
+        }), open]
+    ].map(([method, template, handler, flags = {}]) => ({ method, template, pattern: templatePattern(template), handler, ...flags }));
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        state.requests.push({ method: req.method, path: url.pathname, query: url.search });
+
+        const matching = routes
+            .map(route => ({ ...route, match: route.pattern.exec(url.pathname) }))
+            .filter(route => route.match);
+        const route = matching.find(r => r.method === req.method);
+        if (!route) {
+            return matching.length > 0
+                ? sendJson(res, 405, { detail: 'Method Not Allowed' })
+                : sendJson(res, 404, { detail: `Not found: ${url.pathname}` });
+        }
+
+        try {
+            // Who sent the request, for the change sets
+            const request = { user: 'anonymous' };
+            if (!route.public && options.auth !== false) {
+                const claims = verifyToken((/^Bearer\s+(.+)$/i.exec(req.headers.authorization || '') || [])[1], secret, now());
+                if (req.method !== 'GET' && claims.role !== WRITE_ROLE) {
+                    throw new StubError(403, `The ${claims.role || 'unknown'} role may not change the network`);
+                }
+                request.user = claims.sub || 'anonymous';
+            }
+            const body = req.method === 'GET' ? {} : await readJson(req);
+            state.requests[state.requests.length - 1].body = body;
+            runDueRules();
+            return sendJson(res, 200, route.handler(body, route.match.groups || {}, request));
+        } catch (e) {
+            if (e instanceof StubError) {
+                return sendJson(res, e.status, { detail: e.message }, e.headers);
+            }
+            return sendJson(res, 500, { detail: e.message });
+        }
+    });
+
+    return new Promise(resolve => {
+        server.listen(options.port || 0, options.host || '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8000' },
+            host: { type: 'string', default: '0.0.0.0' },
+            // name:password[:role] (role admin by default), replaces the
+            // fixture accounts
+            user: { type: 'string', multiple: true },
+            'token-ttl': { type: 'string', default: String(DEFAULT_TOKEN_TTL) }
+        }
+    });
+    const users = (values.user || []).map(entry => {
+        const [username, password, role = 'admin'] = entry.split(':');
+        if (!ROLES.includes(role)) {
+            throw new Error(`Unknown role ${role} for ${username} (use ${ROLES.join(' or ')})`);
+        }
+        return { username, password, role };
+    });
+    startStubBackend({
+        port: Number(values.port),
+        host: values.host,
+        tokenTtl: Number(values['token-ttl']),
+        fixtures: users.length > 0 ? { users } : {}
+    }).then(stub => {
+        console.log(`Stub NetSwift backend listening on port ${values.port} (${stub.url})`);
+    });
+}
+
+module.exports = { ROLES, startStubBackend, defaultFixtures, signToken, verifyToken };
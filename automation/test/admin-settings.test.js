@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { settingsFromConfig, diffSettings, formatSettingChange } = require('../admin-settings');
+
+test('only configured settings are mapped, as strings', () => {
+    assert.deepEqual(settingsFromConfig({ instanceName: 'NetSwift', signupDisabled: false, smtp: {} }), {
+        APPSMITH_INSTANCE_NAME: 'NetSwift',
+        APPSMITH_SIGNUP_DISABLED: 'false'
+    });
+    assert.deepEqual(settingsFromConfig({}), {});
+});
+
+test('SMTP host and username turn mail and SMTP authentication on', () => {
+    const settings = settingsFromConfig({ smtp: { host: 'smtp.example.com', port: 587, username: 'netswift', tls: true } });
+
+    assert.deepEqual(settings, {
+        APPSMITH_MAIL_HOST: 'smtp.example.com',
+        APPSMITH_MAIL_ENABLED: 'true',
+        APPSMITH_MAIL_PORT: '587',
+        APPSMITH_MAIL_USERNAME: 'netswift',
+        APPSMITH_MAIL_SMTP_AUTH: 'true',
+        APPSMITH_MAIL_SMTP_TLS_ENABLED: 'true'
+    });
+});
+
+test('changes list differing and unset keys, secrets without their value', () => {
+    const changes = diffSettings(
+        { APPSMITH_INSTANCE_NAME: 'Appsmith', APPSMITH_SIGNUP_DISABLED: 'true', APPSMITH_MAIL_PASSWORD: 'old-secret' },
+        { APPSMITH_INSTANCE_NAME: 'NetSwift', APPSMITH_SIGNUP_DISABLED: 'true', APPSMITH_MAIL_PASSWORD: 'new-secret', APPSMITH_CUSTOM_DOMAIN: 'netswift.example.com' }
+    );
+
+    assert.deepEqual(changes.map(c => c.key), ['APPSMITH_INSTANCE_NAME', 'APPSMITH_MAIL_PASSWORD', 'APPSMITH_CUSTOM_DOMAIN']);
+    assert.deepEqual(changes.map(formatSettingChange), [
+        'APPSMITH_INSTANCE_NAME: "Appsmith" -> "NetSwift"',
+        'APPSMITH_MAIL_PASSWORD: changed',
+        'APPSMITH_CUSTOM_DOMAIN: (unset) -> "netswift.example.com"'
+    ]);
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { templatePath, bodyProperties, buildContract, lintContract, compareContract, hasContractMismatches } = require('../api-contract');
+const { startStubBackend } = require('../stub-backend');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+
+test('bound path segments become named parameters, body keys become properties', () => {
+    assert.deepEqual(templatePath('/api/automation-rules/{{List1.triggeredItem?.id || 0}}/status'), {
+        path: '/api/automation-rules/{id}/status',
+        parameters: ['id']
+    });
+    assert.deepEqual(templatePath('/api/switches/{{Table.triggeredRow.ip}}/config').parameters, ['ip']);
+
+    assert.deepEqual(bodyProperties('{\n  "ip": "{{ row.port_id.split("-uplink")[0] }}",\n  "nested": { "inner": 1 },\n  "mode": "contains",\n  "ids": {{ [1, 2] }}\n}'), {
+        ip: {},
+        nested: { type: 'object' },
+        mode: { type: 'string' },
+        ids: {}
+    });
+});
+
+test('the contract lists every NetSwift API route once, with the queries calling it', () => {
+    const contract = buildContract(exported);
+
+    assert.equal(contract.openapi, '3.0.3');
+    assert.deepEqual(contract.paths['/api/vlans'].get['x-appsmith-actions'].sort(), ['Switchports/getVlans', 'Tools/getVlans', 'VLANs/fetch_vlans', 'VLANs/getVlans']);
+    assert.ok(Object.keys(contract.paths['/api/ports/bulk-edit'].post.requestBody.content['application/json'].schema.properties).includes('changes'));
+    assert.equal(contract.paths['/api/switches'].get.parameters[0].name, 'unique');
+    // Every query but the login sends the JWT
+    assert.equal(contract.paths['/api/auth/login'].post.operationId, 'loginAuth');
+    assert.equal(contract.paths['/api/auth/login'].post.security, undefined);
+    assert.deepEqual(contract.paths['/api/vlans'].get.security, [{ bearerAuth: [] }]);
+    assert.equal(contract.paths['/api/vlans'].get.responses[403], undefined);
+    assert.ok(contract.paths['/api/vlans/delete'].delete.responses[403]);
+    assert.equal(contract.components.securitySchemes.bearerAuth.scheme, 'bearer');
+});
+
+test('inconsistent routes are flagged', () => {
+    const problems = lintContract(buildContract(exported));
+    const flagged = rule => problems.filter(p => p.rule === rule).map(p => p.path || p.actions[0]).sort();
+
+    assert.deepEqual(flagged('trailing-slash'), ['/switches/']);
+    assert.deepEqual(flagged('bare-verb'), ['/delete', '/update']);
+    assert.deepEqual(flagged('count-route'), ['/status/offline_count', '/status/online_count', '/status/unmonitored_count']);
+    assert.ok(flagged('outside-api').includes('/delete'));
+    assert.deepEqual(flagged('no-path'), ['Tools/saveRules']);
+});
+
+test('comparing with a backend reports missing routes, method mismatches and unused routes', () => {
+    const contract = buildContract(exported);
+    const backend = {
+        paths: {
+            '/api/vlans': { get: {} },
+            '/api/vlans/delete': { post: {} },
+            '/switches': { post: {} },
+            '/api/automation-rules/{rule_id}/status': { get: {} },
+            '/api/metrics': { get: {} }
+        }
+    };
+
+    const comparison = compareContract(contract, backend);
+
+    assert.ok(comparison.missing.some(m => m.path === '/switches/' && m.hint === 'the backend has /switches'));
+    assert.ok(!comparison.missing.some(m => m.path === '/api/automation-rules/{id}/status'));
+    assert.deepEqual(comparison.methodMismatches.map(m => `${m.method} ${m.path} (${m.backendMethods})`), ['delete /api/vlans/delete (post)']);
+    assert.deepEqual(comparison.unused.map(u => `${u.method} ${u.path}`), ['post /api/vlans/delete', 'post /switches', 'get /api/metrics']);
+    assert.equal(hasContractMismatches(comparison), true);
+});
+
+test('the stub backend publishes its routes and serves every route the app calls', async () => {
+    const stub = await startStubBackend();
+    try {
+        const spec = await (await fetch(`${stub.url}/openapi.json`)).json();
+        const comparison = compareContract(buildContract(exported), spec);
+
+        assert.deepEqual(comparison.missing.map(m => `${m.method} ${m.path}`), []);
+        assert.deepEqual(comparison.methodMismatches, []);
+    } finally {
+        await stub.close();
+    }
+});
@@ -0,0 +1,311 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createAppsmithClient } = require('../appsmith-api');
+const { startMockAppsmith } = require('./mock-appsmith');
+const automation = require('../appsmith-automation-json');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+let mock;
+
+before(async () => {
+    mock = await startMockAppsmith();
+});
+
+after(async () => {
+    await mock.close();
+});
+
+// Point the automation at a mock server with a clean app lookup
+function configureAutomation(url, { statePath = '/nonexistent/state.json' } = {}) {
+    Object.assign(automation.config, { appsmithUrl: url });
+    Object.assign(automation.config.admin, { email: 'admin@netswift.com', password: 'netswiftadmin' });
+    Object.assign(automation.config.app, { jsonPath: APP_JSON, importMode: 'api', name: undefined, id: undefined });
+    Object.assign(automation.config.state, { file: statePath });
+}
+
+test('login stores the session cookie', async () => {
+    const client = createAppsmithClient(mock.url);
+    assert.equal(client.isAuthenticated(), false);
+
+    await client.login('admin@netswift.com', 'netswiftadmin');
+    assert.equal(client.isAuthenticated(), true);
+});
+
+test('login rejects bad credentials', async () => {
+    const client = createAppsmithClient(mock.url);
+    await assert.rejects(client.login('admin@netswift.com', 'wrong'), /Login failed/);
+});
+
+test('API calls without a session surface the Appsmith error', async () => {
+    const client = createAppsmithClient(mock.url);
+    await assert.rejects(client.getWorkspaces(), /Unauthorized/);
+});
+
+test('importApplication uploads the export and returns the application', async () => {
+    const client = createAppsmithClient(mock.url);
+    await client.login('admin@netswift.com', 'netswiftadmin');
+
+    const [workspace] = await client.getWorkspaces();
+    const result = await client.importApplication(workspace.id, APP_JSON);
+
+    assert.equal(result.application.name, 'NetSwift2.0');
+    assert.equal(result.isPartialImport, false);
+
+    const stored = mock.state.applications.find(a => a.id === result.application.id);
+    assert.equal(stored.filename, 'netswift.json');
+
+    const pages = await client.getPages(result.application.id);
+    assert.ok(pages.some(p => p.slug === 'loginpage'));
+});
+
+test('importFromJson (api mode) returns application ID, page slugs and login URL', async () => {
+    configureAutomation(mock.url);
+
+    const result = await automation.importFromJson(null);
+    const loginPage = result.pages.find(p => p.slug === 'loginpage');
+
+    assert.equal(result.mode, 'api');
+    assert.match(result.applicationId, /^[0-9a-f]{24}$/);
+    assert.equal(result.pages.length, 8);
+    assert.equal(loginPage.isDefault, true);
+    assert.equal(result.url, `${mock.url}/app/netswift2-0/loginpage-${loginPage.id}`);
+});
+
+test('getApplications lists the workspace apps, exportApplication returns the bare export', async () => {
+    const client = createAppsmithClient(mock.url);
+    await client.login('admin@netswift.com', 'netswiftadmin');
+
+    const [workspace] = await client.getWorkspaces();
+    const { application } = await client.importApplication(workspace.id, APP_JSON);
+
+    const applications = await client.getApplications(workspace.id);
+    assert.ok(applications.some(a => a.id === application.id && a.name === 'NetSwift2.0'));
+
+    const exported = await client.exportApplication(application.id);
+    assert.equal(exported.responseMeta, undefined);
+    assert.equal(exported.exportedApplication.name, 'NetSwift2.0');
+
+    await assert.rejects(client.exportApplication('64f000000000000000000000'), /not found/);
+});
+
+test('getViewActions lists the imported queries with their page', async () => {
+    const client = createAppsmithClient(mock.url);
+    await client.login('admin@netswift.com', 'netswiftadmin');
+
+    const [workspace] = await client.getWorkspaces();
+    const { application } = await client.importApplication(workspace.id, APP_JSON);
+    const vlansPage = (await client.getPages(application.id)).find(p => p.name === 'VLANs');
+
+    const actions = await client.getViewActions(application.id);
+    assert.ok(actions.some(a => a.name === 'getVlans' && a.pageId === vlansPage.id && /^[0-9a-f]{24}$/.test(a.id)));
+    assert.ok(!actions.some(a => a.name === 'RuleManager'));
+});
+
+test('runExportCommand finds the imported app by its stored ID and saves a backup', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-export-'));
+    try {
+        const statePath = path.join(tmpDir, 'state.json');
+        configureAutomation(mock.url, { statePath });
+        Object.assign(automation.config.backup, { dir: path.join(tmpDir, 'backups'), keep: 0 });
+
+        const imported = await automation.importFromJson(null);
+        fs.writeFileSync(statePath, JSON.stringify({
+            version: 1,
+            steps: { import: { status: 'completed', outputs: { applicationId: imported.applicationId } } }
+        }));
+
+        const first = await automation.runExportCommand();
+        const stored = mock.state.applications.find(a => a.id === imported.applicationId);
+        assert.deepEqual(JSON.parse(fs.readFileSync(first.path, 'utf8')), stored.exported);
+        assert.ok(mock.state.requests.some(r => r.path === `/api/v1/applications/export/${imported.applicationId}`));
+
+        // Nothing changed in Appsmith, so no second copy
+        const second = await automation.runExportCommand();
+        assert.equal(second.skipped, true);
+        assert.equal(fs.readdirSync(automation.config.backup.dir).length, 1);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('runDiffCommand compares the deployed app with the export file', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-diff-'));
+    const fresh = await startMockAppsmith();
+    const output = [];
+    const originalLog = console.log;
+    try {
+        configureAutomation(fresh.url);
+        await automation.importFromJson(null);
+
+        const changedPath = path.join(tmpDir, 'changed.json');
+        const changed = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+        changed.actionList.find(a => a.unpublishedAction.name === 'getVlans').unpublishedAction.actionConfiguration.path = '/api/v2/vlans';
+        fs.writeFileSync(changedPath, JSON.stringify(changed));
+
+        console.log = line => output.push(line);
+        assert.equal(await automation.runDiffCommand([]), false);
+        assert.equal(await automation.runDiffCommand([APP_JSON, changedPath]), true);
+        console.log = originalLog;
+
+        assert.match(output.join('\n'), /No differences/);
+        assert.match(output.join('\n'), /VLANs\/getVlans\n\s+path: "\/api\/vlans" -> "\/api\/v2\/vlans"/);
+    } finally {
+        console.log = originalLog;
+        await fresh.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('a rerun import updates the existing app in place and keeps its URL', async () => {
+    const fresh = await startMockAppsmith();
+    try {
+        configureAutomation(fresh.url);
+        const first = await automation.importFromJson(null);
+
+        // Found by the ID the import step stored, or by name
+        const byId = await automation.findImportTarget({ storedId: first.applicationId }, false);
+        assert.equal(byId.id, first.applicationId);
+        const byName = await automation.findImportTarget({}, false);
+        assert.equal(byName.id, first.applicationId);
+
+        const updated = await automation.importFromJson(null, APP_JSON, { into: byId });
+        assert.equal(updated.updatedInPlace, true);
+        assert.equal(updated.applicationId, first.applicationId);
+        assert.equal(updated.url, first.url);
+        assert.equal(fresh.state.applications.length, 1);
+        assert.ok(fresh.state.requests.some(r => r.method === 'POST' &&
+            r.path === `/api/v1/applications/import/${byId.workspaceId}` && r.query === `?applicationId=${first.applicationId}`));
+    } finally {
+        await fresh.close();
+    }
+});
+
+test('duplicates are only imported with --allow-duplicate, and make the name ambiguous', async () => {
+    const fresh = await startMockAppsmith();
+    try {
+        configureAutomation(fresh.url);
+        await automation.importFromJson(null);
+
+        assert.equal(await automation.findImportTarget({}, true), null);
+        await automation.importFromJson(null);
+        assert.equal(fresh.state.applications.length, 2);
+
+        await assert.rejects(automation.findImportTarget({}, false), /2 applications are named "NetSwift2.0".*set APP_ID/);
+
+        automation.config.app.id = fresh.state.applications[1].id;
+        assert.equal((await automation.findImportTarget({}, false)).id, fresh.state.applications[1].id);
+
+        // The UI flow cannot update in place, so it refuses instead of adding a copy
+        automation.config.app.importMode = 'ui';
+        await assert.rejects(automation.importFromJson(null, APP_JSON, { into: fresh.state.applications[1] }), /IMPORT_MODE=api.*--allow-duplicate/);
+    } finally {
+        automation.config.app.id = undefined;
+        automation.config.app.importMode = 'api';
+        await fresh.close();
+    }
+});
+
+test('deploySite creates the workspace, imports the site copy and invites users once', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-site-'));
+    const fresh = await startMockAppsmith();
+    try {
+        configureAutomation(fresh.url);
+        automation.config.app.patchedPath = path.join(tmpDir, 'netswift.patched.json');
+        const site = {
+            name: 'berlin',
+            workspace: 'NetSwift Berlin',
+            appName: 'NetSwift Berlin',
+            datasourceUrl: 'http://10.1.0.5:8000',
+            users: [{ email: 'ops@example.com', role: 'App Viewer' }, { email: 'lead@example.com', role: 'Developer' }]
+        };
+
+        const first = await automation.deploySite(site);
+        const workspace = fresh.state.workspaces.find(w => w.name === 'NetSwift Berlin');
+        const app = fresh.state.applications.find(a => a.id === first.applicationId);
+
+        assert.equal(first.workspaceId, workspace.id);
+        assert.equal(app.workspaceId, workspace.id);
+        assert.equal(app.name, 'NetSwift Berlin');
+        assert.equal(app.exported.datasourceList.find(d => d.name === 'NetSwift API').datasourceConfiguration.url, 'http://10.1.0.5:8000');
+        assert.match(first.url, /\/app\/netswift-berlin\/loginpage-[0-9a-f]{24}$/);
+        assert.deepEqual(first.users.map(u => u.status), ['invited', 'invited']);
+        assert.equal(workspace.members.find(m => m.username === 'lead@example.com').permissionGroupName, 'Developer - NetSwift Berlin');
+
+        // Rerun: same workspace and app, nobody invited twice
+        const second = await automation.deploySite(site, { storedId: first.applicationId });
+        assert.equal(second.applicationId, first.applicationId);
+        assert.equal(second.url, first.url);
+        assert.equal(second.updatedInPlace, true);
+        assert.deepEqual(second.users.map(u => u.status), ['member', 'member']);
+        assert.equal(fresh.state.workspaces.filter(w => w.name === 'NetSwift Berlin').length, 1);
+        assert.equal(fresh.state.requests.filter(r => r.path === '/api/v1/users/invite').length, 2);
+    } finally {
+        await fresh.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
+
+test('provisionUsers invites once and moves members to the listed role', async () => {
+    const fresh = await startMockAppsmith();
+    try {
+        configureAutomation(fresh.url);
+        const [workspace] = fresh.state.workspaces;
+        const users = [
+            { email: 'ops@example.com', name: 'Ops', role: 'App Viewer' },
+            { email: 'lead@example.com', name: null, role: 'Developer' }
+        ];
+
+        const first = await automation.provisionUsers(users, { workspaceIds: [workspace.id] });
+        assert.deepEqual(first.map(u => [u.email, u.status]), [['ops@example.com', 'invited'], ['lead@example.com', 'invited']]);
+        assert.equal(first[0].workspace, 'NetSwift Workspace');
+
+        // Rerun with a promoted user: no new invitation, one membership each
+        users[0].role = 'Developer';
+        const second = await automation.provisionUsers(users);
+        assert.deepEqual(second.map(u => u.status), ['role changed', 'member']);
+        assert.equal(fresh.state.requests.filter(r => r.path === '/api/v1/users/invite').length, 2);
+        assert.equal(workspace.members.filter(m => m.username === 'ops@example.com').length, 1);
+        assert.equal(workspace.members.find(m => m.username === 'ops@example.com').permissionGroupName, 'Developer - NetSwift Workspace');
+    } finally {
+        await fresh.close();
+    }
+});
+
+test('applyAdminSettings saves only changed keys, restarts once and verifies', async () => {
+    const fresh = await startMockAppsmith({ settings: { APPSMITH_INSTANCE_NAME: 'NetSwift', APPSMITH_MAIL_FROM: 'old@example.com' } });
+    try {
+        configureAutomation(fresh.url);
+        const wanted = { APPSMITH_INSTANCE_NAME: 'NetSwift', APPSMITH_SIGNUP_DISABLED: 'true' };
+
+        const first = await automation.applyAdminSettings(wanted);
+        assert.deepEqual(first, { changed: ['APPSMITH_SIGNUP_DISABLED'], restarted: true });
+        assert.equal(fresh.state.restarts, 1);
+        assert.equal(fresh.state.settings.APPSMITH_MAIL_FROM, 'old@example.com');
+        const saved = fresh.state.requests.filter(r => r.method === 'PUT' && r.path === '/api/v1/admin/env');
+        assert.equal(saved.length, 1);
+
+        // Rerun: nothing to save, no restart
+        assert.deepEqual(await automation.applyAdminSettings(wanted), { changed: [], restarted: false });
+        assert.equal(fresh.state.restarts, 1);
+    } finally {
+        await fresh.close();
+    }
+});
+
+test('applyAdminSettings fails when a value is not kept after the restart', async () => {
+    const fresh = await startMockAppsmith({ lostSettings: ['APPSMITH_CUSTOM_DOMAIN'] });
+    try {
+        configureAutomation(fresh.url);
+        await assert.rejects(
+            automation.applyAdminSettings({ APPSMITH_CUSTOM_DOMAIN: 'netswift.example.com', APPSMITH_INSTANCE_NAME: 'NetSwift' }),
+            /did not keep APPSMITH_CUSTOM_DOMAIN after the restart/
+        );
+    } finally {
+        await fresh.close();
+    }
+});
@@ -0,0 +1,165 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+
+const { startMockAppsmith } = require('./mock-appsmith');
+const { startStubBackend } = require('../stub-backend');
+const automation = require('../appsmith-automation-json');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+// Drives the real UI steps, so it needs a browser (npx playwright install chromium)
+const skip = fs.existsSync(chromium.executablePath())
+    ? false
+    : 'Chromium is not installed (run: npx playwright install chromium)';
+
+// The steps sleep between actions like a user would, so allow for that
+const STEP_TIMEOUT = 120000;
+
+let browser;
+let mock;
+let stub;
+let page;
+
+before(async () => {
+    if (!skip) {
+        browser = await chromium.launch({ headless: true });
+    }
+});
+
+after(async () => {
+    if (browser) await browser.close();
+});
+
+afterEach(async () => {
+    if (page) await page.context().close();
+    if (mock) await mock.close();
+    if (stub) await stub.close();
+    page = null;
+    mock = null;
+    stub = null;
+
+    // Steps save screenshots under /tmp; keep test runs from piling them up
+    for (const screenshot of automation.report.data.screenshots.splice(0)) {
+        fs.rmSync(screenshot.path, { force: true });
+    }
+});
+
+// Fresh mock Appsmith (with the given variant) and a new browser page
+async function setup(options = {}) {
+    mock = await startMockAppsmith(options);
+    Object.assign(automation.config, { appsmithUrl: mock.url });
+    Object.assign(automation.config.admin, { email: 'admin@netswift.com', password: 'netswiftadmin' });
+    Object.assign(automation.config.app, { jsonPath: APP_JSON, importMode: 'ui' });
+
+    const context = await browser.newContext({ viewport: { width: 1920, height: 947 } });
+    context.setDefaultTimeout(15000);
+    page = await context.newPage();
+}
+
+function loginPageUrl() {
+    const app = mock.state.applications[0];
+    const loginPage = app.pages.find(p => p.name === 'LoginPage');
+    return `${mock.url}/app/${app.slug}/loginpage-${loginPage.id}`;
+}
+
+test('createAdminAccount signs up and answers onboarding on a fresh instance', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup({ adminExists: false });
+
+    assert.equal(await automation.waitForAppsmith(page), true);
+    assert.equal(await automation.createAdminAccount(page), true);
+
+    assert.equal(mock.state.admin.email, 'admin@netswift.com');
+    assert.equal(mock.state.admin.password, 'netswiftadmin');
+    assert.equal(mock.state.admin.name, 'NetSwift Admin');
+    assert.deepEqual(mock.state.admin.onboarding, { proficiency: 'novice', useCase: 'personal' });
+    assert.match(page.url(), /\/applications$/);
+});
+
+test('createAdminAccount logs in when the admin already exists', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup({ adminExists: true });
+
+    assert.equal(await automation.createAdminAccount(page), true);
+    assert.ok(mock.state.requests.some(r => r.method === 'POST' && r.path === '/api/v1/login'));
+    assert.ok(!mock.state.requests.some(r => r.path === '/api/v1/users/super'));
+});
+
+test('loginExistingAdmin fails on wrong credentials', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup();
+    automation.config.admin.password = 'wrong-password';
+
+    await assert.rejects(automation.loginExistingAdmin(page), /Login failed/);
+    assert.match(page.url(), /\/user\/login\?error/);
+});
+
+test('importFromJson (ui mode) uploads through the import modal, getNetSwiftUrl opens the app card', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup();
+    await automation.loginExistingAdmin(page);
+
+    assert.deepEqual(await automation.importFromJson(page), { mode: 'ui' });
+    assert.equal(mock.state.applications.length, 1);
+    assert.equal(mock.state.applications[0].filename, 'netswift.json');
+
+    assert.equal(await automation.getNetSwiftUrl(page), loginPageUrl());
+});
+
+test('getNetSwiftUrl goes through the reconnect-datasources modal after a partial import', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup({ partialImport: true });
+    await automation.loginExistingAdmin(page);
+    await automation.importFromJson(page);
+
+    assert.equal(await automation.getNetSwiftUrl(page), loginPageUrl());
+    assert.ok(mock.state.requests.some(r => /\/loginpage-[0-9a-f]{24}\/edit$/.test(r.path)));
+});
+
+test('getNetSwiftUrl switches to LoginPage when another page is the default', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup({ defaultPage: 'VLANs' });
+    await automation.loginExistingAdmin(page);
+    await automation.importFromJson(page);
+
+    assert.equal(await automation.getNetSwiftUrl(page), loginPageUrl());
+});
+
+// Import a copy of the export whose NetSwift API points at a stub backend
+async function deployWithStub() {
+    stub = await startStubBackend();
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    exported.datasourceList.find(d => d.name === 'NetSwift API').datasourceConfiguration.url = stub.url;
+    const patchedPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'smoke-')), 'netswift.json');
+    fs.writeFileSync(patchedPath, JSON.stringify(exported));
+
+    Object.assign(automation.config.app, { importMode: 'api', name: undefined, id: undefined });
+    Object.assign(automation.config.smoke, { username: 'admin', password: 'admin', pageTimeout: 10000 });
+    const imported = await automation.importFromJsonApi(patchedPath);
+    await automation.loginExistingAdmin(page);
+    return { label: 'netswift', ...imported };
+}
+
+test('smokeTest signs into LoginPage and checks every page against the stub backend', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup();
+    const target = await deployWithStub();
+
+    const results = await automation.smokeTest(page, [target]);
+
+    assert.deepEqual(results.map(r => r.page).sort(), ['About', 'Global', 'History', 'Switches', 'Switchports', 'Tools', 'VLANs']);
+    for (const path of ['/api/vlans', '/api/switches', '/api/ports', '/api/automation-rules']) {
+        assert.ok(stub.state.requests.some(r => r.path === path), `${path} was not queried`);
+    }
+    assert.equal(automation.report.data.smoke.length, 6);
+    assert.ok(automation.report.data.smoke.every(r => r.screenshot));
+});
+
+test('smokeTest fails on failed queries and error toasts', { skip, timeout: STEP_TIMEOUT }, async () => {
+    await setup();
+    const target = await deployWithStub();
+    await stub.close();
+
+    await assert.rejects(automation.smokeTest(page, [target]), /Smoke test failed on .*netswift\/VLANs/);
+    const vlans = automation.report.data.smoke.find(r => r.page === 'VLANs');
+    assert.ok(vlans.queries.some(q => q.name === 'getVlans' && q.error));
+    assert.ok(vlans.toasts.length > 0);
+    stub = null;
+});
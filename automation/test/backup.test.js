@@ -0,0 +1,68 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { saveBackup, listBackups } = require('../backup');
+
+let tmpDir;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-backup-'));
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const exportWith = version => ({ exportedApplication: { name: 'NetSwift2.0' }, pageList: [], version });
+const at = seconds => new Date(Date.UTC(2026, 9, 18, 12, 0, seconds));
+
+test('saveBackup names the file by UTC timestamp and content hash, root-only', () => {
+    const backup = saveBackup(tmpDir, exportWith(1), { now: at(5) });
+
+    assert.match(path.basename(backup.path), /^netswift-20261018-120005-[0-9a-f]{12}\.json$/);
+    assert.ok(backup.path.endsWith(`-${backup.hash}.json`));
+    assert.equal(backup.skipped, false);
+    assert.deepEqual(JSON.parse(fs.readFileSync(backup.path, 'utf8')), exportWith(1));
+    assert.equal(fs.statSync(backup.path).mode & 0o777, 0o600);
+});
+
+test('saveBackup skips content identical to the newest backup', () => {
+    const first = saveBackup(tmpDir, exportWith(1), { now: at(1) });
+    const again = saveBackup(tmpDir, exportWith(1), { now: at(2) });
+
+    assert.equal(again.skipped, true);
+    assert.equal(again.path, first.path);
+    assert.equal(listBackups(tmpDir).length, 1);
+
+    // Same content as an older (not the newest) backup is saved again
+    saveBackup(tmpDir, exportWith(2), { now: at(3) });
+    assert.equal(saveBackup(tmpDir, exportWith(1), { now: at(4) }).skipped, false);
+    assert.equal(listBackups(tmpDir).length, 3);
+});
+
+test('saveBackup keeps the newest `keep` backups, 0 keeps all', () => {
+    for (let version = 1; version <= 4; version++) {
+        saveBackup(tmpDir, exportWith(version), { now: at(version) });
+    }
+    assert.equal(listBackups(tmpDir).length, 4);
+
+    const result = saveBackup(tmpDir, exportWith(5), { now: at(5), keep: 2 });
+    const remaining = listBackups(tmpDir);
+
+    assert.equal(result.removed.length, 3);
+    assert.deepEqual(remaining.map(b => b.createdAt), ['2026-10-18T12:00:04Z', '2026-10-18T12:00:05Z']);
+    assert.equal(remaining[1].path, result.path);
+});
+
+test('listBackups ignores other files and a missing directory', () => {
+    assert.deepEqual(listBackups(path.join(tmpDir, 'missing')), []);
+
+    fs.writeFileSync(path.join(tmpDir, 'notes.txt'), '');
+    fs.writeFileSync(path.join(tmpDir, 'netswift.json'), '{}');
+    saveBackup(tmpDir, exportWith(1), { now: at(1) });
+
+    assert.equal(listBackups(tmpDir).length, 1);
+});
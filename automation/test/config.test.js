@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveConfig, maskSecrets, formatHelp } = require('../config');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+const BASE_ENV = { ADMIN_PASSWORD: 'netswiftadmin', APP_JSON_PATH: APP_JSON };
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-config-'));
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeFile(name, content) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('defaults apply when nothing else is set', () => {
+    const { config, errors } = resolveConfig({ env: BASE_ENV });
+    assert.deepEqual(errors, []);
+    assert.equal(config.appsmithUrl, 'http://localhost');
+    assert.equal(config.app.importMode, 'api');
+    assert.equal(config.playwright.timeout, 90000);
+    assert.equal(config.playwright.headless, true);
+});
+
+test('the smoke test needs its password; there is no default', () => {
+    assert.equal(resolveConfig({ env: BASE_ENV }).config.smoke.password, undefined);
+    assert.deepEqual(resolveConfig({ env: { ...BASE_ENV, SMOKE_TEST: 'true' } }).errors,
+        ['smoke.password (SMOKE_PASSWORD / --smoke-password): is required when smoke.enabled is set']);
+    assert.deepEqual(resolveConfig({ env: { ...BASE_ENV, SMOKE_TEST: 'true', SMOKE_PASSWORD: 'admin' } }).errors, []);
+});
+
+test('layers apply in order: file < env < flags', () => {
+    const configFile = writeFile('layers.yaml', [
+        'appsmithUrl: http://from-file',
+        'admin:',
+        '  email: file@netswift.com',
+        'playwright:',
+        '  timeout: 30000',
+        '  headless: false'
+    ].join('\n'));
+
+    const { config, errors } = resolveConfig({
+        env: { ...BASE_ENV, CONFIG_FILE: configFile, APPSMITH_URL: 'http://from-env', TIMEOUT: '45000' },
+        argv: ['--timeout', '60000']
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.admin.email, 'file@netswift.com');
+    assert.equal(config.appsmithUrl, 'http://from-env');
+    assert.equal(config.playwright.timeout, 60000);
+    assert.equal(config.playwright.headless, false);
+});
+
+test('JSON config files are supported through --config', () => {
+    const configFile = writeFile('config.json', JSON.stringify({ datasource: { url: 'http://10.0.0.5:8000' } }));
+    const { config, configFile: used, errors } = resolveConfig({ env: BASE_ENV, argv: ['--config', configFile] });
+
+    assert.deepEqual(errors, []);
+    assert.equal(used, configFile);
+    assert.equal(config.datasource.url, 'http://10.0.0.5:8000');
+});
+
+test('every problem is reported in one pass', () => {
+    const configFile = writeFile('bad.yaml', 'admin:\n  emial: typo@netswift.com\n');
+    const { errors } = resolveConfig({
+        env: { CONFIG_FILE: configFile, TIMEOUT: 'soon', HEADLESS: 'maybe', IMPORT_MODE: 'git', APPSMITH_URL: 'localhost' },
+        argv: ['--bogus', 'x']
+    });
+
+    const expected = [
+        /unknown option --bogus/,
+        /unknown option "admin.emial"/,
+        /playwright.timeout: expected an integer, got "soon"/,
+        /playwright.headless: expected true or false, got "maybe"/,
+        /app.importMode .*must be one of api, ui/,
+        /appsmithUrl .*must be an http\(s\) URL/,
+        /admin.password .*is required/,
+        /app.jsonPath .*is required/
+    ];
+    for (const pattern of expected) {
+        assert.ok(errors.some(e => pattern.test(e)), `expected an error matching ${pattern}\n${errors.join('\n')}`);
+    }
+});
+
+test('invalid config file content is reported', () => {
+    const configFile = writeFile('broken.json', '{ nope');
+    const { errors } = resolveConfig({ env: { ...BASE_ENV, CONFIG_FILE: configFile } });
+    assert.ok(errors.some(e => /is not valid JSON/.test(e)));
+});
+
+test('run flags are returned separately from the config', () => {
+    const { run, errors } = resolveConfig({ env: BASE_ENV, argv: ['--from-step', 'import', '--print-config'] });
+    assert.deepEqual(errors, []);
+    assert.equal(run.fromStep, 'import');
+    assert.equal(run.printConfig, true);
+    assert.equal(run.help, false);
+});
+
+test('maskSecrets hides the admin password without touching the original', () => {
+    const { config } = resolveConfig({ env: BASE_ENV });
+    const masked = maskSecrets(config);
+
+    assert.equal(masked.admin.password, '********');
+    assert.equal(config.admin.password, 'netswiftadmin');
+    assert.ok(!JSON.stringify(masked).includes('netswiftadmin'));
+});
+
+test('admin settings stay unset unless given; the SMTP password is masked', () => {
+    assert.equal(resolveConfig({ env: BASE_ENV }).config.adminSettings.signupDisabled, undefined);
+
+    const { config, errors } = resolveConfig({
+        env: { ...BASE_ENV, SMTP_HOST: 'smtp.example.com', SMTP_PASSWORD: 'smtp-secret' },
+        argv: ['--disable-signup', 'true', '--custom-domain', 'https://netswift.example.com']
+    });
+    assert.equal(config.adminSettings.signupDisabled, true);
+    assert.equal(maskSecrets(config).adminSettings.smtp.password, '********');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^adminSettings\.customDomain \(CUSTOM_DOMAIN \/ --custom-domain\): "https:\/\/netswift\.example\.com" is not valid/);
+});
+
+test('help lists every flag with its env var', () => {
+    const help = formatHelp();
+    assert.match(help, /--admin-password <string>/);
+    assert.match(help, /env ADMIN_PASSWORD/);
+    assert.match(help, /--print-config/);
+});
+
+test('the first argument selects the command and its required options', () => {
+    const validate = resolveConfig({ env: { APP_JSON_PATH: APP_JSON }, argv: ['validate'] });
+    assert.deepEqual(validate.errors, []);
+    assert.equal(validate.run.command, 'validate');
+
+    const run = resolveConfig({ env: { APP_JSON_PATH: APP_JSON } });
+    assert.equal(run.run.command, 'run');
+    assert.ok(run.errors.some(e => /admin.password .*is required/.test(e)));
+
+    // export works on the live app, so the export file is optional
+    const exportCommand = resolveConfig({ env: { ADMIN_PASSWORD: 'netswiftadmin', BACKUP_KEEP: '5' }, argv: ['export'] });
+    assert.deepEqual(exportCommand.errors, []);
+    assert.equal(exportCommand.config.backup.keep, 5);
+
+    const diff = resolveConfig({ env: {}, argv: ['diff', 'old.json', 'new.json'] });
+    assert.deepEqual(diff.errors, []);
+    assert.deepEqual(diff.run.args, ['old.json', 'new.json']);
+
+    const unknown = resolveConfig({ env: BASE_ENV, argv: ['deploy', 'extra'] });
+    assert.ok(unknown.errors.some(e => /unknown command "deploy"/.test(e)));
+    assert.ok(unknown.errors.some(e => /unexpected argument "extra"/.test(e)));
+});
+
+test('datasource overrides are read from JSON env vars or config file mappings', () => {
+    const fromEnv = resolveConfig({
+        env: { ...BASE_ENV, DATASOURCES: '{"Untitled datasource 1": {"url": "http://10.0.0.9"}}' }
+    });
+    assert.deepEqual(fromEnv.errors, []);
+    assert.deepEqual(fromEnv.config.datasources, { 'Untitled datasource 1': { url: 'http://10.0.0.9' } });
+
+    const configFile = writeFile('datasources.yaml', [
+        'datasources:',
+        '  NetSwift API:',
+        '    url: ftp://nope',
+        '    headers:',
+        '      X-Site: 3',
+        '    timeout: 10'
+    ].join('\n'));
+    const { errors } = resolveConfig({ env: { ...BASE_ENV, CONFIG_FILE: configFile } });
+    for (const pattern of [/"NetSwift API": unknown setting "timeout"/, /url must be an http\(s\) URL/, /headers must map header names to strings/]) {
+        assert.ok(errors.some(e => pattern.test(e)), `expected ${pattern}\n${errors.join('\n')}`);
+    }
+
+    const badJson = resolveConfig({ env: { ...BASE_ENV, DATASOURCES: '{nope' } });
+    assert.ok(badJson.errors.some(e => /datasources: expected JSON/.test(e)));
+});
+
+test('a manifest is checked with the config and needs API import', () => {
+    const manifest = writeFile('sites.yaml', [
+        'sites:',
+        '  - workspace: NetSwift Berlin',
+        '    datasourceUrl: not-a-url'
+    ].join('\n'));
+
+    const { errors } = resolveConfig({ env: { ...BASE_ENV, MANIFEST: manifest, IMPORT_MODE: 'ui' } });
+    assert.ok(errors.some(e => /manifest .*sites\[0\]: datasourceUrl must be an http\(s\) URL/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /sites are imported through the API/.test(e)));
+});
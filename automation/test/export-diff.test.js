@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { diffExports, hasChanges, formatDiff } = require('../export-diff');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+const netswift = require(APP_JSON);
+
+const copy = () => JSON.parse(JSON.stringify(netswift));
+const findAction = (exported, name) => exported.actionList.find(a => a.unpublishedAction.name === name).unpublishedAction;
+const pageDsl = (exported, name) => exported.pageList.find(p => p.unpublishedPage.name === name).unpublishedPage.layouts[0].dsl;
+
+test('identical exports have no differences, even with different IDs', () => {
+    const relabelled = copy();
+    relabelled.pageList.forEach(p => { p.gitSyncId = 'other'; });
+    pageDsl(relabelled, 'VLANs').children.forEach(w => { w.widgetId = `${w.widgetId}x`; });
+
+    const diff = diffExports(netswift, relabelled);
+    assert.equal(hasChanges(diff), false);
+    assert.match(formatDiff(diff), /No differences$/);
+});
+
+test('query method, path and body changes are listed per field', () => {
+    const changed = copy();
+    const getVlans = findAction(changed, 'getVlans');
+    getVlans.actionConfiguration.path = '/api/v2/vlans';
+    getVlans.actionConfiguration.httpMethod = 'POST';
+
+    const diff = diffExports(netswift, changed);
+    assert.deepEqual(diff.actions, [{
+        action: 'VLANs/getVlans',
+        change: 'changed',
+        fields: [
+            { field: 'method', before: 'GET', after: 'POST' },
+            { field: 'path', before: '/api/vlans', after: '/api/v2/vlans' }
+        ]
+    }]);
+    assert.match(formatDiff(diff), /path: "\/api\/vlans" -> "\/api\/v2\/vlans"/);
+});
+
+test('pages and queries added or removed', () => {
+    const changed = copy();
+    changed.pageList = changed.pageList.filter(p => p.unpublishedPage.name !== 'About');
+    changed.actionList = changed.actionList.filter(a => a.unpublishedAction !== findAction(changed, 'getVlans'));
+
+    const diff = diffExports(netswift, changed);
+    assert.deepEqual(diff.pages.removed, ['About']);
+    assert.deepEqual(diff.actions, [{ action: 'VLANs/getVlans', change: 'removed', method: 'GET', path: '/api/vlans' }]);
+    assert.equal(diffExports(changed, netswift).pages.added[0], 'About');
+});
+
+test('JS object changes are reported per function', () => {
+    const changed = copy();
+    const fn = findAction(changed, 'setInitialVlanData');
+    fn.actionConfiguration.body += '\n// reviewed';
+
+    const [object] = diffExports(netswift, changed).jsObjects;
+    assert.equal(object.jsObject, 'VLANs/vlanUtils');
+    assert.deepEqual(object.functions.map(f => [f.name, f.change]), [['setInitialVlanData', 'changed']]);
+    assert.equal(object.functions[0].lines.after, object.functions[0].lines.before + 1);
+});
+
+test('widget changes per page: properties, layout and collapsed removals', () => {
+    const changed = copy();
+    const dsl = pageDsl(changed, 'VLANs');
+    const heading = dsl.children.find(w => w.widgetName === 'HeadingCopy');
+    heading.text = 'VLANs';
+    heading.topRow += 2;
+    const modal = dsl.children.find(w => w.type === 'MODAL_WIDGET');
+    dsl.children = dsl.children.filter(w => w !== modal);
+
+    const diff = diffExports(netswift, changed);
+    assert.equal(diff.widgets.length, 1);
+    const [page] = diff.widgets;
+
+    assert.equal(page.page, 'VLANs');
+    assert.equal(page.removed.length, 1);
+    assert.equal(page.removed[0].widget, modal.widgetName);
+    assert.ok(page.removed[0].nested > 0);
+    assert.deepEqual(page.changed, [{
+        widget: 'HeadingCopy',
+        type: 'TEXT_WIDGET',
+        properties: [{ property: 'text', before: 'VLAN Management', after: 'VLANs' }],
+        layout: true
+    }]);
+});
+
+test('datasource changes show URLs but only the names of changed headers', () => {
+    const changed = copy();
+    const datasource = changed.datasourceList.find(d => d.name === 'NetSwift API');
+    datasource.datasourceConfiguration.url = 'http://10.0.0.5:8000';
+    datasource.datasourceConfiguration.headers.push({ key: 'Authorization', value: 'Bearer secret-token' });
+    changed.editModeTheme.name = 'Sharp';
+
+    const diff = diffExports(netswift, changed);
+    const text = formatDiff(diff);
+
+    assert.deepEqual(diff.datasources[0].fields[1], { field: 'headers', headers: ['+Authorization'] });
+    assert.match(text, /url: "http:\/\/172\.17\.0\.1:8000" -> "http:\/\/10\.0\.0\.5:8000"/);
+    assert.doesNotMatch(text, /secret-token/);
+    assert.deepEqual(diff.theme, [{ theme: 'editModeTheme', field: 'name', before: 'Default-New', after: 'Sharp' }]);
+});
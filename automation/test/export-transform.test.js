@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { transformExport, transformExportFile, formatChanges, sensitiveHeaderValues } = require('../export-transform');
+const automation = require('../appsmith-automation-json');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-transform-'));
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function exportWith(datasourceList, actionList = []) {
+    return { exportedApplication: { name: 'NetSwift' }, datasourceList, actionList };
+}
+
+const restDatasource = (name, url, headers = []) => ({ name, datasourceConfiguration: { url, headers } });
+
+test('url and headers are patched by datasource name without touching the input', () => {
+    const exported = exportWith([
+        restDatasource('NetSwift API', 'http://172.17.0.1:8000', [{ key: 'Content-Type', value: 'application/json' }])
+    ]);
+
+    const { exported: patched, changes } = transformExport(exported, {
+        datasources: {
+            'NetSwift API': {
+                url: 'http://10.0.0.5:8000',
+                headers: { 'content-type': 'application/json', Authorization: 'Bearer abc123', 'X-Site': 'lab' }
+            }
+        }
+    });
+
+    const configuration = patched.datasourceList[0].datasourceConfiguration;
+    assert.equal(configuration.url, 'http://10.0.0.5:8000');
+    assert.deepEqual(configuration.headers, [
+        { key: 'Content-Type', value: 'application/json' },
+        { key: 'Authorization', value: 'Bearer abc123' },
+        { key: 'X-Site', value: 'lab' }
+    ]);
+    assert.equal(exported.datasourceList[0].datasourceConfiguration.url, 'http://172.17.0.1:8000');
+
+    // Auth header values never show up in the change log
+    assert.deepEqual(formatChanges(changes), [
+        '"NetSwift API" url: http://172.17.0.1:8000 -> http://10.0.0.5:8000',
+        '"NetSwift API" header Authorization: (none) -> ********',
+        '"NetSwift API" header X-Site: (none) -> lab'
+    ]);
+});
+
+test('null removes a header; per-environment storages are patched too', () => {
+    const exported = exportWith([{
+        name: 'NetSwift API',
+        datasourceStorages: {
+            production: { datasourceConfiguration: { url: 'http://old', headers: [{ key: 'X-Debug', value: '1' }] } }
+        }
+    }]);
+
+    const { exported: patched, changes } = transformExport(exported, {
+        datasources: { 'NetSwift API': { url: 'http://new:8000', headers: { 'X-Debug': null } } }
+    });
+
+    const configuration = patched.datasourceList[0].datasourceStorages.production.datasourceConfiguration;
+    assert.equal(configuration.url, 'http://new:8000');
+    assert.deepEqual(configuration.headers, []);
+    assert.deepEqual(formatChanges(changes), [
+        '"NetSwift API [production]" url: http://old -> http://new:8000',
+        '"NetSwift API [production]" header X-Debug: 1 -> (removed)'
+    ]);
+});
+
+test('unknown datasource names are rejected with the available names', () => {
+    assert.throws(
+        () => transformExport(exportWith([restDatasource('NetSwift API', 'http://a')]), { datasources: { 'Backend': { url: 'http://b' } } }),
+        /Datasource "Backend" not found in the export \(available: "NetSwift API"\)/
+    );
+});
+
+test('unused datasources are only removed when asked', () => {
+    const exported = exportWith(
+        [restDatasource('NetSwift API', 'http://a'), restDatasource('Spare', 'http://b')],
+        [{ unpublishedAction: { name: 'getVlans', datasource: { name: 'NetSwift API' } } }]
+    );
+
+    assert.equal(transformExport(exported).exported.datasourceList.length, 2);
+
+    const { exported: patched, removed, changes } = transformExport(exported, { removeUnused: true });
+    assert.deepEqual(patched.datasourceList.map(d => d.name), ['NetSwift API']);
+    assert.deepEqual(removed, ['Spare']);
+    assert.deepEqual(formatChanges(changes), ['"Spare" datasource: unused -> (removed)']);
+});
+
+test('appName renames the application copy', () => {
+    const { exported: patched, changes } = transformExport(exportWith([]), { appName: 'NetSwift Berlin' });
+
+    assert.equal(patched.exportedApplication.name, 'NetSwift Berlin');
+    assert.deepEqual(formatChanges(changes), ['application name: NetSwift -> NetSwift Berlin']);
+    assert.deepEqual(transformExport(exportWith([]), { appName: 'NetSwift' }).changes, []);
+});
+
+test('sensitiveHeaderValues picks auth-like headers for the redactor', () => {
+    assert.deepEqual(sensitiveHeaderValues({
+        A: { headers: { Authorization: 'Bearer abc123', 'X-Site': 'lab', 'X-Api-Key': 'k3y-value', Cookie: null } }
+    }), ['Bearer abc123', 'k3y-value']);
+    assert.deepEqual(sensitiveHeaderValues(undefined), []);
+});
+
+test('patchExport writes a root-only patched copy of netswift.json', (t) => {
+    const { config } = automation;
+    const saved = JSON.parse(JSON.stringify({ app: config.app, datasource: config.datasource, datasources: config.datasources }));
+    t.after(() => Object.assign(config, saved));
+
+    const patchedPath = path.join(tmpDir, 'netswift.patched.json');
+    Object.assign(config.app, { jsonPath: APP_JSON, patchedPath });
+    Object.assign(config.datasource, { name: 'NetSwift API', url: 'http://10.1.1.1:8000', removeUnused: false });
+    config.datasources = { 'NetSwift API': { headers: { 'X-Site': 'lab' } } };
+
+    const outputs = automation.patchExport();
+
+    assert.equal(outputs.importPath, patchedPath);
+    assert.equal(outputs.datasourceChanges.length, 2);
+    assert.equal(fs.statSync(patchedPath).mode & 0o777, 0o600);
+
+    const patched = JSON.parse(fs.readFileSync(patchedPath, 'utf8'));
+    assert.deepEqual(patched.datasourceList.map(d => d.datasourceConfiguration.url), ['http://10.1.1.1:8000']);
+    assert.deepEqual(patched.datasourceList[0].datasourceConfiguration.headers.map(h => h.key), ['Content-Type', 'X-Site']);
+    assert.equal(patched.pageList.length, 8);
+});
+
+test('transformExportFile leaves the source file unchanged', () => {
+    const outputPath = path.join(tmpDir, 'copy.json');
+    const before = fs.readFileSync(APP_JSON, 'utf8');
+
+    const { changes } = transformExportFile(APP_JSON, outputPath, { datasources: { 'NetSwift API': { url: 'http://172.17.0.1:8000' } } });
+
+    assert.deepEqual(changes, []);
+    assert.equal(fs.readFileSync(APP_JSON, 'utf8'), before);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { validateExport, validateExportFile, formatValidationReport } = require('../export-validator');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+// Smallest export that passes every check
+function minimalExport() {
+    return {
+        artifactJsonType: 'APPLICATION',
+        serverSchemaVersion: 12.0,
+        clientSchemaVersion: 2.0,
+        exportedApplication: { name: 'NetSwift' },
+        pageList: [{ unpublishedPage: { name: 'LoginPage' } }, { unpublishedPage: { name: 'VLANs' } }],
+        datasourceList: [{ name: 'NetSwift API', datasourceConfiguration: { url: 'http://172.17.0.1:8000' } }],
+        actionCollectionList: [{ id: 'VLANs_Utils', unpublishedCollection: { name: 'Utils', pageId: 'VLANs' } }],
+        actionList: [
+            { id: 'VLANs_getVlans', pluginType: 'API', unpublishedAction: { name: 'getVlans', pageId: 'VLANs', datasource: { name: 'NetSwift API' } } },
+            {
+                id: 'VLANs_Utils.format',
+                pluginType: 'JS',
+                unpublishedAction: {
+                    name: 'format',
+                    fullyQualifiedName: 'Utils.format',
+                    pageId: 'VLANs',
+                    collectionId: 'VLANs_Utils',
+                    datasource: { name: 'UNUSED_DATASOURCE' }
+                }
+            }
+        ]
+    };
+}
+
+const messages = problems => problems.map(p => `[${p.check}] ${p.message}`);
+
+test('a clean export has no errors or warnings', () => {
+    const result = validateExport(minimalExport(), { appsmithVersion: '1.88' });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+    assert.deepEqual(result.stats, { pages: 2, actions: 1, jsObjects: 1, jsFunctions: 1, datasources: 1 });
+});
+
+test('netswift.json imports without errors or warnings', () => {
+    const result = validateExportFile(APP_JSON, { appsmithVersion: '1.88' });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('schema versions newer than the target Appsmith are errors', () => {
+    const exported = { ...minimalExport(), artifactJsonType: 'PACKAGE', serverSchemaVersion: 13.0 };
+    const errors = messages(validateExport(exported, { appsmithVersion: '1.88' }).errors);
+
+    assert.ok(errors.some(e => /\[schema\] artifactJsonType is "PACKAGE"/.test(e)), errors.join('\n'));
+    assert.ok(errors.some(e => /\[schema\] serverSchemaVersion 13 is newer than Appsmith 1\.88 supports \(up to 12\)/.test(e)), errors.join('\n'));
+});
+
+test('dangling page, JS object and datasource references are errors', () => {
+    const exported = minimalExport();
+    exported.actionList[0].unpublishedAction.pageId = 'Switches';
+    exported.actionList[0].unpublishedAction.datasource.name = 'Old API';
+    exported.actionList[1].unpublishedAction.collectionId = 'VLANs_Gone';
+    exported.actionCollectionList[0].unpublishedCollection.pageId = 'Deleted';
+
+    const errors = messages(validateExport(exported).errors);
+    for (const pattern of [
+        /\[pages\] Action "getVlans" \(VLANs_getVlans\) references page "Switches"/,
+        /\[pages\] Action "format" .* JS object "VLANs_Gone" which is not in actionCollectionList/,
+        /\[pages\] JS object "Utils" .* references page "Deleted"/,
+        /\[datasources\] Action "getVlans" on Switches uses datasource "Old API" which is not in datasourceList/
+    ]) {
+        assert.ok(errors.some(e => pattern.test(e)), `expected ${pattern}\n${errors.join('\n')}`);
+    }
+});
+
+test('duplicate query or JS object names on a page are errors', () => {
+    const exported = minimalExport();
+    exported.actionList.push({
+        id: 'VLANs_Utils2',
+        pluginType: 'API',
+        unpublishedAction: { name: 'Utils', pageId: 'VLANs', datasource: { name: 'NetSwift API' } }
+    });
+
+    const errors = messages(validateExport(exported).errors);
+    assert.deepEqual(errors, ['[names] Duplicate name "Utils" on page VLANs (query and JS object)']);
+});
+
+test('unused datasources are warnings, inline query datasources are fine', () => {
+    const exported = minimalExport();
+    exported.datasourceList.push({ name: 'Spare', datasourceConfiguration: { url: 'http://10.0.0.1' } });
+    exported.actionList[0].unpublishedAction.datasource = {
+        name: 'DEFAULT_REST_DATASOURCE',
+        datasourceConfiguration: { url: 'http://10.0.0.2' }
+    };
+
+    const result = validateExport(exported);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(messages(result.warnings), [
+        '[datasources] Datasource "NetSwift API" is not used by any action',
+        '[datasources] Datasource "Spare" is not used by any action'
+    ]);
+});
+
+test('unreadable files are reported, the report says whether the export is valid', () => {
+    const result = validateExportFile(path.join(__dirname, 'mock-appsmith.js'));
+    assert.match(result.errors[0].message, /is not valid JSON/);
+    assert.match(formatValidationReport(result), /❌ Export has 1 error\(s\)/);
+
+    const missing = validateExportFile(path.join(__dirname, 'nope.json'));
+    assert.match(missing.errors[0].message, /Cannot read .*\(ENOENT\)/);
+
+    const valid = { file: APP_JSON, ...validateExport(JSON.parse(fs.readFileSync(APP_JSON, 'utf8'))) };
+    assert.match(formatValidationReport(valid), /✅ Export is valid$/);
+    assert.match(formatValidationReport({ ...valid, warnings: [{ check: 'datasources', message: 'x' }] }), /✅ Export is valid \(1 warning\(s\)\)/);
+});
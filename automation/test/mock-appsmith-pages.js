@@ -0,0 +1,308 @@
+/**
+ * Stand-in Appsmith UI pages for the mock server (see mock-appsmith.js)
+ *
+ * The markup mirrors the primary selectors in selectors.js (recorded class
+ * names, data-testids, button texts), so the automation's UI steps run
+ * against it unchanged. Keep both in sync when a selector is updated.
+ */
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function layout(title, body, script = '') {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} | Appsmith (mock)</title>
+<style>
+    body { font-family: sans-serif; margin: 2rem; }
+    label, input, button { display: block; margin: 0.25rem 0; }
+    .hidden { display: none !important; }
+    .error { color: #c00; }
+    .option { display: inline-block; padding: 0.5rem 1rem; border: 1px solid #999; cursor: pointer; }
+    .option.selected { background: #def; }
+    .terms { display: flex; gap: 0.5rem; align-items: center; }
+    .ads-v2-checkbox__square { display: inline-block; width: 14px; height: 14px; border: 1px solid #333; }
+    .modal { position: fixed; top: 10%; left: 25%; width: 50%; padding: 1rem; background: #fff; border: 1px solid #333; }
+    .button-wrapper, .git-option { padding: 1rem; border: 1px solid #999; margin: 0.5rem 0; cursor: pointer; }
+    .application-card { display: inline-block; padding: 1rem; border: 1px solid #999; }
+    .t--page-switch-tab { margin-right: 1rem; }
+</style>
+</head>
+<body>
+${body}
+<script>${script}</script>
+</body>
+</html>`;
+}
+
+// First-run setup: signup form, then the onboarding questions
+function signupPage() {
+    const body = `
+<div class="signup-page">
+    <form id="signup-form" onsubmit="return false">
+        <label for="firstName">First name</label>
+        <input id="firstName" name="firstName" data-testid="firstName">
+        <label for="lastName">Last name</label>
+        <input id="lastName" name="lastName" data-testid="lastName">
+        <label for="email">Email</label>
+        <input id="email" name="email" type="email" data-testid="email">
+        <label for="password">Password</label>
+        <input id="password" name="password" type="password" data-testid="password">
+        <label for="verifyPassword">Verify password</label>
+        <input id="verifyPassword" name="verifyPassword" type="password" data-testid="verifyPassword">
+        <button type="button" id="continue">Continue</button>
+    </form>
+    <div id="onboarding" class="hidden">
+        <div class="sc-jPNehe">
+            <div class="sc-hLBbgP">How would you describe your development proficiency?</div>
+            <div class="sc-hLBbgP">
+                <div class="sc-dkrFOg option" data-question="proficiency" data-value="novice">Novice</div>
+                <div class="sc-dkrFOg option" data-question="proficiency" data-value="advanced">Advanced</div>
+            </div>
+        </div>
+        <hr>
+        <div class="sc-jPNehe">
+            <div class="sc-hLBbgP">What are you planning to use Appsmith for?</div>
+            <div class="sc-hLBbgP">
+                <div class="sc-dkrFOg option" data-question="useCase" data-value="personal">Personal Project</div>
+                <div class="sc-dkrFOg option" data-question="useCase" data-value="work">Work Project</div>
+            </div>
+        </div>
+        <label class="terms">
+            <input type="checkbox" id="terms">
+            <span class="ads-v2-checkbox__square"></span>
+            I agree to the terms and conditions
+        </label>
+        <div class="gqvXeY"><button type="button" class="sc-dkrFOg" id="get-started">Get started</button></div>
+    </div>
+    <p id="signup-error" class="error hidden"></p>
+</div>`;
+
+    const script = `
+const answers = {};
+const value = id => document.getElementById(id).value;
+const showError = message => {
+    const error = document.getElementById('signup-error');
+    error.textContent = message;
+    error.classList.remove('hidden');
+};
+
+document.querySelectorAll('.option').forEach(option => option.addEventListener('click', () => {
+    answers[option.dataset.question] = option.dataset.value;
+    document.querySelectorAll('.option[data-question="' + option.dataset.question + '"]')
+        .forEach(o => o.classList.toggle('selected', o === option));
+}));
+
+document.getElementById('continue').addEventListener('click', () => {
+    if (!value('email') || !value('password')) return showError('Email and password are required');
+    if (value('password') !== value('verifyPassword')) return showError('Passwords do not match');
+    document.getElementById('signup-form').classList.add('hidden');
+    document.getElementById('onboarding').classList.remove('hidden');
+});
+
+document.getElementById('get-started').addEventListener('click', async () => {
+    if (!answers.proficiency || !answers.useCase || !document.getElementById('terms').checked) {
+        return showError('Answer both questions and accept the terms');
+    }
+    const response = await fetch('/api/v1/users/super', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Requested-By': 'Appsmith' },
+        body: JSON.stringify({
+            name: (value('firstName') + ' ' + value('lastName')).trim(),
+            email: value('email'),
+            password: value('password'),
+            proficiency: answers.proficiency,
+            useCase: answers.useCase
+        })
+    });
+    if (response.ok) {
+        location.href = '/applications';
+    } else {
+        showError((await response.json()).responseMeta.error.message);
+    }
+});`;
+
+    return layout('Welcome', body, script);
+}
+
+// Form login, posted straight to the login endpoint like the real page
+function loginPage({ error = false } = {}) {
+    const body = `
+<form class="login-form" method="POST" action="/api/v1/login">
+    <label for="username">Email</label>
+    <input id="username" name="username" type="email">
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password">
+    <button type="submit" class="sc-dkrFOg">Sign in</button>
+    ${error ? '<p class="error">Invalid credentials. Please try again.</p>' : ''}
+</form>`;
+
+    return layout('Sign in', body);
+}
+
+// Applications home: "Create new" menu, import modal and the
+// "Reconnect datasources" modal shown after a partial import
+function applicationsPage({ workspace, applications, reconnect }) {
+    const cards = applications.map(app => `
+        <a class="application-card" data-testid="application-card-${app.id}" href="${app.viewUrl}">
+            <div class="app-name">${escapeHtml(app.name)}</div>
+        </a>`).join('');
+
+    const reconnectModal = reconnect ? `
+<div id="reconnect-modal" class="modal" role="dialog" data-testid="reconnect-datasource-modal">
+    <h2>Reconnect datasources</h2>
+    <ul>${reconnect.datasources.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>
+    <button type="button" id="go-to-app" data-href="${reconnect.editUrl}">Go to application</button>
+</div>` : '';
+
+    const body = `
+<div class="home-page">
+    <header>
+        <span class="workspace-name">${escapeHtml(workspace.name)}</span>
+        <button type="button" id="create-new">Create new</button>
+        <div id="create-new-menu" role="menu" class="hidden">
+            <div role="menuitem" data-testid="t--workspace-import-app">Import</div>
+        </div>
+    </header>
+    <div class="workspace" data-workspace-id="${workspace.id}">${cards}</div>
+</div>
+<div id="import-modal" class="modal hidden" role="dialog">
+    <h2>Import application</h2>
+    <div class="button-wrapper" id="import-from-file">Import from file</div>
+    <div class="git-option">Import from a Git repo</div>
+    <div id="file-picker" class="hidden">
+        <p>Drop a JSON file here or browse</p>
+        <input type="file" id="fileInput" accept=".json" class="hidden">
+    </div>
+    <p id="import-error" class="error hidden"></p>
+    <div class="sc-eJKXev"><span class="remixicon-icon" id="import-close">&times;</span></div>
+</div>
+${reconnectModal}`;
+
+    const script = `
+const byId = id => document.getElementById(id);
+
+byId('create-new').addEventListener('click', () => byId('create-new-menu').classList.toggle('hidden'));
+
+document.querySelector('[data-testid="t--workspace-import-app"]').addEventListener('click', () => {
+    byId('create-new-menu').classList.add('hidden');
+    byId('import-modal').classList.remove('hidden');
+});
+
+byId('import-from-file').addEventListener('click', () => byId('file-picker').classList.remove('hidden'));
+byId('import-close').addEventListener('click', () => byId('import-modal').classList.add('hidden'));
+
+byId('fileInput').addEventListener('change', async (event) => {
+    const form = new FormData();
+    form.append('file', event.target.files[0]);
+    const workspaceId = document.querySelector('.workspace').dataset.workspaceId;
+    const response = await fetch('/api/v1/applications/import/' + workspaceId, {
+        method: 'POST',
+        headers: { 'X-Requested-By': 'Appsmith' },
+        body: form
+    });
+    const payload = await response.json();
+    if (!payload.responseMeta.success) {
+        byId('import-error').textContent = payload.responseMeta.error.message;
+        byId('import-error').classList.remove('hidden');
+        return;
+    }
+    location.reload();
+});
+
+const goToApp = byId('go-to-app');
+if (goToApp) goToApp.addEventListener('click', () => { location.href = goToApp.dataset.href; });`;
+
+    return layout('Applications', body, script);
+}
+
+// NetSwift's LoginPage widgets; Login runs loginAuth, keeps the token in
+// the store and opens nextUrl, like Session.login
+function netswiftLoginForm({ nextUrl, actionId }) {
+    const body = `
+<div class="t--widget-usernameinput"><input placeholder="Username"></div>
+<div class="t--widget-passwordinput"><input type="password" placeholder="Password"></div>
+<div class="t--widget-button1"><button type="button">Login</button></div>`;
+
+    const script = `
+document.querySelector('.t--widget-button1 button').addEventListener('click', async () => {
+    const result = await runAction(${JSON.stringify(actionId)}, {
+        'usernameInput.text': document.querySelector('.t--widget-usernameinput input').value,
+        'passwordInput.text': document.querySelector('.t--widget-passwordinput input').value
+    });
+    if (result && result.isExecutionSuccess) {
+        localStorage.setItem('authToken', result.body.access_token);
+        location.href = ${JSON.stringify(nextUrl)};
+    } else {
+        showToast((result && result.body && result.body.detail) || 'Invalid username or password');
+    }
+});`;
+
+    return { body, script };
+}
+
+// Runs the page's on-load queries in order, like the viewer does
+function onLoadScript(actionIds) {
+    return `
+(async () => {
+    for (const actionId of ${JSON.stringify(actionIds)}) {
+        const result = await runAction(actionId, { 'appsmith.store.authToken': localStorage.getItem('authToken') || '' });
+        if (!result || !result.isExecutionSuccess) {
+            showToast((result && result.readableError) || 'Query failed');
+        }
+    }
+})();`;
+}
+
+// Deployed or edit view of an application page, with the page switcher;
+// in view mode LoginPage shows the login form and other pages run onLoad
+function appPage({ application, page, edit, login = null, onLoad = [] }) {
+    const tabs = application.pages.map(p => `
+        <a class="t--page-switch-tab${p.id === page.id ? ' is-active' : ''}" href="${p.url}${edit ? '/edit' : ''}">${escapeHtml(p.name)}</a>`).join('');
+    const form = !edit && login ? netswiftLoginForm(login) : { body: '', script: '' };
+
+    const body = `
+<div class="app-viewer">
+    <nav class="page-tabs">${tabs}</nav>
+    <main><h1 class="page-title">${escapeHtml(page.name)}</h1>${form.body}</main>
+    <div id="toasts"></div>
+</div>`;
+
+    const script = `
+const showToast = message => {
+    const toast = document.createElement('div');
+    toast.className = 'Toastify__toast Toastify__toast--error';
+    toast.textContent = message;
+    document.getElementById('toasts').appendChild(toast);
+};
+// POST /api/v1/actions/execute with the bound values as parts k0, k1, ...
+const runAction = async (actionId, bindings = {}) => {
+    const form = new FormData();
+    const parameterMap = {};
+    Object.entries(bindings).forEach(([expression, value], i) => {
+        parameterMap[expression] = 'k' + i;
+        form.append('k' + i, new Blob([value], { type: 'text/plain' }));
+    });
+    form.append('executeActionDTO', JSON.stringify({ actionId, viewMode: true, paramProperties: {}, parameterMap }));
+    const response = await fetch('/api/v1/actions/execute', {
+        method: 'POST',
+        headers: { 'X-Requested-By': 'Appsmith' },
+        body: form
+    });
+    const payload = await response.json();
+    return payload.data || { isExecutionSuccess: false, readableError: payload.responseMeta.error.message };
+};
+${form.script}
+${edit ? '' : onLoadScript(onLoad)}`;
+
+    return layout(`${application.name} - ${page.name}`, body, script);
+}
+
+module.exports = { signupPage, loginPage, applicationsPage, appPage };
@@ -0,0 +1,548 @@
+/**
+ * Local mock of the Appsmith server used by the automation.
+ *
+ * Only implements what the automation calls; API responses follow Appsmith's
+ * { responseMeta, data } envelope and the UI pages come from
+ * mock-appsmith-pages.js. Every request is recorded in `requests` so tests
+ * can assert on what was sent.
+ *
+ * Variants (options):
+ * - adminExists: false  fresh instance, / leads to the signup page
+ * - partialImport: true import leaves datasources unconfigured and the
+ *                       "Reconnect datasources" modal is shown
+ * - defaultPage: name   make another page the app's default page
+ * - workspaces: [names] workspaces that exist at startup
+ * - settings: { APPSMITH_*: value } admin settings at startup
+ * - lostSettings: [keys]  settings dropped on restart (not kept by Appsmith)
+ *
+ * Imported apps can be run in the viewer: LoginPage runs loginAuth and keeps
+ * the token it returns, the other pages run their on-load queries through
+ * /api/v1/actions/execute, which calls the datasource URL in the export
+ * (e.g. stub-backend.js) and shows an error toast when a query fails.
+ * Bound values travel like the real viewer sends them: parameterMap in
+ * executeActionDTO names the multipart part holding each value.
+ *
+ * Run standalone to check selectors in a headed browser:
+ *   node test/mock-appsmith.js --port 8080 --fresh --partial-import
+ */
+
+const http = require('http');
+const { parseArgs } = require('util');
+const pages = require('./mock-appsmith-pages');
+const { LOGIN_PAGE, buildSmokePlan } = require('../smoke-plan');
+
+const SESSION_ID = 'mock-session-id';
+
+// Appsmith IDs are 24-character hex strings (MongoDB ObjectIds)
+let lastId = 0;
+function nextId() {
+    lastId += 1;
+    return `64f0${lastId.toString(16).padStart(20, '0')}`;
+}
+
+function send(res, status, data, headers = {}) {
+    const success = status >= 200 && status < 300;
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({
+        responseMeta: success
+            ? { status, success }
+            : { status, success, error: { message: data } },
+        data: success ? data : null
+    }));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Pull one part ("file" by default) out of a multipart/form-data body
+function parseMultipartFile(req, body, name = 'file') {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers['content-type'] || '');
+    if (!match) return null;
+
+    const boundary = `--${match[1] || match[2]}`;
+    for (const part of body.toString('utf8').split(boundary)) {
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) continue;
+
+        const headers = part.slice(0, headerEnd);
+        if (!headers.includes(`name="${name}"`)) continue;
+
+        const filename = (/filename="([^"]*)"/.exec(headers) || [])[1];
+        const content = part.slice(headerEnd + 4).replace(/\r\n$/, '');
+        return { filename, content };
+    }
+    return null;
+}
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+}
+
+function sendHtml(res, html) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+}
+
+// Viewer URLs for an imported application and its pages
+function withUrls(app) {
+    const pagesWithUrls = app.pages.map(p => ({
+        ...p,
+        slug: slugify(p.name),
+        url: `/app/${app.slug}/${slugify(p.name)}-${p.id}`
+    }));
+    const defaultPage = pagesWithUrls.find(p => p.isDefault) || pagesWithUrls[0];
+    return { ...app, pages: pagesWithUrls, viewUrl: defaultPage.url, editUrl: `${defaultPage.url}/edit` };
+}
+
+// Workspace with Appsmith's three default roles; members are
+// { username, permissionGroupId, permissionGroupName }
+function createWorkspace(name, admin) {
+    const roles = ['Administrator', 'Developer', 'App Viewer'].map(role => ({ id: nextId(), name: `${role} - ${name}` }));
+    return {
+        id: nextId(),
+        name,
+        roles,
+        members: admin ? [{ username: admin, permissionGroupId: roles[0].id, permissionGroupName: roles[0].name }] : []
+    };
+}
+
+// Query actions of an export, as Appsmith stores them after import:
+// { id, name, pageId, datasource, config }
+function importActions(exported, pageIds) {
+    return (exported.actionList || [])
+        .map(a => a.unpublishedAction)
+        .filter(a => a && a.pluginType !== 'JS' && pageIds[a.pageId])
+        .map(a => ({
+            id: nextId(),
+            name: a.name,
+            pageId: pageIds[a.pageId],
+            datasource: (a.datasource || {}).name,
+            config: a.actionConfiguration || {}
+        }));
+}
+
+// Stand-in for evaluating {{ }} bindings: the value the page sent for the
+// expression, else the literal after "||" if there is one
+// (List1.selectedItem?.id || 0), else empty. `json` quotes values like
+// Appsmith's smart substitution in JSON bodies.
+function resolveBindings(text, values = {}, { json = false } = {}) {
+    return String(text || '').replace(/\{\{([^}]*)\}\}/g, (match, expr) => {
+        if (values[expr.trim()] !== undefined) {
+            return json ? JSON.stringify(values[expr.trim()]) : String(values[expr.trim()]);
+        }
+        const fallback = /\|\|\s*(-?\d+(?:\.\d+)?|'[^']*'|"[^"]*")\s*$/.exec(expr.trim());
+        return fallback ? fallback[1].replace(/^['"]|['"]$/g, '') : '';
+    });
+}
+
+// Run a query against its datasource: the result Appsmith returns from
+// /api/v1/actions/execute. `values` are the bound values the page sent.
+async function executeAction(app, action, values = {}) {
+    const datasource = (app.exported.datasourceList || []).find(d => d.name === action.datasource);
+    const base = (((datasource || {}).datasourceConfiguration || {}).url || '').replace(/\/$/, '');
+    const params = new URLSearchParams((action.config.queryParameters || [])
+        .filter(p => p.key)
+        .map(p => [p.key, resolveBindings(p.value, values)]));
+    const query = params.toString();
+    const method = action.config.httpMethod || 'GET';
+    const headers = Object.fromEntries([...((datasource || {}).datasourceConfiguration || {}).headers || [], ...action.config.headers || []]
+        .filter(h => h.key)
+        .map(h => [h.key, resolveBindings(h.value, values)]));
+    const payload = method === 'GET' ? '' : resolveBindings(action.config.body, values, { json: true }).trim();
+    try {
+        const response = await fetch(`${base}${resolveBindings(action.config.path, values)}${query ? `?${query}` : ''}`, {
+            method,
+            headers,
+            body: payload || undefined,
+            signal: AbortSignal.timeout(5000)
+        });
+        const text = await response.text();
+        let body = text;
+        try { body = JSON.parse(text); } catch (e) { /* plain text body */ }
+        return {
+            isExecutionSuccess: response.ok,
+            statusCode: `${response.status} ${response.statusText.toUpperCase().replace(/ /g, '_')}`,
+            body,
+            readableError: response.ok ? undefined : `${action.name} failed with status ${response.status}`
+        };
+    } catch (e) {
+        return { isExecutionSuccess: false, statusCode: '5000', body: e.message, readableError: `${action.name}: ${e.message}` };
+    }
+}
+
+function startMockAppsmith(options = {}) {
+    const adminEmail = options.email || 'admin@netswift.com';
+    const state = {
+        admin: {
+            exists: options.adminExists !== false,
+            email: adminEmail,
+            password: options.password || 'netswiftadmin',
+            name: null,
+            onboarding: null
+        },
+        workspaces: (options.workspaces || ['NetSwift Workspace']).map(name => createWorkspace(name, adminEmail)),
+        applications: [],
+        settings: { APPSMITH_SIGNUP_DISABLED: 'false', ...options.settings },
+        restarts: 0,
+        // Health checks still answered 503 after a restart
+        downtime: 0,
+        // Application whose "Reconnect datasources" modal is still open
+        pendingReconnect: null,
+        requests: []
+    };
+
+    const isAuthenticated = (req) => (req.headers.cookie || '').includes(`SESSION=${SESSION_ID}`);
+    const sessionCookie = `SESSION=${SESSION_ID}; Path=/; HttpOnly`;
+
+    function servePage(req, res, url) {
+        const { pathname } = url;
+
+        if (pathname === '/') {
+            if (!state.admin.exists) return redirect(res, '/setup/welcome');
+            return redirect(res, isAuthenticated(req) ? '/applications' : '/user/login');
+        }
+
+        if (['/setup/welcome', '/user/signup', '/signup'].includes(pathname)) {
+            return state.admin.exists ? redirect(res, '/user/login') : sendHtml(res, pages.signupPage());
+        }
+
+        if (pathname === '/user/login') {
+            return sendHtml(res, pages.loginPage({ error: url.searchParams.has('error') }));
+        }
+
+        if (!isAuthenticated(req)) {
+            return redirect(res, '/user/login');
+        }
+
+        if (pathname === '/applications') {
+            const apps = state.applications.map(withUrls);
+            const pending = apps.find(a => a.id === state.pendingReconnect);
+            return sendHtml(res, pages.applicationsPage({
+                workspace: state.workspaces[0],
+                applications: apps,
+                reconnect: pending && { editUrl: pending.editUrl, datasources: pending.unconfiguredDatasources }
+            }));
+        }
+
+        const appMatch = /^\/app\/([^/]+)\/[^/]*-([0-9a-f]{24})(\/edit)?$/.exec(pathname);
+        if (appMatch) {
+            const app = state.applications.map(withUrls).find(a => a.slug === appMatch[1]);
+            const page = app && app.pages.find(p => p.id === appMatch[2]);
+            if (page) {
+                // Leaving the applications page closes the reconnect modal
+                state.pendingReconnect = null;
+                const stored = state.applications.find(a => a.id === app.id);
+                const planned = buildSmokePlan(stored.exported).find(p => p.name === page.name);
+                const switches = app.pages.find(p => p.name === 'Switches');
+                return sendHtml(res, pages.appPage({
+                    application: app,
+                    page,
+                    edit: Boolean(appMatch[3]),
+                    login: page.name === LOGIN_PAGE && switches
+                        ? { nextUrl: switches.url, actionId: (stored.actions.find(a => a.pageId === page.id && a.name === 'loginAuth') || {}).id }
+                        : null,
+                    onLoad: planned
+                        ? stored.actions.filter(a => a.pageId === page.id && planned.queries.includes(a.name)).map(a => a.id)
+                        : []
+                }));
+            }
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end(`No mock page for ${pathname}`);
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const body = await readBody(req);
+        state.requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers });
+
+        if (req.method === 'GET' && url.pathname === '/api/v1/health') {
+            if (state.downtime > 0) {
+                state.downtime -= 1;
+                return send(res, 503, 'Restarting');
+            }
+            return send(res, 200, 'success');
+        }
+
+        if (req.method === 'GET' && !url.pathname.startsWith('/api/')) {
+            return servePage(req, res, url);
+        }
+
+        // First-run signup: creates the admin and signs it in
+        if (req.method === 'POST' && url.pathname === '/api/v1/users/super') {
+            if (state.admin.exists) {
+                return send(res, 403, 'Super user already exists');
+            }
+            const user = JSON.parse(body.toString('utf8') || '{}');
+            Object.assign(state.admin, {
+                exists: true,
+                email: user.email,
+                password: user.password,
+                name: user.name,
+                onboarding: { proficiency: user.proficiency, useCase: user.useCase }
+            });
+            return send(res, 200, { email: user.email }, { 'Set-Cookie': sessionCookie });
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/v1/login') {
+            const form = new URLSearchParams(body.toString('utf8'));
+            if (state.admin.exists && form.get('username') === state.admin.email && form.get('password') === state.admin.password) {
+                res.writeHead(302, {
+                    Location: '/applications',
+                    'Set-Cookie': sessionCookie
+                });
+            } else {
+                res.writeHead(302, { Location: '/user/login?error=true' });
+            }
+            return res.end();
+        }
+
+        if (!url.pathname.startsWith('/api/v1/')) {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        if (!isAuthenticated(req)) {
+            return send(res, 401, 'Unauthorized');
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/v1/workspaces/home') {
+            return send(res, 200, state.workspaces.map(({ id, name }) => ({ id, name })));
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/v1/workspaces') {
+            const { name } = JSON.parse(body.toString('utf8') || '{}');
+            if (!name) {
+                return send(res, 400, 'Workspace name is required');
+            }
+            const workspace = createWorkspace(name, state.admin.email);
+            state.workspaces.push(workspace);
+            return send(res, 201, { id: workspace.id, name: workspace.name });
+        }
+
+        const workspaceMatch = /^\/api\/v1\/workspaces\/([^/]+)\/(permissionGroups|members)$/.exec(url.pathname);
+        if (req.method === 'GET' && workspaceMatch) {
+            const workspace = state.workspaces.find(w => w.id === workspaceMatch[1]);
+            if (!workspace) {
+                return send(res, 404, `Workspace ${workspaceMatch[1]} not found`);
+            }
+            return send(res, 200, workspaceMatch[2] === 'members' ? workspace.members : workspace.roles);
+        }
+
+        const roleMatch = /^\/api\/v1\/workspaces\/([^/]+)\/permissionGroup$/.exec(url.pathname);
+        if (req.method === 'PUT' && roleMatch) {
+            const { username, newPermissionGroupId } = JSON.parse(body.toString('utf8') || '{}');
+            const workspace = state.workspaces.find(w => w.id === roleMatch[1]);
+            const role = workspace && workspace.roles.find(r => r.id === newPermissionGroupId);
+            const member = workspace && workspace.members.find(m => m.username === username);
+            if (!role || !member) {
+                return send(res, 400, `${username} is not a member of workspace ${roleMatch[1]} or the role is unknown`);
+            }
+            Object.assign(member, { permissionGroupId: role.id, permissionGroupName: role.name });
+            return send(res, 200, member);
+        }
+
+        // Invitations leave existing members (and their role) alone
+        if (req.method === 'POST' && url.pathname === '/api/v1/users/invite') {
+            const { usernames = [], permissionGroupId } = JSON.parse(body.toString('utf8') || '{}');
+            const workspace = state.workspaces.find(w => w.roles.some(r => r.id === permissionGroupId));
+            if (!workspace) {
+                return send(res, 400, `Role ${permissionGroupId} not found`);
+            }
+            const role = workspace.roles.find(r => r.id === permissionGroupId);
+            for (const username of usernames) {
+                if (!workspace.members.some(m => m.username === username)) {
+                    workspace.members.push({ username, permissionGroupId: role.id, permissionGroupName: role.name });
+                }
+            }
+            return send(res, 200, usernames.map(username => ({ username })));
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/v1/admin/env') {
+            return send(res, 200, state.settings);
+        }
+
+        if (req.method === 'PUT' && url.pathname === '/api/v1/admin/env') {
+            const changes = JSON.parse(body.toString('utf8') || '{}');
+            for (const [key, value] of Object.entries(changes)) {
+                state.settings[key] = String(value);
+            }
+            return send(res, 200, null);
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/v1/admin/restart') {
+            state.restarts += 1;
+            state.downtime = 2;
+            for (const key of options.lostSettings || []) {
+                delete state.settings[key];
+            }
+            return send(res, 200, true);
+        }
+
+        const importMatch = /^\/api\/v1\/applications\/import\/([^/]+)$/.exec(url.pathname);
+        if (req.method === 'POST' && importMatch) {
+            if (req.headers['x-requested-by'] !== 'Appsmith') {
+                return send(res, 403, 'Missing X-Requested-By header');
+            }
+            if (!state.workspaces.some(w => w.id === importMatch[1])) {
+                return send(res, 404, `Workspace ${importMatch[1]} not found`);
+            }
+
+            const file = parseMultipartFile(req, body);
+            let exported;
+            try {
+                exported = JSON.parse(file ? file.content : '');
+            } catch (e) {
+                return send(res, 400, 'Uploaded file is not valid JSON');
+            }
+
+            // Import into an existing app keeps its ID, slug and the IDs of
+            // pages that are still there
+            const existing = url.searchParams.get('applicationId')
+                ? state.applications.find(a => a.id === url.searchParams.get('applicationId'))
+                : null;
+            if (url.searchParams.get('applicationId') && (!existing || existing.workspaceId !== importMatch[1])) {
+                return send(res, 404, `Application ${url.searchParams.get('applicationId')} not found in workspace ${importMatch[1]}`);
+            }
+
+            const exportedApp = exported.exportedApplication || {};
+            const appName = existing ? existing.name : exportedApp.name || 'Untitled';
+            const defaultPage = options.defaultPage ||
+                ((exportedApp.pages || []).find(p => p.isDefault) || {}).id;
+            const pageId = name => ((existing && existing.pages.find(p => p.name === name)) || {}).id || nextId();
+            const application = {
+                id: existing ? existing.id : nextId(),
+                name: appName,
+                slug: existing ? existing.slug : slugify(appName),
+                workspaceId: importMatch[1],
+                pages: (exported.pageList || []).map(p => ({
+                    id: pageId(p.unpublishedPage.name),
+                    name: p.unpublishedPage.name,
+                    isDefault: p.unpublishedPage.name === defaultPage
+                }))
+            };
+            const unconfigured = options.partialImport
+                ? (exported.datasourceList || []).map(d => d.name)
+                : [];
+            const pageIds = Object.fromEntries(application.pages.map(p => [p.name, p.id]));
+            const stored = {
+                ...application,
+                filename: file.filename,
+                unconfiguredDatasources: unconfigured,
+                exported,
+                actions: importActions(exported, pageIds)
+            };
+            if (existing) {
+                state.applications[state.applications.indexOf(existing)] = stored;
+            } else {
+                state.applications.push(stored);
+            }
+            if (options.partialImport) {
+                state.pendingReconnect = application.id;
+            }
+
+            return send(res, 200, {
+                // Real Appsmith returns page IDs only, slugs come from /pages
+                application: { ...application, pages: application.pages.map(({ id, isDefault }) => ({ id, isDefault })) },
+                isPartialImport: Boolean(options.partialImport),
+                unConfiguredDatasourceList: unconfigured.map(name => ({ name }))
+            });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/v1/actions/view') {
+            const app = state.applications.find(a => a.id === url.searchParams.get('applicationId'));
+            if (!app) {
+                return send(res, 404, 'Application not found');
+            }
+            return send(res, 200, app.actions.map(({ id, name, pageId }) => ({ id, name, pageId })));
+        }
+
+        if (req.method === 'POST' && url.pathname === '/api/v1/actions/execute') {
+            const part = parseMultipartFile(req, body, 'executeActionDTO');
+            const { actionId, parameterMap = {} } = part ? JSON.parse(part.content) : {};
+            const app = state.applications.find(a => a.actions.some(action => action.id === actionId));
+            if (!app) {
+                return send(res, 404, `Action ${actionId} not found`);
+            }
+            const values = Object.fromEntries(Object.entries(parameterMap)
+                .map(([expression, key]) => [expression, (parseMultipartFile(req, body, key) || {}).content]));
+            return send(res, 200, await executeAction(app, app.actions.find(action => action.id === actionId), values));
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/v1/pages') {
+            const app = state.applications.find(a => a.id === url.searchParams.get('applicationId'));
+            if (!app) {
+                return send(res, 404, 'Application not found');
+            }
+            return send(res, 200, {
+                pages: app.pages.map(p => ({ ...p, slug: slugify(p.name) }))
+            });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/v1/applications/home') {
+            const workspaceId = url.searchParams.get('workspaceId');
+            return send(res, 200, state.applications
+                .filter(a => a.workspaceId === workspaceId)
+                .map(({ id, name, slug, workspaceId: wsId }) => ({ id, name, slug, workspaceId: wsId })));
+        }
+
+        // Export answers with the bare application JSON, like the real download
+        const exportMatch = /^\/api\/v1\/applications\/export\/([^/]+)$/.exec(url.pathname);
+        if (req.method === 'GET' && exportMatch) {
+            const app = state.applications.find(a => a.id === exportMatch[1]);
+            if (!app) {
+                return send(res, 404, `Application ${exportMatch[1]} not found`);
+            }
+            res.writeHead(200, {
+                'Content-Type': 'application/json',
+                'Content-Disposition': `attachment; filename="${app.name}.json"`
+            });
+            return res.end(JSON.stringify(app.exported));
+        }
+
+        return send(res, 404, `No mock for ${req.method} ${url.pathname}`);
+    });
+
+    return new Promise(resolve => {
+        server.listen(options.port || 0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                state,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string', default: '8080' },
+            fresh: { type: 'boolean', default: false },
+            'partial-import': { type: 'boolean', default: false },
+            'default-page': { type: 'string' }
+        }
+    });
+
+    startMockAppsmith({
+        port: Number(values.port),
+        adminExists: !values.fresh,
+        partialImport: values['partial-import'],
+        defaultPage: values['default-page']
+    }).then(mock => console.log(`Mock Appsmith listening on ${mock.url}`));
+}
+
+module.exports = { startMockAppsmith };
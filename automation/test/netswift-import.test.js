@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const sheet = require('../../libs/netswift-import');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+const EXISTING_VLANS = [{ vlan_id: 20, name: 'guests' }];
+
+test('columns are guessed from the headers, each used once', () => {
+    const rows = [{ 'Vlan ': '30', 'VLAN name': 'voice' }, { 'Vlan ': '31', 'VLAN name': 'cams', 'Switch IPs': '10.0.0.1', Notes: '' }];
+    const headers = sheet.headersOf(rows);
+    assert.deepEqual(headers, ['Vlan ', 'VLAN name', 'Switch IPs', 'Notes']);
+
+    const mapping = sheet.guessMapping('vlans', headers);
+    assert.deepEqual(mapping, { vlan_id: 'Vlan ', name: 'VLAN name', is_voice: '', dhcp_snooping: '', igmp_enable: '', switches: 'Switch IPs' });
+    assert.deepEqual(sheet.missingColumns('vlans', mapping), []);
+    assert.deepEqual(sheet.missingColumns('vlans', { ...mapping, name: '' }), ['Name']);
+    assert.deepEqual(sheet.guessMapping('switches', ['IP', 'Hostname', 'IP Address']), { ip_address: 'IP', name: 'Hostname', location: '' });
+});
+
+test('an XLSX workbook gives the rows of its first sheet, keyed by its header row', () => {
+    const workbook = [
+        { name: 'Switches', data: [['IP', 'Hostname', '', 'Site'], ['10.0.0.9', 'access-9', 'x', 'Floor 9'], ['', null, '', ''], ['10.0.0.10', 'access-10']] },
+        { name: 'Notes', data: [['ignored']] }
+    ];
+    const rows = sheet.rowsOf(workbook);
+    assert.deepEqual(rows, [
+        { IP: '10.0.0.9', Hostname: 'access-9', 'Column 3': 'x', Site: 'Floor 9' },
+        { IP: '10.0.0.10', Hostname: 'access-10', 'Column 3': '', Site: '' }
+    ]);
+    const mapping = sheet.guessMapping('switches', sheet.headersOf(rows));
+    assert.deepEqual(mapping, { ip_address: 'IP', name: 'Hostname', location: 'Site' });
+    assert.deepEqual(sheet.validate('switches', rows, mapping).map(r => r.record.name), ['access-9', 'access-10']);
+
+    // CSV rows are already objects
+    assert.deepEqual(sheet.rowsOf([{ IP: '10.0.0.9' }]), [{ IP: '10.0.0.9' }]);
+    assert.deepEqual(sheet.rowsOf(undefined), []);
+    assert.deepEqual(sheet.rowsOf([{ name: 'Empty', data: [] }]), []);
+});
+
+test('VLAN rows are checked for the ID range, duplicate names and switch IPs', () => {
+    const mapping = { vlan_id: 'id', name: 'name', is_voice: 'voice', dhcp_snooping: '', igmp_enable: '', switches: 'switches' };
+    const results = sheet.validate('vlans', [
+        { id: '30', name: 'voice', voice: 'yes', switches: '10.0.0.1; 10.0.0.2' },
+        { id: '4095', name: 'Voice', voice: 'maybe', switches: '10.0.0.256' },
+        { id: '', name: '', voice: '', switches: '' },
+        { id: '20', name: 'GUESTS', voice: '', switches: '' },
+        { id: '30', name: 'cams', voice: 'no', switches: '' }
+    ], mapping, EXISTING_VLANS);
+
+    assert.deepEqual(results.map(r => r.row), [2, 3, 5, 6]);
+    assert.deepEqual(results[0].errors, []);
+    assert.deepEqual(results[0].record, {
+        vlan_id: 30, name: 'voice', is_voice: true, dhcp_snooping: false, igmp_enable: false,
+        target: 'specific', switch_ips: ['10.0.0.1', '10.0.0.2']
+    });
+    assert.deepEqual(results[1].errors, [
+        'VLAN ID must be a number from 1 to 4094 (got "4095")',
+        'Voice must be yes or no (got "maybe")',
+        'Switch IP "10.0.0.256" is not a valid IPv4 address',
+        'Name "Voice" is also on row 2'
+    ]);
+    assert.deepEqual(results[2].errors, ['VLAN 20 already exists', 'Name "GUESTS" is already used by VLAN 20']);
+    assert.deepEqual(results[3].errors, ['VLAN ID "30" is also on row 2']);
+    assert.deepEqual(sheet.summary(results), { total: 4, valid: 1, invalid: 3 });
+    assert.deepEqual(sheet.previewRow(results[3]), {
+        row: 6, vlan_id: '30', name: 'cams', is_voice: 'no', dhcp_snooping: '', igmp_enable: '', switches: '',
+        status: 'Error', errors: 'VLAN ID "30" is also on row 2'
+    });
+    // No switches: the VLAN goes on all of them
+    assert.equal(sheet.validate('vlans', [{ id: '40', name: 'printers' }], mapping)[0].record.target, 'all');
+});
+
+test('switch rows need a valid, unused IP and a unique name', () => {
+    const mapping = { ip_address: 'IP', name: 'Name', location: 'Site' };
+    const results = sheet.validate('switches', [
+        { IP: '10.0.0.9', Name: 'access-9', Site: 'Floor 9' },
+        { IP: '10.0.0', Name: '', Site: '' },
+        { IP: '10.0.0.1', Name: 'access-9', Site: '' },
+        { IP: '10.0.0.01', Name: 'access-1', Site: '' }
+    ], mapping, [{ ip: '10.0.0.1', name: 'core-1' }]);
+
+    assert.deepEqual(results[0].record, { name: 'access-9', ip_address: '10.0.0.9', location: 'Floor 9' });
+    assert.deepEqual(results[1].errors, ['IP Address "10.0.0" is not a valid IPv4 address', 'Name is required']);
+    assert.deepEqual(results[2].errors, ['Switch 10.0.0.1 already exists', 'Name "access-9" is also on row 2']);
+    // Not a second spelling of an existing switch
+    assert.deepEqual(results[3].errors, ['IP Address "10.0.0.01" is not a valid IPv4 address']);
+    assert.equal(sheet.isIpv4('192.168.0.10'), true);
+    assert.equal(sheet.isIpv4('192.168.001.10'), false);
+    assert.equal(sheet.isIpv4('1.2.3.4.5'), false);
+});
+
+test('exports use the import headers and write CSV and XLSX', () => {
+    const rows = sheet.exportRows('vlans', [{ vlan_id: 20, name: 'guests, "wifi"', is_voice: 0, dhcp_snooping: 1, igmp_enable: true, switches: ['10.0.0.1', '10.0.0.2'] }]);
+    assert.deepEqual(rows, [{ 'VLAN ID': 20, Name: 'guests, "wifi"', Voice: 'no', 'DHCP Snooping': 'yes', IGMP: 'yes', Switches: '10.0.0.1;10.0.0.2' }]);
+    assert.equal(sheet.toCsv(rows), 'VLAN ID,Name,Voice,DHCP Snooping,IGMP,Switches\r\n20,"guests, ""wifi""",no,yes,yes,10.0.0.1;10.0.0.2\r\n');
+
+    // An export imports again as it is
+    const mapping = sheet.guessMapping('vlans', Object.keys(rows[0]));
+    const [again] = sheet.validate('vlans', rows, mapping);
+    assert.deepEqual(again.record.switch_ips, ['10.0.0.1', '10.0.0.2']);
+    assert.equal(again.record.dhcp_snooping, true);
+
+    const switches = sheet.exportRows('switches', [{ ip: '10.0.0.1', name: 'core-1', model: 'Aruba 6300M', online_status: 'online' }]);
+    assert.deepEqual(Object.keys(switches[0]), ['IP Address', 'Name', 'Location', 'Model', 'Serial Number', 'MAC', 'Version', 'Status']);
+    assert.deepEqual(sheet.guessMapping('switches', Object.keys(switches[0])), { ip_address: 'IP Address', name: 'Name', location: 'Location' });
+
+    const url = sheet.toXlsx(rows, 'VLANs');
+    assert.ok(url.startsWith(`data:${sheet.XLSX_TYPE};base64,`));
+    const xlsx = Buffer.from(url.split(',')[1], 'base64');
+    assert.equal(xlsx.readUInt32LE(0), 0x04034b50);
+    const end = xlsx.length - 22;
+    assert.equal(xlsx.readUInt32LE(end), 0x06054b50);
+    assert.equal(xlsx.readUInt16LE(end + 10), 5);
+    // Entries are stored, so the sheet XML is in the archive as it is
+    const text = xlsx.toString('utf8');
+    assert.match(text, /<sheet name="VLANs" sheetId="1" r:id="rId1"\/>/);
+    assert.match(text, /<row r="2"><c r="A2"><v>20<\/v><\/c><c r="B2" t="inlineStr"><is><t xml:space="preserve">guests, &quot;wifi&quot;<\/t><\/is><\/c>/);
+});
+
+test('the app installs the library and the VLANs and Switches pages import through it', () => {
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    const library = exported.customJSLibList.find(lib => lib.accessor.includes('NetSwiftImport'));
+    assert.equal(library.url, '/libs/netswift-import.js');
+    assert.ok(exported.exportedApplication.unpublishedCustomJSLibs.some(lib => lib.uidString === library.uidString));
+
+    const routes = Object.fromEntries(exported.actionList
+        .filter(a => ['importVlan', 'importSwitch'].includes(a.unpublishedAction.name))
+        .map(a => [a.unpublishedAction.name, `${a.unpublishedAction.actionConfiguration.httpMethod} ${a.unpublishedAction.actionConfiguration.path}`]));
+    assert.deepEqual(routes, { importVlan: 'POST /api/vlans/add', importSwitch: 'POST /switches/' });
+    for (const page of ['VLANs', 'Switches']) {
+        const body = exported.actionCollectionList.find(c => c.id === `${page}_ImportExport`).unpublishedCollection.body;
+        assert.match(body, /NetSwiftImport\.validate\(/);
+        assert.match(body, /NetSwiftImport\.rowsOf\(file\.data\)/);
+        assert.match(body, /NetSwiftImport\.rowsOf\(file\.data\)/);
+        assert.match(body, /NetSwiftImport\.toXlsx\(/);
+    }
+});
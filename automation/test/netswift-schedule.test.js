@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const schedule = require('../../libs/netswift-schedule');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+const runs = (s, from, count) => schedule.nextRuns(s, from, count).map(at => at.toISOString());
+
+test('cron expressions take lists, ranges, steps and names, and read as words', () => {
+    const cron = schedule.parseCron('*/20 8-9 1,15 jan-mar mon-fri');
+    assert.deepEqual([...cron.minute], [0, 20, 40]);
+    assert.deepEqual([...cron.hour], [8, 9]);
+    assert.deepEqual([...cron.month], [1, 2, 3]);
+    assert.deepEqual([...cron.weekday], [1, 2, 3, 4, 5]);
+    assert.deepEqual([...schedule.parseCron('0 0 * * 5-7').weekday], [5, 6, 0]);
+
+    const words = cron => schedule.describe({ type: 'cron', cron, timezone: 'UTC' });
+    assert.equal(words('*/15 8-18 * * 1-5'), 'Every 15 minutes from 08:00 to 18:45 on Monday to Friday');
+    assert.equal(words('0 2 * * *'), 'At 02:00 every day');
+    assert.equal(words('30 6 1,15 * *'), 'At 06:30 on day 1, 15 of the month');
+    assert.equal(words('0 12 * jan,jul *'), 'At 12:00 every day in January, July');
+    assert.equal(schedule.describe({ type: 'interval', every_minutes: 90, window_start: '22:00', window_end: '02:00' }), 'Every 90 minutes from 22:00 to 02:00');
+    assert.equal(schedule.describe(null), 'Runs while started by hand');
+});
+
+test('next runs follow the timezone, across DST changes', () => {
+    // 10:07 UTC is 12:07 in Berlin (CEST): the 08:00 weekday run is Monday's
+    const officeHours = { type: 'cron', cron: '*/15 8-18 * * 1-5', timezone: 'europe/berlin' };
+    assert.deepEqual(runs(officeHours, '2026-10-18T10:07:00Z', 2), ['2026-10-19T06:00:00.000Z', '2026-10-19T06:15:00.000Z']);
+
+    // 02:30 happens twice when the clocks go back (runs once) and not at all
+    // when they go forward (skipped)
+    const nightly = { type: 'cron', cron: '30 2 * * *', timezone: 'Europe/Berlin' };
+    assert.deepEqual(runs(nightly, '2026-10-24T12:00:00Z', 2), ['2026-10-25T01:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+    assert.deepEqual(runs(nightly, '2027-03-27T12:00:00Z', 2), ['2027-03-29T00:30:00.000Z', '2027-03-30T00:30:00.000Z']);
+
+    assert.deepEqual(runs({ type: 'cron', cron: '0 0 29 2 *', timezone: 'UTC' }, '2026-10-18T00:00:00Z', 1), ['2028-02-29T00:00:00.000Z']);
+    assert.deepEqual(runs(null, Date.now(), 3), []);
+    assert.equal(schedule.formatRun('2026-10-19T06:00:00Z', 'europe/berlin'), 'Mon 19 Oct 2026, 08:00');
+});
+
+test('intervals run inside their time window, which may span midnight', () => {
+    const night = { type: 'interval', every_minutes: '90', window_start: '22:00', window_end: '2:00', timezone: 'UTC' };
+    assert.deepEqual(schedule.normalize(night), { type: 'interval', every_minutes: 90, window_start: '22:00', window_end: '02:00', timezone: 'UTC' });
+    assert.deepEqual(runs(night, '2026-10-18T23:00:00Z', 4),
+        ['2026-10-18T23:30:00.000Z', '2026-10-19T01:00:00.000Z', '2026-10-19T22:00:00.000Z', '2026-10-19T23:30:00.000Z']);
+    // No window: the whole day from midnight
+    assert.deepEqual(runs({ type: 'interval', every_minutes: 45, timezone: 'UTC' }, '2026-10-18T23:50:00Z', 2),
+        ['2026-10-19T00:00:00.000Z', '2026-10-19T00:45:00.000Z']);
+
+    const preview = schedule.preview({ type: 'interval', every_minutes: 60, window_start: '08:00', window_end: '10:00', timezone: 'utc' }, '2026-10-18T09:30:00Z', 3);
+    assert.deepEqual(preview, {
+        errors: [],
+        description: 'Every hour from 08:00 to 10:00',
+        runs: ['Sun 18 Oct 2026, 10:00', 'Mon 19 Oct 2026, 08:00', 'Mon 19 Oct 2026, 09:00']
+    });
+});
+
+test('invalid schedules say what is wrong', () => {
+    assert.deepEqual(schedule.validate({ type: 'manual' }), []);
+    assert.deepEqual(schedule.validate({ type: 'interval', every_minutes: 0, window_start: '25:00', timezone: 'Mars/Base' }), [
+        'Unknown timezone "Mars/Base"',
+        'The interval must be a whole number of minutes from 1 to 1440 (got "0")',
+        'The window start must be a time like 08:00 (got "25:00")',
+        'Give both ends of the time window, or neither'
+    ]);
+    const cronErrors = cron => schedule.validate({ type: 'cron', cron, timezone: 'UTC' });
+    assert.deepEqual(cronErrors('0 2 * *'), ['A cron expression has 5 fields (minute hour day-of-month month day-of-week), got 4']);
+    assert.deepEqual(cronErrors('0 2 * * 8'), ['Cron day of week must be from 0 to 7 (got "8")']);
+    assert.deepEqual(cronErrors('0 5-2 * * *'), ['Cron hour range "5-2" goes backwards']);
+    assert.deepEqual(cronErrors('*/0 * * * *'), ['Cron minute "*/0" is not valid']);
+    assert.deepEqual(cronErrors('0 0 30 2 *'), ['The schedule never runs']);
+    assert.deepEqual(schedule.validate({ type: 'weekly', timezone: 'UTC' }), ['Unknown schedule type "weekly" (use cron or interval)']);
+    assert.throws(() => schedule.nextRuns({ type: 'cron', cron: 'often', timezone: 'UTC' }), /5 fields/);
+});
+
+test('the Tools page installs the library and sends the rule schedule with CreateRuleAPI', () => {
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    const library = exported.customJSLibList.find(lib => lib.accessor.includes('NetSwiftSchedule'));
+    assert.equal(library.url, '/libs/netswift-schedule.js');
+    assert.ok(exported.exportedApplication.unpublishedCustomJSLibs.some(lib => lib.uidString === library.uidString));
+
+    const create = exported.actionList.find(a => a.id === 'Tools_CreateRuleAPI').unpublishedAction.actionConfiguration.body;
+    assert.match(create, /"schedule": \{\{ RuleManager\.latestRuleToSave\.schedule \|\| null \}\}/);
+    const body = name => exported.actionCollectionList.find(c => c.id === `Tools_${name}`).unpublishedCollection.body;
+    assert.match(body('RuleManager'), /NetSwiftSchedule\.validate\(RuleSchedule\.toRequest\(currentRuleData\)\)/);
+    assert.match(body('RuleSchedule'), /NetSwiftSchedule\.timezoneOptions\(\)/);
+
+    // New schedules default to the timezone applied on the Global page
+    const config = exported.actionList.find(a => a.id === 'Tools_getGlobalConfig').unpublishedAction;
+    assert.equal(`${config.actionConfiguration.httpMethod} ${config.actionConfiguration.path}`, 'GET /api/global-config');
+    const tools = exported.pageList.find(p => p.unpublishedPage.name === 'Tools').unpublishedPage.layouts[0];
+    assert.ok(tools.layoutOnLoadActions.flat().some(a => a.id === 'Tools_getGlobalConfig'));
+    assert.match(body('RuleSchedule'), /\[configured, browser\]\.find\(/);
+    assert.match(body('RuleSchedule'), /getGlobalConfig\.data\?\.config/);
+});
+
+test('the Global and Tools pages offer the library\'s timezones', () => {
+    const options = schedule.timezoneOptions();
+    assert.equal(options.length, 592);
+    assert.deepEqual(options.find(option => option.value === 'america/argentina/buenos_aires'),
+        { label: 'America/Argentina/Buenos Aires', value: 'america/argentina/buenos_aires' });
+    assert.equal(schedule.timezoneLabel('etc/GMT+5'), 'Etc/GMT+5');
+    assert.equal(schedule.timezoneLabel('utc'), 'Utc');
+    // Whatever the selects offer can be saved
+    for (const { value } of options) {
+        assert.deepEqual(schedule.validate({ type: 'cron', cron: '0 2 * * *', timezone: value }), [], value);
+    }
+
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    const widget = (page, name) => {
+        const walk = node => (node.widgetName === name ? node : (node.children || []).map(walk).find(Boolean));
+        return walk(exported.pageList.find(p => p.unpublishedPage.name === page).unpublishedPage.layouts[0].dsl);
+    };
+    assert.match(widget('Global', 'timezoneSelect').sourceData, /NetSwiftSchedule\.timezoneOptions\(\)/);
+    assert.match(widget('Tools', 'scheduleTimezone').sourceData, /NetSwiftSchedule\.timezoneOptions\(\)/);
+    assert.ok(!exported.actionCollectionList.some(c => c.unpublishedCollection.name === 'timezoneUtils'));
+});
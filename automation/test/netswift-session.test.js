@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const session = require('../../libs/netswift-session');
+const { signToken } = require('../stub-backend');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+const NOW = Date.parse('2026-10-18T09:00:00Z');
+
+// Context of a page, with the Appsmith globals recording what they did
+function page(name, store = {}, queries = []) {
+    const calls = { navigateTo: [], showAlert: [], setInterval: [], clearInterval: [] };
+    return {
+        page: name,
+        queryParams: { site: 'lab' },
+        queries,
+        store,
+        calls,
+        storeValue: async (key, value) => { store[key] = value; },
+        navigateTo: (...args) => calls.navigateTo.push(args),
+        showAlert: (...args) => calls.showAlert.push(args),
+        setInterval: (...args) => calls.setInterval.push(args),
+        clearInterval: (...args) => calls.clearInterval.push(args)
+    };
+}
+
+const token = claims => signToken({ sub: 'admin', exp: NOW / 1000 + 3600, ...claims }, 'key');
+
+test('login keeps the token, expiry and role, and opens the home page', async () => {
+    const login = page('LoginPage');
+    await session.login(login, { access_token: token({ role: 'admin' }), expires_in: 600 }, NOW);
+
+    assert.equal(login.store.isLoggedIn, true);
+    assert.equal(login.store.authExpiresAt, NOW + 600 * 1000);
+    assert.equal(login.store.authRole, 'admin');
+    assert.equal(login.store.authLastActivity, NOW);
+    assert.deepEqual(login.calls.navigateTo, [['Switches', {}, 'SAME_WINDOW']]);
+
+    // No expires_in or role in the response: the token's claims
+    await session.login(login, { access_token: token({}) }, NOW);
+    assert.equal(login.store.authExpiresAt, NOW + 3600 * 1000);
+    assert.equal(login.store.authRole, 'operator');
+    assert.equal(session.role({}), 'operator');
+});
+
+test('a token that cannot be read or has no expiry is a failed login', async () => {
+    for (const response of [
+        { access_token: 'not-a-jwt', expires_in: 600, role: 'admin' },
+        { access_token: signToken({ sub: 'admin', role: 'admin' }, 'key') },
+        { access_token: token({ exp: NOW / 1000 - 1 }) }
+    ]) {
+        const login = page('LoginPage');
+        assert.equal(await session.login(login, response, NOW), false);
+        assert.deepEqual(login.store, {});
+        assert.deepEqual(login.calls.navigateTo, []);
+        assert.deepEqual(login.calls.showAlert, [['Login failed: the backend returned an unreadable or expired token', 'error']]);
+    }
+    assert.equal(session.expiry({ access_token: signToken({ sub: 'admin' }, 'key') }, NOW), NOW);
+});
+
+test('a page without a session sends the user to LoginPage and login returns there', async () => {
+    const store = {};
+    const tools = page('Tools', store);
+    assert.equal(await session.guard(tools, NOW), false);
+    assert.deepEqual(tools.calls.showAlert, [['Please log in to continue.', 'error']]);
+    assert.deepEqual(tools.calls.navigateTo, [['LoginPage', {}, 'SAME_WINDOW']]);
+    assert.deepEqual(store.authRedirect, { page: 'Tools', params: { site: 'lab' } });
+
+    const login = page('LoginPage', store);
+    await session.login(login, { access_token: token({ role: 'admin' }), expires_in: 600 }, NOW);
+    assert.deepEqual(login.calls.navigateTo, [['Tools', { site: 'lab' }, 'SAME_WINDOW']]);
+    assert.equal(store.authRedirect, null);
+
+    const valid = page('Tools', store);
+    assert.equal(await session.guard(valid, NOW + 1000), true);
+    assert.equal(store.authLastActivity, NOW + 1000);
+    assert.equal(valid.calls.setInterval[0][2], 'authWatch');
+});
+
+test('the session ends on an expired token, a 401 or when idle', async () => {
+    const signedIn = () => ({ isLoggedIn: true, authToken: 't', authExpiresAt: NOW + 3600 * 1000, authLastActivity: NOW, authRole: 'admin' });
+
+    assert.equal(session.endReason(page('VLANs', signedIn()), NOW + 60 * 1000), null);
+    assert.equal(session.endReason(page('VLANs', signedIn()), NOW + 3600 * 1000), 'Session expired, please log in again.');
+    assert.equal(session.endReason(page('VLANs', signedIn(), [{ responseMeta: { statusCode: '401 UNAUTHORIZED' } }]), NOW), 'Session expired, please log in again.');
+    assert.equal(session.endReason(page('VLANs', signedIn()), NOW + session.IDLE_TIMEOUT + 1), 'Logged out after 30 minutes without activity.');
+
+    const vlans = page('VLANs', signedIn());
+    await session.guard(vlans, NOW + session.IDLE_TIMEOUT + 1);
+    assert.deepEqual([vlans.store.isLoggedIn, vlans.store.authToken, vlans.store.authRole], [false, null, null]);
+    assert.deepEqual(vlans.calls.clearInterval, [['authWatch']]);
+
+    // Activity keeps the session
+    const busy = page('VLANs', signedIn());
+    await session.touch(busy, NOW + session.IDLE_TIMEOUT - 1000);
+    assert.equal(session.endReason(busy, NOW + session.IDLE_TIMEOUT + 1), null);
+});
+
+test('the session watch still clears the session and leaves when a store write fails', async () => {
+    const vlans = page('VLANs', { isLoggedIn: true, authToken: 't', authExpiresAt: NOW + 3600 * 1000, authLastActivity: NOW, authRole: 'admin' });
+    assert.equal(await session.guard(vlans, NOW), true);
+    const [[watch]] = vlans.calls.setInterval;
+
+    const store = vlans.storeValue;
+    vlans.storeValue = async (key, value) => {
+        if (key === 'authExpiresAt') throw new Error('store is busy');
+        return store(key, value);
+    };
+    vlans.store.authExpiresAt = 0;
+    watch();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual([vlans.store.isLoggedIn, vlans.store.authToken, vlans.store.authRole], [false, null, null]);
+    assert.deepEqual(vlans.calls.clearInterval, [['authWatch']]);
+    assert.deepEqual(vlans.calls.navigateTo, [['LoginPage', {}, 'SAME_WINDOW']]);
+    assert.deepEqual(vlans.calls.showAlert, [['Session expired, please log in again.', 'error']]);
+});
+
+test('logout clears the session and forgets the page to return to', async () => {
+    const about = page('About', { isLoggedIn: true, authToken: 't', authRedirect: { page: 'Tools' } });
+    await session.logout(about);
+    assert.deepEqual([about.store.isLoggedIn, about.store.authToken, about.store.authRedirect], [false, null, null]);
+    assert.deepEqual(about.calls.navigateTo, [['LoginPage', {}, 'SAME_WINDOW']]);
+});
+
+test('logout opens LoginPage even when a store write fails', async () => {
+    const about = page('About', { isLoggedIn: true, authToken: 't' });
+    about.storeValue = async (key, value) => {
+        if (key === 'authRole') {
+            throw new Error('store unavailable');
+        }
+        about.store[key] = value;
+    };
+    await session.logout(about);
+    assert.deepEqual([about.store.isLoggedIn, about.store.authToken], [false, null]);
+    assert.deepEqual(about.calls.navigateTo, [['LoginPage', {}, 'SAME_WINDOW']]);
+});
+
+test('the role table says what each role may do, for every page', () => {
+    assert.equal(session.can({ authRole: 'admin' }, 'bulkEdit'), true);
+    assert.equal(session.can({ authRole: 'operator' }, 'bulkEdit'), false);
+    assert.equal(session.can({}, 'manageRules'), false);
+    assert.equal(session.can({ authRole: 'admin' }, 'noSuchAction'), false);
+
+    // Pages ask the library instead of keeping their own copy of the table
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    const permissions = exported.actionCollectionList.filter(c => c.id.endsWith('_Permissions'));
+    assert.equal(permissions.length, exported.pageList.length - 1);
+    for (const { unpublishedCollection: collection } of permissions) {
+        assert.match(collection.body, /NetSwiftSession\.can\(appsmith\.store, action\)/);
+        assert.doesNotMatch(collection.body, /\['admin'\]/);
+    }
+});
+
+test('rule start, stop and delete and switch delete ask Permissions before running', () => {
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    const dsl = name => JSON.stringify(exported.pageList.find(p => p.unpublishedPage.name === name).unpublishedPage.layouts[0].dsl);
+    assert.doesNotMatch(dsl('Tools'), /(StartRuleAPI|StopRuleAPI|DeleteRuleAPI)\.run/);
+    assert.doesNotMatch(dsl('Switches'), /deleteSwitch\.run/);
+
+    const body = id => exported.actionCollectionList.find(c => c.id === id).unpublishedCollection.body;
+    assert.match(body('Tools_RuleManager'), /runRuleQuery: async \(query, ruleId, unsaved, done, verb\) => \{\n\s+if \(!Permissions\.ensure\('manageRules'\)\)/);
+    assert.match(body('Switches_deleteLogic'), /removeSwitch: async \(\) => \{\n\s+if \(!Permissions\.ensure\('deleteSwitch'\)\)/);
+});
+
+test('the app installs the library and every page but LoginPage checks the session on load', () => {
+    const exported = JSON.parse(fs.readFileSync(APP_JSON, 'utf8'));
+    const library = exported.customJSLibList.find(lib => lib.accessor.includes('NetSwiftSession'));
+    assert.equal(library.url, '/libs/netswift-session.js');
+    assert.ok(exported.exportedApplication.unpublishedCustomJSLibs.some(lib => lib.uidString === library.uidString));
+
+    for (const { unpublishedPage: appPage } of exported.pageList) {
+        const onLoad = appPage.layouts[0].layoutOnLoadActions.flat().map(action => action.name);
+        assert.equal(onLoad.includes('Session.checkAuth'), appPage.name !== session.LOGIN_PAGE, appPage.name);
+    }
+    const bodies = exported.actionCollectionList.map(c => c.unpublishedCollection.body).join('\n');
+    assert.doesNotMatch(bodies, /\bAuthJS\b|JSObject1/);
+
+    // The pages only pass their context; the explanation is the library's
+    for (const { unpublishedCollection: collection } of exported.actionCollectionList.filter(c => c.id.endsWith('_Session'))) {
+        assert.equal(collection.body.match(/\/\/.*/g).length, 1, collection.pageId);
+        assert.match(collection.body, /handleLogout: async \(\) => NetSwiftSession\.logout\(this\.context\(\)\)\n\}$/);
+    }
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRunReport } = require('../run-report');
+const automation = require('../appsmith-automation-json');
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-report-'));
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Capture console output written while `fn` runs
+function captureConsole(fn) {
+    const lines = [];
+    const original = { log: console.log, error: console.error };
+    console.log = (...args) => lines.push(args.join(' '));
+    console.error = (...args) => lines.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        Object.assign(console, original);
+    }
+    return lines;
+}
+
+test('report records step timings and the screenshots taken during each step', () => {
+    const report = createRunReport({ appsmithVersion: '1.88' });
+
+    report.recordStep({ name: 'admin', status: 'skipped' });
+    report.recordStep({ name: 'import', status: 'started' });
+    report.addScreenshot('import-complete', '/tmp/import-complete-1.png');
+    report.recordStep({ name: 'import', status: 'completed', durationMs: 1500 });
+    report.recordStep({ name: 'url', status: 'started' });
+    report.recordStep({ name: 'url', status: 'failed', durationMs: 20, error: 'no app card' });
+    report.set({ trace: '/tmp/trace.zip' });
+    report.finish(false, new Error('no app card'));
+
+    const data = report.data;
+    assert.equal(data.status, 'failed');
+    assert.equal(data.appsmithVersion, '1.88');
+    assert.equal(data.error, 'no app card');
+    assert.deepEqual(data.steps.map(s => [s.name, s.status, s.durationMs]), [
+        ['admin', 'skipped', null],
+        ['import', 'completed', 1500],
+        ['url', 'failed', 20]
+    ]);
+    assert.equal(data.steps[2].error, 'no app card');
+    assert.equal(data.screenshots[0].step, 'import');
+    assert.equal(report.currentStep(), null);
+});
+
+test('report is written as JSON through the given redactor', () => {
+    const report = createRunReport();
+    report.finish(false, new Error('fill("hunter22") timed out'));
+
+    const reportPath = path.join(tmpDir, 'nested', 'run-report.json');
+    report.write(reportPath, text => text.replace('hunter22', '********'));
+
+    const written = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    assert.equal(written.error, 'fill("********") timed out');
+    assert.ok(!fs.existsSync(`${reportPath}.tmp`));
+});
+
+test('json log format prints one parseable event per line', (t) => {
+    const { config, utils, redactor, report } = automation;
+    t.after(() => { config.log.format = 'text'; });
+    config.log.format = 'json';
+    redactor.add('S3cretJsonPass');
+
+    report.recordStep({ name: 'import', status: 'started' });
+    const lines = captureConsole(() => {
+        utils.log('JSON_IMPORT', 'Uploading');
+        utils.debug('SELECTORS', 'login.email matched #email', { selector: '#email' });
+        utils.log('INFO', '');
+        utils.error('LOGIN', 'Login failed', new Error('fill("S3cretJsonPass")'));
+        utils.banner('║ ignored ║');
+    });
+    report.recordStep({ name: 'import', status: 'completed', durationMs: 1 });
+
+    assert.equal(lines.length, 3);
+    const events = lines.map(line => JSON.parse(line));
+    assert.deepEqual(
+        events.map(e => [e.level, e.step, e.pipelineStep]),
+        [['info', 'JSON_IMPORT', 'import'], ['debug', 'SELECTORS', 'import'], ['error', 'LOGIN', 'import']]
+    );
+    assert.equal(events[1].selector, '#email');
+    assert.ok(!lines[2].includes('S3cretJsonPass'));
+});
+
+test('default config registers no smoke password, so "admin" stays readable', () => {
+    const { config, utils, redactor } = automation;
+    assert.equal(config.smoke.enabled, false);
+    assert.equal(config.smoke.password, undefined);
+
+    const lines = captureConsole(() => utils.log('CONFIG', `  Admin Email:   admin@netswift.local (admin)`));
+    assert.match(lines[0], /admin@netswift\.local \(admin\)/);
+    assert.equal(redactor.redact('{"username":"admin"}'), '{"username":"admin"}');
+});
+
+test('text log format hides debug events', () => {
+    const lines = captureConsole(() => {
+        automation.utils.debug('SELECTORS', 'login.email matched #email');
+        automation.utils.success('LOGIN', 'Logged in');
+    });
+    assert.equal(lines.length, 1);
+    assert.match(lines[0], /\[LOGIN\] ✅ Logged in/);
+});
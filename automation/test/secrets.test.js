@@ -0,0 +1,101 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readSecretFile, createRedactor } = require('../secrets');
+const { resolveConfig } = require('../config');
+const automation = require('../appsmith-automation-json');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+const PASSWORD = 'S3cret!Pass "quoted"';
+
+let tmpDir;
+let passwordFile;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-secrets-'));
+    passwordFile = path.join(tmpDir, 'admin-password');
+    fs.writeFileSync(passwordFile, `${PASSWORD}\n`, { mode: 0o600 });
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Capture console output written while `fn` runs
+function captureConsole(fn) {
+    const lines = [];
+    const original = { log: console.log, error: console.error };
+    console.log = (...args) => lines.push(args.join(' '));
+    console.error = (...args) => lines.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        Object.assign(console, original);
+    }
+    return lines.join('\n');
+}
+
+test('readSecretFile drops only the trailing newline', () => {
+    assert.equal(readSecretFile(passwordFile), PASSWORD);
+
+    const emptyFile = path.join(tmpDir, 'empty');
+    fs.writeFileSync(emptyFile, '\n');
+    assert.throws(() => readSecretFile(emptyFile), /is empty/);
+});
+
+test('redactor masks raw, JSON-escaped and URL-encoded forms', () => {
+    const redactor = createRedactor();
+    redactor.add(PASSWORD);
+    redactor.add('abc'); // too short to redact safely
+
+    const text = [
+        `plain ${PASSWORD}`,
+        `json ${JSON.stringify({ password: PASSWORD })}`,
+        `form password=${encodeURIComponent(PASSWORD)}`,
+        'abc stays'
+    ].join('\n');
+
+    const redacted = redactor.redact(text);
+    assert.ok(!redacted.includes('S3cret'), redacted);
+    assert.match(redacted, /abc stays/);
+    assert.equal((redacted.match(/\*{8}/g) || []).length, 3);
+});
+
+test('ADMIN_PASSWORD_FILE is read into admin.password', () => {
+    const { config, errors } = resolveConfig({
+        env: { ADMIN_PASSWORD_FILE: passwordFile, APP_JSON_PATH: APP_JSON }
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(config.admin.password, PASSWORD);
+});
+
+test('password file problems are reported', () => {
+    const missing = resolveConfig({ env: { ADMIN_PASSWORD_FILE: path.join(tmpDir, 'nope'), APP_JSON_PATH: APP_JSON } });
+    assert.ok(missing.errors.some(e => /cannot read password \(ENOENT\)/.test(e)));
+
+    const both = resolveConfig({ env: { ADMIN_PASSWORD_FILE: passwordFile, ADMIN_PASSWORD: 'otherpass1', APP_JSON_PATH: APP_JSON } });
+    assert.ok(both.errors.some(e => /not both/.test(e)));
+});
+
+test('utils.log and utils.error never print the password', () => {
+    automation.redactor.add(PASSWORD);
+
+    const output = captureConsole(() => {
+        automation.utils.log('LOGIN', `Filling ${PASSWORD}`);
+        automation.utils.success('LOGIN', `ok ${PASSWORD}`);
+        const error = new Error(`locator.fill: Timeout waiting for fill("${PASSWORD}")`);
+        automation.utils.error('LOGIN', 'Login failed', error);
+    });
+
+    assert.ok(!output.includes('S3cret'), output);
+    assert.match(output, /Timeout waiting for fill/);
+});
+
+test('the automation source no longer interpolates the password into log lines', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'appsmith-automation-json.js'), 'utf8');
+    const logLines = source.split('\n').filter(l => /utils\.(log|success|error)\(|console\.(log|error)\(/.test(l));
+    assert.ok(logLines.every(l => !l.includes('config.admin.password')));
+});
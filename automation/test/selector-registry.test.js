@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SELECTORS = require('../selectors');
+const { createSelectorRegistry, resolveVersion } = require('../selector-registry');
+
+// Minimal stand-in for a Playwright page: only `visible` selectors are shown
+function fakePage(visible) {
+    const locator = (selector) => ({
+        first: () => locator(selector),
+        isVisible: async () => visible.includes(selector)
+    });
+    return {
+        locator,
+        getByLabel: (regex) => locator(`label:${regex.source}`)
+    };
+}
+
+test('resolveVersion picks exact, nearest older, or newest version', () => {
+    const known = ['1.80', '1.88', '1.9'];
+    assert.equal(resolveVersion('1.88', known), '1.88');
+    assert.equal(resolveVersion('1.85', known), '1.80');
+    assert.equal(resolveVersion('1.95', known), '1.88');
+    assert.equal(resolveVersion('1.2', known), '1.88');
+    assert.equal(resolveVersion('latest', known), '1.88');
+});
+
+test('findVisible returns the first visible selector and records fallbacks', async () => {
+    const registry = createSelectorRegistry('1.88');
+    const page = fakePage(['button:has-text("Sign up")', '[data-testid="t--application-publish-btn"]', 'button:has-text("Deploy")']);
+
+    const submit = await registry.findVisible(page, 'signup.submit');
+    assert.equal(submit.selector, 'button:has-text("Sign up")');
+    assert.equal(submit.index, 2);
+
+    const deploy = await registry.findVisible(page, 'deploy.button');
+    assert.equal(deploy.index, 0);
+
+    assert.equal(await registry.findVisible(page, 'login.submit'), null);
+
+    const fallbacks = registry.getFallbacks().map(f => f.key).sort();
+    assert.deepEqual(fallbacks, ['login.submit', 'signup.submit']);
+    assert.equal(registry.getMatches()['deploy.button'].fallback, false);
+});
+
+test('label= entries use getByLabel and variables are substituted', async () => {
+    const registry = createSelectorRegistry('1.88', { datasourceName: 'NetSwift API' });
+
+    const firstName = await registry.findVisible(fakePage(['label:first name']), 'signup.firstName');
+    assert.equal(firstName.selector, 'label=first name');
+
+    assert.equal(registry.list('datasource.item')[0], 'text=NetSwift API');
+});
+
+test('unknown keys fail loudly', () => {
+    const registry = createSelectorRegistry('1.88');
+    assert.throws(() => registry.list('nope.missing'), /No selectors registered for "nope.missing"/);
+});
+
+test('every selector key used by the automation exists for every version', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'appsmith-automation-json.js'), 'utf8');
+    const used = new Set();
+    for (const match of source.matchAll(/selectors\.(?:findVisible|tryEach)\(page, '([\w.]+)'|selectors\.list\('([\w.]+)'\)|fillField\(page, '([\w.]+)'|\{ key: '([\w.]+)', label:/g)) {
+        used.add(match[1] || match[2] || match[3] || match[4]);
+    }
+    assert.ok(used.size > 20);
+
+    for (const [version, table] of Object.entries(SELECTORS)) {
+        for (const key of used) {
+            assert.ok(Array.isArray(table[key]) && table[key].length > 0, `${key} missing for Appsmith ${version}`);
+        }
+    }
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseManifest, sitePatchedPath } = require('../site-manifest');
+
+test('sites are normalized: slug names, default role, optional fields', () => {
+    const { sites, errors } = parseManifest({
+        sites: [
+            {
+                workspace: 'NetSwift Berlin',
+                datasourceUrl: 'http://10.1.0.5:8000',
+                users: ['ops@example.com', { email: 'lead@example.com', role: 'Developer' }]
+            },
+            { workspace: 'NetSwift Paris', name: 'paris', appName: 'NetSwift Paris' }
+        ]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(sites, [
+        {
+            name: 'netswift-berlin',
+            workspace: 'NetSwift Berlin',
+            appName: null,
+            datasourceUrl: 'http://10.1.0.5:8000',
+            users: [
+                { email: 'ops@example.com', name: null, role: 'App Viewer' },
+                { email: 'lead@example.com', name: null, role: 'Developer' }
+            ]
+        },
+        { name: 'paris', workspace: 'NetSwift Paris', appName: 'NetSwift Paris', datasourceUrl: null, users: [] }
+    ]);
+});
+
+test('every problem in the manifest is reported', () => {
+    const { errors } = parseManifest({
+        sites: [
+            { workspace: 'A', datasourceUrl: 'ftp://a', users: [{ email: 'nobody', role: 'Owner' }], region: 'eu' },
+            { name: 'x' },
+            { workspace: 'A', users: 'ops@example.com' }
+        ]
+    });
+
+    assert.deepEqual(errors, [
+        'sites[0]: unknown setting "region" (use workspace, name, appName, datasourceUrl, users)',
+        'sites[0]: datasourceUrl must be an http(s) URL, got "ftp://a"',
+        'sites[0].users[0]: email "nobody" is not valid',
+        'sites[0].users[0]: role "Owner" for nobody must be one of App Viewer, Developer, Administrator',
+        'sites[1]: "workspace" is required',
+        '"sites[2].users" must be a list',
+        'site name "a" is used twice',
+        'site workspace "A" is used twice'
+    ]);
+    assert.deepEqual(parseManifest({ workspaces: [] }).errors, ['expected a "sites" list']);
+});
+
+test('each site gets its own patched export next to app.patchedPath', () => {
+    assert.equal(sitePatchedPath('/opt/netswift/netswift.patched.json', { name: 'berlin' }), '/opt/netswift/netswift.patched.berlin.json');
+});
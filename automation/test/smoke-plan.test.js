@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { buildSmokePlan, executionFailure } = require('../smoke-plan');
+
+const APP_JSON = path.join(__dirname, '..', '..', 'netswift.json');
+
+test('the plan covers every page but LoginPage with its on-load queries', () => {
+    const plan = buildSmokePlan(JSON.parse(fs.readFileSync(APP_JSON, 'utf8')));
+    const queries = Object.fromEntries(plan.map(p => [p.name, p.queries]));
+
+    assert.deepEqual(Object.keys(queries).sort(), ['About', 'Global', 'History', 'Switches', 'Switchports', 'Tools', 'VLANs']);
+    assert.ok(queries.VLANs.includes('getVlans'));
+    assert.ok(queries.Switches.includes('getAllSwitches'));
+    assert.ok(queries.Switchports.includes('getPorts'));
+    // Run by RuleManager.initializeRules, an on-load JS function
+    assert.ok(queries.Tools.includes('GetRulesAPI'));
+    assert.deepEqual(queries.About, []);
+    assert.deepEqual(queries.History, ['getChangeSets']);
+});
+
+test('JS functions only count queries of their own page', () => {
+    const exported = {
+        pageList: [{ unpublishedPage: { name: 'Tools', layouts: [{ layoutOnLoadActions: [[
+            { name: 'RuleManager.initializeRules', pluginType: 'JS', jsonPathKeys: ['async () => { await GetRulesAPI.run(); await Missing.run(); }'] }
+        ]] }] } }],
+        actionList: [
+            { pluginType: 'API', unpublishedAction: { name: 'GetRulesAPI', pageId: 'Tools' } },
+            { pluginType: 'API', unpublishedAction: { name: 'Missing', pageId: 'VLANs' } }
+        ]
+    };
+
+    assert.deepEqual(buildSmokePlan(exported), [{ name: 'Tools', queries: ['GetRulesAPI'] }]);
+});
+
+test('executionFailure accepts 2xx results and explains the rest', () => {
+    assert.equal(executionFailure({ isExecutionSuccess: true, statusCode: '200 OK' }), null);
+    assert.equal(executionFailure({ isExecutionSuccess: true, statusCode: '304 NOT_MODIFIED' }), 'HTTP 304 NOT_MODIFIED');
+    assert.equal(
+        executionFailure({ isExecutionSuccess: false, statusCode: '500 INTERNAL_SERVER_ERROR', readableError: 'getPorts failed' }),
+        'failed with HTTP 500 INTERNAL_SERVER_ERROR: getPorts failed'
+    );
+    assert.equal(executionFailure({ isExecutionSuccess: false, statusCode: 'PE-RST-5000' }), 'failed');
+    assert.equal(executionFailure(null), 'no execution result');
+});
@@ -0,0 +1,156 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadState, runSteps } = require('../step-runner');
+
+let tmpDir;
+let statePath;
+
+beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-state-'));
+    statePath = path.join(tmpDir, 'state.json');
+});
+
+afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+// Steps that record every call so tests can see what actually ran
+function recordingSteps(calls, { failOn } = {}) {
+    const step = (name, outputs, extra = {}) => ({
+        name,
+        ...extra,
+        run: async (ctx) => {
+            calls.push(name);
+            if (name === failOn) throw new Error(`${name} broke`);
+            return typeof outputs === 'function' ? outputs(ctx) : outputs;
+        }
+    });
+
+    return [
+        step('wait', undefined, { always: true }),
+        step('admin', { adminCreated: true }),
+        step('import', { applicationId: 'app-1' }),
+        step('url', ({ outputs }) => ({ netswiftUrl: `http://localhost/app/${outputs.applicationId}` }))
+    ];
+}
+
+test('runs all steps and persists their outputs', async () => {
+    const calls = [];
+    const { outputs } = await runSteps(recordingSteps(calls), { statePath });
+
+    assert.deepEqual(calls, ['wait', 'admin', 'import', 'url']);
+    assert.equal(outputs.netswiftUrl, 'http://localhost/app/app-1');
+
+    const state = loadState(statePath);
+    assert.equal(state.steps.import.status, 'completed');
+    assert.deepEqual(state.steps.import.outputs, { applicationId: 'app-1' });
+});
+
+test('rerun after a failure resumes at the failed step', async () => {
+    const firstCalls = [];
+    await assert.rejects(
+        runSteps(recordingSteps(firstCalls, { failOn: 'url' }), { statePath }),
+        /url broke/
+    );
+    assert.equal(loadState(statePath).steps.url.status, 'failed');
+    assert.equal(loadState(statePath).steps.url.error, 'url broke');
+
+    const secondCalls = [];
+    const { outputs } = await runSteps(recordingSteps(secondCalls), { statePath });
+
+    // "always" steps rerun, completed ones are skipped
+    assert.deepEqual(secondCalls, ['wait', 'url']);
+    assert.equal(outputs.netswiftUrl, 'http://localhost/app/app-1');
+});
+
+test('a rerun step sees its own outputs from the last completed run', async () => {
+    const seen = [];
+    const steps = [{
+        name: 'import',
+        run: async ({ previous }) => {
+            seen.push(previous);
+            return { applicationId: previous.applicationId || 'app-1' };
+        }
+    }];
+
+    await runSteps(steps, { statePath });
+    await runSteps(steps, { statePath, fromStep: 'import' });
+    assert.deepEqual(seen, [{}, { applicationId: 'app-1' }]);
+});
+
+test('a failed rerun keeps the outputs of the last completed run', async () => {
+    const seen = [];
+    const importStep = failOn => [{
+        name: 'import',
+        run: async ({ previous }) => {
+            seen.push(previous);
+            if (failOn) throw new Error('import broke');
+            return { applicationId: previous.applicationId || 'app-1' };
+        }
+    }];
+
+    await runSteps(importStep(false), { statePath });
+    await assert.rejects(runSteps(importStep(true), { statePath, fromStep: 'import' }), /import broke/);
+    const failed = loadState(statePath).steps.import;
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.outputs, { applicationId: 'app-1' });
+
+    await runSteps(importStep(false), { statePath, fromStep: 'import' });
+    assert.deepEqual(seen, [{}, { applicationId: 'app-1' }, { applicationId: 'app-1' }]);
+    assert.deepEqual(loadState(statePath).steps.import.outputs, { applicationId: 'app-1' });
+});
+
+test('--from-step reruns the given step and everything after it', async () => {
+    await runSteps(recordingSteps([]), { statePath });
+
+    const calls = [];
+    await runSteps(recordingSteps(calls), { statePath, fromStep: 'import' });
+    assert.deepEqual(calls, ['wait', 'import', 'url']);
+});
+
+test('--only-step runs a single step even if completed', async () => {
+    await runSteps(recordingSteps([]), { statePath });
+
+    const calls = [];
+    await runSteps(recordingSteps(calls), { statePath, onlyStep: 'admin' });
+    assert.deepEqual(calls, ['wait', 'admin']);
+});
+
+test('rejects unknown step names and conflicting options', async () => {
+    await assert.rejects(
+        runSteps(recordingSteps([]), { statePath, fromStep: 'deploy' }),
+        /Unknown step for --from-step: deploy/
+    );
+    await assert.rejects(
+        runSteps(recordingSteps([]), { statePath, fromStep: 'admin', onlyStep: 'url' }),
+        /cannot be used together/
+    );
+});
+
+test('rejects a corrupt state file', async () => {
+    fs.writeFileSync(statePath, '{ not json');
+    await assert.rejects(runSteps(recordingSteps([]), { statePath }), /not valid JSON/);
+});
+
+test('onStep reports started, completed, skipped and failed steps', async () => {
+    await runSteps(recordingSteps([]), { statePath, onlyStep: 'admin' });
+
+    const events = [];
+    await assert.rejects(
+        runSteps(recordingSteps([], { failOn: 'url' }), { statePath, onStep: e => events.push(e) }),
+        /url broke/
+    );
+
+    assert.deepEqual(events.map(e => `${e.name}:${e.status}`), [
+        'wait:started', 'wait:completed',
+        'admin:skipped',
+        'import:started', 'import:completed',
+        'url:started', 'url:failed'
+    ]);
+    assert.equal(typeof events[1].durationMs, 'number');
+    assert.equal(events[6].error, 'url broke');
+});
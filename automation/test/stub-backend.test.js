@@ -0,0 +1,375 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startStubBackend, signToken } = require('../stub-backend');
+
+const SECRET = 'stub-test-key';
+
+let stub;
+let token;
+
+before(async () => {
+    stub = await startStubBackend({ fixtures: { rules: [] }, secret: SECRET });
+    token = (await call('POST', '/api/auth/login', { username: 'admin', password: 'admin' })).body.access_token;
+});
+
+after(async () => {
+    await stub.close();
+});
+
+async function call(method, path, body, bearer = token) {
+    const response = await fetch(`${stub.url}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const get = path => call('GET', path);
+
+test('login issues a JWT with its expiry, API routes refuse requests without a valid one', async () => {
+    const login = await call('POST', '/api/auth/login', { username: 'admin', password: 'admin' }, null);
+    assert.equal(login.body.token_type, 'bearer');
+    assert.equal(login.body.expires_in, 3600);
+    const claims = JSON.parse(Buffer.from(login.body.access_token.split('.')[1], 'base64url').toString());
+    assert.equal(claims.sub, 'admin');
+    assert.equal(claims.exp - claims.iat, 3600);
+
+    const wrong = await call('POST', '/api/auth/login', { username: 'admin', password: 'nope' }, null);
+    assert.deepEqual([wrong.status, wrong.body.detail], [401, 'Incorrect username or password']);
+
+    const now = Math.floor(Date.now() / 1000);
+    assert.deepEqual((await call('GET', '/api/vlans', undefined, null)).body, { detail: 'Not authenticated' });
+    assert.deepEqual((await call('GET', '/api/vlans', undefined, signToken({ sub: 'admin', exp: now + 60 }, 'other key'))).body, { detail: 'Invalid token' });
+    const expired = await call('GET', '/status/online_count', undefined, signToken({ sub: 'admin', exp: now - 1 }, SECRET));
+    assert.deepEqual([expired.status, expired.body.detail], [401, 'Token expired']);
+    assert.equal((await call('GET', '/health', undefined, null)).status, 200);
+    assert.equal((await call('GET', '/openapi.json', undefined, null)).status, 200);
+});
+
+test('the role travels in the token, operators may read but not write', async () => {
+    const login = await call('POST', '/api/auth/login', { username: 'operator', password: 'operator' }, null);
+    assert.equal(login.body.role, 'operator');
+    const claims = JSON.parse(Buffer.from(login.body.access_token.split('.')[1], 'base64url').toString());
+    assert.deepEqual([claims.sub, claims.role], ['operator', 'operator']);
+    assert.equal((await call('POST', '/api/auth/login', { username: 'admin', password: 'admin' }, null)).body.role, 'admin');
+
+    const operator = login.body.access_token;
+    assert.equal((await call('GET', '/api/vlans', undefined, operator)).status, 200);
+    const refused = await call('DELETE', '/api/vlans/delete', { vlan_id: 20, target: 'all' }, operator);
+    assert.deepEqual([refused.status, refused.body.detail], [403, 'The operator role may not change the network']);
+    const unsigned = signToken({ sub: 'old', exp: Math.floor(Date.now() / 1000) + 60 }, SECRET);
+    assert.equal((await call('POST', '/api/global-config/apply', {}, unsigned)).status, 403);
+    assert.deepEqual((await get('/api/vlans')).body.map(v => v.vlan_id), [1, 20]);
+});
+
+test('the on-load endpoints answer from the fixtures', async () => {
+    assert.deepEqual((await get('/api/vlans')).body.map(v => v.vlan_id), [1, 20]);
+    assert.equal((await get('/api/switches')).body.length, 2);
+    assert.equal((await get('/api/ports')).body[0].port_id, '1/1/1');
+    assert.deepEqual((await get('/api/automation-rules')).body, { rules: [] });
+    assert.equal((await get('/status/online_count')).body, 1);
+    assert.equal((await get('/status/unmonitored_count')).body, 0);
+    assert.deepEqual((await get('/api/automation-rules/0/status')).body, { rule: null, switch_statistics: [], recent_actions: [] });
+});
+
+test('unknown paths and methods are refused, every request is recorded', async () => {
+    assert.equal((await get('/api/nothing')).status, 404);
+    assert.equal((await call('POST', '/api/vlans')).status, 405);
+    assert.ok(stub.state.requests.some(r => r.method === 'POST' && r.path === '/api/vlans'));
+});
+
+test('VLAN writes validate the ID and change the fixtures', async () => {
+    assert.equal((await call('POST', '/api/vlans/add', { vlan_id: 4095, name: 'x', target: 'all' })).status, 422);
+    assert.match((await call('POST', '/api/vlans/add', { vlan_id: 20, name: 'dup', target: 'all' })).body.detail, /already exists/);
+
+    const added = await call('POST', '/api/vlans/add', { vlan_id: 30, name: 'voice', is_voice: true, target: 'all', switch_ips: [] });
+    assert.deepEqual(added.body.statistics, { total: 2, successful: 1, failed: 1 });
+    assert.deepEqual(added.body.vlan.switches, ['10.0.0.1']);
+
+    await call('PUT', '/api/vlans/edit', { vlan_id: 30, name: 'phones', target: 'all' });
+    assert.equal(stub.state.vlans.find(v => v.vlan_id === 30).name, 'phones');
+
+    await call('DELETE', '/api/vlans/delete', { vlan_id: 30, target: 'all', switch_ips: [] });
+    assert.ok(!stub.state.vlans.some(v => v.vlan_id === 30));
+});
+
+test('a bulk edit dry run previews the diff and CLI lines of each port without changing it', async () => {
+    const { body } = await call('POST', '/api/ports/bulk-edit', {
+        dry_run: true,
+        ports: [{ switch_ip: '10.0.0.1', port_id: '1/1/5' }, { switch_ip: '10.0.0.1', port_id: '1/1/1' }],
+        changes: {
+            adminState: { selectedOptionValue: 'down' },
+            portMode: { selectedOptionValue: 'access' },
+            accessVLAN: { selectedOptionValue: '1 - default' },
+            poeStatus: { selectedOptionValue: 'disabled' },
+            stp: { selectedOptionValues: ['root_guard'] }
+        }
+    });
+
+    assert.equal(body.dry_run, true);
+    assert.equal(body.message, 'Would update 2 of 2 ports');
+    const [guest, uplink] = body.results;
+    assert.deepEqual(guest.diff, {
+        admin_state: { current: 'up', new: 'down' },
+        access_vlan: { current: 20, new: 1 },
+        poe_config: { current: 'enabled', new: 'disabled' },
+        bpdu_guard: { current: true, new: false },
+        bpdu_protection: { current: true, new: false },
+        root_guard: { current: false, new: true },
+        loop_guard: { current: true, new: false }
+    });
+    assert.deepEqual(guest.commands, [
+        'interface 1/1/5',
+        '    shutdown',
+        '    vlan access 1',
+        '    no power-over-ethernet',
+        '    no spanning-tree bpdu-guard',
+        '    no spanning-tree bpdu-protection',
+        '    spanning-tree root-guard',
+        '    no spanning-tree loop-guard'
+    ]);
+    assert.deepEqual(uplink.diff.port_mode, { current: 'trunk', new: 'access' });
+    assert.ok(uplink.commands.includes('    vlan access 1'));
+
+    const port = stub.state.ports.find(p => p.switch_ip === '10.0.0.1' && p.port_id === '1/1/5');
+    assert.deepEqual([port.admin_state, port.access_vlan, port.poe_config, port.root_guard], ['up', 20, 'enabled', false]);
+});
+
+test('bulk edit applies the chosen fields and fails ports on offline switches', async () => {
+    const { body } = await call('POST', '/api/ports/bulk-edit', {
+        ports: [{ switch_ip: '10.0.0.1', port_id: '1/1/5' }, { switch_ip: '10.0.0.2', port_id: '1/1/1' }],
+        changes: {
+            desc: { text: '' },
+            accessVLAN: { selectedOptionValue: '1 - default' },
+            taggedVlans: { selectedOptionValues: [] },
+            stp: { selectedOptionValues: ['bpdu_guard'] },
+            dot1x: { isChecked: false }
+        }
+    });
+
+    assert.deepEqual(body.statistics, { total: 2, successful: 1, failed: 1 });
+    assert.equal(body.results[1].error, 'Switch is offline');
+    const port = stub.state.ports.find(p => p.switch_ip === '10.0.0.1' && p.port_id === '1/1/5');
+    assert.equal(port.description, 'guest AP');
+    assert.equal(port.access_vlan, 1);
+    assert.deepEqual([port.bpdu_guard, port.bpdu_protection, port.loop_guard], [true, false, false]);
+});
+
+test('global config, SSH jobs, discovery and rules answer like the backend', async () => {
+    assert.deepEqual((await get('/api/global-config')).body, { config: null });
+    const applied = await call('POST', '/api/global-config/apply', { timezone: 'africa/cairo', apply_on: 'all', switches: null });
+    assert.equal(applied.body.ok, true);
+    assert.deepEqual(applied.body.statistics, { total: 2, successful: 1, failed: 1 });
+    assert.equal(stub.state.globalConfig.timezone, 'africa/cairo');
+    assert.equal((await get('/api/global-config')).body.config.timezone, 'africa/cairo');
+
+    const job = await call('POST', '/api/ssh/execute', { commands: 'show version', switches: ['10.0.0.1'], apply_on: 'specific' });
+    assert.equal(job.body.job.total_switches, 1);
+    assert.deepEqual((await get('/api/ssh/status')).body.success_ips, ['10.0.0.1']);
+
+    const discovered = await call('POST', '/api/discover', { ip_input: '10.0.0.0/29', username: 'admin', password: 'x' });
+    assert.deepEqual(discovered.body.discovered, ['10.0.0.3']);
+    assert.equal((await get('/status/online_count')).body, 2);
+
+    const added = await call('POST', '/switches/', { name: 'access-9', ip_address: '10.0.0.9', location: 'Floor 9' });
+    assert.deepEqual([added.body.switch.ip, added.body.switch.online_status], ['10.0.0.9', 'unmonitored']);
+    assert.equal((await get('/status/unmonitored_count')).body, 1);
+    assert.equal((await call('POST', '/switches/', { name: 'again', ip_address: '10.0.0.9' })).status, 409);
+    assert.equal((await call('POST', '/switches/', { name: 'bad', ip_address: '10.0.0.999' })).status, 422);
+    assert.equal((await call('POST', '/switches/', { name: 'again', ip_address: '10.0.0.09' })).status, 422);
+
+    const created = await call('POST', '/api/automation-rules/create', { rule_name: 'Voice ports', target_switches: ['all'] });
+    await call('POST', `/api/automation-rules/${created.body.rule.id}/start`);
+    assert.equal((await get(`/api/automation-rules/${created.body.rule.id}/status`)).body.rule.status, 'running');
+    await call('DELETE', `/api/automation-rules/${created.body.rule.id}`);
+    assert.equal((await call('POST', `/api/automation-rules/${created.body.rule.id}/stop`)).status, 404);
+});
+
+test('writes record change sets that revert once, and not after the device changed', async () => {
+    const edit = await call('POST', '/api/ports/bulk-edit', {
+        ports: [{ switch_ip: '10.0.0.1', port_id: '1/1/5' }],
+        changes: { desc: { text: 'printer' }, adminState: { selectedOptionValue: 'down' } }
+    });
+    const ports = edit.body.change_set;
+    assert.deepEqual([ports.kind, ports.user], ['bulk-edit', 'admin']);
+    assert.deepEqual(ports.before, [{ switch_ip: '10.0.0.1', port_id: '1/1/5', fields: { description: 'guest AP', admin_state: 'up' } }]);
+    assert.deepEqual(ports.after[0].fields, { description: 'printer', admin_state: 'down' });
+
+    // Someone edits the port again: the revert is refused and changes nothing
+    const port = stub.state.ports.find(p => p.switch_ip === '10.0.0.1' && p.port_id === '1/1/5');
+    port.description = 'copier';
+    const revert = { revert_of: ports.id, ports: ports.before.map((p, i) => ({ ...p, expected: ports.after[i].fields })), changes: {} };
+    const stale = await call('POST', '/api/ports/bulk-edit', revert);
+    assert.deepEqual([stale.status, stale.body.detail], [409, 'Port 1/1/5 on 10.0.0.1 has changed since: description']);
+    assert.deepEqual([port.description, port.admin_state], ['copier', 'down']);
+
+    port.description = 'printer';
+    const reverted = await call('POST', '/api/ports/bulk-edit', revert);
+    assert.deepEqual([port.description, port.admin_state], ['guest AP', 'up']);
+    assert.equal(reverted.body.change_set.revert_of, ports.id);
+    assert.equal((await call('POST', '/api/ports/bulk-edit', revert)).status, 409);
+
+    const vlan = (await call('PUT', '/api/vlans/edit', { vlan_id: 20, name: 'visitors', igmp_enable: true, dhcp_snooping: true, target: 'all' })).body.change_set;
+    assert.deepEqual([vlan.before.name, vlan.after.name], ['guests', 'visitors']);
+    await call('PUT', '/api/vlans/edit', { ...vlan.before, target: 'all', revert_of: vlan.id, expected: { name: 'visitors' } });
+    assert.equal(stub.state.vlans.find(v => v.vlan_id === 20).name, 'guests');
+
+    // A deleted VLAN comes back through add, and goes again through delete
+    const deleted = (await call('DELETE', '/api/vlans/delete', { vlan_id: 20, target: 'all' })).body.change_set;
+    assert.equal(deleted.after, null);
+    const added = (await call('POST', '/api/vlans/add', { ...deleted.before, target: 'specific', switch_ips: deleted.before.switches, revert_of: deleted.id })).body.change_set;
+    assert.deepEqual([added.kind, added.after.switches], ['vlan-add', ['10.0.0.1']]);
+    assert.equal((await call('POST', '/api/vlans/add', { ...deleted.before, target: 'all', revert_of: deleted.id })).status, 409);
+
+    const before = stub.state.globalConfig;
+    const config = (await call('POST', '/api/global-config/apply', { timezone: 'europe/paris', apply_on: 'all', switches: null })).body.change_set;
+    assert.deepEqual([config.before, config.after.timezone], [before, 'europe/paris']);
+    await call('POST', '/api/global-config/apply', { ...config.before, revert_of: config.id, expected: config.after });
+    assert.deepEqual(stub.state.globalConfig, before);
+
+    const history = (await get('/api/change-sets')).body.change_sets;
+    assert.deepEqual(history.map(c => c.kind).slice(0, 7), ['global-config', 'global-config', 'vlan-add', 'vlan-delete', 'vlan-edit', 'vlan-edit', 'bulk-edit']);
+    assert.equal(history.find(c => c.id === ports.id).reverted_by, reverted.body.change_set.id);
+    assert.ok(history.every(c => c.user === 'admin'));
+});
+
+test('a bulk edit revert that fails on some ports stays revertable until every port is back', async () => {
+    const own = await startStubBackend({ auth: false });
+    const send = async (method, path, body) => {
+        const response = await fetch(`${own.url}${path}`, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+    const access1 = own.state.switches.find(s => s.ip === '10.0.0.2');
+    const portOf = ip => own.state.ports.find(p => p.switch_ip === ip && p.port_id === '1/1/1');
+    try {
+        access1.online_status = 'online';
+        const edit = (await send('POST', '/api/ports/bulk-edit', {
+            ports: [{ switch_ip: '10.0.0.1', port_id: '1/1/1' }, { switch_ip: '10.0.0.2', port_id: '1/1/1' }],
+            changes: { desc: { text: 'spare' } }
+        })).body.change_set;
+        const revert = { revert_of: edit.id, ports: edit.before.map((p, i) => ({ ...p, expected: edit.after[i].fields })), changes: {} };
+
+        access1.online_status = 'offline';
+        const partial = (await send('POST', '/api/ports/bulk-edit', revert)).body;
+        assert.deepEqual([partial.ok, partial.statistics], [false, { total: 2, successful: 1, failed: 1 }]);
+        assert.equal(partial.change_set.summary, `Partial revert of change set ${edit.id}: 1 port(s) edited`);
+        assert.equal(own.state.changeSets.find(c => c.id === edit.id).reverted_by, null);
+        assert.deepEqual([portOf('10.0.0.1').description, portOf('10.0.0.2').description], ['uplink', 'spare']);
+
+        // The retry passes the port already restored and finishes the revert
+        access1.online_status = 'online';
+        const retry = await send('POST', '/api/ports/bulk-edit', revert);
+        assert.deepEqual([retry.status, retry.body.ok, retry.body.change_set.summary], [200, true, `Revert of change set ${edit.id}: 1 port(s) edited`]);
+        assert.equal(portOf('10.0.0.2').description, '');
+        assert.equal(own.state.changeSets.find(c => c.id === edit.id).reverted_by, retry.body.change_set.id);
+        assert.equal((await send('POST', '/api/ports/bulk-edit', revert)).status, 409);
+    } finally {
+        await own.close();
+    }
+});
+
+test('the stub clock runs started rules on their schedule', async () => {
+    let now = Date.parse('2026-10-19T07:50:00Z');
+    const clocked = await startStubBackend({ auth: false, now: () => now });
+    const send = async (method, path, body) => {
+        const response = await fetch(`${clocked.url}${path}`, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+    try {
+        const invalid = await send('POST', '/api/automation-rules/create', { rule_name: 'Bad', schedule: { type: 'cron', cron: '0 25 * * *', timezone: 'utc' } });
+        assert.deepEqual(invalid, { status: 422, body: { detail: 'Invalid schedule: Cron hour must be from 0 to 23 (got "25")' } });
+
+        const { rule } = (await send('POST', '/api/automation-rules/create', {
+            rule_name: 'Office hours', target_switches: ['all'],
+            schedule: { type: 'interval', every_minutes: '30', window_start: '8:00', window_end: '18:00', timezone: 'europe/berlin' }
+        })).body;
+        assert.deepEqual(rule.schedule, { type: 'interval', every_minutes: 30, window_start: '08:00', window_end: '18:00', timezone: 'europe/berlin' });
+        assert.equal(rule.next_run, null);
+
+        // 09:50 in Berlin: the next run is at 10:00
+        assert.equal((await send('POST', `/api/automation-rules/${rule.id}/start`)).body.rule.next_run, '2026-10-19T08:00:00.000Z');
+        now = Date.parse('2026-10-19T09:05:00Z');
+        const [ran] = (await send('GET', '/api/automation-rules')).body.rules.filter(r => r.id === rule.id);
+        assert.deepEqual([ran.last_run, ran.next_run, ran.total_executions], ['2026-10-19T08:00:00.000Z', '2026-10-19T09:30:00.000Z', 1]);
+
+        // A stopped rule does not run
+        const stopped = (await send('POST', `/api/automation-rules/${rule.id}/stop`)).body.rule;
+        assert.equal(stopped.next_run, null);
+        now = Date.parse('2026-10-20T12:00:00Z');
+        assert.deepEqual((await send('GET', `/api/automation-rules/${rule.id}/status`)).body.rule, stopped);
+    } finally {
+        await clocked.close();
+    }
+});
+
+test('switch edits and deletes, configs, port refresh and LLDP naming answer like the backend', async () => {
+    const own = await startStubBackend({ auth: false });
+    const send = async (method, path, body) => {
+        const response = await fetch(`${own.url}${path}`, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+    try {
+        const updated = await send('PUT', '/update', { switch_id: '1', new_name: 'core-a', new_location: 'Rack 2' });
+        assert.deepEqual([updated.body.switch.name, updated.body.switch.location], ['core-a', 'Rack 2']);
+        assert.equal((await send('PUT', '/update', { switch_id: '1', new_name: ' ' })).status, 422);
+
+        const config = (await send('GET', '/api/switches/10.0.0.1/config')).body;
+        assert.equal(config.content.split('\n')[0], 'hostname core-a');
+        assert.match(config.content, /\ninterface 1\/1\/5\n {4}description guest AP\n {4}no shutdown\n {4}vlan access 20\n {4}power-over-ethernet\n {4}spanning-tree bpdu-guard\n/);
+        assert.deepEqual((await send('GET', '/api/switches/10.0.0.2/config')).body, { detail: 'Switch 10.0.0.2 is offline' });
+        const zip = (await send('GET', '/api/switches/configs/download')).body;
+        assert.equal(zip.filename, 'switch_configs.zip');
+        assert.ok(Buffer.from(zip.data_uri.split(',')[1], 'base64').includes('10.0.0.1.txt'));
+
+        const port = await send('POST', '/api/port/config', { ip: '10.0.0.1', port: '1/1/1' });
+        assert.equal(port.body.response, 'interface 1/1/1\n    description uplink\n    no shutdown\n    vlan trunk native 1\n    vlan trunk allowed 20');
+        assert.deepEqual((await send('POST', '/api/port/config', { ip: '10.0.0.2', port: '1/1/1' })).body, { ok: false, message: 'Switch 10.0.0.2 is offline' });
+
+        const refreshed = (await send('POST', '/api/ports/refresh')).body;
+        assert.deepEqual([refreshed.total_ports, refreshed.successful_switches, refreshed.failed_switches], [2, 1, 1]);
+        assert.deepEqual((await send('POST', '/api/background-jobs/backup-configs')).body.statistics, { total: 2, successful: 1, failed: 1 });
+
+        assert.equal((await send('POST', '/api/ports/lldp-naming', { switches: ['all'], vlans: [100, 101] })).body.message, 'No ports found matching the criteria');
+        const named = (await send('POST', '/api/ports/lldp-naming', { switches: ['10.0.0.1'], vlans: [1] })).body;
+        assert.deepEqual([named.message, named.statistics], ['LLDP naming successful for 1 ports', { total: 1, successful: 1, failed: 0 }]);
+        assert.equal(own.state.ports[0].description, 'access-1');
+        assert.match((await send('POST', '/api/ports/lldp-naming', { switches: ['10.0.0.1'], vlans: [1] })).body.message, /already have correct descriptions/);
+
+        assert.deepEqual((await send('DELETE', '/delete', { switch_id: 2 })).body, { ok: true, message: 'Switch 10.0.0.2 deleted' });
+        assert.deepEqual(own.state.switches.map(s => s.ip), ['10.0.0.1']);
+        assert.ok(own.state.ports.every(p => p.switch_ip === '10.0.0.1'));
+        assert.equal((await send('DELETE', '/delete', { switch_id: 2 })).status, 404);
+    } finally {
+        await own.close();
+    }
+});
+
+test('the stub clock issues and checks tokens and stamps change sets', async () => {
+    let now = Date.parse('2026-10-19T07:50:00Z');
+    const clocked = await startStubBackend({ now: () => now, tokenTtl: 60 });
+    const send = async (method, path, body, bearer) => {
+        const response = await fetch(`${clocked.url}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(bearer ? { Authorization: `Bearer ${bearer}` } : {}) },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    try {
+        const login = (await send('POST', '/api/auth/login', { username: 'admin', password: 'admin' })).body;
+        const claims = JSON.parse(Buffer.from(login.access_token.split('.')[1], 'base64url').toString());
+        assert.deepEqual([claims.iat, claims.exp], [now / 1000, now / 1000 + 60]);
+
+        const edit = (await send('POST', '/api/ports/bulk-edit', { ports: [{ switch_ip: '10.0.0.1', port_id: '1/1/1' }], changes: { desc: { text: 'core' } } }, login.access_token)).body;
+        assert.equal(edit.change_set.at, '2026-10-19T07:50:00.000Z');
+
+        now += 59 * 1000;
+        assert.equal((await send('GET', '/api/vlans', undefined, login.access_token)).status, 200);
+        now += 1000;
+        assert.deepEqual(await send('GET', '/api/vlans', undefined, login.access_token), { status: 401, body: { detail: 'Token expired' } });
+    } finally {
+        await clocked.close();
+    }
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseUsers, loadUsersFile, checkUsersFile } = require('../workspace-users');
+
+test('users are normalized: shorthand emails, default role, optional name', () => {
+    const { users, errors } = parseUsers([
+        'ops@example.com',
+        { email: 'lead@example.com', name: 'Network Lead', role: 'Developer' }
+    ]);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(users, [
+        { email: 'ops@example.com', name: null, role: 'App Viewer' },
+        { email: 'lead@example.com', name: 'Network Lead', role: 'Developer' }
+    ]);
+});
+
+test('every problem in the users list is reported', () => {
+    const { errors } = parseUsers([
+        { email: 'nobody', role: 'Owner', team: 'noc' },
+        'Ops@Example.com',
+        'ops@example.com'
+    ]);
+
+    assert.deepEqual(errors, [
+        'users[0]: unknown setting "team" (use email, name, role)',
+        'users[0]: email "nobody" is not valid',
+        'users[0]: role "Owner" for nobody must be one of App Viewer, Developer, Administrator',
+        'users: ops@example.com is listed twice'
+    ]);
+    assert.deepEqual(parseUsers('ops@example.com').errors, ['"users" must be a list']);
+});
+
+test('users files hold a list at the top level or under "users"', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'netswift-users-'));
+    try {
+        const listFile = path.join(tmpDir, 'users.yaml');
+        fs.writeFileSync(listFile, '- ops@example.com\n- { email: admin2@example.com, role: Administrator }\n');
+        assert.deepEqual(loadUsersFile(listFile).users.map(u => u.role), ['App Viewer', 'Administrator']);
+
+        const mappingFile = path.join(tmpDir, 'users.json');
+        fs.writeFileSync(mappingFile, JSON.stringify({ users: [{ email: 'ops@example.com', name: 'Ops' }] }));
+        assert.deepEqual(loadUsersFile(mappingFile).users, [{ email: 'ops@example.com', name: 'Ops', role: 'App Viewer' }]);
+
+        const brokenFile = path.join(tmpDir, 'broken.yaml');
+        fs.writeFileSync(brokenFile, 'users: [ops@example.com\n');
+        assert.match(checkUsersFile(brokenFile)[0], /^cannot parse .*broken\.yaml/);
+        assert.deepEqual(checkUsersFile(path.join(tmpDir, 'missing.yaml')), []);
+    } finally {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+});
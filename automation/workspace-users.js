@@ -0,0 +1,82 @@
+/**
+ * Users to provision in the NetSwift workspace
+ *
+ * USERS_FILE (YAML or JSON) is a list of users, either at the top level or
+ * under "users":
+ *
+ *   users:
+ *     - email: ops@example.com           # required
+ *       name: Network Operations         # optional, shown in logs and the report
+ *       role: App Viewer                 # App Viewer (default), Developer, Administrator
+ *     - lead@example.com                 # shorthand for an App Viewer
+ *
+ * Appsmith invitations carry no display name; invited users set their own
+ * name when they accept the invitation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const ROLES = ['App Viewer', 'Developer', 'Administrator'];
+const DEFAULT_ROLE = 'App Viewer';
+
+const USER_KEYS = ['email', 'name', 'role'];
+
+// Normalize a users list; errors name the entry as `<label>[<index>]`.
+// Returns { users: [{ email, name, role }], errors }
+function parseUsers(list, label = 'users') {
+    if (!Array.isArray(list)) {
+        return { users: [], errors: [`"${label}" must be a list`] };
+    }
+
+    const errors = [];
+    const users = list.map(entry => (typeof entry === 'string' ? { email: entry } : entry || {}));
+    users.forEach((user, index) => {
+        const entry = `${label}[${index}]`;
+        for (const key of Object.keys(user).filter(k => !USER_KEYS.includes(k))) {
+            errors.push(`${entry}: unknown setting "${key}" (use ${USER_KEYS.join(', ')})`);
+        }
+        if (typeof user.email !== 'string' || !/^[^@\s]+@[^@\s]+$/.test(user.email)) {
+            errors.push(`${entry}: email "${user.email}" is not valid`);
+        }
+        if (user.role !== undefined && !ROLES.includes(user.role)) {
+            errors.push(`${entry}: role "${user.role}" for ${user.email} must be one of ${ROLES.join(', ')}`);
+        }
+    });
+
+    // Appsmith usernames are case-insensitive
+    const seen = new Set();
+    for (const user of users.filter(u => typeof u.email === 'string')) {
+        const email = user.email.toLowerCase();
+        if (seen.has(email)) errors.push(`${label}: ${user.email} is listed twice`);
+        seen.add(email);
+    }
+
+    return {
+        users: users.map(user => ({ email: user.email, name: user.name || null, role: user.role || DEFAULT_ROLE })),
+        errors
+    };
+}
+
+function loadUsersFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const parsed = path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+    const list = parsed && !Array.isArray(parsed) && typeof parsed === 'object' ? parsed.users : parsed;
+    return parseUsers(list);
+}
+
+// Config check hook: problems in the users file (missing files are
+// reported by the `file` check)
+function checkUsersFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    try {
+        return loadUsersFile(filePath).errors;
+    } catch (e) {
+        return [`cannot parse ${filePath} (${e.message.split('\n')[0]})`];
+    }
+}
+
+module.exports = { ROLES, DEFAULT_ROLE, parseUsers, loadUsersFile, checkUsersFile };
@@ -50,6 +50,9 @@ set -euo pipefail
 readonly SCRIPT_VERSION="6.2.2"
 readonly INSTALL_DIR="/opt/netswift"
 readonly LOG_FILE="/var/log/netswift-install.log"
+readonly ADMIN_PASSWORD_FILE="${INSTALL_DIR}/.admin-password"  # Root-only (600), never logged
+readonly RUN_REPORT_FILE="${INSTALL_DIR}/run-report.json"  # Written by the automation at exit
+readonly AUTOMATION_CONFIG_FILE="${INSTALL_DIR}/automation-config.yaml"  # Install settings for reruns
 
 # GitHub configuration - HARDCODED for simplicity
 GITHUB_REPO="${NETSWIFT_GITHUB_REPO:-melsayeh/netswift2-installer}"
@@ -59,8 +62,36 @@ GITHUB_TOKEN="${NETSWIFT_GITHUB_TOKEN:-}"  # Optional, for private repos
 # Application files in GitHub repo
 JSON_FILE_PATH="${NETSWIFT_JSON_PATH:-netswift.json}"
 AUTOMATION_SCRIPT_PATH="${NETSWIFT_AUTOMATION_PATH:-automation/appsmith-automation-json.js}"
+# Custom JS libraries NetSwiftSession, NetSwiftImport and NetSwiftSchedule,
+# served by Appsmith at /libs/netswift-session.js, /libs/netswift-import.js
+# and /libs/netswift-schedule.js (the stub backend also requires the last two)
+SESSION_LIBRARY_PATH="${NETSWIFT_SESSION_LIBRARY_PATH:-libs/netswift-session.js}"
+IMPORT_LIBRARY_PATH="${NETSWIFT_IMPORT_LIBRARY_PATH:-libs/netswift-import.js}"
+SCHEDULE_LIBRARY_PATH="${NETSWIFT_SCHEDULE_LIBRARY_PATH:-libs/netswift-schedule.js}"
+
+# Modules required by the automation script (downloaded next to it)
+AUTOMATION_MODULES=(
+    "appsmith-api.js"
+    "step-runner.js"
+    "selector-registry.js"
+    "selectors.js"
+    "config.js"
+    "secrets.js"
+    "run-report.js"
+    "export-validator.js"
+    "export-transform.js"
+    "backup.js"
+    "export-diff.js"
+    "site-manifest.js"
+    "workspace-users.js"
+    "admin-settings.js"
+    "smoke-plan.js"
+    "stub-backend.js"
+    "api-contract.js"
+)
 
 # Docker images
+BACKEND_MODE="${NETSWIFT_BACKEND:-image}"  # image (private netswift-backend) or stub (automation/stub-backend.js)
 DOCKER_IMAGE="${NETSWIFT_BACKEND_IMAGE:-melsayeh/netswift-backend}"
 DOCKER_TAG="${NETSWIFT_BACKEND_TAG:-2.0.0}"
 APPSMITH_IMAGE="appsmith/appsmith-ce:latest"
@@ -76,9 +107,28 @@ APPSMITH_ADMIN_NAME="${NETSWIFT_ADMIN_NAME:-NetSwift Admin}"
 
 # Datasource configuration
 DATASOURCE_URL="${NETSWIFT_DATASOURCE_URL:-http://172.17.0.1:8000}"
+DATASOURCES="${NETSWIFT_DATASOURCES:-}"  # Optional JSON: {"<name>": {"url": ..., "headers": {...}}}
+SITES_MANIFEST="${NETSWIFT_MANIFEST:-}"  # Optional multi-site manifest (see automation/site-manifest.js)
+USERS_LIST="${NETSWIFT_USERS:-}"  # Optional users to invite (see automation/workspace-users.js)
+
+# Appsmith admin settings, only the ones given are changed (see automation/admin-settings.js)
+DISABLE_SIGNUP="${NETSWIFT_DISABLE_SIGNUP:-}"  # "true" turns off public signup after inviting users
+INSTANCE_NAME="${NETSWIFT_INSTANCE_NAME:-}"
+CUSTOM_DOMAIN="${NETSWIFT_DOMAIN:-}"
+TLS_CERT_FILE="${NETSWIFT_TLS_CERT:-}"  # Own certificate for CUSTOM_DOMAIN (default: Let's Encrypt)
+TLS_KEY_FILE="${NETSWIFT_TLS_KEY:-}"
+SMTP_HOST="${NETSWIFT_SMTP_HOST:-}"
+SMTP_PORT="${NETSWIFT_SMTP_PORT:-}"
+SMTP_USERNAME="${NETSWIFT_SMTP_USERNAME:-}"
+SMTP_PASSWORD="${NETSWIFT_SMTP_PASSWORD:-}"
+SMTP_FROM="${NETSWIFT_SMTP_FROM:-}"
 
 # Automation configuration
+SMOKE_TEST="${NETSWIFT_SMOKE:-true}"  # Sign into NetSwift and check every page after deploying
+SMOKE_USERNAME="${NETSWIFT_SMOKE_USERNAME:-admin}"  # Backend account the smoke test signs in with
+SMOKE_PASSWORD="${NETSWIFT_SMOKE_PASSWORD:-}"  # Defaults to admin with the stub backend only
 HEADLESS_MODE="${NETSWIFT_HEADLESS:-true}"
+IMPORT_MODE="${NETSWIFT_IMPORT_MODE:-api}"  # api (REST import) or ui (Playwright fallback)
 
 #═══════════════════════════════════════════════════════════════════════════
 # COLORS
@@ -198,6 +248,7 @@ Optional Overrides:
   --datasource-url URL       Backend URL (default: http://172.17.0.1:8000)
   --backend-image IMAGE      Backend Docker image (default: melsayeh/netswift-backend)
   --backend-tag TAG          Backend Docker tag (default: 2.0.0)
+  --backend MODE             "image" (default) or "stub" for the stub backend with fixture data
   --headless BOOL            Run browser headless (default: true)
   --help                     Show this help
 
@@ -240,13 +291,30 @@ Environment Variables (alternative to command line):
   NETSWIFT_GITHUB_TOKEN
   NETSWIFT_JSON_PATH         (default: netswift.json)
   NETSWIFT_AUTOMATION_PATH   (default: automation/appsmith-automation-json.js)
+  NETSWIFT_SESSION_LIBRARY_PATH (default: libs/netswift-session.js)
+  NETSWIFT_IMPORT_LIBRARY_PATH (default: libs/netswift-import.js)
+  NETSWIFT_SCHEDULE_LIBRARY_PATH (default: libs/netswift-schedule.js)
   NETSWIFT_ADMIN_EMAIL       (default: admin@netswift.com)
   NETSWIFT_ADMIN_PASSWORD    (default: netswiftadmin)
   NETSWIFT_ADMIN_NAME        (default: NetSwift Admin)
   NETSWIFT_DATASOURCE_URL    (default: http://172.17.0.1:8000)
+  NETSWIFT_DATASOURCES       JSON map of extra datasource overrides by name
+  NETSWIFT_MANIFEST          YAML manifest deploying one workspace and app per site
+  NETSWIFT_USERS             YAML list of users (email, name, role) to invite after import
+  NETSWIFT_DISABLE_SIGNUP    "true" turns off public signup after the users step
+  NETSWIFT_INSTANCE_NAME     Appsmith instance name
+  NETSWIFT_DOMAIN            Custom domain for Appsmith (HTTPS via Let's Encrypt)
+  NETSWIFT_TLS_CERT          Certificate (fullchain PEM) for NETSWIFT_DOMAIN instead of Let's Encrypt
+  NETSWIFT_TLS_KEY           Private key for NETSWIFT_TLS_CERT
+  NETSWIFT_SMTP_HOST         SMTP server for Appsmith mail (with _PORT, _USERNAME, _PASSWORD, _FROM)
+  NETSWIFT_BACKEND          (default: image, "stub" runs automation/stub-backend.js, no Docker Hub token needed)
   NETSWIFT_BACKEND_IMAGE     (default: melsayeh/netswift-backend)
   NETSWIFT_BACKEND_TAG       (default: 2.0.0)
+  NETSWIFT_SMOKE             (default: true, "false" skips the post-deploy smoke test of every page)
+  NETSWIFT_SMOKE_USERNAME    Backend account for the smoke test (default: admin)
+  NETSWIFT_SMOKE_PASSWORD    Its password (default: admin with the stub backend; without it the image backend skips the smoke test)
   NETSWIFT_HEADLESS          (default: true)
+  NETSWIFT_IMPORT_MODE       (default: api, use "ui" for the Playwright import fallback)
   DOCKER_HUB_TOKEN           Docker Hub access token (for private image)
 
 After Deployment:
@@ -307,6 +375,10 @@ parse_arguments() {
                 DOCKER_TAG="$2"
                 shift 2
                 ;;
+            --backend)
+                BACKEND_MODE="$2"
+                shift 2
+                ;;
             --headless)
                 HEADLESS_MODE="$2"
                 shift 2
@@ -333,6 +405,28 @@ validate_config() {
         exit 1
     fi
     
+    if [[ "${BACKEND_MODE}" != "image" && "${BACKEND_MODE}" != "stub" ]]; then
+        log_error "NETSWIFT_BACKEND must be \"image\" or \"stub\", got \"${BACKEND_MODE}\""
+        exit 1
+    fi
+    
+    if [[ -n "${TLS_CERT_FILE}" || -n "${TLS_KEY_FILE}" ]]; then
+        if [[ -z "${CUSTOM_DOMAIN}" || ! -f "${TLS_CERT_FILE}" || ! -f "${TLS_KEY_FILE}" ]]; then
+            log_error "NETSWIFT_TLS_CERT and NETSWIFT_TLS_KEY must both be existing files, with NETSWIFT_DOMAIN set"
+            exit 1
+        fi
+    fi
+    
+    # The stub backend has admin/admin; the image backend's accounts are unknown here
+    if [[ "${SMOKE_TEST}" == "true" && -z "${SMOKE_PASSWORD}" ]]; then
+        if [[ "${BACKEND_MODE}" == "stub" ]]; then
+            SMOKE_PASSWORD="admin"
+        else
+            log_warning "NETSWIFT_SMOKE_PASSWORD is not set, skipping the smoke test"
+            SMOKE_TEST="false"
+        fi
+    fi
+    
     # Admin password now has default value (netswiftadmin)
     if [[ ${#APPSMITH_ADMIN_PASSWORD} -lt 8 ]]; then
         log_error "Admin password must be at least 8 characters"
@@ -382,6 +476,24 @@ download_application_files() {
         exit 1
     fi
     
+    # Download the libraries the app loads from Appsmith
+    mkdir -p "${INSTALL_DIR}/libs"
+    if ! download_from_github "${SESSION_LIBRARY_PATH}" "${INSTALL_DIR}/libs/netswift-session.js"; then
+        log_error "Could not download session library"
+        log_info "Make sure ${SESSION_LIBRARY_PATH} exists in your GitHub repo"
+        exit 1
+    fi
+    if ! download_from_github "${IMPORT_LIBRARY_PATH}" "${INSTALL_DIR}/libs/netswift-import.js"; then
+        log_error "Could not download import library"
+        log_info "Make sure ${IMPORT_LIBRARY_PATH} exists in your GitHub repo"
+        exit 1
+    fi
+    if ! download_from_github "${SCHEDULE_LIBRARY_PATH}" "${INSTALL_DIR}/libs/netswift-schedule.js"; then
+        log_error "Could not download schedule library"
+        log_info "Make sure ${SCHEDULE_LIBRARY_PATH} exists in your GitHub repo"
+        exit 1
+    fi
+    
     # Download automation script
     if ! download_from_github "${AUTOMATION_SCRIPT_PATH}" "${INSTALL_DIR}/automation/automate.js"; then
         log_error "Could not download automation script"
@@ -389,6 +501,16 @@ download_application_files() {
         exit 1
     fi
     
+    # Download automation modules (same directory as the script in the repo)
+    local automation_dir
+    automation_dir=$(dirname "${AUTOMATION_SCRIPT_PATH}")
+    for module in "${AUTOMATION_MODULES[@]}"; do
+        if ! download_from_github "${automation_dir}/${module}" "${INSTALL_DIR}/automation/${module}"; then
+            log_error "Could not download automation module: ${module}"
+            exit 1
+        fi
+    done
+    
     log_success "All application files downloaded from GitHub"
 }
 
@@ -688,16 +810,37 @@ setup_installation_directory() {
     log_success "Installation directory created: ${INSTALL_DIR}"
 }
 
-create_docker_compose() {
-    log_info "Creating Docker Compose configuration..."
-    
-    # Detect host timezone
-    local host_timezone
-    host_timezone=$(get_host_timezone)
-    log_info "Detected host timezone: ${host_timezone}"
-    
-    cat > "${INSTALL_DIR}/docker-compose.yml" << COMPOSE_EOF
-services:
+# netswift-backend service: the backend image, or the stub backend from the
+# downloaded automation modules (same as docker-compose.stub.yml)
+backend_service() {
+    local host_timezone="$1"
+    if [[ "${BACKEND_MODE}" == "stub" ]]; then
+        cat << SERVICE_EOF
+  netswift-backend:
+    image: node:20-alpine
+    container_name: netswift-backend
+    restart: unless-stopped
+    command: ["node", "/stub/stub-backend.js", "--port", "8000"]
+    ports:
+      - "8000:8000"
+    environment:
+      - TZ=${host_timezone}
+    volumes:
+      - ./automation/stub-backend.js:/stub/stub-backend.js:ro
+      - ./libs/netswift-schedule.js:/libs/netswift-schedule.js:ro
+      - ./libs/netswift-import.js:/libs/netswift-import.js:ro
+    networks:
+      - netswift-network
+    healthcheck:
+      test: ["CMD", "node", "-e", "fetch('http://localhost:8000/health').then(r => process.exit(r.ok ? 0 : 1), () => process.exit(1))"]
+      interval: 30s
+      timeout: 10s
+      retries: 3
+      start_period: 5s
+SERVICE_EOF
+        return
+    fi
+    cat << SERVICE_EOF
   netswift-backend:
     image: ${DOCKER_IMAGE}:${DOCKER_TAG}
     container_name: netswift-backend
@@ -718,6 +861,20 @@ services:
       timeout: 10s
       retries: 3
       start_period: 40s
+SERVICE_EOF
+}
+
+create_docker_compose() {
+    log_info "Creating Docker Compose configuration..."
+    
+    # Detect host timezone
+    local host_timezone
+    host_timezone=$(get_host_timezone)
+    log_info "Detected host timezone: ${host_timezone}"
+    
+    cat > "${INSTALL_DIR}/docker-compose.yml" << COMPOSE_EOF
+services:
+$(backend_service "${host_timezone}")
 
   appsmith:
     image: ${APPSMITH_IMAGE}
@@ -729,9 +886,12 @@ services:
     environment:
       - TZ=${host_timezone}
       - APPSMITH_DISABLE_TELEMETRY=true
-      - APPSMITH_SIGNUP_DISABLED=false
     volumes:
       - ./data/appsmith:/appsmith-stacks
+      # NetSwiftSession, NetSwiftImport and NetSwiftSchedule custom JS libraries of the app, at /libs/
+      - ./libs/netswift-session.js:/opt/appsmith/editor/libs/netswift-session.js:ro
+      - ./libs/netswift-import.js:/opt/appsmith/editor/libs/netswift-import.js:ro
+      - ./libs/netswift-schedule.js:/opt/appsmith/editor/libs/netswift-schedule.js:ro
     networks:
       - netswift-network
     depends_on:
@@ -749,10 +909,15 @@ networks:
     driver: bridge
 COMPOSE_EOF
     
-    log_success "Docker Compose configuration created with timezone: ${host_timezone}"
+    log_success "Docker Compose configuration created with timezone: ${host_timezone} (backend: ${BACKEND_MODE})"
 }
 
 docker_login() {
+    if [[ "${BACKEND_MODE}" == "stub" ]]; then
+        log_info "Stub backend selected, Docker Hub login not needed"
+        return 0
+    fi
+    
     log_info "Authenticating with Docker Hub..."
     
     # Check if already logged in
@@ -871,10 +1036,9 @@ setup_automation() {
     
     cd "${INSTALL_DIR}/automation"
     
-    # Create package.json if it doesn't exist
-    if [[ ! -f "package.json" ]]; then
-        log_info "Creating package.json..."
-        cat > package.json << 'EOF'
+    # Always (re)write package.json so updates pick up new dependencies
+    log_info "Writing package.json..."
+    cat > package.json << 'EOF'
 {
   "name": "netswift-automation",
   "version": "1.0.0",
@@ -884,14 +1048,12 @@ setup_automation() {
     "start": "node automate.js"
   },
   "dependencies": {
-    "playwright": "^1.40.0"
+    "playwright": "^1.40.0",
+    "yaml": "^2.3.4"
   }
 }
 EOF
-        log_success "package.json created"
-    else
-        log_info "package.json already exists"
-    fi
+    log_success "package.json written"
     
     # Clean any previous npm installation artifacts
     if [[ -d "node_modules" ]]; then
@@ -1070,6 +1232,99 @@ EOF
     log_success "Playwright automation setup complete"
 }
 
+# Save the datasource settings so redeploy-app.sh patches the export the same
+# way as the install (root-only: overrides may carry auth headers)
+save_automation_config() {
+    (
+        umask 077
+        {
+            echo "# Written by deploy.sh, read by the automation through CONFIG_FILE"
+            echo "admin:"
+            echo "  email: ${APPSMITH_ADMIN_EMAIL}"
+            echo "datasource:"
+            echo "  url: ${DATASOURCE_URL}"
+            if [[ -n "${DATASOURCES}" ]]; then
+                echo "datasources: ${DATASOURCES}"
+            fi
+            if [[ -n "${SITES_MANIFEST}" ]]; then
+                echo "manifest: ${INSTALL_DIR}/sites.yaml"
+            fi
+            if [[ -n "${USERS_LIST}" ]]; then
+                echo "users:"
+                echo "  file: ${INSTALL_DIR}/users.yaml"
+            fi
+            write_admin_settings
+            echo "smoke:"
+            echo "  enabled: ${SMOKE_TEST}"
+            if [[ "${SMOKE_TEST}" == "true" ]]; then
+                echo "  username: $(yaml_string "${SMOKE_USERNAME}")"
+                echo "  password: $(yaml_string "${SMOKE_PASSWORD}")"
+            fi
+        } > "${AUTOMATION_CONFIG_FILE}"
+        if [[ -n "${SITES_MANIFEST}" && "${SITES_MANIFEST}" != "${INSTALL_DIR}/sites.yaml" ]]; then
+            cp "${SITES_MANIFEST}" "${INSTALL_DIR}/sites.yaml"
+        fi
+        if [[ -n "${USERS_LIST}" && "${USERS_LIST}" != "${INSTALL_DIR}/users.yaml" ]]; then
+            cp "${USERS_LIST}" "${INSTALL_DIR}/users.yaml"
+        fi
+    )
+    chmod 600 "${AUTOMATION_CONFIG_FILE}"
+}
+
+# YAML-quote a value (JSON strings are valid YAML)
+yaml_string() {
+    printf '%s' "$1" | jq -Rs .
+}
+
+# adminSettings block of the automation config, only the settings given
+write_admin_settings() {
+    local settings=()
+    [[ -n "${INSTANCE_NAME}" ]] && settings+=("  instanceName: $(yaml_string "${INSTANCE_NAME}")")
+    [[ -n "${DISABLE_SIGNUP}" ]] && settings+=("  signupDisabled: ${DISABLE_SIGNUP}")
+    [[ -n "${CUSTOM_DOMAIN}" ]] && settings+=("  customDomain: ${CUSTOM_DOMAIN}")
+    if [[ -n "${SMTP_HOST}" ]]; then
+        settings+=("  smtp:" "    host: $(yaml_string "${SMTP_HOST}")")
+        [[ -n "${SMTP_PORT}" ]] && settings+=("    port: ${SMTP_PORT}")
+        [[ -n "${SMTP_USERNAME}" ]] && settings+=("    username: $(yaml_string "${SMTP_USERNAME}")")
+        [[ -n "${SMTP_PASSWORD}" ]] && settings+=("    password: $(yaml_string "${SMTP_PASSWORD}")")
+        [[ -n "${SMTP_FROM}" ]] && settings+=("    from: $(yaml_string "${SMTP_FROM}")")
+    fi
+    if [[ ${#settings[@]} -gt 0 ]]; then
+        echo "adminSettings:"
+        printf '%s\n' "${settings[@]}"
+    fi
+}
+
+# Appsmith serves the certificate in /appsmith-stacks/ssl instead of
+# requesting one from Let's Encrypt
+install_tls_certificate() {
+    if [[ -z "${TLS_CERT_FILE}" ]]; then
+        return
+    fi
+    local ssl_dir="${INSTALL_DIR}/data/appsmith/ssl"
+    mkdir -p "${ssl_dir}"
+    cp "${TLS_CERT_FILE}" "${ssl_dir}/fullchain.pem"
+    (umask 077 && cp "${TLS_KEY_FILE}" "${ssl_dir}/privkey.pem")
+    chmod 600 "${ssl_dir}/privkey.pem"
+    log_success "TLS certificate for ${CUSTOM_DOMAIN} installed in ${ssl_dir}"
+}
+
+# Store the admin password in a root-only file; the automation reads it from
+# there so the plaintext never appears in the environment or the install log
+save_admin_password() {
+    (umask 077 && printf '%s\n' "${APPSMITH_ADMIN_PASSWORD}" > "${ADMIN_PASSWORD_FILE}")
+    chmod 600 "${ADMIN_PASSWORD_FILE}"
+}
+
+# Read a field from the automation run report (empty if missing)
+read_run_report() {
+    local filter="$1"
+    if [[ -f "${RUN_REPORT_FILE}" ]]; then
+        jq -r "${filter} // empty" "${RUN_REPORT_FILE}" 2>/dev/null
+    fi
+}
+
+# Extra arguments are passed to the automation script (e.g. --from-step import)
 run_automation() {
     log_info "Running Playwright automation..."
     log_info "This will take 2-3 minutes..."
@@ -1080,29 +1335,44 @@ run_automation() {
     # Set environment variables
     export APPSMITH_URL="http://${server_ip}"
     export ADMIN_EMAIL="${APPSMITH_ADMIN_EMAIL}"
-    export ADMIN_PASSWORD="${APPSMITH_ADMIN_PASSWORD}"
+    save_admin_password
+    unset ADMIN_PASSWORD
+    export ADMIN_PASSWORD_FILE="${ADMIN_PASSWORD_FILE}"
     export ADMIN_NAME="${APPSMITH_ADMIN_NAME}"
     export APP_JSON_PATH="${INSTALL_DIR}/netswift.json"
+    save_automation_config
+    export CONFIG_FILE="${AUTOMATION_CONFIG_FILE}"
     export DATASOURCE_URL="${DATASOURCE_URL}"
     export HEADLESS="${HEADLESS_MODE}"
+    export IMPORT_MODE="${IMPORT_MODE}"
+    export APPSMITH_VERSION="${APPSMITH_IMAGE##*:}"  # Picks the UI selector set
     export TIMEOUT="120000"
     export RECORD_TRACE="true"  # Enable trace recording for debugging
+    export STATE_FILE="${INSTALL_DIR}/automation-state.json"  # Completed steps are skipped on rerun
+    export RUN_REPORT="${RUN_REPORT_FILE}"
     
     cd "${INSTALL_DIR}/automation"
     
-    if node automate.js 2>&1 | tee -a "${LOG_FILE}"; then
+    if node automate.js "$@" 2>&1 | tee -a "${LOG_FILE}"; then
         log_success "Automation completed successfully!"
         return 0
     else
         log_error "Automation failed - check logs at ${LOG_FILE}"
         
+        local failed_step trace_file
+        failed_step=$(read_run_report '[.steps[] | select(.status == "failed") | .name] | first')
+        trace_file=$(read_run_report '.trace')
+        if [[ -n "${failed_step}" ]]; then
+            log_error "Failed step: ${failed_step} ($(read_run_report '.error'))"
+        fi
+        
         # Inform user about trace file for debugging
-        if [[ -f "/tmp/appsmith-automation-trace.zip" ]]; then
+        if [[ -n "${trace_file}" && -f "${trace_file}" ]]; then
             log_info "📊 Trace file available for debugging!"
-            log_info "View with: cd ${INSTALL_DIR}/automation && npx playwright show-trace /tmp/appsmith-automation-trace.zip"
+            log_info "View with: cd ${INSTALL_DIR}/automation && npx playwright show-trace ${trace_file}"
         fi
         
-        log_warning "You can retry manually: cd ${INSTALL_DIR}/automation && npm start"
+        log_warning "You can resume from the failed step: ${INSTALL_DIR}/redeploy-app.sh"
         return 1
     fi
 }
@@ -1165,11 +1435,35 @@ SCRIPT
     
     cat > "${INSTALL_DIR}/redeploy-app.sh" << 'SCRIPT'
 #!/bin/bash
-# Re-run automation (useful if you updated netswift.json in GitHub)
+# Resume automation: steps already completed (see automation-state.json) are skipped
+# Pass --from-step import to re-import after updating netswift.json in GitHub
+# (updates the deployed app in place; add --allow-duplicate for a second copy)
+# Pass --only-step STEP to run a single step (wait, admin, transform, import, url)
+# Pass validate to only check netswift.json against the installed Appsmith
+# Pass diff to see what netswift.json changes compared with the deployed app
+cd /opt/netswift/automation || exit 1
+export APPSMITH_URL="http://localhost"
+export APP_JSON_PATH="/opt/netswift/netswift.json"
+export STATE_FILE="/opt/netswift/automation-state.json"
+export ADMIN_PASSWORD_FILE="/opt/netswift/.admin-password"
+export RUN_REPORT="/opt/netswift/run-report.json"
+export CONFIG_FILE="/opt/netswift/automation-config.yaml"
+npm start -- "$@"
+SCRIPT
+    
+    cat > "${INSTALL_DIR}/backup.sh" << 'SCRIPT'
+#!/bin/bash
+# Export the deployed NetSwift app (including edits made in the Appsmith editor)
+# to /opt/netswift/backups/netswift-<timestamp>-<hash>.json
+# Pass --backup-keep N to keep only the newest N backups
 cd /opt/netswift/automation || exit 1
 export APPSMITH_URL="http://localhost"
 export APP_JSON_PATH="/opt/netswift/netswift.json"
-npm start
+export STATE_FILE="/opt/netswift/automation-state.json"
+export ADMIN_PASSWORD_FILE="/opt/netswift/.admin-password"
+export CONFIG_FILE="/opt/netswift/automation-config.yaml"
+export BACKUP_DIR="/opt/netswift/backups"
+npm start --silent -- export "$@"
 SCRIPT
     
     cat > "${INSTALL_DIR}/view-trace.sh" << 'SCRIPT'
@@ -1219,6 +1513,10 @@ update_netswift() {
     log_info "Pulling latest application from GitHub..."
     download_application_files
     
+    log_info "Refreshing automation dependencies..."
+    setup_automation
+    cd "${INSTALL_DIR}"
+    
     log_info "Pulling latest Docker images..."
     echo ""
     docker_compose pull
@@ -1231,7 +1529,7 @@ update_netswift() {
     wait_for_services
     
     log_info "Running automation to redeploy application..."
-    run_automation
+    run_automation --from-step import
     
     log_success "Update complete!"
     
@@ -1243,7 +1541,7 @@ update_netswift() {
     echo ""
     echo -e "Access: ${BLUE}http://${server_ip}${NC}"
     echo -e "Email:  ${YELLOW}${APPSMITH_ADMIN_EMAIL}${NC}"
-    echo -e "Pass:   ${YELLOW}${APPSMITH_ADMIN_PASSWORD}${NC}"
+    echo -e "Pass:   stored in ${ADMIN_PASSWORD_FILE} (root only)"
     echo ""
 }
 
@@ -1322,14 +1620,18 @@ Access Information:
   
 Admin Credentials:
   Email: ${APPSMITH_ADMIN_EMAIL}
-  Password: ${APPSMITH_ADMIN_PASSWORD}
+  Password: stored in ${ADMIN_PASSWORD_FILE} (root only)
   Name: ${APPSMITH_ADMIN_NAME}
 
+NetSwift Login:
+  Accounts of the backend (POST /api/auth/login, JWT sessions)$([[ "${BACKEND_MODE}" == "stub" ]] && echo "
+  Stub backend accounts: admin / admin (admin), operator / operator (read-only)")
+
 Datasource:
   URL: ${DATASOURCE_URL}
 
 Docker Images:
-  Backend: ${DOCKER_IMAGE}:${DOCKER_TAG}
+  Backend: $([[ "${BACKEND_MODE}" == "stub" ]] && echo "stub (automation/stub-backend.js)" || echo "${DOCKER_IMAGE}:${DOCKER_TAG}")
   Appsmith: ${APPSMITH_IMAGE}
 
 Management Commands:
@@ -1338,6 +1640,7 @@ Management Commands:
   Restart: ${INSTALL_DIR}/restart.sh
   Update: ${INSTALL_DIR}/update.sh
   Redeploy App: ${INSTALL_DIR}/redeploy-app.sh
+  Backup App: ${INSTALL_DIR}/backup.sh (saved to ${INSTALL_DIR}/backups)
 
 Logs:
   Installation: ${LOG_FILE}
@@ -1345,7 +1648,11 @@ Logs:
 
 To update application:
   1. Update netswift.json in GitHub
-  2. Run: ${INSTALL_DIR}/redeploy-app.sh
+  2. Review changes: ${INSTALL_DIR}/redeploy-app.sh diff
+  3. Run: ${INSTALL_DIR}/redeploy-app.sh --from-step import
+
+Automation State:
+  ${INSTALL_DIR}/automation-state.json (completed steps are skipped on rerun)
 
 EOF
     
@@ -1427,8 +1734,8 @@ validate_installation() {
         validation_warnings+=("Appsmith: Not yet accessible")
     fi
     
-    # 5. Check NetSwift URL was saved
-    if [[ -f "${INSTALL_DIR}/netswift-url.txt" ]]; then
+    # 5. Check NetSwift URL was reported (first site's with a manifest)
+    if [[ -n "$(read_run_report '.appUrl // .sites[0].url')" ]]; then
         log_success "NetSwift URL: Saved"
     else
         validation_warnings+=("NetSwift URL: Not saved (automation may have failed)")
@@ -1489,6 +1796,7 @@ install_netswift() {
     
     log_step "7/14" "Creating Docker configuration"
     create_docker_compose
+    install_tls_certificate
     
     log_step "8/14" "Authenticating with Docker Hub"
     docker_login
@@ -1515,11 +1823,9 @@ install_netswift() {
     local server_ip
     server_ip=$(get_server_ip)
     
-    # Read the NetSwift URL if automation saved it
-    local netswift_url=""
-    if [[ -f "${INSTALL_DIR}/netswift-url.txt" ]]; then
-        netswift_url=$(cat "${INSTALL_DIR}/netswift-url.txt")
-    fi
+    # Read the NetSwift URL from the automation run report
+    local netswift_url
+    netswift_url=$(read_run_report '.appUrl')
     
     echo
     echo -e "${GREEN}${BOLD}╔═══════════════════════════════════════════════════════════════════════════╗${NC}"
@@ -1535,7 +1841,40 @@ install_netswift() {
         echo -e "  URL:      ${BLUE}http://${server_ip}${NC}"
     fi
     echo -e "  Email:    ${YELLOW}${APPSMITH_ADMIN_EMAIL}${NC}"
-    echo -e "  Password: ${YELLOW}${APPSMITH_ADMIN_PASSWORD}${NC}"
+    echo -e "  Password: stored in ${ADMIN_PASSWORD_FILE} (root only)"
+    if [[ "${BACKEND_MODE}" == "stub" ]]; then
+        echo -e "  NetSwift: sign in with the stub backend account ${YELLOW}admin${NC} / ${YELLOW}admin${NC} (read-only: operator / operator)"
+    else
+        echo -e "  NetSwift: sign in with a backend account (checked by the backend, JWT session)"
+    fi
+    local site_urls
+    site_urls=$(read_run_report '.sites | select(. != null) | .[] | "  \(.site): \(.url)"')
+    if [[ -n "${site_urls}" ]]; then
+        echo
+        echo -e "${CYAN}${BOLD}🏢 Sites:${NC}"
+        echo "${site_urls}"
+    fi
+    local invited_users
+    invited_users=$(read_run_report '.users | select(. != null) | .[] | "  \(.email) (\(.role), \(.workspace)): \(.status)"')
+    if [[ -n "${invited_users}" ]]; then
+        echo
+        echo -e "${CYAN}${BOLD}👥 Users:${NC}"
+        echo "${invited_users}"
+    fi
+    local changed_settings
+    changed_settings=$(read_run_report '.adminSettings.changed | select(. != null and length > 0) | join(", ")')
+    if [[ -n "${changed_settings}" ]]; then
+        echo
+        echo -e "${CYAN}${BOLD}⚙️  Admin Settings Changed:${NC}"
+        echo "  ${changed_settings}"
+    fi
+    local smoke_pages
+    smoke_pages=$(read_run_report '.smoke | select(. != null) | .[] | "  \(.target)/\(.page): \(if (.failures | length) == 0 then "OK" else (.failures | join("; ")) end)"')
+    if [[ -n "${smoke_pages}" ]]; then
+        echo
+        echo -e "${CYAN}${BOLD}🧪 Smoke Test:${NC}"
+        echo "${smoke_pages}"
+    fi
     echo
     echo -e "${CYAN}${BOLD}🔧 Management Commands:${NC}"
     echo -e "  Status:       ${INSTALL_DIR}/status.sh"
@@ -1543,6 +1882,7 @@ install_netswift() {
     echo -e "  Restart:      ${INSTALL_DIR}/restart.sh"
     echo -e "  Update:       ${INSTALL_DIR}/update.sh"
     echo -e "  Redeploy App: ${INSTALL_DIR}/redeploy-app.sh"
+    echo -e "  Backup App:   ${INSTALL_DIR}/backup.sh"
     echo -e "  View Trace:   ${INSTALL_DIR}/view-trace.sh  ${GREEN}← Debug automation issues${NC}"
     echo
     echo -e "${CYAN}${BOLD}📝 Deployment Info:${NC}"
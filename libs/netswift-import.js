@@ -0,0 +1,403 @@
+/**
+ * NetSwift import and export module
+ *
+ * Installed in the app as the custom JS library NetSwiftImport, next to
+ * NetSwiftSession and served the same way (/libs/netswift-import.js). The
+ * VLANs and Switches pages use it to onboard a site from a spreadsheet and
+ * to export what they list in the same columns.
+ *
+ * Import: the page's file picker reads a CSV file as an array of row
+ * objects keyed by header, and an XLSX workbook as its sheets
+ * [{ name, data: [[header, ...], [cell, ...]] }]; rowsOf() turns either into
+ * row objects (of the first sheet). guessMapping() picks the column of each
+ * field, the user can change it, and validate() checks every row (against
+ * the other rows and the current VLANs or switches) before anything is
+ * sent. Each valid row carries the body of the request that adds it.
+ *
+ * Export: exportRows() turns getVlans/getAllSwitches data into rows with
+ * the import's headers, so an export can be edited and imported again;
+ * toCsv() and toXlsx() write them (toXlsx() as a data URL for download()).
+ * toZip() bundles text files the same way (the stub backend's configs ZIP).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NetSwiftImport = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    const MAX_VLAN_NAME = 32;
+
+    // Fields of each kind of row, in column order. aliases are other headers
+    // guessMapping() takes for the field; export-only fields are not imported.
+    const FIELDS = {
+        vlans: [
+            { key: 'vlan_id', label: 'VLAN ID', required: true, aliases: ['vlan', 'vid', 'id', 'vlan number'] },
+            { key: 'name', label: 'Name', required: true, aliases: ['vlan name'] },
+            { key: 'is_voice', label: 'Voice', aliases: ['voice vlan'] },
+            { key: 'dhcp_snooping', label: 'DHCP Snooping', aliases: ['dhcp'] },
+            { key: 'igmp_enable', label: 'IGMP', aliases: ['igmp snooping'] },
+            { key: 'switches', label: 'Switches', aliases: ['switch ips', 'switch'] }
+        ],
+        switches: [
+            { key: 'ip_address', label: 'IP Address', required: true, aliases: ['ip', 'management ip', 'address'] },
+            { key: 'name', label: 'Name', required: true, aliases: ['switch name', 'hostname', 'sysname'] },
+            { key: 'location', label: 'Location', aliases: ['site', 'room'] },
+            { key: 'model', label: 'Model', exportOnly: true },
+            { key: 'serial_number', label: 'Serial Number', exportOnly: true },
+            { key: 'mac', label: 'MAC', exportOnly: true },
+            { key: 'version', label: 'Version', exportOnly: true },
+            { key: 'online_status', label: 'Status', exportOnly: true }
+        ]
+    };
+
+    function fieldsOf(kind) {
+        const fields = FIELDS[kind];
+        if (!fields) {
+            throw new Error(`Unknown import kind: ${kind}`);
+        }
+        return fields;
+    }
+
+    // Fields a file may fill
+    function importFields(kind) {
+        return fieldsOf(kind).filter(field => !field.exportOnly);
+    }
+
+    const normalize = text => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const cell = value => String(value ?? '').trim();
+    // Names and IDs are unique regardless of case
+    const same = value => cell(value).toLowerCase();
+
+    // Dotted quad without leading zeros, so each address has one spelling
+    // ("10.0.0.01" would pass as new next to 10.0.0.1)
+    function isIpv4(text) {
+        const parts = String(text).split('.');
+        return parts.length === 4 && parts.every(part => /^(0|[1-9]\d{0,2})$/.test(part) && Number(part) <= 255);
+    }
+
+    // Yes/no cell: true, false, or null when it is neither
+    function parseFlag(text) {
+        const value = normalize(text);
+        if (['', 'no', 'n', 'false', '0', 'off', 'disabled'].includes(value)) return false;
+        if (['yes', 'y', 'true', '1', 'on', 'enabled', 'x'].includes(value)) return true;
+        return null;
+    }
+
+    // Row objects keyed by header of what the file picker read: CSV rows as
+    // they are, or the first sheet of a workbook, whose first row is the
+    // header. Rows with no value in any cell are left out.
+    function rowsOf(data) {
+        if (!Array.isArray(data) || data.length === 0) {
+            return [];
+        }
+        const sheet = data[0] && Array.isArray(data[0].data) ? data[0].data : data;
+        if (!Array.isArray(sheet[0])) {
+            return sheet;
+        }
+        const [header = [], ...lines] = sheet;
+        const keys = header.map((key, i) => cell(key) || `Column ${i + 1}`);
+        return lines
+            .filter(line => Array.isArray(line) && line.some(value => cell(value) !== ''))
+            .map(line => Object.fromEntries(keys.map((key, i) => [key, line[i] ?? ''])));
+    }
+
+    // Headers of the rows of a file, in the order they first appear
+    function headersOf(rows) {
+        const headers = [];
+        for (const row of rows || []) {
+            for (const header of Object.keys(row || {})) {
+                if (!headers.includes(header)) headers.push(header);
+            }
+        }
+        return headers;
+    }
+
+    // { field: header } of the columns that look like each field ('' when
+    // none does); a column is used for one field only
+    function guessMapping(kind, headers) {
+        const taken = new Set();
+        const mapping = {};
+        for (const field of importFields(kind)) {
+            const names = [field.key, field.label, ...(field.aliases || [])].map(normalize);
+            const header = (headers || []).find(h => !taken.has(h) && names.includes(normalize(h)));
+            mapping[field.key] = header || '';
+            if (header) taken.add(header);
+        }
+        return mapping;
+    }
+
+    // Errors of one row on its own, and the request body that adds it
+    const CHECKS = {
+        vlans(values) {
+            const errors = [];
+            const vlanId = /^\d+$/.test(values.vlan_id) ? Number(values.vlan_id) : NaN;
+            if (!(vlanId >= 1 && vlanId <= 4094)) {
+                errors.push(`VLAN ID must be a number from 1 to 4094 (got "${values.vlan_id}")`);
+            }
+            if (values.name === '') {
+                errors.push('Name is required');
+            } else if (values.name.length > MAX_VLAN_NAME) {
+                errors.push(`Name is longer than ${MAX_VLAN_NAME} characters`);
+            }
+            const flags = {};
+            for (const key of ['is_voice', 'dhcp_snooping', 'igmp_enable']) {
+                flags[key] = parseFlag(values[key]);
+                if (flags[key] === null) {
+                    errors.push(`${importFields('vlans').find(f => f.key === key).label} must be yes or no (got "${values[key]}")`);
+                }
+            }
+            const switchIps = values.switches.split(/[\s,;]+/).filter(Boolean);
+            for (const ip of switchIps.filter(ip => !isIpv4(ip))) {
+                errors.push(`Switch IP "${ip}" is not a valid IPv4 address`);
+            }
+            const record = {
+                vlan_id: vlanId,
+                name: values.name,
+                ...flags,
+                target: switchIps.length > 0 ? 'specific' : 'all',
+                switch_ips: switchIps
+            };
+            return { errors, record };
+        },
+
+        switches(values) {
+            const errors = [];
+            if (values.ip_address === '') {
+                errors.push('IP Address is required');
+            } else if (!isIpv4(values.ip_address)) {
+                errors.push(`IP Address "${values.ip_address}" is not a valid IPv4 address`);
+            }
+            if (values.name === '') {
+                errors.push('Name is required');
+            }
+            return { errors, record: { name: values.name, ip_address: values.ip_address, location: values.location } };
+        }
+    };
+
+    // What must be unique in a file and against the current data: the field,
+    // the key of an existing item holding it, and the error when one does
+    const UNIQUE = {
+        vlans: [
+            { key: 'vlan_id', existingKey: 'vlan_id', taken: (value, item) => `VLAN ${item.vlan_id} already exists` },
+            { key: 'name', existingKey: 'name', taken: (value, item) => `Name "${value}" is already used by VLAN ${item.vlan_id}` }
+        ],
+        switches: [
+            { key: 'ip_address', existingKey: 'ip', taken: (value, item) => `Switch ${item.ip} already exists` },
+            { key: 'name', existingKey: 'name', taken: (value, item) => `Name "${value}" is already used by ${item.ip}` }
+        ]
+    };
+
+    // Labels of the required fields no column is mapped to
+    function missingColumns(kind, mapping) {
+        return importFields(kind).filter(field => field.required && !(mapping || {})[field.key]).map(field => field.label);
+    }
+
+    // Checks every row of a file: [{ row, values, record, errors }], row
+    // being the line in the sheet (the header is line 1). Rows with no value
+    // in any mapped column are left out.
+    function validate(kind, rows, mapping, existing = []) {
+        const fields = importFields(kind);
+        const results = [];
+        (rows || []).forEach((source, index) => {
+            const values = {};
+            for (const field of fields) {
+                values[field.key] = mapping[field.key] ? cell((source || {})[mapping[field.key]]) : '';
+            }
+            if (fields.every(field => values[field.key] === '')) {
+                return;
+            }
+            results.push({ row: index + 2, values, ...CHECKS[kind](values) });
+        });
+
+        for (const { key, existingKey, taken } of UNIQUE[kind]) {
+            const label = fields.find(field => field.key === key).label;
+            const seen = new Map();
+            for (const result of results) {
+                const value = result.values[key];
+                if (value === '') continue;
+                if (seen.has(same(value))) {
+                    result.errors.push(`${label} "${value}" is also on row ${seen.get(same(value))}`);
+                } else {
+                    seen.set(same(value), result.row);
+                }
+                const item = (existing || []).find(e => same(e[existingKey]) === same(value));
+                if (item) {
+                    result.errors.push(taken(value, item));
+                }
+            }
+        }
+        return results;
+    }
+
+    // A validate() result as a preview table row
+    function previewRow(result) {
+        return {
+            row: result.row,
+            ...result.values,
+            status: result.errors.length > 0 ? 'Error' : 'OK',
+            errors: result.errors.join('; ')
+        };
+    }
+
+    function summary(results) {
+        const valid = results.filter(result => result.errors.length === 0).length;
+        return { total: results.length, valid, invalid: results.length - valid };
+    }
+
+    const yesNo = value => (value === true || Number(value) === 1 ? 'yes' : 'no');
+
+    // getVlans/getAllSwitches data as rows keyed by the import's headers
+    function exportRows(kind, items) {
+        const values = {
+            vlans: v => ({
+                vlan_id: v.vlan_id,
+                name: v.name,
+                is_voice: yesNo(v.is_voice),
+                dhcp_snooping: yesNo(v.dhcp_snooping),
+                igmp_enable: yesNo(v.igmp_enable),
+                switches: (v.switches || []).join(';')
+            }),
+            switches: s => ({ ...s, ip_address: s.ip })
+        }[kind];
+        const fields = fieldsOf(kind);
+        return (items || []).map(item => {
+            const row = values(item);
+            return Object.fromEntries(fields.map(field => [field.label, row[field.key] ?? '']));
+        });
+    }
+
+    function columnsOf(rows, columns) {
+        return columns || headersOf(rows);
+    }
+
+    // CSV (RFC 4180, CRLF line ends) of the rows
+    function toCsv(rows, columns) {
+        const header = columnsOf(rows, columns);
+        const quote = value => {
+            const text = String(value ?? '');
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [header, ...rows.map(row => header.map(column => row[column]))]
+            .map(line => line.map(quote).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+
+    function crc32(bytes) {
+        let crc = 0xffffffff;
+        for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    // ZIP archive of { name: text } stored without compression
+    function zip(files) {
+        const encoder = new TextEncoder();
+        const entries = Object.entries(files).map(([name, text]) => ({ name: encoder.encode(name), data: encoder.encode(text) }));
+        const size = entries.reduce((total, e) => total + 30 + e.name.length + e.data.length + 46 + e.name.length, 22);
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        let at = 0;
+        const u16 = value => { view.setUint16(at, value, true); at += 2; };
+        const u32 = value => { view.setUint32(at, value, true); at += 4; };
+        const bytes = data => { out.set(data, at); at += data.length; };
+        // Version 2.0, no flags, stored, dated 1980-01-01 00:00
+        const common = e => { u16(20); u16(0); u16(0); u16(0); u16(0x21); u32(e.crc); u32(e.data.length); u32(e.data.length); u16(e.name.length); u16(0); };
+
+        for (const e of entries) {
+            e.crc = crc32(e.data);
+            e.offset = at;
+            u32(0x04034b50); common(e); bytes(e.name); bytes(e.data);
+        }
+        const directory = at;
+        for (const e of entries) {
+            u32(0x02014b50); u16(20); common(e); u16(0); u16(0); u16(0); u32(0); u32(e.offset); bytes(e.name);
+        }
+        const directorySize = at - directory;
+        u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length); u32(directorySize); u32(directory); u16(0);
+        return out;
+    }
+
+    function base64(bytes) {
+        if (typeof btoa !== 'function') {
+            return Buffer.from(bytes).toString('base64');
+        }
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    const xml = text => String(text ?? '')
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    // A, B, ... Z, AA, ...
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    // XLSX workbook of the rows (one sheet, numbers as numbers, the rest as
+    // text), as a data URL download() saves as a file
+    function toXlsx(rows, sheetName = 'Sheet1', columns) {
+        const header = columnsOf(rows, columns);
+        const cellXml = (value, ref) => (typeof value === 'number' && Number.isFinite(value)
+            ? `<c r="${ref}"><v>${value}</v></c>`
+            : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(value)}</t></is></c>`);
+        const sheetRows = [header, ...rows.map(row => header.map(column => row[column]))]
+            .map((line, r) => `<row r="${r + 1}">${line.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('')}</row>`);
+        const declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+        const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        const bytes = zip({
+            '[Content_Types].xml': `${declaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+                + '</Types>',
+            '_rels/.rels': `${declaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+            'xl/workbook.xml': `${declaration}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}">`
+                + `<sheets><sheet name="${xml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': `${declaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+            'xl/worksheets/sheet1.xml': `${declaration}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+                + `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+        });
+        return `data:${XLSX_TYPE};base64,${base64(bytes)}`;
+    }
+
+    // ZIP of { name: text } files, as a data URL for download()
+    function toZip(files) {
+        return `data:application/zip;base64,${base64(zip(files))}`;
+    }
+
+    return {
+        XLSX_TYPE,
+        FIELDS,
+        importFields,
+        isIpv4,
+        rowsOf,
+        headersOf,
+        guessMapping,
+        missingColumns,
+        validate,
+        previewRow,
+        summary,
+        exportRows,
+        toCsv,
+        toXlsx,
+        toZip
+    };
+}));
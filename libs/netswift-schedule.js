@@ -0,0 +1,531 @@
+/**
+ * NetSwift rule schedule module
+ *
+ * Installed in the app as the custom JS library NetSwiftSchedule, next to
+ * NetSwiftSession and served the same way (/libs/netswift-schedule.js). The
+ * Tools page uses it to check and preview the schedule of an automation
+ * rule; the stub backend runs rules with the same code, so the preview
+ * shows the runs the backend makes.
+ *
+ * A rule's schedule is null (the rule runs while started by hand) or:
+ *   { type: 'cron', cron: '0,30 8-18 * * 1-5', timezone }
+ *   { type: 'interval', every_minutes: 30, window_start: '08:00', window_end: '18:00', timezone }
+ * Cron expressions have the five standard fields (minute, hour, day of
+ * month, month, day of week) with lists, ranges, steps and names; when both
+ * day fields are restricted either one matches, as in cron. An interval
+ * runs every N minutes from the window start up to the window end, every
+ * day; an end before the start spans midnight, no window is the whole day.
+ *
+ * Times are wall-clock times in the timezone, an IANA name in any case
+ * (timezoneOptions gives them lowercased). A time a DST change skips does
+ * not run; a time it repeats runs once. The timezone list is shared with the
+ * Global page's timezone select, so both pages offer the same names.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NetSwiftSchedule = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const MINUTE = 60 * 1000;
+    const DAY = 24 * 60 * MINUTE;
+    const MINUTES_PER_DAY = 24 * 60;
+    // How far ahead a run is looked for (8 years: every February 29th)
+    const SEARCH_LIMIT = 8 * 366 * DAY;
+
+    const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'];
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // The timezones offered by the Global and Tools pages
+    const TIMEZONES = [
+        'Africa/Abidjan', 'Africa/Accra', 'Africa/Addis_Ababa', 'Africa/Algiers', 'Africa/Asmara',
+        'Africa/Asmera', 'Africa/Bamako', 'Africa/Bangui', 'Africa/Banjul', 'Africa/Bissau', 'Africa/Blantyre',
+        'Africa/Brazzaville', 'Africa/Bujumbura', 'Africa/Cairo', 'Africa/Casablanca', 'Africa/Ceuta',
+        'Africa/Conakry', 'Africa/Dakar', 'Africa/Dar_es_Salaam', 'Africa/Djibouti', 'Africa/Douala',
+        'Africa/El_Aaiun', 'Africa/Freetown', 'Africa/Gaborone', 'Africa/Harare', 'Africa/Johannesburg',
+        'Africa/Juba', 'Africa/Kampala', 'Africa/Khartoum', 'Africa/Kigali', 'Africa/Kinshasa', 'Africa/Lagos',
+        'Africa/Libreville', 'Africa/Lome', 'Africa/Luanda', 'Africa/Lubumbashi', 'Africa/Lusaka',
+        'Africa/Malabo', 'Africa/Maputo', 'Africa/Maseru', 'Africa/Mbabane', 'Africa/Mogadishu',
+        'Africa/Monrovia', 'Africa/Nairobi', 'Africa/Ndjamena', 'Africa/Niamey', 'Africa/Nouakchott',
+        'Africa/Ouagadougou', 'Africa/Porto-Novo', 'Africa/Sao_Tome', 'Africa/Timbuktu', 'Africa/Tripoli',
+        'Africa/Tunis', 'Africa/Windhoek', 'America/Adak', 'America/Anchorage', 'America/Anguilla',
+        'America/Antigua', 'America/Araguaina', 'America/Argentina/Buenos_Aires', 'America/Argentina/Catamarca',
+        'America/Argentina/ComodRivadavia', 'America/Argentina/Cordoba', 'America/Argentina/Jujuy',
+        'America/Argentina/La_Rioja', 'America/Argentina/Mendoza', 'America/Argentina/Rio_Gallegos',
+        'America/Argentina/Salta', 'America/Argentina/San_Juan', 'America/Argentina/San_Luis',
+        'America/Argentina/Tucuman', 'America/Argentina/Ushuaia', 'America/Aruba', 'America/Asuncion',
+        'America/Atikokan', 'America/Atka', 'America/Bahia', 'America/Bahia_Banderas', 'America/Barbados',
+        'America/Belem', 'America/Belize', 'America/Blanc-Sablon', 'America/Boa_Vista', 'America/Bogota',
+        'America/Boise', 'America/Buenos_Aires', 'America/Cambridge_Bay', 'America/Campo_Grande',
+        'America/Cancun', 'America/Caracas', 'America/Catamarca', 'America/Cayenne', 'America/Cayman',
+        'America/Chicago', 'America/Chihuahua', 'America/Coral_Harbour', 'America/Cordoba',
+        'America/Costa_Rica', 'America/Creston', 'America/Cuiaba', 'America/Curacao', 'America/Danmarkshavn',
+        'America/Dawson', 'America/Dawson_Creek', 'America/Denver', 'America/Detroit', 'America/Dominica',
+        'America/Edmonton', 'America/Eirunepe', 'America/El_Salvador', 'America/Ensenada',
+        'America/Fort_Nelson', 'America/Fort_Wayne', 'America/Fortaleza', 'America/Glace_Bay',
+        'America/Godthab', 'America/Goose_Bay', 'America/Grand_Turk', 'America/Grenada', 'America/Guadeloupe',
+        'America/Guatemala', 'America/Guayaquil', 'America/Guyana', 'America/Halifax', 'America/Havana',
+        'America/Hermosillo', 'America/Indiana/Indianapolis', 'America/Indiana/Knox', 'America/Indiana/Marengo',
+        'America/Indiana/Petersburg', 'America/Indiana/Tell_City', 'America/Indiana/Vevay',
+        'America/Indiana/Vincennes', 'America/Indiana/Winamac', 'America/Indianapolis', 'America/Inuvik',
+        'America/Iqaluit', 'America/Jamaica', 'America/Jujuy', 'America/Juneau', 'America/Kentucky/Louisville',
+        'America/Kentucky/Monticello', 'America/Knox_IN', 'America/Kralendijk', 'America/La_Paz',
+        'America/Lima', 'America/Los_Angeles', 'America/Louisville', 'America/Lower_Princes', 'America/Maceio',
+        'America/Managua', 'America/Manaus', 'America/Marigot', 'America/Martinique', 'America/Matamoros',
+        'America/Mazatlan', 'America/Mendoza', 'America/Menominee', 'America/Metlakatla', 'America/Mexico_City',
+        'America/Miquelon', 'America/Moncton', 'America/Monterrey', 'America/Montevideo', 'America/Montreal',
+        'America/Montserrat', 'America/Nassau', 'America/New_York', 'America/Nipigon', 'America/Nome',
+        'America/Noronha', 'America/North_Dakota/Beulah', 'America/North_Dakota/Center',
+        'America/North_Dakota/New_Salem', 'America/Nuuk', 'America/Ojinaga', 'America/Panama',
+        'America/Pangnirtung', 'America/Paramaribo', 'America/Phoenix', 'America/Port-au-Prince',
+        'America/Port_of_Spain', 'America/Porto_Acre', 'America/Porto_Velho', 'America/Puerto_Rico',
+        'America/Punta_Arenas', 'America/Rainy_River', 'America/Rankin_Inlet', 'America/Recife',
+        'America/Regina', 'America/Resolute', 'America/Rio_Branco', 'America/Rosario', 'America/Santa_Isabel',
+        'America/Santarem', 'America/Santiago', 'America/Santo_Domingo', 'America/Scoresbysund',
+        'America/Shiprock', 'America/Sitka', 'America/St_Barthelemy', 'America/St_Johns', 'America/St_Kitts',
+        'America/St_Lucia', 'America/St_Thomas', 'America/St_Vincent', 'America/Swift_Current',
+        'America/Tegucigalpa', 'America/Thule', 'America/Thunder_Bay', 'America/Tijuana', 'America/Toronto',
+        'America/Tortola', 'America/Vancouver', 'America/Virgin', 'America/Whitehorse', 'America/Winnipeg',
+        'America/Yakutat', 'America/Yellowknife', 'Antarctica/Casey', 'Antarctica/Davis',
+        'Antarctica/DumontDUrville', 'Antarctica/Macquarie', 'Antarctica/Mawson', 'Antarctica/McMurdo',
+        'Antarctica/Palmer', 'Antarctica/Rothera', 'Antarctica/South_Pole', 'Antarctica/Syowa',
+        'Antarctica/Troll', 'Antarctica/Vostok', 'Arctic/Longyearbyen', 'Asia/Aden', 'Asia/Almaty',
+        'Asia/Amman', 'Asia/Anadyr', 'Asia/Aqtau', 'Asia/Aqtobe', 'Asia/Ashgabat', 'Asia/Ashkhabad',
+        'Asia/Atyrau', 'Asia/Baghdad', 'Asia/Bahrain', 'Asia/Baku', 'Asia/Bangkok', 'Asia/Barnaul',
+        'Asia/Beirut', 'Asia/Bishkek', 'Asia/Brunei', 'Asia/Calcutta', 'Asia/Chita', 'Asia/Choibalsan',
+        'Asia/Chongqing', 'Asia/Chungking', 'Asia/Colombo', 'Asia/Dacca', 'Asia/Damascus', 'Asia/Dhaka',
+        'Asia/Dili', 'Asia/Dubai', 'Asia/Dushanbe', 'Asia/Famagusta', 'Asia/Gaza', 'Asia/Harbin', 'Asia/Hebron',
+        'Asia/Ho_Chi_Minh', 'Asia/Hong_Kong', 'Asia/Hovd', 'Asia/Irkutsk', 'Asia/Istanbul', 'Asia/Jakarta',
+        'Asia/Jayapura', 'Asia/Jerusalem', 'Asia/Kabul', 'Asia/Kamchatka', 'Asia/Karachi', 'Asia/Kashgar',
+        'Asia/Kathmandu', 'Asia/Katmandu', 'Asia/Khandyga', 'Asia/Kolkata', 'Asia/Krasnoyarsk',
+        'Asia/Kuala_Lumpur', 'Asia/Kuching', 'Asia/Kuwait', 'Asia/Macao', 'Asia/Macau', 'Asia/Magadan',
+        'Asia/Makassar', 'Asia/Manila', 'Asia/Muscat', 'Asia/Nicosia', 'Asia/Novokuznetsk', 'Asia/Novosibirsk',
+        'Asia/Omsk', 'Asia/Oral', 'Asia/Phnom_Penh', 'Asia/Pontianak', 'Asia/Pyongyang', 'Asia/Qatar',
+        'Asia/Qostanay', 'Asia/Qyzylorda', 'Asia/Rangoon', 'Asia/Riyadh', 'Asia/Saigon', 'Asia/Sakhalin',
+        'Asia/Samarkand', 'Asia/Seoul', 'Asia/Shanghai', 'Asia/Singapore', 'Asia/Srednekolymsk', 'Asia/Taipei',
+        'Asia/Tashkent', 'Asia/Tbilisi', 'Asia/Tehran', 'Asia/Tel_Aviv', 'Asia/Thimbu', 'Asia/Thimphu',
+        'Asia/Tokyo', 'Asia/Tomsk', 'Asia/Ujung_Pandang', 'Asia/Ulaanbaatar', 'Asia/Ulan_Bator', 'Asia/Urumqi',
+        'Asia/Ust-Nera', 'Asia/Vientiane', 'Asia/Vladivostok', 'Asia/Yakutsk', 'Asia/Yangon',
+        'Asia/Yekaterinburg', 'Asia/Yerevan', 'Atlantic/Azores', 'Atlantic/Bermuda', 'Atlantic/Canary',
+        'Atlantic/Cape_Verde', 'Atlantic/Faeroe', 'Atlantic/Faroe', 'Atlantic/Jan_Mayen', 'Atlantic/Madeira',
+        'Atlantic/Reykjavik', 'Atlantic/South_Georgia', 'Atlantic/St_Helena', 'Atlantic/Stanley',
+        'Australia/ACT', 'Australia/Adelaide', 'Australia/Brisbane', 'Australia/Broken_Hill',
+        'Australia/Canberra', 'Australia/Currie', 'Australia/Darwin', 'Australia/Eucla', 'Australia/Hobart',
+        'Australia/LHI', 'Australia/Lindeman', 'Australia/Lord_Howe', 'Australia/Melbourne', 'Australia/North',
+        'Australia/NSW', 'Australia/Perth', 'Australia/Queensland', 'Australia/South', 'Australia/Sydney',
+        'Australia/Tasmania', 'Australia/Victoria', 'Australia/West', 'Australia/Yancowinna', 'Brazil/Acre',
+        'Brazil/DeNoronha', 'Brazil/East', 'Brazil/West', 'Canada/Atlantic', 'Canada/Central', 'Canada/Eastern',
+        'Canada/Mountain', 'Canada/Newfoundland', 'Canada/Pacific', 'Canada/Saskatchewan', 'Canada/Yukon',
+        'CET', 'Chile/Continental', 'Chile/EasterIsland', 'CST6CDT', 'Cuba', 'EET', 'Egypt', 'Eire', 'EST',
+        'EST5EDT', 'Etc/GMT', 'Etc/GMT+0', 'Etc/GMT+1', 'Etc/GMT+10', 'Etc/GMT+11', 'Etc/GMT+12', 'Etc/GMT+2',
+        'Etc/GMT+3', 'Etc/GMT+4', 'Etc/GMT+5', 'Etc/GMT+6', 'Etc/GMT+7', 'Etc/GMT+8', 'Etc/GMT+9', 'Etc/GMT-0',
+        'Etc/GMT-1', 'Etc/GMT-10', 'Etc/GMT-11', 'Etc/GMT-12', 'Etc/GMT-13', 'Etc/GMT-14', 'Etc/GMT-2',
+        'Etc/GMT-3', 'Etc/GMT-4', 'Etc/GMT-5', 'Etc/GMT-6', 'Etc/GMT-7', 'Etc/GMT-8', 'Etc/GMT-9', 'Etc/GMT0',
+        'Etc/Greenwich', 'Etc/UCT', 'Etc/Universal', 'Etc/UTC', 'Etc/Zulu', 'Europe/Amsterdam',
+        'Europe/Andorra', 'Europe/Astrakhan', 'Europe/Athens', 'Europe/Belfast', 'Europe/Belgrade',
+        'Europe/Berlin', 'Europe/Bratislava', 'Europe/Brussels', 'Europe/Bucharest', 'Europe/Budapest',
+        'Europe/Busingen', 'Europe/Chisinau', 'Europe/Copenhagen', 'Europe/Dublin', 'Europe/Gibraltar',
+        'Europe/Guernsey', 'Europe/Helsinki', 'Europe/Isle_of_Man', 'Europe/Istanbul', 'Europe/Jersey',
+        'Europe/Kaliningrad', 'Europe/Kiev', 'Europe/Kirov', 'Europe/Lisbon', 'Europe/Ljubljana',
+        'Europe/London', 'Europe/Luxembourg', 'Europe/Madrid', 'Europe/Malta', 'Europe/Mariehamn',
+        'Europe/Minsk', 'Europe/Monaco', 'Europe/Moscow', 'Europe/Nicosia', 'Europe/Oslo', 'Europe/Paris',
+        'Europe/Podgorica', 'Europe/Prague', 'Europe/Riga', 'Europe/Rome', 'Europe/Samara', 'Europe/San_Marino',
+        'Europe/Sarajevo', 'Europe/Saratov', 'Europe/Simferopol', 'Europe/Skopje', 'Europe/Sofia',
+        'Europe/Stockholm', 'Europe/Tallinn', 'Europe/Tirane', 'Europe/Tiraspol', 'Europe/Ulyanovsk',
+        'Europe/Uzhgorod', 'Europe/Vaduz', 'Europe/Vatican', 'Europe/Vienna', 'Europe/Vilnius',
+        'Europe/Volgograd', 'Europe/Warsaw', 'Europe/Zagreb', 'Europe/Zaporozhye', 'Europe/Zurich',
+        'GB', 'GB-Eire', 'GMT', 'GMT+0', 'GMT-0', 'GMT0', 'Greenwich', 'Hongkong', 'HST', 'Iceland',
+        'Indian/Antananarivo', 'Indian/Chagos', 'Indian/Christmas', 'Indian/Cocos', 'Indian/Comoro',
+        'Indian/Kerguelen', 'Indian/Mahe', 'Indian/Maldives', 'Indian/Mauritius', 'Indian/Mayotte',
+        'Indian/Reunion', 'Iran', 'Israel', 'Jamaica', 'Japan', 'Kwajalein', 'Libya', 'MET', 'Mexico/BajaNorte',
+        'Mexico/BajaSur', 'Mexico/General', 'MST', 'MST7MDT', 'Navajo', 'NZ', 'NZ-CHAT', 'Pacific/Apia',
+        'Pacific/Auckland', 'Pacific/Bougainville', 'Pacific/Chatham', 'Pacific/Chuuk', 'Pacific/Easter',
+        'Pacific/Efate', 'Pacific/Enderbury', 'Pacific/Fakaofo', 'Pacific/Fiji', 'Pacific/Funafuti',
+        'Pacific/Galapagos', 'Pacific/Gambier', 'Pacific/Guadalcanal', 'Pacific/Guam', 'Pacific/Honolulu',
+        'Pacific/Johnston', 'Pacific/Kanton', 'Pacific/Kiritimati', 'Pacific/Kosrae', 'Pacific/Kwajalein',
+        'Pacific/Majuro', 'Pacific/Marquesas', 'Pacific/Midway', 'Pacific/Nauru', 'Pacific/Niue',
+        'Pacific/Norfolk', 'Pacific/Noumea', 'Pacific/Pago_Pago', 'Pacific/Palau', 'Pacific/Pitcairn',
+        'Pacific/Pohnpei', 'Pacific/Ponape', 'Pacific/Port_Moresby', 'Pacific/Rarotonga', 'Pacific/Saipan',
+        'Pacific/Samoa', 'Pacific/Tahiti', 'Pacific/Tarawa', 'Pacific/Tongatapu', 'Pacific/Truk',
+        'Pacific/Wake', 'Pacific/Wallis', 'Pacific/Yap', 'Poland', 'Portugal', 'PRC', 'PST8PDT', 'ROC', 'ROK',
+        'Singapore', 'Turkey', 'UCT', 'Universal', 'US/Alaska', 'US/Aleutian', 'US/Arizona', 'US/Central',
+        'US/East-Indiana', 'US/Eastern', 'US/Hawaii', 'US/Indiana-Starke', 'US/Michigan', 'US/Mountain',
+        'US/Pacific', 'US/Samoa', 'UTC', 'W-SU', 'WET', 'Zulu'
+    ];
+
+    // The fields of a cron expression; names are matched on their first
+    // three letters, a day of week of 7 is Sunday like 0
+    const CRON_FIELDS = [
+        { key: 'minute', label: 'minute', min: 0, max: 59 },
+        { key: 'hour', label: 'hour', min: 0, max: 23 },
+        { key: 'day', label: 'day of month', min: 1, max: 31 },
+        { key: 'month', label: 'month', min: 1, max: 12, names: MONTHS },
+        { key: 'weekday', label: 'day of week', min: 0, max: 7, last: 6, names: WEEKDAYS }
+    ];
+
+    const pad = n => String(n).padStart(2, '0');
+
+    function parseValue(text, field) {
+        const name = (field.names || []).findIndex(n => n.slice(0, 3).toLowerCase() === text.toLowerCase());
+        if (name !== -1) {
+            return name + (field.min === 1 ? 1 : 0);
+        }
+        const value = /^\d+$/.test(text) ? Number(text) : NaN;
+        if (!(value >= field.min && value <= field.max)) {
+            throw new Error(`Cron ${field.label} must be from ${field.min} to ${field.max} (got "${text}")`);
+        }
+        return value;
+    }
+
+    // Values of one field, e.g. "1-5", "*/15", "0,30", "mon-fri"
+    function parseField(text, field) {
+        const values = new Set();
+        for (const part of text.split(',')) {
+            const match = /^(\*|[^/*-]+(?:-[^/*-]+)?)(?:\/(\d+))?$/.exec(part);
+            if (!match || (match[2] !== undefined && Number(match[2]) < 1)) {
+                throw new Error(`Cron ${field.label} "${part}" is not valid`);
+            }
+            const [from, to] = match[1] === '*'
+                ? [field.min, field.last ?? field.max]
+                : match[1].split('-').map(value => parseValue(value, field));
+            // "5/10": from 5 to the end of the field
+            const end = to ?? (match[2] !== undefined ? field.last ?? field.max : from);
+            if (from > end) {
+                throw new Error(`Cron ${field.label} range "${match[1]}" goes backwards`);
+            }
+            for (let value = from; value <= end; value += Number(match[2] || 1)) {
+                values.add(field.key === 'weekday' ? value % 7 : value);
+            }
+        }
+        return values;
+    }
+
+    // { minute, hour, day, month, weekday } sets of a cron expression, or
+    // throws what is wrong with it
+    function parseCron(expression) {
+        const texts = String(expression || '').trim().split(/\s+/).filter(Boolean);
+        if (texts.length !== CRON_FIELDS.length) {
+            throw new Error(`A cron expression has 5 fields (minute hour day-of-month month day-of-week), got ${texts.length}`);
+        }
+        const cron = {};
+        CRON_FIELDS.forEach((field, i) => {
+            cron[field.key] = parseField(texts[i], field);
+        });
+        // A day field starting with * does not restrict the days
+        cron.anyDay = texts[2].startsWith('*');
+        cron.anyWeekday = texts[4].startsWith('*');
+        return cron;
+    }
+
+    // Minutes since midnight of "HH:MM", null when it is not a time
+    function minutesOf(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(text ?? '').trim());
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            return null;
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    const timeOf = minutes => `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+
+    function isTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // "america/argentina/buenos_aires" reads "America/Argentina/Buenos Aires";
+    // all-caps parts such as GMT stay as they are
+    function timezoneLabel(timezone) {
+        return String(timezone).split('/').map(part => part.split('_')
+            .map(word => (word.length > 1 && word.toUpperCase() === word ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+            .join(' ')).join('/');
+    }
+
+    // Options of a timezone select; values are lowercased, as stored
+    function timezoneOptions() {
+        return TIMEZONES.map(timezone => ({ label: timezoneLabel(timezone), value: timezone.toLowerCase() }));
+    }
+
+    // The schedule as it is stored: null for a rule run by hand, times as
+    // HH:MM and no empty window ends
+    function normalize(schedule) {
+        if (!schedule || !schedule.type || schedule.type === 'manual') {
+            return null;
+        }
+        const timezone = String(schedule.timezone || 'UTC').trim();
+        if (schedule.type === 'cron') {
+            return { type: 'cron', cron: String(schedule.cron || '').trim().split(/\s+/).join(' '), timezone };
+        }
+        if (schedule.type === 'interval') {
+            const windowEnd = key => {
+                const text = String(schedule[key] ?? '').trim();
+                const minutes = minutesOf(text);
+                return text === '' ? null : minutes === null ? text : timeOf(minutes);
+            };
+            return {
+                type: 'interval',
+                every_minutes: Number(schedule.every_minutes),
+                window_start: windowEnd('window_start'),
+                window_end: windowEnd('window_end'),
+                timezone
+            };
+        }
+        return { type: schedule.type, timezone };
+    }
+
+    const formatters = {};
+
+    // An instant's wall-clock time in the timezone, as the UTC time with the
+    // same fields
+    function wallClock(at, timezone) {
+        formatters[timezone] = formatters[timezone] || new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        const parts = {};
+        for (const { type, value } of formatters[timezone].formatToParts(new Date(at))) {
+            parts[type] = Number(value);
+        }
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+    }
+
+    // The instant of a wall-clock time, null when the timezone skips it
+    function instantOf(wall, timezone) {
+        let at = wall - (wallClock(wall, timezone) - wall);
+        at = wall - (wallClock(at, timezone) - at);
+        return wallClock(at, timezone) === wall ? at : null;
+    }
+
+    function dayMatches(cron, date) {
+        const day = cron.day.has(date.getUTCDate());
+        const weekday = cron.weekday.has(date.getUTCDay());
+        return !cron.anyDay && !cron.anyWeekday ? day || weekday : day && weekday;
+    }
+
+    // Wall-clock times of a cron expression from `start` on
+    function* cronTimes(cron, start) {
+        let t = start;
+        while (t <= start + SEARCH_LIMIT) {
+            const date = new Date(t);
+            const [year, month, day, hour] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()];
+            if (!cron.month.has(month + 1)) {
+                t = Date.UTC(year, month + 1, 1);
+            } else if (!dayMatches(cron, date)) {
+                t = Date.UTC(year, month, day + 1);
+            } else if (!cron.hour.has(hour)) {
+                t = Date.UTC(year, month, day, hour + 1);
+            } else {
+                if (cron.minute.has(date.getUTCMinutes())) {
+                    yield t;
+                }
+                t += MINUTE;
+            }
+        }
+    }
+
+    // Wall-clock times of an interval from `start` on
+    function* intervalTimes(schedule, start) {
+        const from = schedule.window_start === null ? 0 : minutesOf(schedule.window_start);
+        let to = schedule.window_end === null ? MINUTES_PER_DAY - 1 : minutesOf(schedule.window_end);
+        if (to < from) {
+            to += MINUTES_PER_DAY;
+        }
+        // From the day before: its window may span midnight
+        for (let day = Math.floor(start / DAY) * DAY - DAY; day <= start + SEARCH_LIMIT; day += DAY) {
+            for (let minutes = from; minutes <= to; minutes += schedule.every_minutes) {
+                if (day + minutes * MINUTE >= start) {
+                    yield day + minutes * MINUTE;
+                }
+            }
+        }
+    }
+
+    function runsOf(schedule, from, count) {
+        const after = new Date(from).getTime();
+        const start = Math.floor(wallClock(after, schedule.timezone) / MINUTE) * MINUTE + MINUTE;
+        const times = schedule.type === 'cron' ? cronTimes(parseCron(schedule.cron), start) : intervalTimes(schedule, start);
+        const runs = [];
+        for (const wall of times) {
+            const at = instantOf(wall, schedule.timezone);
+            if (at !== null && at > after && (runs.length === 0 || at > runs[runs.length - 1])) {
+                runs.push(at);
+            }
+            if (runs.length >= count) {
+                break;
+            }
+        }
+        return runs.map(at => new Date(at));
+    }
+
+    // What is wrong with a schedule ([] when nothing is)
+    function validate(schedule) {
+        const s = normalize(schedule);
+        if (s === null) {
+            return [];
+        }
+        const errors = [];
+        if (!isTimezone(s.timezone)) {
+            errors.push(`Unknown timezone "${s.timezone}"`);
+        }
+        if (s.type === 'cron') {
+            try {
+                parseCron(s.cron);
+            } catch (e) {
+                errors.push(e.message);
+            }
+        } else if (s.type === 'interval') {
+            if (!(Number.isInteger(s.every_minutes) && s.every_minutes >= 1 && s.every_minutes <= MINUTES_PER_DAY)) {
+                errors.push(`The interval must be a whole number of minutes from 1 to ${MINUTES_PER_DAY} (got "${schedule.every_minutes ?? ''}")`);
+            }
+            for (const [key, label] of [['window_start', 'The window start'], ['window_end', 'The window end']]) {
+                if (s[key] !== null && minutesOf(s[key]) === null) {
+                    errors.push(`${label} must be a time like 08:00 (got "${s[key]}")`);
+                }
+            }
+            if ((s.window_start === null) !== (s.window_end === null)) {
+                errors.push('Give both ends of the time window, or neither');
+            }
+        } else {
+            errors.push(`Unknown schedule type "${s.type}" (use cron or interval)`);
+        }
+        if (errors.length === 0 && runsOf(s, Date.now(), 1).length === 0) {
+            errors.push('The schedule never runs');
+        }
+        return errors;
+    }
+
+    // The next `count` runs after `from` (a Date, time or ISO string), as
+    // Dates; none for a rule run by hand. Throws for an invalid schedule.
+    function nextRuns(schedule, from = Date.now(), count = 5) {
+        const s = normalize(schedule);
+        if (s === null) {
+            return [];
+        }
+        const errors = validate(s);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+        return runsOf(s, from, count);
+    }
+
+    // "Monday to Friday", "1, 15" for the sorted values of a field
+    function listOf(values, name) {
+        const runs = [];
+        for (const value of values) {
+            const run = runs[runs.length - 1];
+            if (run && value === run[1] + 1) {
+                run[1] = value;
+            } else {
+                runs.push([value, value]);
+            }
+        }
+        return runs.map(([from, to]) => (from === to ? name(from)
+            : to === from + 1 ? `${name(from)}, ${name(to)}` : `${name(from)} to ${name(to)}`)).join(', ');
+    }
+
+    // n when the values are min, min + n, min + 2n... to the end of the field
+    function stepOf(values, min, max) {
+        const step = values[1] - values[0];
+        return values.length > 1 && values[0] === min && values[values.length - 1] + step > max
+            && values.every((value, i) => value === min + i * step) ? step : null;
+    }
+
+    const every = (n, unit) => (n === 1 ? `every ${unit}` : `every ${n} ${unit}s`);
+
+    function describeCron(cron) {
+        const sorted = set => [...set].sort((a, b) => a - b);
+        const [minutes, hours] = [sorted(cron.minute), sorted(cron.hour)];
+        const atTime = (hour, minute) => `${pad(hour)}:${pad(minute)}`;
+        let time;
+        if (minutes.length * hours.length <= 4) {
+            time = `at ${hours.flatMap(h => minutes.map(m => atTime(h, m))).join(', ')}`;
+        } else {
+            const minuteStep = minutes.length === 60 ? 1 : stepOf(minutes, 0, 59);
+            time = minuteStep ? every(minuteStep, 'minute')
+                : minutes.length === 1 ? `hourly at :${pad(minutes[0])}`
+                    : `at minutes ${minutes.join(', ')} past the hour`;
+            const hourStep = stepOf(hours, 0, 23);
+            if (hours.length === 24) {
+                // every hour: nothing to add
+            } else if (hours[hours.length - 1] - hours[0] === hours.length - 1) {
+                time += ` from ${atTime(hours[0], minutes[0])} to ${atTime(hours[hours.length - 1], minutes[minutes.length - 1])}`;
+            } else if (hourStep) {
+                time += `, ${every(hourStep, 'hour')}`;
+            } else {
+                time += ` in hours ${hours.join(', ')}`;
+            }
+        }
+
+        const days = `day ${listOf(sorted(cron.day), String)} of the month`;
+        const weekdays = listOf(sorted(cron.weekday), n => WEEKDAYS[n]);
+        const day = !cron.anyDay && !cron.anyWeekday ? ` on ${days} or on ${weekdays}`
+            : !cron.anyDay ? ` on ${days}`
+                : !cron.anyWeekday ? ` on ${weekdays}` : ' every day';
+        const month = cron.month.size === 12 ? '' : ` in ${listOf(sorted(cron.month), n => MONTHS[n - 1])}`;
+        return time + day + month;
+    }
+
+    function durationOf(minutes) {
+        return minutes % 60 === 0 ? every(minutes / 60, 'hour') : every(minutes, 'minute');
+    }
+
+    // A schedule in words, e.g. "Every 15 minutes from 08:00 to 18:45 on
+    // Monday to Friday"
+    function describe(schedule) {
+        const s = normalize(schedule);
+        if (s === null) {
+            return 'Runs while started by hand';
+        }
+        if (validate(s).length > 0) {
+            return 'Invalid schedule';
+        }
+        const text = s.type === 'cron' ? describeCron(parseCron(s.cron))
+            : s.window_start !== null && s.window_start === s.window_end ? `once a day at ${s.window_start}`
+                : durationOf(s.every_minutes) + (s.window_start === null ? '' : ` from ${s.window_start} to ${s.window_end}`);
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    // A run time in the timezone, e.g. "Mon 19 Oct 2026, 08:00"
+    function formatRun(at, timezone = 'UTC') {
+        const parts = {};
+        const format = new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone, hourCycle: 'h23',
+            weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        for (const { type, value } of format.formatToParts(new Date(at))) {
+            parts[type] = value;
+        }
+        return `${parts.weekday} ${parts.day} ${parts.month} ${parts.year}, ${parts.hour}:${parts.minute}`;
+    }
+
+    // What the Tools page shows of a schedule being edited:
+    // { errors, description, runs } with the next `count` runs formatted
+    function preview(schedule, from = Date.now(), count = 5) {
+        const s = normalize(schedule);
+        const errors = validate(s);
+        return {
+            errors,
+            description: describe(s),
+            runs: errors.length > 0 || s === null ? [] : runsOf(s, from, count).map(at => formatRun(at, s.timezone))
+        };
+    }
+
+    return {
+        parseCron,
+        isTimezone,
+        timezoneLabel,
+        timezoneOptions,
+        normalize,
+        validate,
+        nextRuns,
+        describe,
+        formatRun,
+        preview
+    };
+}));
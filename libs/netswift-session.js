@@ -0,0 +1,240 @@
+/**
+ * NetSwift session module
+ *
+ * Installed in the app as the custom JS library NetSwiftSession, so every
+ * page runs the same login, logout and session checks instead of its own
+ * copy. Appsmith serves it from the app's origin: deploy.sh and
+ * docker-compose.yml mount this file into the Appsmith container at
+ * /libs/netswift-session.js, the URL in the export's customJSLibList.
+ *
+ * Libraries cannot reach the app, so each page has a small Session JS
+ * object passing a context to the calls below:
+ *
+ *   { page, queryParams, queries, store, storeValue, navigateTo, showAlert,
+ *     setInterval, clearInterval }
+ *
+ * page/queryParams are where the user is, queries the page's queries
+ * (watched for a 401), the rest the Appsmith globals of the same name.
+ * store and queries are getters, so the session watch reads current values.
+ * The rest of a page's Session object is one-line calls into this module:
+ * checkAuth (guard, run on page load), handleLogout (logout), and role and
+ * touch for the page's Permissions object. LoginPage has login instead of
+ * checkAuth: it runs the loginAuth query and passes the response to login.
+ *
+ * The session lives in the store: authToken (the JWT of POST
+ * /api/auth/login), authExpiresAt (ms since epoch), authRole,
+ * authLastActivity and isLoggedIn. It ends when the token expires, a query
+ * answers 401, or nothing happened for IDLE_TIMEOUT ms (page loads and
+ * touch() count as activity). A page that sends the user to LoginPage
+ * leaves itself in authRedirect, and login() returns there.
+ *
+ * ACTIONS lists what each role may do; each page's Permissions JS object
+ * asks can() before showing or running a write.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.NetSwiftSession = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const LOGIN_PAGE = 'LoginPage';
+    const HOME_PAGE = 'Switches';
+    const IDLE_TIMEOUT = 30 * 60 * 1000;
+    const WATCH_INTERVAL = 5000;
+    const WATCH_ID = 'authWatch';
+
+    // Roles allowed each action of the UI. The backend refuses the same
+    // writes with a 403; these keep the pages in step with it.
+    const ACTIONS = {
+        addSwitch: ['admin'],
+        discoverSwitches: ['admin'],
+        deleteSwitch: ['admin'],
+        addVlan: ['admin'],
+        editVlan: ['admin'],
+        deleteVlan: ['admin'],
+        bulkEdit: ['admin'],
+        globalConfig: ['admin'],
+        executeSSH: ['admin'],
+        lldpNaming: ['admin'],
+        manageRules: ['admin'],
+        revertChanges: ['admin']
+    };
+
+    // Claims of a JWT (sub, role, exp)
+    function claims(token) {
+        const payload = String(token || '').split('.')[1] || '';
+        const json = typeof atob === 'function'
+            ? atob(payload.replace(/-/g, '+').replace(/_/g, '/'))
+            : Buffer.from(payload, 'base64url').toString('utf8');
+        return JSON.parse(json);
+    }
+
+    // Expiry of a login response: expires_in seconds, else the token's exp
+    // claim; without either the session is over at once
+    function expiry(response, now = Date.now()) {
+        const seconds = Number(response.expires_in);
+        if (seconds > 0) {
+            return now + seconds * 1000;
+        }
+        const exp = Number(claims(response.access_token).exp);
+        return Number.isFinite(exp) ? exp * 1000 : now;
+    }
+
+    // Role of a login response, else the token's role claim (read-only
+    // operator when neither has one)
+    function roleOf(response) {
+        return response.role || claims(response.access_token).role || 'operator';
+    }
+
+    // Role of the signed-in user
+    function role(store) {
+        return store.authRole || 'operator';
+    }
+
+    // Whether the signed-in user may do `action` (unknown actions: nobody)
+    function can(store, action) {
+        return (ACTIONS[action] || []).includes(role(store));
+    }
+
+    function isIdle(store, now = Date.now()) {
+        return now - Number(store.authLastActivity || 0) > IDLE_TIMEOUT;
+    }
+
+    function hasUnauthorizedQuery(queries) {
+        return (queries || []).some(query => String(((query && query.responseMeta) || {}).statusCode || '').startsWith('401'));
+    }
+
+    // Why the session of the page has ended, or null while it is valid
+    function endReason(ctx, now = Date.now()) {
+        const { store } = ctx;
+        if (!store.isLoggedIn || !store.authToken) {
+            return 'Please log in to continue.';
+        }
+        if (now >= Number(store.authExpiresAt || 0) || hasUnauthorizedQuery(ctx.queries)) {
+            return 'Session expired, please log in again.';
+        }
+        if (isIdle(store, now)) {
+            return `Logged out after ${IDLE_TIMEOUT / 60000} minutes without activity.`;
+        }
+        return null;
+    }
+
+    // Every key is reset even when a store write fails; the first failure
+    // is thrown after
+    async function clear(ctx) {
+        ctx.clearInterval(WATCH_ID);
+        const writes = await Promise.allSettled([
+            ctx.storeValue('authToken', null),
+            ctx.storeValue('authExpiresAt', null),
+            ctx.storeValue('authRole', null),
+            ctx.storeValue('authLastActivity', null),
+            ctx.storeValue('isLoggedIn', false)
+        ]);
+        const failed = writes.find(write => write.status === 'rejected');
+        if (failed) {
+            throw failed.reason;
+        }
+    }
+
+    // Saves the session of a login response and opens the page the user
+    // asked for before logging in (HOME_PAGE when there is none). A token
+    // that cannot be read or has no expiry is a failed login: nothing is
+    // saved and the user stays on LoginPage.
+    async function login(ctx, response, now = Date.now()) {
+        let expiresAt;
+        let userRole;
+        try {
+            claims(response.access_token);
+            expiresAt = expiry(response, now);
+            userRole = roleOf(response);
+        } catch (error) {
+            expiresAt = now;
+        }
+        if (expiresAt <= now) {
+            ctx.showAlert('Login failed: the backend returned an unreadable or expired token', 'error');
+            return false;
+        }
+        // AWAIT the store so the next page sees the token (no login loop)
+        await ctx.storeValue('authToken', response.access_token);
+        await ctx.storeValue('authExpiresAt', expiresAt);
+        await ctx.storeValue('authRole', userRole);
+        await ctx.storeValue('authLastActivity', now);
+        await ctx.storeValue('isLoggedIn', true);
+        const redirect = ctx.store.authRedirect;
+        await ctx.storeValue('authRedirect', null);
+        if (redirect && redirect.page && redirect.page !== LOGIN_PAGE) {
+            return ctx.navigateTo(redirect.page, redirect.params || {}, 'SAME_WINDOW');
+        }
+        return ctx.navigateTo(HOME_PAGE, {}, 'SAME_WINDOW');
+    }
+
+    // Ends the session and sends the user to LoginPage, remembering the page
+    // to return to. A failed store write does not keep the user on the page.
+    async function expire(ctx, reason) {
+        try {
+            await clear(ctx);
+            await ctx.storeValue('authRedirect', { page: ctx.page, params: ctx.queryParams || {} });
+        } catch (error) {
+            // Leave anyway: the next login writes every key again
+        }
+        ctx.showAlert(reason, 'error');
+        ctx.navigateTo(LOGIN_PAGE, {}, 'SAME_WINDOW');
+        return false;
+    }
+
+    // The security gate of a page, run after its on-load queries. The same
+    // check then runs every WATCH_INTERVAL ms, catching queries run later,
+    // tokens expiring and idle sessions while the page is open.
+    async function guard(ctx, now = Date.now()) {
+        const reason = endReason(ctx, now);
+        if (reason) {
+            return expire(ctx, reason);
+        }
+        await touch(ctx, now);
+        ctx.setInterval(() => {
+            const ended = endReason(ctx);
+            if (ended) {
+                // Nothing awaits the watch: leave for LoginPage whatever happens
+                expire(ctx, ended).catch(() => ctx.navigateTo(LOGIN_PAGE, {}, 'SAME_WINDOW'));
+            }
+        }, WATCH_INTERVAL, WATCH_ID);
+        return true;
+    }
+
+    // Counts as activity for the idle timeout
+    async function touch(ctx, now = Date.now()) {
+        if (ctx.store.isLoggedIn) {
+            await ctx.storeValue('authLastActivity', now);
+        }
+    }
+
+    // Ends the session and opens LoginPage, like expire() even when a store
+    // write fails
+    async function logout(ctx) {
+        try {
+            await clear(ctx);
+            await ctx.storeValue('authRedirect', null);
+        } catch (error) {
+            // Leave anyway: the next login writes every key again
+        }
+        ctx.navigateTo(LOGIN_PAGE, {}, 'SAME_WINDOW');
+    }
+
+    return {
+        LOGIN_PAGE,
+        HOME_PAGE,
+        IDLE_TIMEOUT,
+        ACTIONS,
+        claims,
+        expiry,
+        roleOf,
+        role,
+        can,
+        endReason,
+        login,
+        guard,
+        touch,
+        logout
+    };
+}));